@@ -1,12 +1,95 @@
-import { Module } from '@nestjs/common';
+import { MiddlewareConsumer, Module, NestModule } from '@nestjs/common';
+import { APP_FILTER, APP_GUARD } from '@nestjs/core';
+import { json } from 'express';
 import { AuditController } from './audit/audit.controller';
 import { AuditService } from './audit/audit.service';
+import { AuthGuard } from './auth/auth.guard';
+import { authOptionsProvider } from './auth/auth.provider';
+import { AuthService } from './auth/auth.service';
+import { ProblemDetailsFilter } from './common/problem/problem-details.filter';
+import { appConfigProvider } from './config/app-config.provider';
+import { HealthController } from './health/health.controller';
+import { HealthService } from './health/health.service';
+import { ItemsBulkService } from './items/items-bulk.service';
 import { ItemsController } from './items/items.controller';
+import { itemsEventBufferSizeProvider } from './items/items-events.provider';
+import { ItemsEventsService } from './items/items-events.service';
+import { itemsIdempotencyTtlProvider } from './items/items-idempotency.provider';
+import { ItemsIdempotencyService } from './items/items-idempotency.service';
+import { ItemsImportExportService } from './items/items-import-export.service';
+import { itemIdStrategyProvider } from './items/item-id-strategy.provider';
+import { itemsRepositoryProvider } from './items/items-repository.provider';
 import { ItemsService } from './items/items.service';
+import { ItemsSnapshotService } from './items/items-snapshot.service';
+import { AccessLogMiddleware } from './logging/access-log.middleware';
+import { JsonLogger } from './logging/json-logger';
+import { RequestIdMiddleware } from './logging/request-id.middleware';
+import { HttpMetricsMiddleware } from './metrics/http-metrics.middleware';
+import { MetricsController } from './metrics/metrics.controller';
+import { MetricsService } from './metrics/metrics.service';
+import { OpenApiController } from './openapi/openapi.controller';
+import { OpenApiService } from './openapi/openapi.service';
+import { RateLimitGuard } from './rate-limit/rate-limit.guard';
+import { rateLimitOptionsProvider, rateLimitStoreProvider } from './rate-limit/rate-limit.options';
+import { ShutdownService } from './shutdown/shutdown.service';
+import { ApiDeprecationMiddleware } from './versioning/api-deprecation.middleware';
+import { WebhooksController } from './webhooks/webhooks.controller';
+import { webhookDeliveryOptionsProvider } from './webhooks/webhooks.provider';
+import { WebhooksService } from './webhooks/webhooks.service';
+import { WorkspacesController } from './workspaces/workspaces.controller';
+import { WorkspacesService } from './workspaces/workspaces.service';
 
 @Module({
   imports: [],
-  controllers: [ItemsController, AuditController],
-  providers: [ItemsService, AuditService],
+  controllers: [
+    ItemsController,
+    WorkspacesController,
+    AuditController,
+    WebhooksController,
+    OpenApiController,
+    HealthController,
+    MetricsController,
+  ],
+  providers: [
+    appConfigProvider,
+    JsonLogger,
+    rateLimitOptionsProvider,
+    rateLimitStoreProvider,
+    authOptionsProvider,
+    AuthService,
+    // Guards run in registration order: throttle before authenticating.
+    { provide: APP_GUARD, useClass: RateLimitGuard },
+    { provide: APP_GUARD, useClass: AuthGuard },
+    { provide: APP_FILTER, useClass: ProblemDetailsFilter },
+    itemsRepositoryProvider,
+    itemIdStrategyProvider,
+    ItemsService,
+    WorkspacesService,
+    ItemsSnapshotService,
+    ItemsBulkService,
+    ItemsImportExportService,
+    itemsIdempotencyTtlProvider,
+    ItemsIdempotencyService,
+    itemsEventBufferSizeProvider,
+    ItemsEventsService,
+    AuditService,
+    webhookDeliveryOptionsProvider,
+    WebhooksService,
+    OpenApiService,
+    HealthService,
+    MetricsService,
+    ShutdownService,
+  ],
 })
-export class AppModule {}
+export class AppModule implements NestModule {
+  configure(consumer: MiddlewareConsumer) {
+    // The request id comes first so the other middleware and every later log line can use it.
+    consumer.apply(RequestIdMiddleware, AccessLogMiddleware, HttpMetricsMiddleware).forRoutes('*');
+    consumer
+      .apply(ApiDeprecationMiddleware)
+      .forRoutes(ItemsController, WorkspacesController, AuditController, WebhooksController);
+    consumer
+      .apply(json({ type: ['application/merge-patch+json', 'application/json-patch+json'] }))
+      .forRoutes(ItemsController);
+  }
+}
@@ -1,11 +1,23 @@
 import { Controller, Get, HttpCode, HttpStatus, Query } from '@nestjs/common';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { ApiOperation } from '../openapi/decorators/api-operation.decorator';
+import { schemaRef } from '../openapi/openapi.schemas';
+import { RateLimit } from '../rate-limit/decorators/rate-limit.decorator';
+import { API_V1, servedVersions } from '../versioning/api-version';
 import { AuditQueryDto } from './dto/audit-query.dto';
 import { AuditReport, AuditService } from './audit.service';
 
-@Controller('audit')
+@Controller({ path: 'audit', version: servedVersions(API_V1) })
+@Roles('admin')
+@RateLimit('audit')
 export class AuditController {
   constructor(private readonly auditService: AuditService) {}
 
+  @ApiOperation({
+    summary: 'Read the AI usage audit report',
+    response: schemaRef('AuditReport'),
+    responses: { 500: 'The usage data could not be loaded' },
+  })
   @Get()
   @HttpCode(HttpStatus.OK)
   getAudit(@Query() query: AuditQueryDto): Promise<AuditReport> {
@@ -1,5 +1,6 @@
 import { InternalServerErrorException } from '@nestjs/common';
 import { promises as fs } from 'fs';
+import { loadAppConfig } from '../config/app-config.provider';
 import { AuditService } from './audit.service';
 
 describe('AuditService', () => {
@@ -31,6 +32,25 @@ describe('AuditService', () => {
     await expect(service.getAuditReport()).rejects.toThrow(InternalServerErrorException);
   });
 
+  it('reads the configured usage file', async () => {
+    const readFile = jest.spyOn(fs, 'readFile').mockResolvedValue('{}');
+    const config = loadAppConfig({ AUDIT_USAGE_FILE: '/shared/usage.json' });
+
+    await new AuditService(config).getAuditReport();
+
+    expect(readFile).toHaveBeenCalledWith('/shared/usage.json', 'utf-8');
+  });
+
+  it('counts failed loads but not missing files', async () => {
+    const enoent = new Error('missing') as NodeJS.ErrnoException;
+    enoent.code = 'ENOENT';
+    jest.spyOn(fs, 'readFile').mockRejectedValueOnce(enoent).mockResolvedValueOnce('not a json');
+
+    await expect(service.checkUsageFile()).resolves.toBeUndefined();
+    await expect(service.checkUsageFile()).rejects.toThrow(InternalServerErrorException);
+    expect(service.loadErrorCount()).toBe(1);
+  });
+
   it('respects the limit and returns normalized summary', async () => {
     const sample = {
       sessions: [
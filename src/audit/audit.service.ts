@@ -1,6 +1,6 @@
-import { Injectable, InternalServerErrorException, Logger } from '@nestjs/common';
+import { Inject, Injectable, InternalServerErrorException, Logger, Optional } from '@nestjs/common';
 import { promises as fs } from 'fs';
-import { join } from 'path';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
 
 export interface AuditFileInfo {
   path: string;
@@ -69,7 +69,12 @@ interface RawUsageData {
 @Injectable()
 export class AuditService {
   private readonly logger = new Logger(AuditService.name);
-  private readonly usageFilePath = join(process.cwd(), '.ai-usage', 'usage.json');
+  private readonly usageFilePath: string;
+  private loadErrors = 0;
+
+  constructor(@Optional() @Inject(APP_CONFIG) config?: AppConfig) {
+    this.usageFilePath = (config ?? defaultAppConfig()).audit.usageFilePath;
+  }
 
   async getAuditReport(limit?: number): Promise<AuditReport> {
     const rawData = await this.loadUsageData();
@@ -83,6 +88,19 @@ export class AuditService {
     };
   }
 
+  /**
+   * Loads the usage file the way a report would, so it fails when reports
+   * would fail. A missing file is fine: reports are then empty.
+   */
+  async checkUsageFile(): Promise<void> {
+    await this.loadUsageData();
+  }
+
+  /** Failed loads of the usage file since startup, missing files excluded. */
+  loadErrorCount(): number {
+    return this.loadErrors;
+  }
+
   private async loadUsageData(): Promise<RawUsageData> {
     try {
       const contents = await fs.readFile(this.usageFilePath, 'utf-8');
@@ -97,6 +115,7 @@ export class AuditService {
         return { sessions: [], summary: {} };
       }
 
+      this.loadErrors += 1;
       this.logger.error('Unable to load audit data', error);
       throw new InternalServerErrorException('Failed to load audit data');
     }
@@ -0,0 +1,88 @@
+import { ExecutionContext, ForbiddenException, UnauthorizedException } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { AuthGuard } from './auth.guard';
+import { AuthService } from './auth.service';
+import { AuthenticatedRequest } from './auth.types';
+import { Public, Roles } from './decorators/roles.decorator';
+
+@Roles('reader')
+class TestController {
+  read() {
+    return 'read';
+  }
+
+  @Roles('admin')
+  administer() {
+    return 'administer';
+  }
+
+  @Public()
+  open() {
+    return 'open';
+  }
+}
+
+const readerKey = 'reader-key-0123456789';
+const adminKey = 'admin-key-0123456789';
+
+const contextFor = (handler: keyof TestController, headers: Record<string, string> = {}) => {
+  const request = { headers } as AuthenticatedRequest;
+  const response = { setHeader: jest.fn() };
+  const context = {
+    getHandler: () => TestController.prototype[handler],
+    getClass: () => TestController,
+    switchToHttp: () => ({ getRequest: () => request, getResponse: () => response }),
+  } as unknown as ExecutionContext;
+  return { context, request, response };
+};
+
+describe('AuthGuard', () => {
+  const guard = new AuthGuard(
+    new Reflector(),
+    new AuthService({
+      enabled: true,
+      apiKeys: [
+        { principalId: 'reader-bot', role: 'reader', key: readerKey },
+        { principalId: 'admin-bot', role: 'admin', key: adminKey },
+      ],
+      jwt: { rolesClaim: 'roles' },
+    }),
+  );
+
+  it('should challenge requests without credentials with 401', () => {
+    const { context, response } = contextFor('read');
+    expect(() => guard.canActivate(context)).toThrow(UnauthorizedException);
+    expect(response.setHeader).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer realm="items"');
+  });
+
+  it('should reject invalid credentials with 401 and an invalid_token challenge', () => {
+    const { context, response } = contextFor('read', { 'x-api-key': 'nope' });
+    expect(() => guard.canActivate(context)).toThrow(UnauthorizedException);
+    expect(response.setHeader).toHaveBeenCalledWith(
+      'WWW-Authenticate',
+      'Bearer realm="items", error="invalid_token"',
+    );
+  });
+
+  it('should attach the principal and enforce the route role with 403', () => {
+    const reader = contextFor('read', { 'x-api-key': readerKey });
+    expect(guard.canActivate(reader.context)).toBe(true);
+    expect(reader.request.principal?.id).toBe('reader-bot');
+
+    expect(() =>
+      guard.canActivate(contextFor('administer', { 'x-api-key': readerKey }).context),
+    ).toThrow(ForbiddenException);
+    expect(guard.canActivate(contextFor('administer', { 'x-api-key': adminKey }).context)).toBe(
+      true,
+    );
+  });
+
+  it('should let public routes and disabled authentication through', () => {
+    expect(guard.canActivate(contextFor('open').context)).toBe(true);
+    const disabled = new AuthGuard(
+      new Reflector(),
+      new AuthService({ enabled: false, apiKeys: [], jwt: { rolesClaim: 'roles' } }),
+    );
+    expect(disabled.canActivate(contextFor('administer').context)).toBe(true);
+  });
+});
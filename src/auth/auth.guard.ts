@@ -0,0 +1,60 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { Response } from 'express';
+import { AuthService } from './auth.service';
+import { AuthenticatedRequest, hasRole, Role } from './auth.types';
+import { PUBLIC_KEY, ROLES_KEY } from './decorators/roles.decorator';
+
+const DEFAULT_ROLE: Role = 'reader';
+
+/**
+ * Global guard: every route needs an authenticated principal holding at least
+ * the route's `@Roles()` role (reader by default) unless it is `@Public()`.
+ * Missing or invalid credentials are 401 with a `WWW-Authenticate` challenge;
+ * an authenticated caller without the role is 403.
+ */
+@Injectable()
+export class AuthGuard implements CanActivate {
+  constructor(
+    private readonly reflector: Reflector,
+    private readonly authService: AuthService,
+  ) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const targets = [context.getHandler(), context.getClass()];
+    if (
+      !this.authService.enabled ||
+      this.reflector.getAllAndOverride<boolean>(PUBLIC_KEY, targets)
+    ) {
+      return true;
+    }
+
+    const http = context.switchToHttp();
+    const request = http.getRequest<AuthenticatedRequest>();
+    const response = http.getResponse<Response>();
+    try {
+      request.principal = this.authService.authenticate(request.headers);
+    } catch (error: unknown) {
+      if (error instanceof UnauthorizedException) {
+        response.setHeader('WWW-Authenticate', 'Bearer realm="items", error="invalid_token"');
+      }
+      throw error;
+    }
+    if (!request.principal) {
+      response.setHeader('WWW-Authenticate', 'Bearer realm="items"');
+      throw new UnauthorizedException('Authentication required');
+    }
+
+    const role = this.reflector.getAllAndOverride<Role>(ROLES_KEY, targets) ?? DEFAULT_ROLE;
+    if (!hasRole(request.principal, role)) {
+      throw new ForbiddenException(`Requires the ${role} role`);
+    }
+    return true;
+  }
+}
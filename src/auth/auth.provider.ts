@@ -0,0 +1,39 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig, AuthConfig } from '../config/app-config';
+import { ApiKeyDefinition, AUTH_OPTIONS, AuthOptions } from './auth.service';
+
+/**
+ * Splits `AUTH_API_KEYS`, comma-separated `principal:role:key` entries, into
+ * `auth.apiKeys` settings. Keys may contain colons. The entries are validated
+ * with the rest of the configuration.
+ */
+export function parseApiKeys(value: string): Record<keyof ApiKeyDefinition, string>[] {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => {
+      const [principalId, role = '', ...keyParts] = entry.split(':');
+      return { principalId, role, key: keyParts.join(':') };
+    });
+}
+
+export function authOptionsFromConfig(config: AuthConfig): AuthOptions {
+  return {
+    enabled: config.enabled,
+    apiKeys: config.apiKeys,
+    jwt: {
+      hmacSecret: config.jwtSecret,
+      publicKey: config.jwtPublicKey,
+      issuer: config.jwtIssuer,
+      audience: config.jwtAudience,
+      rolesClaim: config.jwtRolesClaim,
+    },
+  };
+}
+
+export const authOptionsProvider: Provider = {
+  provide: AUTH_OPTIONS,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): AuthOptions => authOptionsFromConfig(config.auth),
+};
@@ -0,0 +1,79 @@
+import { UnauthorizedException } from '@nestjs/common';
+import { createHmac } from 'crypto';
+import { loadAppConfig } from '../config/app-config.provider';
+import { authOptionsFromConfig, parseApiKeys } from './auth.provider';
+import { AuthService, DEFAULT_AUTH_OPTIONS } from './auth.service';
+
+const hmacSecret = 'auth-test-signing-key';
+const editorKey = 'editor-key-0123456789';
+
+const token = (claims: object) => {
+  const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'HS256' })}.${encode(claims)}`;
+  return `${input}.${createHmac('sha256', hmacSecret).update(input).digest('base64url')}`;
+};
+
+describe('AuthService', () => {
+  const service = new AuthService({
+    enabled: true,
+    apiKeys: [{ principalId: 'ci-bot', role: 'editor', key: editorKey }],
+    jwt: { hmacSecret, rolesClaim: 'roles' },
+  });
+  const exp = Math.floor(Date.now() / 1000) + 60;
+
+  it('should resolve API keys to their principal', () => {
+    expect(service.authenticate({ 'x-api-key': editorKey })).toEqual({
+      id: 'ci-bot',
+      roles: ['editor'],
+      method: 'api-key',
+    });
+    expect(() => service.authenticate({ 'x-api-key': 'wrong-key' })).toThrow(UnauthorizedException);
+  });
+
+  it('should resolve bearer JWTs with their known roles', () => {
+    const principal = service.authenticate({
+      authorization: `Bearer ${token({ sub: 'alice', exp, roles: 'reader superuser' })}`,
+    });
+    expect(principal).toEqual({ id: 'alice', roles: ['reader'], method: 'jwt' });
+    expect(
+      service.authenticate({
+        authorization: `Bearer ${token({ sub: 'bob', exp, roles: ['admin'] })}`,
+      })?.roles,
+    ).toEqual(['admin']);
+  });
+
+  it('should return undefined without credentials and 401 on bad ones', () => {
+    expect(service.authenticate({})).toBeUndefined();
+    expect(() => service.authenticate({ authorization: 'Basic Zm9vOmJhcg==' })).toThrow(
+      'Unsupported authorization scheme',
+    );
+    expect(() =>
+      service.authenticate({ authorization: `Bearer ${token({ exp, roles: ['admin'] })}` }),
+    ).toThrow('Token has no subject');
+    expect(() =>
+      new AuthService(DEFAULT_AUTH_OPTIONS).authenticate({ authorization: 'Bearer x' }),
+    ).toThrow('Bearer tokens are not accepted');
+  });
+
+  it('should build its options from the configuration', () => {
+    expect(parseApiKeys(`ops:admin:${editorKey}:with:colons, ci:reader:${editorKey},`)).toEqual([
+      { principalId: 'ops', role: 'admin', key: `${editorKey}:with:colons` },
+      { principalId: 'ci', role: 'reader', key: editorKey },
+    ]);
+    const config = loadAppConfig({
+      AUTH_API_KEYS: `ci:editor:${editorKey}`,
+      AUTH_JWT_PUBLIC_KEY: '-----BEGIN PUBLIC KEY-----\\nAAAA\\n-----END PUBLIC KEY-----',
+    });
+    expect(authOptionsFromConfig(config.auth)).toEqual({
+      enabled: true,
+      apiKeys: [{ principalId: 'ci', role: 'editor', key: editorKey }],
+      jwt: {
+        publicKey: '-----BEGIN PUBLIC KEY-----\nAAAA\n-----END PUBLIC KEY-----',
+        rolesClaim: 'roles',
+      },
+    });
+    expect(authOptionsFromConfig(loadAppConfig({ AUTH_DISABLED: 'true' }).auth).enabled).toBe(
+      false,
+    );
+  });
+});
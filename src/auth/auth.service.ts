@@ -0,0 +1,123 @@
+import { Inject, Injectable, Logger, Optional, UnauthorizedException } from '@nestjs/common';
+import { createHash } from 'crypto';
+import { IncomingHttpHeaders } from 'http';
+import { AuthPrincipal, isRole, Role } from './auth.types';
+import { JwtError, verifyJwt } from './jwt';
+
+export const AUTH_OPTIONS = 'AUTH_OPTIONS';
+
+export interface ApiKeyDefinition {
+  principalId: string;
+  role: Role;
+  key: string;
+}
+
+export interface JwtAuthOptions {
+  hmacSecret?: string;
+  publicKey?: string;
+  issuer?: string;
+  audience?: string;
+  /** Claim holding the roles, as an array or a space-separated string. */
+  rolesClaim: string;
+}
+
+export interface AuthOptions {
+  enabled: boolean;
+  apiKeys: ApiKeyDefinition[];
+  jwt: JwtAuthOptions;
+}
+
+export const DEFAULT_AUTH_OPTIONS: AuthOptions = {
+  enabled: true,
+  apiKeys: [],
+  jwt: { rolesClaim: 'roles' },
+};
+
+const hashKey = (key: string) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Resolves the caller from an `X-API-Key` header or an `Authorization: Bearer`
+ * JWT. Only key hashes are kept in memory, and JWTs are verified locally
+ * against the configured secret or public key.
+ */
+@Injectable()
+export class AuthService {
+  private readonly logger = new Logger(AuthService.name);
+  private readonly options: AuthOptions;
+  private readonly apiKeys = new Map<string, AuthPrincipal>();
+
+  constructor(@Optional() @Inject(AUTH_OPTIONS) options?: AuthOptions) {
+    this.options = options ?? DEFAULT_AUTH_OPTIONS;
+    for (const definition of this.options.apiKeys) {
+      this.apiKeys.set(hashKey(definition.key), {
+        id: definition.principalId,
+        roles: [definition.role],
+        method: 'api-key',
+      });
+    }
+    if (!this.options.enabled) {
+      this.logger.warn('Authentication is disabled; every request is allowed');
+    }
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  /** Whether a key is configured, for callers that run before authentication. */
+  isKnownApiKey(key: string): boolean {
+    return this.apiKeys.has(hashKey(key));
+  }
+
+  /** Returns undefined when the request carries no credentials at all. */
+  authenticate(headers: IncomingHttpHeaders): AuthPrincipal | undefined {
+    const apiKey = headers['x-api-key'];
+    if (typeof apiKey === 'string' && apiKey.length > 0) {
+      return this.authenticateApiKey(apiKey);
+    }
+    const authorization = headers.authorization;
+    if (authorization === undefined) {
+      return undefined;
+    }
+    const [scheme, token] = authorization.split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !token) {
+      throw new UnauthorizedException('Unsupported authorization scheme');
+    }
+    return this.authenticateJwt(token);
+  }
+
+  private authenticateApiKey(key: string): AuthPrincipal {
+    const principal = this.apiKeys.get(hashKey(key));
+    if (!principal) {
+      this.logger.warn('Rejected unknown API key');
+      throw new UnauthorizedException('Invalid API key');
+    }
+    return principal;
+  }
+
+  private authenticateJwt(token: string): AuthPrincipal {
+    const { jwt } = this.options;
+    if (!jwt.hmacSecret && !jwt.publicKey) {
+      throw new UnauthorizedException('Bearer tokens are not accepted');
+    }
+    try {
+      const claims = verifyJwt(token, jwt);
+      if (typeof claims.sub !== 'string' || claims.sub.length === 0) {
+        throw new JwtError('Token has no subject');
+      }
+      const rawRoles = claims[jwt.rolesClaim];
+      const roles = (typeof rawRoles === 'string' ? rawRoles.split(' ') : rawRoles) ?? [];
+      return {
+        id: claims.sub,
+        roles: Array.isArray(roles) ? roles.filter(isRole) : [],
+        method: 'jwt',
+      };
+    } catch (error: unknown) {
+      if (error instanceof JwtError) {
+        this.logger.warn(`Rejected bearer token: ${error.message}`);
+        throw new UnauthorizedException(error.message);
+      }
+      throw error;
+    }
+  }
+}
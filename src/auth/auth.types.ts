@@ -0,0 +1,33 @@
+import { Request } from 'express';
+
+export const ROLES = ['reader', 'editor', 'admin'] as const;
+export type Role = (typeof ROLES)[number];
+
+/** Each role includes every permission of the roles before it. */
+const ROLE_RANK: Record<Role, number> = { reader: 1, editor: 2, admin: 3 };
+
+export interface AuthPrincipal {
+  id: string;
+  roles: Role[];
+  method: 'api-key' | 'jwt';
+}
+
+export interface AuthenticatedRequest extends Request {
+  principal?: AuthPrincipal;
+}
+
+export function isRole(value: unknown): value is Role {
+  return typeof value === 'string' && (ROLES as readonly string[]).includes(value);
+}
+
+export function hasRole(principal: AuthPrincipal, required: Role): boolean {
+  return principal.roles.some((role) => ROLE_RANK[role] >= ROLE_RANK[required]);
+}
+
+/**
+ * The owner a principal's item mutations are restricted to: admins (and
+ * requests when authentication is disabled) may modify any item.
+ */
+export function ownerScope(principal?: AuthPrincipal): string | undefined {
+  return principal && !hasRole(principal, 'admin') ? principal.id : undefined;
+}
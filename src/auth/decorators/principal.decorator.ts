@@ -0,0 +1,8 @@
+import { createParamDecorator, ExecutionContext } from '@nestjs/common';
+import { AuthenticatedRequest, AuthPrincipal } from '../auth.types';
+
+/** The authenticated caller, or undefined when authentication is disabled. */
+export const CurrentPrincipal = createParamDecorator(
+  (_data: unknown, ctx: ExecutionContext): AuthPrincipal | undefined =>
+    ctx.switchToHttp().getRequest<AuthenticatedRequest>().principal,
+);
@@ -0,0 +1,11 @@
+import { SetMetadata } from '@nestjs/common';
+import { Role } from '../auth.types';
+
+export const ROLES_KEY = 'roles';
+export const PUBLIC_KEY = 'isPublic';
+
+/** Minimum role for a route; a handler-level role overrides the controller's. */
+export const Roles = (role: Role) => SetMetadata(ROLES_KEY, role);
+
+/** Opts a route out of authentication entirely. */
+export const Public = () => SetMetadata(PUBLIC_KEY, true);
@@ -0,0 +1,71 @@
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+import { JwtClaims, JwtError, verifyJwt } from './jwt';
+
+const NOW = 1_700_000_000_000;
+const SECONDS = NOW / 1000;
+const hmacSecret = 'jwt-test-signing-key';
+
+const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hs256 = (claims: JwtClaims, key = hmacSecret, alg = 'HS256') => {
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${createHmac('sha256', key).update(input).digest('base64url')}`;
+};
+
+describe('verifyJwt', () => {
+  const claims = { sub: 'alice', exp: SECONDS + 60, iss: 'issuer', aud: ['items', 'other'] };
+
+  it('should verify HS256 tokens and return the claims', () => {
+    expect(verifyJwt(hs256(claims), { hmacSecret, now: NOW })).toEqual(claims);
+  });
+
+  it('should verify RS256 and ES256 tokens with a public key', () => {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const cases = [
+      { alg: 'RS256', keys: rsa, dsaEncoding: undefined },
+      { alg: 'ES256', keys: ec, dsaEncoding: 'ieee-p1363' as const },
+    ];
+    for (const { alg, keys, dsaEncoding } of cases) {
+      const input = `${encode({ alg })}.${encode(claims)}`;
+      const signature = sign('sha256', Buffer.from(input), { key: keys.privateKey, dsaEncoding });
+      const token = `${input}.${signature.toString('base64url')}`;
+      const publicKey = keys.publicKey.export({ type: 'spki', format: 'pem' }).toString();
+      expect(verifyJwt(token, { publicKey, now: NOW })).toEqual(claims);
+    }
+  });
+
+  it('should reject bad signatures, the none algorithm and algorithm confusion', () => {
+    expect(() => verifyJwt(hs256(claims, 'another-key'), { hmacSecret, now: NOW })).toThrow(
+      'Invalid token signature',
+    );
+    const unsigned = `${encode({ alg: 'none' })}.${encode(claims)}.`;
+    expect(() => verifyJwt(unsigned, { hmacSecret, now: NOW })).toThrow(JwtError);
+    const { publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+    expect(() => verifyJwt(hs256(claims, pem), { publicKey: pem, now: NOW })).toThrow(JwtError);
+  });
+
+  it('should enforce expiry, not-before, issuer and audience', () => {
+    const options = { hmacSecret, now: NOW, issuer: 'issuer', audience: 'items' };
+    expect(() => verifyJwt(hs256({ sub: 'a' }), options)).toThrow('Token has no expiry');
+    expect(() => verifyJwt(hs256({ ...claims, exp: SECONDS - 31 }), options)).toThrow(
+      'Token has expired',
+    );
+    expect(() => verifyJwt(hs256({ ...claims, nbf: SECONDS + 31 }), options)).toThrow(
+      'Token is not valid yet',
+    );
+    expect(() => verifyJwt(hs256({ ...claims, iss: 'evil' }), options)).toThrow(
+      'Unexpected token issuer',
+    );
+    expect(() => verifyJwt(hs256({ ...claims, aud: 'other' }), options)).toThrow(
+      'Unexpected token audience',
+    );
+    expect(verifyJwt(hs256(claims), options).sub).toBe('alice');
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(() => verifyJwt('not-a-token', { hmacSecret })).toThrow('Malformed token');
+    expect(() => verifyJwt('a.b.c', { hmacSecret })).toThrow('Malformed token');
+  });
+});
@@ -0,0 +1,126 @@
+import { createHmac, createPublicKey, KeyObject, timingSafeEqual, verify } from 'crypto';
+
+export type JwtClaims = Record<string, unknown>;
+
+export interface JwtVerificationOptions {
+  /** Shared secret for HS256/HS384/HS512 tokens. */
+  hmacSecret?: string;
+  /** PEM public key for RS256/RS384/RS512 and ES256/ES384/ES512 tokens. */
+  publicKey?: string;
+  issuer?: string;
+  audience?: string;
+  clockToleranceSeconds?: number;
+  now?: number;
+}
+
+export class JwtError extends Error {}
+
+const HMAC_ALGORITHMS: Record<string, string> = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+const PUBLIC_KEY_ALGORITHMS: Record<string, { hash: string; ecdsa: boolean }> = {
+  RS256: { hash: 'sha256', ecdsa: false },
+  RS384: { hash: 'sha384', ecdsa: false },
+  RS512: { hash: 'sha512', ecdsa: false },
+  ES256: { hash: 'sha256', ecdsa: true },
+  ES384: { hash: 'sha384', ecdsa: true },
+  ES512: { hash: 'sha512', ecdsa: true },
+};
+
+const publicKeys = new Map<string, KeyObject>();
+
+/**
+ * Verifies a compact JWS locally: signature, `exp` (required), `nbf`, and
+ * `iss`/`aud` when configured. Returns the claims or throws a JwtError.
+ */
+export function verifyJwt(token: string, options: JwtVerificationOptions): JwtClaims {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  if (!verifySignature(String(header.alg), signingInput, signature, options)) {
+    throw new JwtError('Invalid token signature');
+  }
+
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+  const tolerance = options.clockToleranceSeconds ?? 30;
+  if (typeof claims.exp !== 'number') {
+    throw new JwtError('Token has no expiry');
+  }
+  if (now - tolerance >= claims.exp) {
+    throw new JwtError('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw new JwtError('Token is not valid yet');
+  }
+  if (options.issuer !== undefined && claims.iss !== options.issuer) {
+    throw new JwtError('Unexpected token issuer');
+  }
+  if (options.audience !== undefined) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new JwtError('Unexpected token audience');
+    }
+  }
+  return claims;
+}
+
+function decodeSegment(segment: string): JwtClaims {
+  try {
+    const decoded: unknown = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (decoded !== null && typeof decoded === 'object' && !Array.isArray(decoded)) {
+      return decoded as JwtClaims;
+    }
+  } catch {
+    // Fall through to the shared error below.
+  }
+  throw new JwtError('Malformed token');
+}
+
+/** The algorithm must match the configured key type, so `none` and HS/RS confusion fail. */
+function verifySignature(
+  alg: string,
+  signingInput: Buffer,
+  signature: Buffer,
+  options: JwtVerificationOptions,
+): boolean {
+  const hmacHash = HMAC_ALGORITHMS[alg];
+  if (hmacHash && options.hmacSecret) {
+    const expected = createHmac(hmacHash, options.hmacSecret).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+  }
+  const publicKeyAlgorithm = PUBLIC_KEY_ALGORITHMS[alg];
+  if (publicKeyAlgorithm && options.publicKey) {
+    try {
+      return verify(
+        publicKeyAlgorithm.hash,
+        signingInput,
+        {
+          key: loadPublicKey(options.publicKey),
+          ...(publicKeyAlgorithm.ecdsa && { dsaEncoding: 'ieee-p1363' as const }),
+        },
+        signature,
+      );
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+function loadPublicKey(pem: string): KeyObject {
+  let key = publicKeys.get(pem);
+  if (!key) {
+    key = createPublicKey(pem);
+    publicKeys.set(pem, key);
+  }
+  return key;
+}
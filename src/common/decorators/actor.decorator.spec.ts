@@ -0,0 +1,43 @@
+import { ExecutionContext } from '@nestjs/common';
+import { ROUTE_ARGS_METADATA } from '@nestjs/common/constants';
+import { Actor, ANONYMOUS_ACTOR } from './actor.decorator';
+
+type ParamFactory = (data: unknown, ctx: ExecutionContext) => string;
+
+const getFactory = (): ParamFactory => {
+  class TestController {
+    handler(@Actor() _actor: string) {
+      return _actor;
+    }
+  }
+  const metadata = Reflect.getMetadata(ROUTE_ARGS_METADATA, TestController, 'handler');
+  return metadata[Object.keys(metadata)[0]].factory;
+};
+
+const contextWithHeaders = (headers: Record<string, string | string[]>, principal?: object) =>
+  ({
+    switchToHttp: () => ({ getRequest: () => ({ headers, principal }) }),
+  }) as unknown as ExecutionContext;
+
+describe('Actor decorator', () => {
+  const factory = getFactory();
+
+  it('reads the X-Actor header', () => {
+    expect(factory(undefined, contextWithHeaders({ 'x-actor': ' alice ' }))).toBe('alice');
+  });
+
+  it('falls back to anonymous when missing, blank or too long', () => {
+    expect(factory(undefined, contextWithHeaders({}))).toBe(ANONYMOUS_ACTOR);
+    expect(factory(undefined, contextWithHeaders({ 'x-actor': '  ' }))).toBe(ANONYMOUS_ACTOR);
+    expect(factory(undefined, contextWithHeaders({ 'x-actor': 'a'.repeat(101) }))).toBe(
+      ANONYMOUS_ACTOR,
+    );
+  });
+
+  it('prefers the authenticated principal over the header', () => {
+    const principal = { id: 'svc-import', roles: ['editor'], method: 'api-key' };
+    expect(factory(undefined, contextWithHeaders({ 'x-actor': 'mallory' }, principal))).toBe(
+      'svc-import',
+    );
+  });
+});
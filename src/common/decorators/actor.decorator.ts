@@ -0,0 +1,23 @@
+import { createParamDecorator, ExecutionContext } from '@nestjs/common';
+import { AuthenticatedRequest } from '../../auth/auth.types';
+
+export const ANONYMOUS_ACTOR = 'anonymous';
+const MAX_ACTOR_LENGTH = 100;
+
+/**
+ * Resolves who is performing a request: the authenticated principal when
+ * there is one, otherwise the `X-Actor` header, falling back to `anonymous`
+ * when the header is missing or unusable.
+ */
+export const Actor = createParamDecorator((_data: unknown, ctx: ExecutionContext): string => {
+  const request = ctx.switchToHttp().getRequest<AuthenticatedRequest>();
+  if (request.principal) {
+    return request.principal.id;
+  }
+  const header = request.headers['x-actor'];
+  const actor = (Array.isArray(header) ? header[0] : header)?.trim();
+  if (!actor || actor.length > MAX_ACTOR_LENGTH) {
+    return ANONYMOUS_ACTOR;
+  }
+  return actor;
+});
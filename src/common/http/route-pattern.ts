@@ -0,0 +1,13 @@
+import { Request } from 'express';
+
+/** Stands in for the route of requests that matched none, so raw paths never become labels. */
+export const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * The route pattern a request was dispatched to, such as `/items/:id`. Only
+ * known once routing has happened, so read it when the response finishes.
+ */
+export function routePattern(request: Request): string {
+  const route: unknown = request.route?.path;
+  return typeof route === 'string' ? `${request.baseUrl}${route}` : UNMATCHED_ROUTE;
+}
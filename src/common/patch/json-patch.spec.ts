@@ -0,0 +1,59 @@
+import { applyJsonPatch, JsonPatchError } from './json-patch';
+
+describe('applyJsonPatch', () => {
+  const document = { name: 'Item', tags: ['a', 'b'], nested: { 'a/b': 1, 'm~n': 2 } };
+
+  it('applies the RFC 6902 operations without mutating the input', () => {
+    const result = applyJsonPatch(document, [
+      { op: 'replace', path: '/name', value: 'Renamed' },
+      { op: 'add', path: '/tags/1', value: 'inserted' },
+      { op: 'add', path: '/tags/-', value: 'last' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'copy', from: '/name', path: '/copy' },
+      { op: 'move', from: '/nested/a~1b', path: '/moved' },
+      { op: 'test', path: '/nested/m~0n', value: 2 },
+    ]);
+
+    expect(result).toEqual({
+      name: 'Renamed',
+      tags: ['inserted', 'b', 'last'],
+      nested: { 'm~n': 2 },
+      copy: 'Renamed',
+      moved: 1,
+    });
+    expect(document.tags).toEqual(['a', 'b']);
+  });
+
+  it('replaces the whole document at the root pointer', () => {
+    expect(applyJsonPatch(document, [{ op: 'replace', path: '', value: { x: 1 } }])).toEqual({
+      x: 1,
+    });
+  });
+
+  it.each([
+    ['a non-array patch', { op: 'add' }],
+    ['an unknown op', [{ op: 'merge', path: '/name' }]],
+    ['a missing value', [{ op: 'add', path: '/name' }]],
+    ['a missing from', [{ op: 'move', path: '/name' }]],
+    ['a relative pointer', [{ op: 'remove', path: 'name' }]],
+    ['a non-numeric array index', [{ op: 'remove', path: '/tags/x' }]],
+    ['moving into a child', [{ op: 'move', from: '/nested', path: '/nested/x' }]],
+    ['prototype pollution', [{ op: 'add', path: '/__proto__', value: { polluted: true } }]],
+  ])('rejects %s as malformed', (_label, patch) => {
+    expect(() => applyJsonPatch(document, patch)).toThrow(
+      expect.objectContaining({ reason: 'malformed' }),
+    );
+  });
+
+  it.each([
+    ['removing a missing path', [{ op: 'remove', path: '/missing' }]],
+    ['replacing past the end of an array', [{ op: 'replace', path: '/tags/5', value: 'x' }]],
+    ['adding below a missing parent', [{ op: 'add', path: '/missing/child', value: 1 }]],
+    ['a failed test', [{ op: 'test', path: '/name', value: 'Other' }]],
+  ])('reports %s as a conflict', (_label, patch) => {
+    expect(() => applyJsonPatch(document, patch)).toThrow(JsonPatchError);
+    expect(() => applyJsonPatch(document, patch)).toThrow(
+      expect.objectContaining({ reason: 'conflict' }),
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import { isDeepStrictEqual } from 'util';
+
+export const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'] as const;
+export type JsonPatchOperationType = (typeof JSON_PATCH_OPERATIONS)[number];
+
+export interface JsonPatchOperation {
+  op: JsonPatchOperationType;
+  path: string;
+  from?: string;
+  value?: unknown;
+}
+
+/**
+ * Raised when a patch cannot be applied. `malformed` patches are client
+ * errors regardless of the target; `conflict` means the patch is well formed
+ * but does not fit the current document (missing path or failed test).
+ */
+export class JsonPatchError extends Error {
+  constructor(
+    message: string,
+    readonly reason: 'malformed' | 'conflict',
+  ) {
+    super(message);
+    this.name = JsonPatchError.name;
+  }
+}
+
+type Container = Record<string, unknown> | unknown[];
+
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** Applies an RFC 6902 JSON Patch to a copy of the document. */
+export function applyJsonPatch(document: unknown, patch: unknown): unknown {
+  if (!Array.isArray(patch)) {
+    throw new JsonPatchError('JSON Patch document must be an array of operations', 'malformed');
+  }
+  return patch.reduce(
+    (current: unknown, operation: unknown, index: number) =>
+      applyOperation(current, validateOperation(operation, index)),
+    clone(document),
+  );
+}
+
+function validateOperation(operation: unknown, index: number): JsonPatchOperation {
+  if (typeof operation !== 'object' || operation === null || Array.isArray(operation)) {
+    throw new JsonPatchError(`operation ${index} must be an object`, 'malformed');
+  }
+  const candidate = operation as Partial<JsonPatchOperation>;
+  if (!JSON_PATCH_OPERATIONS.includes(candidate.op as JsonPatchOperationType)) {
+    throw new JsonPatchError(`operation ${index} has an unsupported op`, 'malformed');
+  }
+  if (typeof candidate.path !== 'string') {
+    throw new JsonPatchError(`operation ${index} is missing a path`, 'malformed');
+  }
+  if ((candidate.op === 'move' || candidate.op === 'copy') && typeof candidate.from !== 'string') {
+    throw new JsonPatchError(`operation ${index} is missing a from pointer`, 'malformed');
+  }
+  if (
+    (candidate.op === 'add' || candidate.op === 'replace' || candidate.op === 'test') &&
+    !('value' in candidate)
+  ) {
+    throw new JsonPatchError(`operation ${index} is missing a value`, 'malformed');
+  }
+  return candidate as JsonPatchOperation;
+}
+
+function applyOperation(document: unknown, operation: JsonPatchOperation): unknown {
+  switch (operation.op) {
+    case 'add':
+      return add(document, operation.path, clone(operation.value));
+    case 'remove':
+      return remove(document, operation.path);
+    case 'replace':
+      if (operation.path === '') {
+        return clone(operation.value);
+      }
+      return add(remove(document, operation.path), operation.path, clone(operation.value));
+    case 'move': {
+      const from = operation.from as string;
+      if (operation.path.startsWith(`${from}/`)) {
+        throw new JsonPatchError(`cannot move ${from} into one of its children`, 'malformed');
+      }
+      const value = get(document, from);
+      return add(remove(document, from), operation.path, value);
+    }
+    case 'copy':
+      return add(document, operation.path, clone(get(document, operation.from as string)));
+    case 'test':
+      if (!isDeepStrictEqual(get(document, operation.path), operation.value)) {
+        throw new JsonPatchError(`test failed at ${operation.path || '/'}`, 'conflict');
+      }
+      return document;
+  }
+}
+
+function parsePointer(pointer: string): string[] {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new JsonPatchError(`invalid JSON pointer "${pointer}"`, 'malformed');
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function get(document: unknown, pointer: string): unknown {
+  let current = document;
+  for (const token of parsePointer(pointer)) {
+    current = child(asContainer(current, pointer), token, pointer);
+  }
+  return current;
+}
+
+function add(document: unknown, pointer: string, value: unknown): unknown {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+  const key = tokens.pop() as string;
+  const parent = asContainer(get(document, toPointer(tokens)), pointer);
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : arrayIndex(key, parent.length + 1, pointer);
+    parent.splice(index, 0, value);
+  } else {
+    assertSafeKey(key);
+    parent[key] = value;
+  }
+  return document;
+}
+
+function remove(document: unknown, pointer: string): unknown {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new JsonPatchError('cannot remove the whole document', 'malformed');
+  }
+  const key = tokens.pop() as string;
+  const parent = asContainer(get(document, toPointer(tokens)), pointer);
+  child(parent, key, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent.length, pointer), 1);
+  } else {
+    delete parent[key];
+  }
+  return document;
+}
+
+function child(container: Container, key: string, pointer: string): unknown {
+  if (Array.isArray(container)) {
+    return container[arrayIndex(key, container.length, pointer)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(container, key)) {
+    throw new JsonPatchError(`path ${pointer} does not exist`, 'conflict');
+  }
+  return container[key];
+}
+
+function asContainer(value: unknown, pointer: string): Container {
+  if (typeof value !== 'object' || value === null) {
+    throw new JsonPatchError(`path ${pointer} does not exist`, 'conflict');
+  }
+  return value as Container;
+}
+
+function arrayIndex(token: string, length: number, pointer: string): number {
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new JsonPatchError(`invalid array index in ${pointer}`, 'malformed');
+  }
+  const index = Number(token);
+  if (index >= length) {
+    throw new JsonPatchError(`path ${pointer} does not exist`, 'conflict');
+  }
+  return index;
+}
+
+function assertSafeKey(key: string): void {
+  if (FORBIDDEN_KEYS.has(key)) {
+    throw new JsonPatchError(`property ${key} cannot be patched`, 'malformed');
+  }
+}
+
+function toPointer(tokens: string[]): string {
+  return tokens.map((token) => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+function clone<T>(value: T): T {
+  return value === undefined ? value : (JSON.parse(JSON.stringify(value)) as T);
+}
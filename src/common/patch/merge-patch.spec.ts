@@ -0,0 +1,22 @@
+import { applyMergePatch } from './merge-patch';
+
+describe('applyMergePatch', () => {
+  it('merges objects recursively and removes null members', () => {
+    const target = { name: 'Item', tags: ['a'], nested: { keep: 1, drop: 2 } };
+    const result = applyMergePatch(target, { tags: null, nested: { drop: null, add: 3 } });
+    expect(result).toEqual({ name: 'Item', nested: { keep: 1, add: 3 } });
+    expect(target.nested.drop).toBe(2);
+  });
+
+  it('replaces arrays and non-object targets wholesale', () => {
+    expect(applyMergePatch({ tags: ['a', 'b'] }, { tags: ['c'] })).toEqual({ tags: ['c'] });
+    expect(applyMergePatch('text', { a: 1 })).toEqual({ a: 1 });
+    expect(applyMergePatch({ a: 1 }, ['x'])).toEqual(['x']);
+  });
+
+  it('ignores prototype keys', () => {
+    const result = applyMergePatch({}, JSON.parse('{"__proto__":{"polluted":true}}'));
+    expect(result).toEqual({});
+    expect(({} as Record<string, unknown>).polluted).toBeUndefined();
+  });
+});
@@ -0,0 +1,184 @@
+import {
+  ArgumentsHost,
+  BadRequestException,
+  HttpException,
+  HttpStatus,
+  InternalServerErrorException,
+  Logger,
+  NotFoundException,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { IsString, MaxLength, ValidateNested } from 'class-validator';
+import { Type } from 'class-transformer';
+import { runInRequestContext } from '../../logging/request-context';
+import { validateDto } from '../validation/validate-dto';
+import { validationExceptionFactory, validationFailure } from '../validation/validation-errors';
+import { ProblemDetailsFilter } from './problem-details.filter';
+
+class AddressDto {
+  @IsString()
+  city: string;
+}
+
+class PersonDto {
+  @IsString()
+  @MaxLength(3)
+  name: string;
+
+  @ValidateNested()
+  @Type(() => AddressDto)
+  address: AddressDto;
+}
+
+const hostFor = (headers: Record<string, string> = {}, headersSent = false) => {
+  const response = {
+    headersSent,
+    setHeader: jest.fn(),
+    end: jest.fn(),
+    status: jest.fn(),
+    type: jest.fn(),
+    json: jest.fn(),
+  };
+  response.status.mockReturnValue(response);
+  response.type.mockReturnValue(response);
+  const host = {
+    switchToHttp: () => ({
+      getRequest: () => ({ method: 'GET', originalUrl: '/items/42?x=1', headers }),
+      getResponse: () => response,
+    }),
+  } as unknown as ArgumentsHost;
+  return { host, response };
+};
+
+describe('ProblemDetailsFilter', () => {
+  const filter = new ProblemDetailsFilter();
+
+  beforeEach(() => {
+    jest.spyOn(Logger.prototype, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders HTTP exceptions as problem+json with a stable type', () => {
+    const { host, response } = hostFor({ 'x-request-id': 'req-1' });
+    filter.catch(new NotFoundException('Item with ID 42 not found'), host);
+
+    expect(response.status).toHaveBeenCalledWith(404);
+    expect(response.type).toHaveBeenCalledWith('application/problem+json');
+    expect(response.setHeader).toHaveBeenCalledWith('X-Request-Id', 'req-1');
+    expect(response.json).toHaveBeenCalledWith({
+      type: '/problems/not-found',
+      title: 'Resource not found',
+      status: 404,
+      detail: 'Item with ID 42 not found',
+      instance: '/items/42',
+      requestId: 'req-1',
+    });
+  });
+
+  it('lists validation failures per field', () => {
+    const { host, response } = hostFor();
+    const { fieldErrors } = validateDto(PersonDto, { name: 'Alice', address: {} });
+    filter.catch(new BadRequestException(validationFailure(fieldErrors)), host);
+
+    expect(response.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: '/problems/validation-error',
+        status: 400,
+        detail: 'Validation failed',
+        errors: [
+          { field: 'name', message: 'name must be shorter than or equal to 3 characters' },
+          { field: 'address.city', message: 'city must be a string' },
+        ],
+      }),
+    );
+  });
+
+  it('builds the same body from the ValidationPipe factory', () => {
+    const { host, response } = hostFor();
+    filter.catch(
+      validationExceptionFactory([
+        { property: 'name', constraints: { isString: 'name must be a string' }, children: [] },
+      ]),
+      host,
+    );
+    expect(response.json.mock.calls[0][0].errors).toEqual([
+      { field: 'name', message: 'name must be a string' },
+    ]);
+  });
+
+  it('keeps other response members as extensions', () => {
+    const { host, response } = hostFor();
+    filter.catch(new UnprocessableEntityException({ committed: false, results: [] }), host);
+
+    const problem = response.json.mock.calls[0][0];
+    expect(problem).toMatchObject({
+      type: '/problems/unprocessable-entity',
+      committed: false,
+      results: [],
+    });
+    expect(problem).not.toHaveProperty('statusCode');
+    expect(problem).not.toHaveProperty('detail');
+  });
+
+  it('falls back to about:blank for statuses without a problem type', () => {
+    const { host, response } = hostFor();
+    filter.catch(new HttpException('Nope', HttpStatus.METHOD_NOT_ALLOWED), host);
+    expect(response.json).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'about:blank', title: 'Method not allowed', status: 405 }),
+    );
+  });
+
+  it('does not leak internals on server errors', () => {
+    for (const error of [
+      new Error('ENOENT: /etc/secrets.json'),
+      new InternalServerErrorException('Failed to read /var/data/usage.json'),
+    ]) {
+      const { host, response } = hostFor();
+      filter.catch(error, host);
+      const problem = response.json.mock.calls[0][0];
+      expect(problem).toMatchObject({
+        type: '/problems/internal-error',
+        status: 500,
+        detail: 'The server could not complete the request',
+      });
+      expect(JSON.stringify(problem)).not.toMatch(/secrets|usage\.json/);
+    }
+    expect(Logger.prototype.error).toHaveBeenCalledTimes(2);
+  });
+
+  it('passes through client errors raised by the body parsers', () => {
+    const { host, response } = hostFor();
+    const parseError = Object.assign(new SyntaxError('Unexpected token } in JSON'), {
+      status: 400,
+      expose: true,
+    });
+    filter.catch(parseError, host);
+    expect(response.json).toHaveBeenCalledWith(
+      expect.objectContaining({ type: '/problems/bad-request', detail: parseError.message }),
+    );
+  });
+
+  it('generates a request id when none or an unusable one is supplied', () => {
+    const { host, response } = hostFor({ 'x-request-id': 'bad id with spaces' });
+    filter.catch(new NotFoundException(), host);
+    expect(response.json.mock.calls[0][0].requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('reports the id assigned by the request id middleware', () => {
+    const { host, response } = hostFor({ 'x-request-id': 'bad id with spaces' });
+    runInRequestContext({ requestId: 'assigned-1' }, () =>
+      filter.catch(new NotFoundException(), host),
+    );
+    expect(response.json.mock.calls[0][0].requestId).toBe('assigned-1');
+  });
+
+  it('only ends the response once headers were sent', () => {
+    const { host, response } = hostFor({}, true);
+    filter.catch(new Error('stream broke'), host);
+    expect(response.end).toHaveBeenCalled();
+    expect(response.json).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  ArgumentsHost,
+  Catch,
+  ExceptionFilter,
+  HttpException,
+  HttpStatus,
+  Logger,
+} from '@nestjs/common';
+import { Request, Response } from 'express';
+import { currentRequestId } from '../../logging/request-context';
+import { REQUEST_ID_HEADER, requestIdOf } from '../../logging/request-id.middleware';
+import { FieldError } from '../validation/validation-errors';
+import { PROBLEM_CONTENT_TYPE, ProblemDetails, problemTypeFor } from './problem-details';
+
+const SERVER_ERROR_DETAIL = 'The server could not complete the request';
+
+/** Members of Nest's default error body, replaced by their RFC 7807 equivalents. */
+const NEST_ERROR_MEMBERS = new Set(['statusCode', 'message', 'error', 'errors']);
+const PROBLEM_MEMBERS = new Set(['type', 'title', 'status', 'detail', 'instance', 'requestId']);
+
+interface ProblemContent {
+  status: number;
+  detail?: string;
+  errors?: FieldError[];
+  extensions?: Record<string, unknown>;
+}
+
+/**
+ * Renders every error as `application/problem+json`. Validation failures list
+ * their failed constraints per field, other members of an exception's
+ * response object become extension members, and server errors are logged but
+ * answered with a generic detail so no internals reach the client.
+ */
+@Catch()
+export class ProblemDetailsFilter implements ExceptionFilter {
+  private readonly logger = new Logger(ProblemDetailsFilter.name);
+
+  catch(exception: unknown, host: ArgumentsHost): void {
+    const context = host.switchToHttp();
+    const request = context.getRequest<Request>();
+    const response = context.getResponse<Response>();
+
+    const { status, detail, errors, extensions } = this.describe(exception);
+    const { type, title } = problemTypeFor(status, errors !== undefined);
+    const problem: ProblemDetails = {
+      type,
+      title,
+      status,
+      ...(detail && { detail }),
+      instance: (request.originalUrl ?? request.url).split('?')[0],
+      // Errors raised before the request id middleware ran (body parsing) have no context yet.
+      requestId: currentRequestId() ?? requestIdOf(request),
+      ...(errors && { errors }),
+      ...extensions,
+    };
+
+    if (status >= HttpStatus.INTERNAL_SERVER_ERROR) {
+      this.logger.error(
+        `${request.method} ${problem.instance} failed`,
+        exception instanceof Error ? exception.stack : String(exception),
+      );
+    }
+    if (response.headersSent) {
+      response.end();
+      return;
+    }
+    response.setHeader(REQUEST_ID_HEADER, problem.requestId);
+    response.status(status).type(PROBLEM_CONTENT_TYPE).json(problem);
+  }
+
+  private describe(exception: unknown): ProblemContent {
+    if (exception instanceof HttpException) {
+      const status = exception.getStatus();
+      const body = exception.getResponse();
+      if (status >= HttpStatus.INTERNAL_SERVER_ERROR) {
+        return { status, detail: SERVER_ERROR_DETAIL };
+      }
+      if (typeof body === 'string') {
+        return { status, detail: body };
+      }
+      return { status, ...this.describeBody(body) };
+    }
+    if (isClientHttpError(exception)) {
+      // Raised by the body parsers before a route handler runs.
+      return { status: exception.status, detail: exception.message };
+    }
+    return { status: HttpStatus.INTERNAL_SERVER_ERROR, detail: SERVER_ERROR_DETAIL };
+  }
+
+  private describeBody(body: object): Omit<ProblemContent, 'status'> {
+    const message: unknown = Reflect.get(body, 'message');
+    const errors: unknown = Reflect.get(body, 'errors');
+    const extensions = Object.fromEntries(
+      Object.entries(body).filter(
+        ([member]) => !NEST_ERROR_MEMBERS.has(member) && !PROBLEM_MEMBERS.has(member),
+      ),
+    );
+    return {
+      detail:
+        typeof message === 'string'
+          ? message
+          : Array.isArray(message)
+            ? message.map(String).join('; ')
+            : undefined,
+      errors: isFieldErrorList(errors) ? errors : undefined,
+      ...(Object.keys(extensions).length > 0 && { extensions }),
+    };
+  }
+}
+
+function isFieldErrorList(value: unknown): value is FieldError[] {
+  return (
+    Array.isArray(value) &&
+    value.every(
+      (entry: unknown) =>
+        typeof entry === 'object' &&
+        entry !== null &&
+        typeof Reflect.get(entry, 'field') === 'string' &&
+        typeof Reflect.get(entry, 'message') === 'string',
+    )
+  );
+}
+
+/** Errors in the `http-errors` shape whose message is meant for the client. */
+function isClientHttpError(error: unknown): error is Error & { status: number } {
+  if (!(error instanceof Error)) {
+    return false;
+  }
+  const status: unknown = Reflect.get(error, 'status');
+  return (
+    typeof status === 'number' &&
+    status >= HttpStatus.BAD_REQUEST &&
+    status < HttpStatus.INTERNAL_SERVER_ERROR &&
+    Reflect.get(error, 'expose') === true
+  );
+}
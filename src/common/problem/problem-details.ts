@@ -0,0 +1,63 @@
+import { HttpStatus } from '@nestjs/common';
+import { FieldError } from '../validation/validation-errors';
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/** RFC 7807 problem details plus this API's extension members. */
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  requestId: string;
+  /** Failed constraints, present on validation problems. */
+  errors?: FieldError[];
+  [extension: string]: unknown;
+}
+
+export interface ProblemType {
+  type: string;
+  title: string;
+}
+
+const problemType = (slug: string, title: string): ProblemType => ({
+  type: `/problems/${slug}`,
+  title,
+});
+
+/**
+ * Problem types clients can branch on. The URIs are identifiers rather than
+ * links, so they must never change once published; statuses without an entry
+ * use `about:blank` with the status phrase as title, as RFC 7807 suggests.
+ */
+export const VALIDATION_PROBLEM = problemType('validation-error', 'Your request is not valid');
+
+export const PROBLEM_TYPES: Partial<Record<number, ProblemType>> = {
+  [HttpStatus.BAD_REQUEST]: problemType('bad-request', 'Bad request'),
+  [HttpStatus.UNAUTHORIZED]: problemType('unauthorized', 'Authentication required'),
+  [HttpStatus.FORBIDDEN]: problemType('forbidden', 'Access denied'),
+  [HttpStatus.NOT_FOUND]: problemType('not-found', 'Resource not found'),
+  [HttpStatus.CONFLICT]: problemType('conflict', 'Conflict with the current state'),
+  [HttpStatus.PRECONDITION_FAILED]: problemType('precondition-failed', 'Precondition failed'),
+  [HttpStatus.PAYLOAD_TOO_LARGE]: problemType('payload-too-large', 'Payload too large'),
+  [HttpStatus.UNSUPPORTED_MEDIA_TYPE]: problemType(
+    'unsupported-media-type',
+    'Unsupported media type',
+  ),
+  [HttpStatus.UNPROCESSABLE_ENTITY]: problemType('unprocessable-entity', 'Request not processable'),
+  [HttpStatus.TOO_MANY_REQUESTS]: problemType('rate-limited', 'Too many requests'),
+  [HttpStatus.INTERNAL_SERVER_ERROR]: problemType('internal-error', 'Internal server error'),
+};
+
+export function problemTypeFor(status: number, validation = false): ProblemType {
+  if (validation) {
+    return VALIDATION_PROBLEM;
+  }
+  const known = PROBLEM_TYPES[status];
+  if (known) {
+    return known;
+  }
+  const phrase = HttpStatus[status]?.replace(/_/g, ' ').toLowerCase() ?? 'error';
+  return { type: 'about:blank', title: phrase.charAt(0).toUpperCase() + phrase.slice(1) };
+}
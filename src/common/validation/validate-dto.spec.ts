@@ -0,0 +1,37 @@
+import { IsString, MaxLength } from 'class-validator';
+import { validateDto } from './validate-dto';
+
+class SampleDto {
+  @IsString()
+  @MaxLength(3)
+  name: string;
+}
+
+describe('validateDto', () => {
+  it('returns an instance when valid', () => {
+    const { value, errors } = validateDto(SampleDto, { name: 'abc' });
+    expect(errors).toEqual([]);
+    expect(value).toBeInstanceOf(SampleDto);
+  });
+
+  it('collects constraint messages and rejects unknown properties', () => {
+    const { errors } = validateDto(SampleDto, { name: 'abcd', other: 1 });
+    expect(errors).toEqual([
+      'property other should not exist',
+      'name must be shorter than or equal to 3 characters',
+    ]);
+  });
+
+  it('reports the failing field separately from the message', () => {
+    const { fieldErrors } = validateDto(SampleDto, { name: 7 });
+    expect(fieldErrors).toEqual([
+      { field: 'name', message: 'name must be shorter than or equal to 3 characters' },
+      { field: 'name', message: 'name must be a string' },
+    ]);
+  });
+
+  it('rejects non-object payloads', () => {
+    expect(validateDto(SampleDto, 'text').errors).toEqual(['payload must be an object']);
+    expect(validateDto(SampleDto, undefined).errors).toEqual(['payload must be an object']);
+  });
+});
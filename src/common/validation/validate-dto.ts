@@ -0,0 +1,37 @@
+import { ClassConstructor, plainToInstance } from 'class-transformer';
+import { validateSync } from 'class-validator';
+import { FieldError, toFieldErrors } from './validation-errors';
+
+export interface DtoValidationResult<T> {
+  value: T;
+  errors: string[];
+  fieldErrors: FieldError[];
+}
+
+/**
+ * Validates a plain object against a DTO class with the same options as the
+ * global ValidationPipe, for payloads that are validated entry by entry
+ * instead of as a whole request body. `errors` holds the messages prefixed
+ * with their parent path; `fieldErrors` keeps the path separate.
+ */
+export function validateDto<T extends object>(
+  dtoClass: ClassConstructor<T>,
+  plain: unknown,
+): DtoValidationResult<T> {
+  if (typeof plain !== 'object' || plain === null || Array.isArray(plain)) {
+    const message = 'payload must be an object';
+    return { value: {} as T, errors: [message], fieldErrors: [{ field: '', message }] };
+  }
+  const value = plainToInstance(dtoClass, plain);
+  const fieldErrors = toFieldErrors(
+    validateSync(value, { whitelist: true, forbidNonWhitelisted: true }),
+  );
+  return {
+    value,
+    errors: fieldErrors.map(({ field, message }) => {
+      const parentPath = field.slice(0, field.lastIndexOf('.') + 1);
+      return `${parentPath}${message}`;
+    }),
+    fieldErrors,
+  };
+}
@@ -0,0 +1,36 @@
+import { BadRequestException, HttpException } from '@nestjs/common';
+import { ValidationError } from 'class-validator';
+
+/** One failed constraint; `field` is a dotted path, empty for the payload itself. */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+/** Body of a validation failure, rendered per field by the exception filter. */
+export interface ValidationFailure {
+  message: string;
+  errors: FieldError[];
+}
+
+export function toFieldErrors(errors: ValidationError[], parentPath = ''): FieldError[] {
+  return errors.flatMap((error) => {
+    const field = parentPath ? `${parentPath}.${error.property}` : error.property;
+    return [
+      ...Object.values(error.constraints ?? {}).map((message) => ({ field, message })),
+      ...toFieldErrors(error.children ?? [], field),
+    ];
+  });
+}
+
+export function validationFailure(
+  errors: FieldError[],
+  message = 'Validation failed',
+): ValidationFailure {
+  return { message, errors };
+}
+
+/** `exceptionFactory` for the global ValidationPipe. */
+export function validationExceptionFactory(errors: ValidationError[]): HttpException {
+  return new BadRequestException(validationFailure(toFieldErrors(errors)));
+}
@@ -0,0 +1,195 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadAppConfig } from './app-config.provider';
+
+describe('loadAppConfig', () => {
+  let tempDir: string;
+
+  const writeConfig = (contents: unknown) => {
+    const filePath = join(tempDir, 'config', 'app.json');
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'app-config-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should fall back to defaults relative to the working directory', () => {
+    expect(loadAppConfig({}, '/srv/api')).toEqual({
+      server: { port: 3000 },
+      api: { deprecations: [{ version: 'unversioned', deprecatedAt: '2026-10-19T00:00:00Z' }] },
+      audit: { usageFilePath: '/srv/api/.ai-usage/usage.json' },
+      items: {
+        store: 'memory',
+        storePath: '/srv/api/data/items.json',
+        idStrategy: 'uuidv7',
+        legacyIdStrategies: [],
+        pageLimit: 20,
+        snapshotEnabled: false,
+        snapshotPath: '/srv/api/data/items.snapshot.json',
+        idempotencyTtlSeconds: 86400,
+        eventBufferSize: 1000,
+      },
+      workspaces: { itemLimit: 10000 },
+      auth: { enabled: true, apiKeys: [], jwtRolesClaim: 'roles' },
+      rateLimit: { enabled: true, read: '300/60', write: '60/60', bulk: '10/60', audit: '10/60' },
+      webhooks: { maxAttempts: 6, baseDelayMs: 1000, maxDelayMs: 300000, timeoutMs: 10000 },
+      logging: { level: 'info' },
+      shutdown: { drainTimeoutMs: 10000 },
+    });
+  });
+
+  it('should layer the config file over the defaults and the environment over both', () => {
+    writeConfig({
+      server: { port: 8080, host: '127.0.0.1' },
+      audit: { usageFilePath: '../shared/usage.json' },
+      items: { store: 'file', pageLimit: 50 },
+    });
+
+    const config = loadAppConfig(
+      { CONFIG_FILE: 'config/app.json', PORT: '9090', ITEMS_STORE_PATH: 'state/items.json' },
+      tempDir,
+    );
+
+    expect(config.server).toEqual({ port: 9090, host: '127.0.0.1' });
+    expect(config.audit.usageFilePath).toBe(join(tempDir, 'shared', 'usage.json'));
+    expect(config.items).toEqual({
+      store: 'file',
+      storePath: join(tempDir, 'state', 'items.json'),
+      idStrategy: 'uuidv7',
+      legacyIdStrategies: [],
+      pageLimit: 50,
+      snapshotEnabled: false,
+      snapshotPath: join(tempDir, 'data', 'items.snapshot.json'),
+      idempotencyTtlSeconds: 86400,
+      eventBufferSize: 1000,
+    });
+  });
+
+  it('should read snapshot and shutdown settings from the environment', () => {
+    const env = { ITEMS_SNAPSHOT_ENABLED: 'true', SHUTDOWN_DRAIN_TIMEOUT_MS: '2500' };
+    const config = loadAppConfig(env, tempDir);
+    expect(config.items.snapshotEnabled).toBe(true);
+    expect(config.shutdown.drainTimeoutMs).toBe(2500);
+
+    expect(() => loadAppConfig({ ITEMS_SNAPSHOT_ENABLED: 'no' }, tempDir)).toThrow(
+      '  - items.snapshotEnabled (from ITEMS_SNAPSHOT_ENABLED): snapshotEnabled must be a boolean value',
+    );
+  });
+
+  it('should read legacy id strategies as a comma-separated list', () => {
+    const env = { ITEMS_ID_STRATEGY: 'ulid', ITEMS_LEGACY_ID_STRATEGIES: 'sequential, uuidv4,' };
+    expect(loadAppConfig(env, tempDir).items.legacyIdStrategies).toEqual(['sequential', 'uuidv4']);
+    expect(() => loadAppConfig({ ITEMS_LEGACY_ID_STRATEGIES: 'counter' }, tempDir)).toThrow(
+      'items.legacyIdStrategies (from ITEMS_LEGACY_ID_STRATEGIES): each value in legacyIdStrategies must be one of the following values',
+    );
+  });
+
+  it('should read auth, rate limit, webhook, idempotency and event settings', () => {
+    const filePath = writeConfig({
+      auth: { apiKeys: [{ principalId: 'ci', role: 'editor', key: 'ci-key-0123456789' }] },
+      rateLimit: { bulk: '5/60' },
+      webhooks: { maxAttempts: 3 },
+    });
+    const config = loadAppConfig(
+      {
+        CONFIG_FILE: filePath,
+        AUTH_DISABLED: 'false',
+        AUTH_JWT_ISSUER: 'https://issuer.example.com',
+        RATE_LIMIT_ENABLED: 'false',
+        WEBHOOKS_TIMEOUT_MS: '2000',
+        ITEMS_IDEMPOTENCY_TTL_SECONDS: '90',
+        ITEMS_EVENT_BUFFER_SIZE: '0',
+      },
+      tempDir,
+    );
+
+    expect(config.auth).toEqual({
+      enabled: true,
+      apiKeys: [{ principalId: 'ci', role: 'editor', key: 'ci-key-0123456789' }],
+      jwtIssuer: 'https://issuer.example.com',
+      jwtRolesClaim: 'roles',
+    });
+    expect(config.rateLimit).toMatchObject({ enabled: false, read: '300/60', bulk: '5/60' });
+    expect(config.webhooks).toMatchObject({ maxAttempts: 3, timeoutMs: 2000 });
+    expect(config.items).toMatchObject({ idempotencyTtlSeconds: 90, eventBufferSize: 0 });
+    expect(loadAppConfig({ AUTH_DISABLED: 'true' }, tempDir).auth.enabled).toBe(false);
+  });
+
+  it('should report invalid auth, rate limit and webhook settings', () => {
+    expect(() =>
+      loadAppConfig(
+        {
+          AUTH_DISABLED: 'yes',
+          AUTH_API_KEYS: 'ops:root:0123456789abcdef,ci:reader:short',
+          RATE_LIMIT_READ: 'lots',
+          WEBHOOKS_MAX_ATTEMPTS: '0',
+          ITEMS_IDEMPOTENCY_TTL_SECONDS: '-1',
+        },
+        tempDir,
+      ),
+    ).toThrow(
+      [
+        'Invalid configuration:',
+        '  - items.idempotencyTtlSeconds (from ITEMS_IDEMPOTENCY_TTL_SECONDS): idempotencyTtlSeconds must not be less than 1',
+        '  - auth.enabled (from AUTH_DISABLED): enabled must be a boolean value',
+        '  - auth.apiKeys.0.role (from AUTH_API_KEYS): role must be one of the following values: reader, editor, admin',
+        '  - auth.apiKeys.1.key (from AUTH_API_KEYS): key must be longer than or equal to 16 characters',
+        '  - rateLimit.read (from RATE_LIMIT_READ): read must look like "<limit>/<windowSeconds>"',
+        '  - webhooks.maxAttempts (from WEBHOOKS_MAX_ATTEMPTS): maxAttempts must not be less than 1',
+      ].join('\n'),
+    );
+  });
+
+  it('should validate API version deprecations from the config file', () => {
+    const deprecation = { version: '1', deprecatedAt: '2027-01-01T00:00:00Z' };
+    const valid = writeConfig({ api: { deprecations: [deprecation] } });
+    expect(loadAppConfig({ CONFIG_FILE: valid }, tempDir).api.deprecations).toEqual([deprecation]);
+
+    const invalid = writeConfig({
+      api: { deprecations: [{ version: '3', deprecatedAt: 'soon', sunsetAt: '2027-07-01' }] },
+    });
+    expect(() => loadAppConfig({ CONFIG_FILE: invalid }, tempDir)).toThrow(
+      [
+        `  - api.deprecations.0.version (from ${invalid}): version must be one of the following values: 1, 2, unversioned`,
+        `  - api.deprecations.0.deprecatedAt (from ${invalid}): deprecatedAt must be a valid ISO 8601 date string`,
+      ].join('\n'),
+    );
+  });
+
+  it('should report every invalid setting with its source', () => {
+    const filePath = writeConfig({ items: { store: 'redis', colour: 'red' }, extra: true });
+
+    expect(() =>
+      loadAppConfig({ CONFIG_FILE: filePath, PORT: '70000', ITEMS_PAGE_LIMIT: 'ten' }, tempDir),
+    ).toThrow(
+      [
+        'Invalid configuration:',
+        `  - extra (from ${filePath}): property extra should not exist`,
+        '  - server.port (from PORT): port must not be greater than 65535',
+        `  - items.colour (from ${filePath}): property colour should not exist`,
+        `  - items.store (from ${filePath}): store must be one of the following values: memory, file`,
+        '  - items.pageLimit (from ITEMS_PAGE_LIMIT): pageLimit must not be greater than 100',
+        '  - items.pageLimit (from ITEMS_PAGE_LIMIT): pageLimit must not be less than 1',
+        '  - items.pageLimit (from ITEMS_PAGE_LIMIT): pageLimit must be an integer number',
+      ].join('\n'),
+    );
+  });
+
+  it('should fail on a config file that cannot be used', () => {
+    expect(() => loadAppConfig({ CONFIG_FILE: 'missing.json' }, tempDir)).toThrow(
+      /Cannot read config file .*missing\.json/,
+    );
+    const filePath = writeConfig('[1, 2]');
+    expect(() => loadAppConfig({ CONFIG_FILE: filePath }, tempDir)).toThrow(
+      /must contain a JSON object/,
+    );
+  });
+});
@@ -0,0 +1,189 @@
+import { Provider } from '@nestjs/common';
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { parseApiKeys } from '../auth/auth.provider';
+import { validateDto } from '../common/validation/validate-dto';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from './app-config';
+
+/** Names the optional JSON config file, relative to the working directory. */
+export const CONFIG_FILE_ENV = 'CONFIG_FILE';
+
+interface EnvSetting {
+  section: keyof AppConfig;
+  key: string;
+  /** How the text is converted; variables with a format of their own bring a function. */
+  type: 'string' | 'integer' | 'boolean' | 'path' | ((value: string) => unknown);
+}
+
+/** Environment variables, each overriding one config file setting. */
+const ENV_SETTINGS: Record<string, EnvSetting> = {
+  PORT: { section: 'server', key: 'port', type: 'integer' },
+  HOST: { section: 'server', key: 'host', type: 'string' },
+  AUDIT_USAGE_FILE: { section: 'audit', key: 'usageFilePath', type: 'path' },
+  ITEMS_STORE: { section: 'items', key: 'store', type: 'string' },
+  ITEMS_STORE_PATH: { section: 'items', key: 'storePath', type: 'path' },
+  ITEMS_ID_STRATEGY: { section: 'items', key: 'idStrategy', type: 'string' },
+  ITEMS_LEGACY_ID_STRATEGIES: { section: 'items', key: 'legacyIdStrategies', type: splitList },
+  ITEMS_PAGE_LIMIT: { section: 'items', key: 'pageLimit', type: 'integer' },
+  ITEMS_SNAPSHOT_ENABLED: { section: 'items', key: 'snapshotEnabled', type: 'boolean' },
+  ITEMS_SNAPSHOT_PATH: { section: 'items', key: 'snapshotPath', type: 'path' },
+  ITEMS_IDEMPOTENCY_TTL_SECONDS: {
+    section: 'items',
+    key: 'idempotencyTtlSeconds',
+    type: 'integer',
+  },
+  ITEMS_EVENT_BUFFER_SIZE: { section: 'items', key: 'eventBufferSize', type: 'integer' },
+  WORKSPACE_ITEM_LIMIT: { section: 'workspaces', key: 'itemLimit', type: 'integer' },
+  AUTH_DISABLED: { section: 'auth', key: 'enabled', type: negateBoolean },
+  AUTH_API_KEYS: { section: 'auth', key: 'apiKeys', type: parseApiKeys },
+  AUTH_JWT_SECRET: { section: 'auth', key: 'jwtSecret', type: 'string' },
+  AUTH_JWT_PUBLIC_KEY: { section: 'auth', key: 'jwtPublicKey', type: unescapeLineBreaks },
+  AUTH_JWT_ISSUER: { section: 'auth', key: 'jwtIssuer', type: 'string' },
+  AUTH_JWT_AUDIENCE: { section: 'auth', key: 'jwtAudience', type: 'string' },
+  AUTH_JWT_ROLES_CLAIM: { section: 'auth', key: 'jwtRolesClaim', type: 'string' },
+  RATE_LIMIT_ENABLED: { section: 'rateLimit', key: 'enabled', type: 'boolean' },
+  RATE_LIMIT_READ: { section: 'rateLimit', key: 'read', type: 'string' },
+  RATE_LIMIT_WRITE: { section: 'rateLimit', key: 'write', type: 'string' },
+  RATE_LIMIT_BULK: { section: 'rateLimit', key: 'bulk', type: 'string' },
+  RATE_LIMIT_AUDIT: { section: 'rateLimit', key: 'audit', type: 'string' },
+  WEBHOOKS_MAX_ATTEMPTS: { section: 'webhooks', key: 'maxAttempts', type: 'integer' },
+  WEBHOOKS_BASE_DELAY_MS: { section: 'webhooks', key: 'baseDelayMs', type: 'integer' },
+  WEBHOOKS_MAX_DELAY_MS: { section: 'webhooks', key: 'maxDelayMs', type: 'integer' },
+  WEBHOOKS_TIMEOUT_MS: { section: 'webhooks', key: 'timeoutMs', type: 'integer' },
+  LOG_LEVEL: { section: 'logging', key: 'level', type: 'string' },
+  SHUTDOWN_DRAIN_TIMEOUT_MS: { section: 'shutdown', key: 'drainTimeoutMs', type: 'integer' },
+};
+
+const PATH_SETTINGS = new Set(
+  Object.values(ENV_SETTINGS)
+    .filter((setting) => setting.type === 'path')
+    .map(({ section, key }) => `${section}.${key}`),
+);
+
+/**
+ * Builds the configuration from the defaults, then the config file named by
+ * `CONFIG_FILE`, then environment variables, and validates the result as a
+ * whole. Every invalid setting is reported at once, together with where its
+ * value came from. Relative paths resolve against the working directory, or
+ * against the config file's directory for paths set in that file.
+ */
+export function loadAppConfig(
+  env: NodeJS.ProcessEnv = process.env,
+  cwd = process.cwd(),
+): AppConfig {
+  const sections: Record<string, unknown> = { ...defaultAppConfig(cwd) };
+  const sources = new Map<string, string>();
+
+  const configFile = env[CONFIG_FILE_ENV];
+  if (configFile) {
+    const filePath = resolve(cwd, configFile);
+    for (const [section, values] of Object.entries(readConfigFile(filePath))) {
+      const defaults = sections[section];
+      if (!isPlainObject(values) || !isPlainObject(defaults)) {
+        sections[section] = values;
+        sources.set(section, filePath);
+        continue;
+      }
+      const merged = { ...defaults };
+      for (const [key, value] of Object.entries(values)) {
+        const field = `${section}.${key}`;
+        merged[key] =
+          PATH_SETTINGS.has(field) && typeof value === 'string'
+            ? resolve(dirname(filePath), value)
+            : value;
+        sources.set(field, filePath);
+      }
+      sections[section] = merged;
+    }
+  }
+
+  for (const [name, { section, key, type }] of Object.entries(ENV_SETTINGS)) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    const current = sections[section];
+    sections[section] = {
+      ...(isPlainObject(current) ? current : {}),
+      [key]: parseEnvValue(value, type, cwd),
+    };
+    sources.set(`${section}.${key}`, name);
+  }
+
+  const { value, fieldErrors } = validateDto(AppConfig, sections);
+  if (fieldErrors.length > 0) {
+    const lines = fieldErrors.map(({ field, message }) => {
+      // Settings holding objects or lists report errors on their members.
+      const segments = field.split('.');
+      const source = segments
+        .map((_, index) => sources.get(segments.slice(0, segments.length - index).join('.')))
+        .find((candidate) => candidate !== undefined);
+      return `  - ${field}${source ? ` (from ${source})` : ''}: ${message}`;
+    });
+    throw new Error(['Invalid configuration:', ...lines].join('\n'));
+  }
+  return value;
+}
+
+function readConfigFile(filePath: string): Record<string, unknown> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (error: unknown) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read config file ${filePath}: ${reason}`);
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+  return parsed;
+}
+
+/** Integers and booleans are converted so validation can check them; anything else fails as text. */
+function parseEnvValue(value: string, type: EnvSetting['type'], cwd: string): unknown {
+  if (typeof type === 'function') {
+    return type(value);
+  }
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case 'boolean':
+      return parseBoolean(value);
+    case 'path':
+      return resolve(cwd, value);
+    case 'string':
+      return value;
+  }
+}
+
+function parseBoolean(value: string): boolean | string {
+  return value === 'true' ? true : value === 'false' ? false : value;
+}
+
+/** `AUTH_DISABLED` states the opposite of `auth.enabled`. */
+function negateBoolean(value: string): boolean | string {
+  const parsed = parseBoolean(value);
+  return typeof parsed === 'boolean' ? !parsed : parsed;
+}
+
+/** Comma-separated lists; blank entries are dropped. */
+function splitList(value: string): string[] {
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== '');
+}
+
+/** PEM keys in the environment usually sit on one line, with a literal `\n` for each line break. */
+function unescapeLineBreaks(value: string): string {
+  return value.replace(/\\n/g, '\n');
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export const appConfigProvider: Provider = {
+  provide: APP_CONFIG,
+  useFactory: (): AppConfig => loadAppConfig(),
+};
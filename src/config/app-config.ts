@@ -0,0 +1,297 @@
+import { Type } from 'class-transformer';
+import {
+  IsArray,
+  IsBoolean,
+  IsIn,
+  IsInt,
+  IsISO8601,
+  IsOptional,
+  IsString,
+  Matches,
+  Max,
+  Min,
+  MinLength,
+  ValidateNested,
+} from 'class-validator';
+import { join } from 'path';
+import { ROLES, Role } from '../auth/auth.types';
+import { ITEM_ID_STRATEGY_NAMES, ItemIdStrategyName } from '../items/ids/item-id.strategy';
+import { ItemsStoreType } from '../items/repositories/items.repository';
+import { LOG_LEVELS, LogLevelName } from '../logging/log-level';
+import { RateLimitGroup } from '../rate-limit/rate-limit.types';
+import { API_VERSIONS, RequestedApiVersion, UNVERSIONED } from '../versioning/api-version';
+
+export const APP_CONFIG = 'APP_CONFIG';
+
+const ITEMS_STORE_TYPES = ['memory', 'file'] as const satisfies readonly ItemsStoreType[];
+
+export class ServerConfig {
+  @IsInt()
+  @Min(1)
+  @Max(65535)
+  port!: number;
+
+  /** Interface to bind; unset listens on every interface. */
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  host?: string;
+}
+
+export class AuditConfig {
+  /** The AI usage log read by `GET /audit`. */
+  @IsString()
+  @MinLength(1)
+  usageFilePath!: string;
+}
+
+export class ItemsConfig {
+  @IsIn(ITEMS_STORE_TYPES)
+  store!: ItemsStoreType;
+
+  /** JSON file used by the `file` store. */
+  @IsString()
+  @MinLength(1)
+  storePath!: string;
+
+  @IsIn(ITEM_ID_STRATEGY_NAMES)
+  idStrategy!: ItemIdStrategyName;
+
+  /** Earlier strategies whose ids the store still holds; route and bulk ids may use them too. */
+  @IsArray()
+  @IsIn(ITEM_ID_STRATEGY_NAMES, { each: true })
+  legacyIdStrategies!: ItemIdStrategyName[];
+
+  /** Page size of listings and searches that do not ask for a `limit`. */
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  pageLimit!: number;
+
+  /** Whether the `memory` store is written to `snapshotPath` at shutdown and reloaded at startup. */
+  @IsBoolean()
+  snapshotEnabled!: boolean;
+
+  @IsString()
+  @MinLength(1)
+  snapshotPath!: string;
+
+  /** How long an `Idempotency-Key` is remembered. */
+  @IsInt()
+  @Min(1)
+  idempotencyTtlSeconds!: number;
+
+  /** Recent changes kept for `Last-Event-ID` replay on the event stream. */
+  @IsInt()
+  @Min(0)
+  eventBufferSize!: number;
+}
+
+export class ApiKeyConfig {
+  @IsString()
+  @MinLength(1)
+  principalId!: string;
+
+  @IsIn(ROLES)
+  role!: Role;
+
+  @IsString()
+  @MinLength(16)
+  key!: string;
+}
+
+export class AuthConfig {
+  /** Only for local development: with authentication off, every request is allowed. */
+  @IsBoolean()
+  enabled!: boolean;
+
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => ApiKeyConfig)
+  apiKeys!: ApiKeyConfig[];
+
+  /** Shared secret verifying HS256/HS384/HS512 tokens. */
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  jwtSecret?: string;
+
+  /** PEM key verifying RS256/RS384/RS512 and ES256/ES384/ES512 tokens. */
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  jwtPublicKey?: string;
+
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  jwtIssuer?: string;
+
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  jwtAudience?: string;
+
+  /** Claim holding the roles, as an array or a space-separated string. */
+  @IsString()
+  @MinLength(1)
+  jwtRolesClaim!: string;
+}
+
+const RATE_LIMIT_BUDGET = /^[1-9][0-9]*\/[1-9][0-9]*$/;
+const RATE_LIMIT_BUDGET_MESSAGE = '$property must look like "<limit>/<windowSeconds>"';
+
+/** Budgets per route group, each as `<limit>/<windowSeconds>`. */
+export class RateLimitConfig implements Record<RateLimitGroup, string> {
+  @IsBoolean()
+  enabled!: boolean;
+
+  @Matches(RATE_LIMIT_BUDGET, { message: RATE_LIMIT_BUDGET_MESSAGE })
+  read!: string;
+
+  @Matches(RATE_LIMIT_BUDGET, { message: RATE_LIMIT_BUDGET_MESSAGE })
+  write!: string;
+
+  @Matches(RATE_LIMIT_BUDGET, { message: RATE_LIMIT_BUDGET_MESSAGE })
+  bulk!: string;
+
+  @Matches(RATE_LIMIT_BUDGET, { message: RATE_LIMIT_BUDGET_MESSAGE })
+  audit!: string;
+}
+
+export class WebhooksConfig {
+  /** Total attempts, including the first, before a delivery is dead-lettered. */
+  @IsInt()
+  @Min(1)
+  maxAttempts!: number;
+
+  /** Delay before the first retry; doubled for every further retry. */
+  @IsInt()
+  @Min(1)
+  baseDelayMs!: number;
+
+  @IsInt()
+  @Min(1)
+  maxDelayMs!: number;
+
+  @IsInt()
+  @Min(1)
+  timeoutMs!: number;
+}
+
+export class ShutdownConfig {
+  /** How long in-flight requests may take to finish before their connections are closed. */
+  @IsInt()
+  @Min(0)
+  drainTimeoutMs!: number;
+}
+
+export class LoggingConfig {
+  /** Least severe level written; `fatal` entries are always written. */
+  @IsIn(LOG_LEVELS)
+  level!: LogLevelName;
+}
+
+export class WorkspacesConfig {
+  /** Item limit of the default workspace and of workspaces created without one. */
+  @IsInt()
+  @Min(1)
+  itemLimit!: number;
+}
+
+export class ApiDeprecationConfig {
+  /** An API version, or `unversioned` for paths without a version prefix. */
+  @IsIn([...API_VERSIONS, UNVERSIONED])
+  version!: RequestedApiVersion;
+
+  /** Announced in the `Deprecation` header of every response served under the version. */
+  @IsISO8601({ strict: true })
+  deprecatedAt!: string;
+
+  /** When the version stops being served; announced in the `Sunset` header. */
+  @IsOptional()
+  @IsISO8601({ strict: true })
+  sunsetAt?: string;
+}
+
+export class ApiConfig {
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => ApiDeprecationConfig)
+  deprecations!: ApiDeprecationConfig[];
+}
+
+/** Settings read once at startup; see `loadAppConfig` for where they come from. */
+export class AppConfig {
+  @ValidateNested()
+  @Type(() => ServerConfig)
+  server!: ServerConfig;
+
+  @ValidateNested()
+  @Type(() => ApiConfig)
+  api!: ApiConfig;
+
+  @ValidateNested()
+  @Type(() => AuditConfig)
+  audit!: AuditConfig;
+
+  @ValidateNested()
+  @Type(() => ItemsConfig)
+  items!: ItemsConfig;
+
+  @ValidateNested()
+  @Type(() => WorkspacesConfig)
+  workspaces!: WorkspacesConfig;
+
+  @ValidateNested()
+  @Type(() => AuthConfig)
+  auth!: AuthConfig;
+
+  @ValidateNested()
+  @Type(() => RateLimitConfig)
+  rateLimit!: RateLimitConfig;
+
+  @ValidateNested()
+  @Type(() => WebhooksConfig)
+  webhooks!: WebhooksConfig;
+
+  @ValidateNested()
+  @Type(() => LoggingConfig)
+  logging!: LoggingConfig;
+
+  @ValidateNested()
+  @Type(() => ShutdownConfig)
+  shutdown!: ShutdownConfig;
+}
+
+/** Values used for everything neither the config file nor the environment sets. */
+export function defaultAppConfig(cwd = process.cwd()): AppConfig {
+  return {
+    server: { port: 3000 },
+    // Unprefixed paths only remain for clients migrating to versioned ones.
+    api: { deprecations: [{ version: UNVERSIONED, deprecatedAt: '2026-10-19T00:00:00Z' }] },
+    audit: { usageFilePath: join(cwd, '.ai-usage', 'usage.json') },
+    items: {
+      store: 'memory',
+      storePath: join(cwd, 'data', 'items.json'),
+      idStrategy: 'uuidv7',
+      legacyIdStrategies: [],
+      pageLimit: 20,
+      snapshotEnabled: false,
+      snapshotPath: join(cwd, 'data', 'items.snapshot.json'),
+      idempotencyTtlSeconds: 24 * 60 * 60,
+      eventBufferSize: 1000,
+    },
+    workspaces: { itemLimit: 10_000 },
+    auth: { enabled: true, apiKeys: [], jwtRolesClaim: 'roles' },
+    rateLimit: { enabled: true, read: '300/60', write: '60/60', bulk: '10/60', audit: '10/60' },
+    webhooks: {
+      maxAttempts: 6,
+      baseDelayMs: 1000,
+      maxDelayMs: 5 * 60 * 1000,
+      timeoutMs: 10 * 1000,
+    },
+    logging: { level: 'info' },
+    shutdown: { drainTimeoutMs: 10_000 },
+  };
+}
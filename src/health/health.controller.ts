@@ -0,0 +1,29 @@
+import { Controller, Get, HttpStatus, Res } from '@nestjs/common';
+import { Response } from 'express';
+import { Public } from '../auth/decorators/roles.decorator';
+import { SkipRateLimit } from '../rate-limit/decorators/rate-limit.decorator';
+import { HealthService, ReadinessReport } from './health.service';
+
+/** Probes for orchestrators and load balancers; public and never rate limited. */
+@Controller('health')
+@Public()
+@SkipRateLimit()
+export class HealthController {
+  constructor(private readonly healthService: HealthService) {}
+
+  /** The process is up and serving HTTP; it checks no dependencies. */
+  @Get('live')
+  live(): { status: 'ok' } {
+    return { status: 'ok' };
+  }
+
+  /** Answers `503` with the failing checks while the service cannot serve requests. */
+  @Get('ready')
+  async ready(@Res({ passthrough: true }) res: Response): Promise<ReadinessReport> {
+    const report = await this.healthService.checkReadiness();
+    if (report.status !== 'ok') {
+      res.status(HttpStatus.SERVICE_UNAVAILABLE);
+    }
+    return report;
+  }
+}
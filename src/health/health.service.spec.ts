@@ -0,0 +1,48 @@
+import { InternalServerErrorException } from '@nestjs/common';
+import { AuditService } from '../audit/audit.service';
+import { ItemsService } from '../items/items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { HealthService } from './health.service';
+
+describe('HealthService', () => {
+  let itemsService: ItemsService;
+  let auditService: AuditService;
+  let service: HealthService;
+
+  beforeEach(() => {
+    itemsService = new ItemsService();
+    auditService = new AuditService();
+    service = new HealthService(new WorkspacesService(itemsService), auditService);
+    jest.spyOn(auditService, 'checkUsageFile').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should be ready when every check passes', async () => {
+    await expect(service.checkReadiness()).resolves.toEqual({
+      status: 'ok',
+      checks: { itemStore: { status: 'up' }, auditFile: { status: 'up' } },
+    });
+  });
+
+  it('should be unavailable when the item store fails', async () => {
+    jest.spyOn(itemsService, 'checkStore').mockImplementation(() => {
+      throw new Error('EACCES: permission denied');
+    });
+    await expect(service.checkReadiness()).resolves.toEqual({
+      status: 'unavailable',
+      checks: { itemStore: { status: 'down' }, auditFile: { status: 'up' } },
+    });
+  });
+
+  it('should be unavailable when the audit file cannot be loaded', async () => {
+    jest
+      .spyOn(auditService, 'checkUsageFile')
+      .mockRejectedValue(new InternalServerErrorException('Failed to load audit data'));
+    const report = await service.checkReadiness();
+    expect(report.status).toBe('unavailable');
+    expect(report.checks.auditFile).toEqual({ status: 'down' });
+  });
+});
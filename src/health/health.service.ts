@@ -0,0 +1,51 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { AuditService } from '../audit/audit.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+
+export interface HealthCheckResult {
+  status: 'up' | 'down';
+}
+
+export interface ReadinessReport {
+  status: 'ok' | 'unavailable';
+  checks: {
+    itemStore: HealthCheckResult;
+    auditFile: HealthCheckResult;
+  };
+}
+
+/**
+ * Readiness checks for the dependencies requests rely on. Failures are logged
+ * with their cause but reported only as `down`, since the probe endpoints are
+ * public.
+ */
+@Injectable()
+export class HealthService {
+  private readonly logger = new Logger(HealthService.name);
+
+  constructor(
+    private readonly workspacesService: WorkspacesService,
+    private readonly auditService: AuditService,
+  ) {}
+
+  async checkReadiness(): Promise<ReadinessReport> {
+    const checks = {
+      itemStore: await this.probe('item store', () => this.workspacesService.checkStores()),
+      auditFile: await this.probe('audit file', () => this.auditService.checkUsageFile()),
+    };
+    const ready = Object.values(checks).every((check) => check.status === 'up');
+    return { status: ready ? 'ok' : 'unavailable', checks };
+  }
+
+  private async probe(name: string, check: () => void | Promise<void>): Promise<HealthCheckResult> {
+    try {
+      await check();
+      return { status: 'up' };
+    } catch (error: unknown) {
+      this.logger.warn(
+        `Readiness check failed for the ${name}: ${error instanceof Error ? error.message : String(error)}`,
+      );
+      return { status: 'down' };
+    }
+  }
+}
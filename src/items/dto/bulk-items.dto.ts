@@ -0,0 +1,49 @@
+import { Type } from 'class-transformer';
+import {
+  ArrayMaxSize,
+  ArrayNotEmpty,
+  IsArray,
+  IsBoolean,
+  IsIn,
+  IsNotEmpty,
+  IsObject,
+  IsOptional,
+  IsString,
+  ValidateIf,
+  ValidateNested,
+} from 'class-validator';
+
+export const BULK_OPERATION_TYPES = ['create', 'update', 'delete'] as const;
+export type BulkOperationType = (typeof BULK_OPERATION_TYPES)[number];
+
+export class BulkOperationDto {
+  @IsIn(BULK_OPERATION_TYPES)
+  op: BulkOperationType;
+
+  @ValidateIf((operation: BulkOperationDto) => operation.op !== 'create')
+  @IsString()
+  @IsNotEmpty()
+  id?: string;
+
+  /** Validated per entry against CreateItemDto or UpdateItemDto. */
+  @ValidateIf((operation: BulkOperationDto) => operation.op !== 'delete')
+  @IsObject()
+  data?: Record<string, unknown>;
+
+  @IsOptional()
+  @IsString()
+  ifMatch?: string;
+}
+
+export class BulkItemsDto {
+  @IsOptional()
+  @IsBoolean()
+  atomic?: boolean;
+
+  @IsArray()
+  @ArrayNotEmpty()
+  @ArrayMaxSize(1000)
+  @ValidateNested({ each: true })
+  @Type(() => BulkOperationDto)
+  operations: BulkOperationDto[];
+}
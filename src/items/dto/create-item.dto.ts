@@ -1,4 +1,5 @@
-import { IsString, IsNotEmpty, MinLength, MaxLength } from 'class-validator';
+import { IsString, IsNotEmpty, MinLength, MaxLength, IsOptional } from 'class-validator';
+import { IsItemTagList } from './item-tags.dto';
 
 export class CreateItemDto {
   @IsString()
@@ -12,4 +13,8 @@ export class CreateItemDto {
   @MinLength(1)
   @MaxLength(500)
   description: string;
+
+  @IsOptional()
+  @IsItemTagList()
+  tags?: string[];
 }
@@ -0,0 +1,18 @@
+import { Transform } from 'class-transformer';
+import { ArrayMaxSize, IsArray, IsOptional, IsString, MaxLength } from 'class-validator';
+
+export class ItemEventsQueryDto {
+  /** Accepts repeated `id` parameters or a comma-separated list. */
+  @IsOptional()
+  @Transform(({ value }) =>
+    (Array.isArray(value) ? value : [value])
+      .flatMap((id) => String(id).split(','))
+      .map((id) => id.trim())
+      .filter((id) => id.length > 0),
+  )
+  @IsArray()
+  @ArrayMaxSize(100)
+  @IsString({ each: true })
+  @MaxLength(64, { each: true })
+  id?: string[];
+}
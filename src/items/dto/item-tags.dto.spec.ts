@@ -0,0 +1,27 @@
+import { validateDto } from '../../common/validation/validate-dto';
+import { CreateItemDto } from './create-item.dto';
+import { ItemTagsDto } from './item-tags.dto';
+
+describe('item tag validation', () => {
+  it('accepts well-formed tags', () => {
+    const { errors } = validateDto(CreateItemDto, {
+      name: 'Test',
+      description: 'Test',
+      tags: ['fruit', 'color:red', 'v1.2', 'snake_case'],
+    });
+    expect(errors).toEqual([]);
+  });
+
+  it('rejects malformed tags', () => {
+    const { errors } = validateDto(CreateItemDto, {
+      name: 'Test',
+      description: 'Test',
+      tags: ['has space', '-leading', 'x'.repeat(51)],
+    });
+    expect(errors).toHaveLength(2);
+  });
+
+  it('requires at least one tag when adding tags', () => {
+    expect(validateDto(ItemTagsDto, { tags: [] }).errors).toEqual(['tags should not be empty']);
+  });
+});
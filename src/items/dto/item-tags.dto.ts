@@ -0,0 +1,34 @@
+import { applyDecorators } from '@nestjs/common';
+import {
+  ArrayMaxSize,
+  ArrayNotEmpty,
+  IsArray,
+  IsString,
+  Matches,
+  MaxLength,
+} from 'class-validator';
+
+export const MAX_TAGS_PER_ITEM = 20;
+export const MAX_TAG_LENGTH = 50;
+const TAG_PATTERN = /^\s*[a-z0-9][a-z0-9_:.-]*\s*$/i;
+
+/** Validation rules shared by every DTO that carries a list of tags. */
+export function IsItemTagList() {
+  return applyDecorators(
+    IsArray(),
+    ArrayMaxSize(MAX_TAGS_PER_ITEM),
+    IsString({ each: true }),
+    MaxLength(MAX_TAG_LENGTH, { each: true }),
+    Matches(TAG_PATTERN, {
+      each: true,
+      message:
+        'each tag must start with a letter or digit and contain only letters, digits, "_", ":", "." or "-"',
+    }),
+  );
+}
+
+export class ItemTagsDto {
+  @IsItemTagList()
+  @ArrayNotEmpty()
+  tags: string[];
+}
@@ -0,0 +1,100 @@
+import { Transform } from 'class-transformer';
+import {
+  ArrayMaxSize,
+  IsArray,
+  IsIn,
+  IsInt,
+  IsISO8601,
+  IsOptional,
+  IsString,
+  Max,
+  MaxLength,
+  Min,
+  MinLength,
+} from 'class-validator';
+
+export const ITEM_SORT_FIELDS = ['name', 'createdAt', 'updatedAt'] as const;
+export type ItemSortField = (typeof ITEM_SORT_FIELDS)[number];
+
+export const TAG_MATCH_MODES = ['any', 'all'] as const;
+export type TagMatchMode = (typeof TAG_MATCH_MODES)[number];
+
+export const SORT_ORDERS = ['asc', 'desc'] as const;
+export type SortOrder = (typeof SORT_ORDERS)[number];
+
+const toOptionalNumber = ({ value }: { value: unknown }) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+export class ListItemsQueryDto {
+  @IsOptional()
+  @Transform(toOptionalNumber)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number;
+
+  @IsOptional()
+  @Transform(toOptionalNumber)
+  @IsInt()
+  @Min(0)
+  offset?: number;
+
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  @MaxLength(500)
+  cursor?: string;
+
+  @IsOptional()
+  @IsIn(ITEM_SORT_FIELDS)
+  sort?: ItemSortField;
+
+  @IsOptional()
+  @IsIn(SORT_ORDERS)
+  order?: SortOrder;
+
+  @IsOptional()
+  @IsString()
+  @MinLength(1)
+  @MaxLength(100)
+  namePrefix?: string;
+
+  /** Accepts repeated `tag` parameters or a comma-separated list. */
+  @IsOptional()
+  @Transform(({ value }) =>
+    (Array.isArray(value) ? value : [value])
+      .flatMap((tag) => String(tag).split(','))
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0),
+  )
+  @IsArray()
+  @ArrayMaxSize(20)
+  @IsString({ each: true })
+  @MaxLength(50, { each: true })
+  tag?: string[];
+
+  @IsOptional()
+  @IsIn(TAG_MATCH_MODES)
+  tagMatch?: TagMatchMode;
+
+  @IsOptional()
+  @IsISO8601()
+  createdAfter?: string;
+
+  @IsOptional()
+  @IsISO8601()
+  createdBefore?: string;
+
+  @IsOptional()
+  @IsISO8601()
+  updatedAfter?: string;
+
+  @IsOptional()
+  @IsISO8601()
+  updatedBefore?: string;
+}
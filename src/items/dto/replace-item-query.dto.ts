@@ -0,0 +1,18 @@
+import { Transform } from 'class-transformer';
+import { IsBoolean, IsOptional } from 'class-validator';
+
+export class ReplaceItemQueryDto {
+  /** Create the item under the supplied id when it does not exist yet. */
+  @IsOptional()
+  @Transform(({ value }) => {
+    if (value === 'true' || value === '1') {
+      return true;
+    }
+    if (value === 'false' || value === '0') {
+      return false;
+    }
+    return value;
+  })
+  @IsBoolean()
+  upsert?: boolean;
+}
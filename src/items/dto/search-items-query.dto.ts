@@ -0,0 +1,22 @@
+import { Transform } from 'class-transformer';
+import { IsInt, IsNotEmpty, IsOptional, IsString, Max, MaxLength, Min } from 'class-validator';
+
+export class SearchItemsQueryDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(200)
+  q: string;
+
+  @IsOptional()
+  @Transform(({ value }) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? undefined : parsed;
+  })
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number;
+}
@@ -1,4 +1,5 @@
 import { IsString, IsOptional, MinLength, MaxLength } from 'class-validator';
+import { IsItemTagList } from './item-tags.dto';
 
 export class UpdateItemDto {
   @IsString()
@@ -12,4 +13,8 @@ export class UpdateItemDto {
   @MinLength(1)
   @MaxLength(500)
   description?: string;
+
+  @IsOptional()
+  @IsItemTagList()
+  tags?: string[];
 }
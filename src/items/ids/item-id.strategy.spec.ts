@@ -0,0 +1,57 @@
+import { InMemoryItemsRepository } from '../repositories/in-memory-items.repository';
+import {
+  createItemIdStrategy,
+  ITEM_ID_STRATEGY_NAMES,
+  SequentialIdStrategy,
+  UlidIdStrategy,
+  UuidV4IdStrategy,
+  UuidV7IdStrategy,
+} from './item-id.strategy';
+
+describe('item id strategies', () => {
+  const repository = new InMemoryItemsRepository();
+
+  it.each(ITEM_ID_STRATEGY_NAMES)('%s should accept the ids it generates', (name) => {
+    const strategy = createItemIdStrategy(name, repository);
+    const ids = Array.from({ length: 50 }, () => strategy.generate());
+    expect(strategy.name).toBe(name);
+    expect(ids.every((id) => strategy.isValid(id))).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should reject ids issued by other strategies', () => {
+    const uuidv4 = new UuidV4IdStrategy();
+    const uuidv7 = new UuidV7IdStrategy();
+    const ulid = new UlidIdStrategy();
+    const sequential = new SequentialIdStrategy(new InMemoryItemsRepository());
+
+    expect(uuidv7.isValid(uuidv4.generate())).toBe(false);
+    expect(uuidv4.isValid(uuidv7.generate())).toBe(false);
+    expect(ulid.isValid(uuidv7.generate())).toBe(false);
+    expect(sequential.isValid(ulid.generate())).toBe(false);
+    expect(sequential.isValid('0')).toBe(false);
+    expect(uuidv4.isValid(uuidv4.generate().toUpperCase())).toBe(false);
+  });
+
+  it('should embed the timestamp so uuidv7 and ulid ids sort by creation time', () => {
+    let now = 1_700_000_000_000;
+    const clock = () => now;
+    for (const strategy of [new UuidV7IdStrategy(clock), new UlidIdStrategy(clock)]) {
+      const first = strategy.generate();
+      now += 1;
+      const second = strategy.generate();
+      expect(first < second).toBe(true);
+    }
+    expect(new UuidV7IdStrategy(() => 0x0123456789ab).generate()).toMatch(/^01234567-89ab-7/);
+    expect(new UlidIdStrategy(() => 0).generate()).toMatch(/^0{10}/);
+  });
+
+  it('should delegate sequential ids to the repository counter', () => {
+    const strategy = new SequentialIdStrategy(new InMemoryItemsRepository());
+    expect([strategy.generate(), strategy.generate()]).toEqual(['1', '2']);
+  });
+
+  it('should fail fast on unknown strategy names', () => {
+    expect(() => createItemIdStrategy('snowflake', repository)).toThrow(/ITEMS_ID_STRATEGY/);
+  });
+});
@@ -0,0 +1,154 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { ItemsRepository } from '../repositories/items.repository';
+
+export const ITEM_ID_STRATEGY = 'ITEM_ID_STRATEGY';
+
+export const ITEM_ID_STRATEGY_NAMES = ['uuidv4', 'uuidv7', 'ulid', 'sequential'] as const;
+export type ItemIdStrategyName = (typeof ITEM_ID_STRATEGY_NAMES)[number];
+
+/** Generates ids for new items and recognises ids in the same format. */
+export interface ItemIdStrategy {
+  readonly name: ItemIdStrategyName;
+  readonly description: string;
+  generate(): string;
+  isValid(id: string): boolean;
+}
+
+/** The id format of each strategy, also used to recognise ids of legacy strategies. */
+const ID_FORMATS: Record<ItemIdStrategyName, { pattern: RegExp; description: string }> = {
+  uuidv4: {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+    description: 'a lowercase UUIDv4',
+  },
+  uuidv7: {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+    description: 'a lowercase UUIDv7',
+  },
+  ulid: { pattern: /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/, description: 'a 26-character uppercase ULID' },
+  sequential: { pattern: /^[1-9][0-9]{0,15}$/, description: 'a positive integer' },
+};
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export class UuidV4IdStrategy implements ItemIdStrategy {
+  readonly name = 'uuidv4';
+  readonly description = ID_FORMATS.uuidv4.description;
+
+  generate(): string {
+    return randomUUID();
+  }
+
+  isValid(id: string): boolean {
+    return ID_FORMATS.uuidv4.pattern.test(id);
+  }
+}
+
+/** RFC 9562 UUIDv7: 48-bit Unix millisecond timestamp followed by random bits. */
+export class UuidV7IdStrategy implements ItemIdStrategy {
+  readonly name = 'uuidv7';
+  readonly description = ID_FORMATS.uuidv7.description;
+
+  constructor(private readonly now: () => number = Date.now) {}
+
+  generate(): string {
+    const bytes = randomBytes(16);
+    bytes.writeUIntBE(this.now(), 0, 6);
+    bytes[6] = (bytes[6] & 0x0f) | 0x70;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  isValid(id: string): boolean {
+    return ID_FORMATS.uuidv7.pattern.test(id);
+  }
+}
+
+/** ULID: 10 Crockford base32 characters of timestamp and 16 of randomness. */
+export class UlidIdStrategy implements ItemIdStrategy {
+  readonly name = 'ulid';
+  readonly description = ID_FORMATS.ulid.description;
+
+  constructor(private readonly now: () => number = Date.now) {}
+
+  generate(): string {
+    let time = this.now();
+    let timePart = '';
+    for (let index = 0; index < 10; index += 1) {
+      timePart = CROCKFORD_BASE32[time % 32] + timePart;
+      time = Math.floor(time / 32);
+    }
+    const randomPart = Array.from(randomBytes(16), (byte) => CROCKFORD_BASE32[byte % 32]).join('');
+    return timePart + randomPart;
+  }
+
+  isValid(id: string): boolean {
+    return ID_FORMATS.ulid.pattern.test(id);
+  }
+}
+
+/**
+ * Legacy mode: ids come from the repository counter, so they are only unique
+ * within a single store.
+ */
+export class SequentialIdStrategy implements ItemIdStrategy {
+  readonly name = 'sequential';
+  readonly description = ID_FORMATS.sequential.description;
+
+  constructor(private readonly repository: ItemsRepository) {}
+
+  generate(): string {
+    return this.repository.nextId();
+  }
+
+  isValid(id: string): boolean {
+    return ID_FORMATS.sequential.pattern.test(id);
+  }
+}
+
+/**
+ * The ids a store may hold: those the active strategy generates, and those of
+ * the legacy strategies listed in `items.legacyIdStrategies`, so items created
+ * before `ITEMS_ID_STRATEGY` changed stay addressable. Only the active
+ * strategy names new items.
+ */
+export class ItemIdFormat {
+  readonly description: string;
+
+  constructor(
+    private readonly strategy: ItemIdStrategy,
+    private readonly legacyStrategies: ItemIdStrategyName[] = [],
+  ) {
+    const descriptions = [
+      strategy.description,
+      ...legacyStrategies.map((name) => ID_FORMATS[name].description),
+    ];
+    this.description =
+      descriptions.length > 1
+        ? `${descriptions.slice(0, -1).join(', ')} or ${descriptions[descriptions.length - 1]}`
+        : descriptions[0];
+  }
+
+  accepts(id: string): boolean {
+    return (
+      this.strategy.isValid(id) ||
+      this.legacyStrategies.some((name) => ID_FORMATS[name].pattern.test(id))
+    );
+  }
+}
+
+export function createItemIdStrategy(name: string, repository: ItemsRepository): ItemIdStrategy {
+  switch (name as ItemIdStrategyName) {
+    case 'uuidv4':
+      return new UuidV4IdStrategy();
+    case 'uuidv7':
+      return new UuidV7IdStrategy();
+    case 'ulid':
+      return new UlidIdStrategy();
+    case 'sequential':
+      return new SequentialIdStrategy(repository);
+    default:
+      throw new Error(
+        `Unknown ITEMS_ID_STRATEGY "${name}", expected one of ${ITEM_ID_STRATEGY_NAMES.join(', ')}`,
+      );
+  }
+}
@@ -0,0 +1,15 @@
+import { Item } from './item.interface';
+
+export const ITEM_EVENT_TYPES = ['created', 'updated', 'deleted'] as const;
+export type ItemEventType = (typeof ITEM_EVENT_TYPES)[number];
+
+export interface ItemEvent {
+  /** Monotonic per process; sent as the SSE event id for `Last-Event-ID`. */
+  id: number;
+  type: ItemEventType;
+  workspaceId: string;
+  itemId: string;
+  item: Item;
+  actor: string;
+  timestamp: Date;
+}
@@ -0,0 +1,26 @@
+import { Item } from './item.interface';
+
+export const REVISION_TRACKED_FIELDS = ['name', 'description', 'tags'] as const;
+export type RevisionTrackedField = (typeof REVISION_TRACKED_FIELDS)[number];
+
+export type ItemSnapshot = Pick<Item, RevisionTrackedField>;
+
+export type ItemRevisionAction = 'create' | 'update' | 'delete' | 'restore' | 'revert';
+
+export interface ItemFieldChange {
+  field: RevisionTrackedField;
+  from: ItemSnapshot[RevisionTrackedField] | null;
+  to: ItemSnapshot[RevisionTrackedField] | null;
+}
+
+export interface ItemRevision {
+  rev: number;
+  itemId: string;
+  action: ItemRevisionAction;
+  actor: string;
+  timestamp: Date;
+  version: number;
+  changes: ItemFieldChange[];
+  snapshot: ItemSnapshot;
+  revertedFrom?: number;
+}
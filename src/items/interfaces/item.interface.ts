@@ -0,0 +1,33 @@
+import { ItemRevision } from './item-revision.interface';
+
+export interface Item {
+  id: string;
+  name: string;
+  description: string;
+  tags: string[];
+  /** Principal that created the item; null for items stored before ownership existed. */
+  ownerId: string | null;
+  version: number;
+  createdAt: Date;
+  updatedAt: Date;
+  deletedAt: Date | null;
+}
+
+export interface TagUsage {
+  tag: string;
+  count: number;
+}
+
+export interface ItemsPage {
+  items: Item[];
+  total: number;
+  limit: number;
+  offset: number;
+  nextCursor: string | null;
+}
+
+/** The full contents of the item store: every item, trashed ones included, and its revisions. */
+export interface ItemsState {
+  items: Item[];
+  revisions: ItemRevision[];
+}
@@ -0,0 +1,32 @@
+import { Item } from './interfaces/item.interface';
+
+/**
+ * Strong entity tag for an item. The version alone is enough because a tag is
+ * only ever compared against the same resource URL.
+ */
+export function itemETag(item: Pick<Item, 'version'>): string {
+  return `"${item.version}"`;
+}
+
+function splitEntityTags(header: string): string[] {
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag.length > 0);
+}
+
+/** RFC 9110 If-Match uses strong comparison, so weak tags never match. */
+export function satisfiesIfMatch(header: string, item: Pick<Item, 'version'>): boolean {
+  if (header.trim() === '*') {
+    return true;
+  }
+  return splitEntityTags(header).includes(itemETag(item));
+}
+
+/** RFC 9110 If-None-Match uses weak comparison. */
+export function satisfiesIfNoneMatch(header: string, item: Pick<Item, 'version'>): boolean {
+  if (header.trim() === '*') {
+    return false;
+  }
+  return !splitEntityTags(header).some((tag) => tag.replace(/^W\//, '') === itemETag(item));
+}
@@ -0,0 +1,11 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig } from '../config/app-config';
+import { createItemIdStrategy, ITEM_ID_STRATEGY, ItemIdStrategy } from './ids/item-id.strategy';
+import { ITEMS_REPOSITORY, ItemsRepository } from './repositories/items.repository';
+
+export const itemIdStrategyProvider: Provider = {
+  provide: ITEM_ID_STRATEGY,
+  inject: [ITEMS_REPOSITORY, APP_CONFIG],
+  useFactory: (repository: ItemsRepository, config: AppConfig): ItemIdStrategy =>
+    createItemIdStrategy(config.items.idStrategy, repository),
+};
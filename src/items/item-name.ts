@@ -0,0 +1,8 @@
+/**
+ * Canonical form under which item names must be unique: Unicode-compatible
+ * characters folded (NFKC), surrounding whitespace dropped, inner runs of
+ * whitespace collapsed to one space and letters lowercased.
+ */
+export function normalizeItemName(name: string): string {
+  return name.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
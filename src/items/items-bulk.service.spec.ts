@@ -0,0 +1,299 @@
+import { UnprocessableEntityException } from '@nestjs/common';
+import { Test, TestingModule } from '@nestjs/testing';
+import { mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BulkItemsDto, BulkOperationDto } from './dto/bulk-items.dto';
+import { BulkResult, ItemsBulkService } from './items-bulk.service';
+import { ItemEvent } from './interfaces/item-event.interface';
+import { ItemsEventsService } from './items-events.service';
+import { ITEM_ID_STRATEGY, UuidV7IdStrategy } from './ids/item-id.strategy';
+import { ItemsService } from './items.service';
+import { FileItemsRepository } from './repositories/file-items.repository';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+
+describe('ItemsBulkService', () => {
+  let service: ItemsBulkService;
+  let itemsService: ItemsService;
+  let workspacesService: WorkspacesService;
+
+  const bulk = (operations: BulkOperationDto[], atomic?: boolean): BulkItemsDto => ({
+    atomic,
+    operations,
+  });
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ItemsService,
+        WorkspacesService,
+        ItemsBulkService,
+        // Every workspace gets the configured strategy, so the default one uses it too.
+        { provide: ITEM_ID_STRATEGY, useValue: new UuidV7IdStrategy() },
+      ],
+    }).compile();
+
+    service = module.get<ItemsBulkService>(ItemsBulkService);
+    itemsService = module.get<ItemsService>(ItemsService);
+    workspacesService = module.get<WorkspacesService>(WorkspacesService);
+  });
+
+  describe('best-effort mode', () => {
+    it('should apply a mixed batch and report per-operation status', () => {
+      const existing = itemsService.create({ name: 'Existing', description: 'Test' });
+      const doomed = itemsService.create({ name: 'Doomed', description: 'Test' });
+
+      const result = service.execute(
+        bulk([
+          { op: 'create', data: { name: 'New', description: 'Test' } },
+          { op: 'update', id: existing.id, data: { name: 'Renamed' } },
+          { op: 'delete', id: doomed.id },
+        ]),
+        { actor: 'alice' },
+      );
+
+      expect(result.succeeded).toBe(3);
+      expect(result.failed).toBe(0);
+      expect(result.results.map((entry) => entry.statusCode)).toEqual([201, 200, 204]);
+      expect(itemsService.findOne(existing.id).name).toBe('Renamed');
+      expect(itemsService.findHistory(existing.id)[1].actor).toBe('alice');
+      expect(itemsService.findAll().map((item) => item.name)).toEqual(['Renamed', 'New']);
+    });
+
+    it('should keep going past failing entries', () => {
+      const existing = itemsService.create({ name: 'Existing', description: 'Test' });
+
+      const result = service.execute(
+        bulk([
+          { op: 'create', data: { name: '', description: 'Test' } },
+          { op: 'update', id: new UuidV7IdStrategy().generate(), data: { name: 'Missing' } },
+          { op: 'update', id: existing.id, data: { name: 'Stale' }, ifMatch: '"7"' },
+          { op: 'create', data: { name: 'Valid', description: 'Test', extra: true } },
+          { op: 'create', data: { name: 'Valid', description: 'Test' } },
+          { op: 'delete', id: '42' },
+        ]),
+      );
+
+      expect(result.committed).toBe(true);
+      expect(result.succeeded).toBe(1);
+      expect(result.failed).toBe(5);
+      expect(result.results.map((entry) => entry.statusCode)).toEqual([
+        400, 404, 412, 400, 201, 400,
+      ]);
+      expect(result.results[0].errors).toContain('name should not be empty');
+      expect(result.results[3].errors).toContain('property extra should not exist');
+      expect(result.results[5].errors).toEqual(['Item ID must be a lowercase UUIDv7']);
+    });
+
+    it('should report taken names as conflicts', () => {
+      itemsService.create({ name: 'Existing', description: 'Test' });
+
+      const result = service.execute(
+        bulk([
+          { op: 'create', data: { name: 'existing', description: 'Test' } },
+          { op: 'create', data: { name: 'Fresh', description: 'Test' } },
+          { op: 'create', data: { name: ' FRESH', description: 'Test' } },
+        ]),
+      );
+
+      expect(result.results.map((entry) => entry.statusCode)).toEqual([409, 201, 409]);
+      expect(result.results[0].errors).toEqual(['An item named "existing" already exists']);
+    });
+  });
+
+  describe('atomic mode', () => {
+    it('should apply every operation when all succeed', () => {
+      const existing = itemsService.create({ name: 'Existing', description: 'Test' });
+
+      const result = service.execute(
+        bulk(
+          [
+            { op: 'update', id: existing.id, data: { name: 'First' }, ifMatch: '"1"' },
+            { op: 'update', id: existing.id, data: { name: 'Second' }, ifMatch: '"2"' },
+            { op: 'create', data: { name: 'New', description: 'Test' } },
+          ],
+          true,
+        ),
+      );
+
+      expect(result).toMatchObject({ atomic: true, committed: true, succeeded: 3, failed: 0 });
+      expect(itemsService.findOne(existing.id).name).toBe('Second');
+    });
+
+    it('should apply nothing when any operation would fail', () => {
+      const existing = itemsService.create({ name: 'Existing', description: 'Test' });
+      let response: BulkResult | undefined;
+
+      try {
+        service.execute(
+          bulk(
+            [
+              { op: 'create', data: { name: 'New', description: 'Test' } },
+              { op: 'delete', id: existing.id },
+              { op: 'update', id: existing.id, data: { name: 'Deleted above' } },
+            ],
+            true,
+          ),
+        );
+      } catch (error: unknown) {
+        expect(error).toBeInstanceOf(UnprocessableEntityException);
+        response = (error as UnprocessableEntityException).getResponse() as BulkResult;
+      }
+
+      expect(response?.committed).toBe(false);
+      expect(response?.results.map((entry) => entry.status)).toEqual([
+        'skipped',
+        'skipped',
+        'error',
+      ]);
+      expect(response?.results[2].statusCode).toBe(404);
+      expect(itemsService.findAll().map((item) => item.name)).toEqual(['Existing']);
+    });
+
+    it('should plan name changes made by earlier operations', () => {
+      const first = itemsService.create({ name: 'First', description: 'Test' });
+      const second = itemsService.create({ name: 'Second', description: 'Test' });
+
+      const result = service.execute(
+        bulk(
+          [
+            { op: 'update', id: first.id, data: { name: 'Renamed' } },
+            { op: 'create', data: { name: 'first', description: 'Test' } },
+            { op: 'delete', id: second.id },
+            { op: 'update', id: first.id, data: { name: 'SECOND' } },
+          ],
+          true,
+        ),
+      );
+
+      expect(result).toMatchObject({ committed: true, succeeded: 4 });
+      expect(itemsService.findByName('second').id).toBe(first.id);
+    });
+
+    it('should reject a batch that reuses a taken name', () => {
+      itemsService.create({ name: 'Existing', description: 'Test' });
+      let response: BulkResult | undefined;
+
+      try {
+        service.execute(
+          bulk(
+            [
+              { op: 'create', data: { name: 'New', description: 'Test' } },
+              { op: 'create', data: { name: 'new ', description: 'Test' } },
+            ],
+            true,
+          ),
+        );
+      } catch (error: unknown) {
+        response = (error as UnprocessableEntityException).getResponse() as BulkResult;
+      }
+
+      expect(response?.results.map((entry) => entry.statusCode)).toEqual([424, 409]);
+      expect(itemsService.findAll()).toHaveLength(1);
+    });
+
+    describe('with a file store that cannot be written', () => {
+      let tempDir: string;
+
+      beforeEach(() => {
+        tempDir = mkdtempSync(join(tmpdir(), 'items-bulk-'));
+      });
+
+      afterEach(() => {
+        rmSync(tempDir, { recursive: true, force: true });
+      });
+
+      it('should keep every item and publish nothing', () => {
+        const filePath = join(tempDir, 'items.json');
+        const events = new ItemsEventsService();
+        const received: ItemEvent[] = [];
+        events.changes.subscribe((event) => received.push(event));
+        const items = new ItemsService(new FileItemsRepository(filePath), undefined, events);
+        const fileBulk = new ItemsBulkService(new WorkspacesService(items, events));
+        const first = items.create({ name: 'A', description: 'Test' });
+        const second = items.create({ name: 'B', description: 'Test' });
+        const before = items.exportState();
+        received.length = 0;
+
+        // A directory in the way of the temporary file makes every write fail.
+        mkdirSync(`${filePath}.tmp`);
+        expect(() =>
+          fileBulk.execute(
+            bulk(
+              [
+                { op: 'update', id: first.id, data: { description: 'changed' } },
+                { op: 'update', id: second.id, data: { description: 'changed' } },
+              ],
+              true,
+            ),
+          ),
+        ).toThrow(/EISDIR/);
+
+        expect(items.exportState()).toEqual(before);
+        expect(items.search('changed').total).toBe(0);
+        expect(received).toEqual([]);
+        rmSync(`${filePath}.tmp`, { recursive: true });
+        expect(new ItemsService(new FileItemsRepository(filePath)).findAll()).toEqual(
+          items.findAll(),
+        );
+      });
+    });
+  });
+
+  describe('workspaces', () => {
+    it('should apply operations to the given workspace only', () => {
+      const existing = itemsService.create({ name: 'Existing', description: 'Test' });
+      workspacesService.create({ id: 'team-a', name: 'Team A' });
+
+      const result = service.execute(
+        bulk([
+          { op: 'create', data: { name: 'Existing', description: 'Test' } },
+          { op: 'delete', id: existing.id },
+        ]),
+        { workspaceId: 'team-a' },
+      );
+
+      expect(result.results.map((entry) => entry.statusCode)).toEqual([201, 404]);
+      expect(itemsService.findAll()).toEqual([existing]);
+      expect(workspacesService.itemsIn('team-a').findAll()).toHaveLength(1);
+    });
+
+    it('should plan atomic batches against the item limit', () => {
+      workspacesService.create({ id: 'team-a', name: 'Team A', itemLimit: 2 });
+      const items = workspacesService.itemsIn('team-a');
+      const existing = items.create({ name: 'Existing', description: 'Test' });
+      const create = (name: string) => ({
+        op: 'create' as const,
+        data: { name, description: 'Test' },
+      });
+
+      expect(() =>
+        service.execute(bulk([create('One'), create('Two')], true), { workspaceId: 'team-a' }),
+      ).toThrow(UnprocessableEntityException);
+      const result = service.execute(
+        bulk([{ op: 'delete', id: existing.id }, create('One'), create('Two')], true),
+        { workspaceId: 'team-a' },
+      );
+      expect(result).toMatchObject({ committed: true, succeeded: 3 });
+    });
+  });
+
+  describe('ownership', () => {
+    it('should refuse to touch items outside the owner scope', () => {
+      const mine = itemsService.create({ name: 'Mine', description: 'Test' }, { actor: 'alice' });
+      const theirs = itemsService.create({ name: 'Theirs', description: 'Test' }, { actor: 'bob' });
+      const operations = [
+        { op: 'update' as const, id: mine.id, data: { name: 'Renamed' } },
+        { op: 'delete' as const, id: theirs.id },
+      ];
+
+      const bestEffort = service.execute(bulk(operations), { actor: 'alice', ownerScope: 'alice' });
+      expect(bestEffort.results.map((entry) => entry.statusCode)).toEqual([200, 403]);
+
+      expect(() =>
+        service.execute(bulk(operations, true), { actor: 'alice', ownerScope: 'alice' }),
+      ).toThrow(UnprocessableEntityException);
+      expect(itemsService.findOne(theirs.id).deletedAt).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,334 @@
+import {
+  HttpException,
+  HttpStatus,
+  Injectable,
+  Logger,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { validateDto } from '../common/validation/validate-dto';
+import { BulkItemsDto, BulkOperationDto, BulkOperationType } from './dto/bulk-items.dto';
+import { CreateItemDto } from './dto/create-item.dto';
+import { UpdateItemDto } from './dto/update-item.dto';
+import { Item } from './interfaces/item.interface';
+import { satisfiesIfMatch } from './item-etag';
+import { normalizeItemName } from './item-name';
+import { ItemMutationOptions, ItemsService } from './items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+
+export interface BulkOperationResult {
+  index: number;
+  op: BulkOperationType;
+  status: 'ok' | 'error' | 'skipped';
+  statusCode: number;
+  id?: string;
+  item?: Item;
+  errors?: string[];
+}
+
+export interface BulkResult {
+  atomic: boolean;
+  committed: boolean;
+  succeeded: number;
+  failed: number;
+  results: BulkOperationResult[];
+}
+
+interface BulkExecutionOptions extends Pick<ItemMutationOptions, 'actor' | 'ownerScope'> {
+  /** The workspace every operation applies to; the default workspace when unset. */
+  workspaceId?: string;
+}
+
+interface PlannedOperation {
+  operation: BulkOperationDto;
+  dto?: CreateItemDto | UpdateItemDto;
+  errors: string[];
+  statusCode: number;
+}
+
+@Injectable()
+export class ItemsBulkService {
+  private readonly logger = new Logger(ItemsBulkService.name);
+
+  constructor(private readonly workspacesService: WorkspacesService) {}
+
+  /**
+   * Applies a mixed batch of operations. Atomic batches are planned against a
+   * shadow copy of the affected items first and only applied when every entry
+   * would succeed. They are applied in one store transaction, written once,
+   * and their events are published after that write; should applying or the
+   * write still fail, none of the batch remains and nothing is published.
+   * Otherwise each entry is applied independently.
+   */
+  execute(bulkItemsDto: BulkItemsDto, options: BulkExecutionOptions = {}): BulkResult {
+    const atomic = bulkItemsDto.atomic ?? false;
+    const items = this.workspacesService.itemsIn(options.workspaceId);
+    this.logger.log(
+      `Executing ${atomic ? 'atomic' : 'best-effort'} bulk of ${bulkItemsDto.operations.length} operations`,
+    );
+    return atomic
+      ? this.executeAtomic(items, bulkItemsDto.operations, options)
+      : this.executeBestEffort(items, bulkItemsDto.operations, options);
+  }
+
+  private executeAtomic(
+    items: ItemsService,
+    operations: BulkOperationDto[],
+    options: BulkExecutionOptions,
+  ): BulkResult {
+    const plan = this.plan(items, operations, options.ownerScope);
+    if (plan.some((planned) => planned.errors.length > 0)) {
+      this.logger.warn('Atomic bulk rejected, no operations applied');
+      throw new UnprocessableEntityException(
+        this.summarize(
+          true,
+          false,
+          plan.map((planned, index) =>
+            planned.errors.length > 0
+              ? this.failure(index, planned.operation, planned.statusCode, planned.errors)
+              : {
+                  index,
+                  op: planned.operation.op,
+                  status: 'skipped' as const,
+                  statusCode: HttpStatus.FAILED_DEPENDENCY,
+                  id: planned.operation.id,
+                },
+          ),
+        ),
+      );
+    }
+    try {
+      const results = items.transaction(() =>
+        plan.map((planned, index) =>
+          this.apply(items, index, planned.operation, planned.dto, options),
+        ),
+      );
+      return this.summarize(true, true, results);
+    } catch (error: unknown) {
+      const reason = error instanceof Error ? error.message : String(error);
+      this.logger.error(`Atomic bulk failed while applying (${reason}); nothing was applied`);
+      throw error;
+    }
+  }
+
+  private executeBestEffort(
+    items: ItemsService,
+    operations: BulkOperationDto[],
+    options: BulkExecutionOptions,
+  ): BulkResult {
+    const results = operations.map((operation, index) => {
+      const { dto, errors } = this.validateEntry(items, operation);
+      if (errors.length > 0) {
+        return this.failure(index, operation, HttpStatus.BAD_REQUEST, errors);
+      }
+      try {
+        return this.apply(items, index, operation, dto, options);
+      } catch (error: unknown) {
+        if (error instanceof HttpException) {
+          return this.failure(index, operation, error.getStatus(), [error.message]);
+        }
+        throw error;
+      }
+    });
+    return this.summarize(
+      false,
+      results.some((result) => result.status === 'ok'),
+      results,
+    );
+  }
+
+  private plan(
+    items: ItemsService,
+    operations: BulkOperationDto[],
+    ownerScope?: string,
+  ): PlannedOperation[] {
+    const shadow = new Map<string, Item | null>();
+    // Active items after the preceding entries, checked against the workspace's item limit.
+    let activeCount = items.countItems().active;
+    // Normalized name -> holder after the preceding entries; null once freed.
+    const names = new Map<string, string | null>();
+    const nameHolder = (name: string) => {
+      const key = normalizeItemName(name);
+      return names.has(key) ? names.get(key) : items.findByNameOrUndefined(name)?.id;
+    };
+
+    return operations.map((operation, index) => {
+      const { dto, errors } = this.validateEntry(items, operation);
+      if (errors.length > 0) {
+        return { operation, dto, errors, statusCode: HttpStatus.BAD_REQUEST };
+      }
+      if (operation.op === 'create') {
+        const { name } = dto as CreateItemDto;
+        if (nameHolder(name)) {
+          return {
+            operation,
+            dto,
+            errors: [`An item named "${name}" already exists`],
+            statusCode: HttpStatus.CONFLICT,
+          };
+        }
+        if (activeCount >= items.itemLimit) {
+          return {
+            operation,
+            dto,
+            errors: [
+              `Workspace "${items.workspaceId}" already holds its limit of ${items.itemLimit} items`,
+            ],
+            statusCode: HttpStatus.CONFLICT,
+          };
+        }
+        names.set(normalizeItemName(name), `operation ${index}`);
+        activeCount++;
+        return { operation, dto, errors, statusCode: HttpStatus.CREATED };
+      }
+
+      const id = operation.id as string;
+      const current = shadow.has(id) ? shadow.get(id) : this.findExisting(items, id);
+      if (!current) {
+        return {
+          operation,
+          dto,
+          errors: [`Item with ID ${id} not found`],
+          statusCode: HttpStatus.NOT_FOUND,
+        };
+      }
+      if (ownerScope !== undefined && current.ownerId !== ownerScope) {
+        return {
+          operation,
+          dto,
+          errors: [`Item with ID ${id} belongs to another owner`],
+          statusCode: HttpStatus.FORBIDDEN,
+        };
+      }
+      if (operation.ifMatch !== undefined && !satisfiesIfMatch(operation.ifMatch, current)) {
+        return {
+          operation,
+          dto,
+          errors: [`Item with ID ${id} has been modified (current version ${current.version})`],
+          statusCode: HttpStatus.PRECONDITION_FAILED,
+        };
+      }
+      const name = operation.op === 'update' ? (dto as UpdateItemDto).name : undefined;
+      if (name !== undefined) {
+        const holder = nameHolder(name);
+        if (holder && holder !== id) {
+          return {
+            operation,
+            dto,
+            errors: [`An item named "${name}" already exists`],
+            statusCode: HttpStatus.CONFLICT,
+          };
+        }
+      }
+
+      if (nameHolder(current.name) === id) {
+        names.set(normalizeItemName(current.name), null);
+      }
+      const next =
+        operation.op === 'delete'
+          ? null
+          : { ...current, name: name ?? current.name, version: current.version + 1 };
+      if (next) {
+        names.set(normalizeItemName(next.name), id);
+      } else {
+        activeCount--;
+      }
+      shadow.set(id, next);
+      return { operation, dto, errors, statusCode: HttpStatus.OK };
+    });
+  }
+
+  private apply(
+    items: ItemsService,
+    index: number,
+    operation: BulkOperationDto,
+    dto: CreateItemDto | UpdateItemDto | undefined,
+    { actor, ownerScope }: BulkExecutionOptions,
+  ): BulkOperationResult {
+    const options = { ifMatch: operation.ifMatch, actor, ownerScope };
+    switch (operation.op) {
+      case 'create': {
+        const item = items.create(dto as CreateItemDto, options);
+        return this.success(index, operation, HttpStatus.CREATED, item);
+      }
+      case 'update': {
+        const item = items.update(operation.id as string, dto as UpdateItemDto, options);
+        return this.success(index, operation, HttpStatus.OK, item);
+      }
+      case 'delete':
+        items.remove(operation.id as string, options);
+        return this.success(index, operation, HttpStatus.NO_CONTENT);
+    }
+  }
+
+  /** Ids are checked like `:id` route parameters, against the store's id format. */
+  private validateEntry(
+    items: ItemsService,
+    operation: BulkOperationDto,
+  ): {
+    dto?: CreateItemDto | UpdateItemDto;
+    errors: string[];
+  } {
+    if (operation.op !== 'create' && !items.idFormat.accepts(operation.id as string)) {
+      return { errors: [`Item ID must be ${items.idFormat.description}`] };
+    }
+    switch (operation.op) {
+      case 'create': {
+        const { value, errors } = validateDto(CreateItemDto, operation.data);
+        return { dto: value, errors };
+      }
+      case 'update': {
+        const { value, errors } = validateDto(UpdateItemDto, operation.data);
+        return { dto: value, errors };
+      }
+      case 'delete':
+        return { errors: [] };
+    }
+  }
+
+  private findExisting(items: ItemsService, id: string): Item | undefined {
+    try {
+      return items.findOne(id);
+    } catch {
+      return undefined;
+    }
+  }
+
+  private success(
+    index: number,
+    operation: BulkOperationDto,
+    statusCode: number,
+    item?: Item,
+  ): BulkOperationResult {
+    return {
+      index,
+      op: operation.op,
+      status: 'ok',
+      statusCode,
+      id: item?.id ?? operation.id,
+      ...(item && { item }),
+    };
+  }
+
+  private failure(
+    index: number,
+    operation: BulkOperationDto,
+    statusCode: number,
+    errors: string[],
+  ): BulkOperationResult {
+    return { index, op: operation.op, status: 'error', statusCode, id: operation.id, errors };
+  }
+
+  private summarize(
+    atomic: boolean,
+    committed: boolean,
+    results: BulkOperationResult[],
+  ): BulkResult {
+    return {
+      atomic,
+      committed,
+      succeeded: results.filter((result) => result.status === 'ok').length,
+      failed: results.filter((result) => result.status === 'error').length,
+      results,
+    };
+  }
+}
@@ -0,0 +1,9 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig } from '../config/app-config';
+import { ITEMS_EVENT_BUFFER_SIZE } from './items-events.service';
+
+export const itemsEventBufferSizeProvider: Provider = {
+  provide: ITEMS_EVENT_BUFFER_SIZE,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): number => config.items.eventBufferSize,
+};
@@ -0,0 +1,112 @@
+import { firstValueFrom, Subscription, take, toArray } from 'rxjs';
+import { Item } from './interfaces/item.interface';
+import { ItemEventStreamEntry, ItemsEventsService } from './items-events.service';
+
+const makeItem = (id: string): Item => ({
+  id,
+  name: `Item ${id}`,
+  description: 'Test',
+  tags: [],
+  ownerId: null,
+  version: 1,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  deletedAt: null,
+});
+
+const describeEntry = (entry: ItemEventStreamEntry) =>
+  entry.type === 'reset' ? 'reset' : `${entry.id}:${entry.type}:${entry.itemId}`;
+
+describe('ItemsEventsService', () => {
+  let service: ItemsEventsService;
+  let subscription: Subscription | undefined;
+
+  beforeEach(() => {
+    service = new ItemsEventsService(3);
+  });
+
+  afterEach(() => {
+    subscription?.unsubscribe();
+    subscription = undefined;
+  });
+
+  it('should stream live events without replay when no Last-Event-ID is given', () => {
+    service.publish('created', makeItem('a'), 'alice');
+    const received: string[] = [];
+    subscription = service.stream().subscribe((entry) => received.push(describeEntry(entry)));
+    service.publish('updated', makeItem('a'), 'alice');
+    expect(received).toEqual(['2:updated:a']);
+  });
+
+  it('should replay buffered events newer than Last-Event-ID before going live', () => {
+    service.publish('created', makeItem('a'), 'alice');
+    service.publish('created', makeItem('b'), 'alice');
+    const received: string[] = [];
+    subscription = service
+      .stream({ lastEventId: 1 })
+      .subscribe((entry) => received.push(describeEntry(entry)));
+    service.publish('deleted', makeItem('a'), 'alice');
+    expect(received).toEqual(['2:created:b', '3:deleted:a']);
+  });
+
+  it('should filter replayed and live events by item id', () => {
+    service.publish('created', makeItem('a'), 'alice');
+    service.publish('created', makeItem('b'), 'alice');
+    const received: string[] = [];
+    subscription = service
+      .stream({ lastEventId: 0, itemIds: ['b'] })
+      .subscribe((entry) => received.push(describeEntry(entry)));
+    service.publish('updated', makeItem('a'), 'alice');
+    service.publish('updated', makeItem('b'), 'alice');
+    expect(received).toEqual(['2:created:b', '4:updated:b']);
+  });
+
+  it('should filter replayed and live events by workspace', () => {
+    service.publish('created', makeItem('a'), 'alice');
+    service.publish('created', makeItem('a'), 'alice', 'team-a');
+    const received: string[] = [];
+    subscription = service
+      .stream({ lastEventId: 0, workspaceId: 'team-a' })
+      .subscribe((entry) => received.push(describeEntry(entry)));
+    service.publish('updated', makeItem('a'), 'alice');
+    service.publish('updated', makeItem('a'), 'alice', 'team-a');
+    expect(received).toEqual(['2:created:a', '4:updated:a']);
+  });
+
+  it('should keep only the most recent events and flag gaps with a reset', async () => {
+    for (const id of ['a', 'b', 'c', 'd']) {
+      service.publish('created', makeItem(id), 'alice');
+    }
+    const entries = await firstValueFrom(
+      service.stream({ lastEventId: 0 }).pipe(take(4), toArray()),
+    );
+    expect(entries[0]).toEqual({ type: 'reset', lastEventId: 0, oldestEventId: 2 });
+    expect(entries.slice(1).map(describeEntry)).toEqual([
+      '2:created:b',
+      '3:created:c',
+      '4:created:d',
+    ]);
+  });
+
+  it('should flag ids from before a restart as unreplayable', async () => {
+    service.publish('created', makeItem('a'), 'alice');
+    const [entry] = await firstValueFrom(
+      service.stream({ lastEventId: 500 }).pipe(take(1), toArray()),
+    );
+    expect(entry).toEqual({ type: 'reset', lastEventId: 500, oldestEventId: 1 });
+  });
+
+  it('should snapshot the item at publish time', () => {
+    const item = makeItem('a');
+    const event = service.publish('created', item, 'alice');
+    item.name = 'Mutated';
+    expect(event.item.name).toBe('Item a');
+  });
+
+  it('should end live streams when the module is destroyed', () => {
+    let completed = false;
+    subscription = service.stream().subscribe({ complete: () => (completed = true) });
+    service.onModuleDestroy();
+    expect(completed).toBe(true);
+  });
+});
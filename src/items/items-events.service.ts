@@ -0,0 +1,106 @@
+import { Inject, Injectable, Logger, OnModuleDestroy, Optional } from '@nestjs/common';
+import { concat, defer, filter, from, Observable, Subject } from 'rxjs';
+import { defaultAppConfig } from '../config/app-config';
+import { ItemEvent, ItemEventType } from './interfaces/item-event.interface';
+import { Item } from './interfaces/item.interface';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces/workspace.interface';
+
+export const ITEMS_EVENT_BUFFER_SIZE = 'ITEMS_EVENT_BUFFER_SIZE';
+
+export interface ItemEventStreamOptions {
+  /** Restricts the stream to changes in this workspace. */
+  workspaceId?: string;
+  /** Replays buffered events newer than this id before going live. */
+  lastEventId?: number;
+  /** Restricts the stream to these item ids. */
+  itemIds?: string[];
+}
+
+/**
+ * Sent first when a reconnecting client's `Last-Event-ID` has already fallen
+ * out of the replay buffer, so it knows to refetch instead of trusting the
+ * replayed events to be complete.
+ */
+export interface ItemEventGap {
+  type: 'reset';
+  lastEventId: number;
+  oldestEventId: number | null;
+}
+
+export type ItemEventStreamEntry = ItemEvent | ItemEventGap;
+
+/** In-process publisher of item changes with a bounded replay buffer. */
+@Injectable()
+export class ItemsEventsService implements OnModuleDestroy {
+  private readonly logger = new Logger(ItemsEventsService.name);
+  private readonly events$ = new Subject<ItemEvent>();
+  private readonly buffer: ItemEvent[] = [];
+  private readonly bufferSize: number;
+  private nextEventId = 1;
+
+  constructor(@Optional() @Inject(ITEMS_EVENT_BUFFER_SIZE) bufferSize?: number) {
+    this.bufferSize = bufferSize ?? defaultAppConfig().items.eventBufferSize;
+  }
+
+  /** Ends every live stream, so open event-stream responses do not hold up a shutdown. */
+  onModuleDestroy(): void {
+    this.logger.log('Closing item event streams');
+    this.events$.complete();
+  }
+
+  publish(
+    type: ItemEventType,
+    item: Item,
+    actor: string,
+    workspaceId = DEFAULT_WORKSPACE_ID,
+  ): ItemEvent {
+    const event: ItemEvent = {
+      id: this.nextEventId++,
+      type,
+      workspaceId,
+      itemId: item.id,
+      item: structuredClone(item),
+      actor,
+      timestamp: new Date(),
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    this.events$.next(event);
+    return event;
+  }
+
+  /** Live events only, for in-process consumers. */
+  get changes(): Observable<ItemEvent> {
+    return this.events$.asObservable();
+  }
+
+  /**
+   * Buffered events after `lastEventId` followed by live events. The replay
+   * snapshot and the live subscription are taken in the same synchronous
+   * step, so no event is skipped or delivered twice in between.
+   */
+  stream(options: ItemEventStreamOptions = {}): Observable<ItemEventStreamEntry> {
+    const itemIds = options.itemIds?.length ? new Set(options.itemIds) : undefined;
+    const { workspaceId } = options;
+    const matches = (event: ItemEvent) =>
+      (workspaceId === undefined || event.workspaceId === workspaceId) &&
+      (!itemIds || itemIds.has(event.itemId));
+
+    return defer(() => {
+      const entries: ItemEventStreamEntry[] = [];
+      const { lastEventId } = options;
+      if (lastEventId !== undefined) {
+        const oldestEventId = this.buffer[0]?.id ?? null;
+        const expected = lastEventId + 1;
+        if (lastEventId >= this.nextEventId || (oldestEventId ?? this.nextEventId) > expected) {
+          this.logger.warn(`Cannot fully replay item events after id ${lastEventId}`);
+          entries.push({ type: 'reset', lastEventId, oldestEventId });
+        }
+        entries.push(...this.buffer.filter((event) => event.id > lastEventId && matches(event)));
+      }
+      return concat(from(entries), this.events$.pipe(filter(matches)));
+    });
+  }
+}
@@ -0,0 +1,9 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig } from '../config/app-config';
+import { ITEMS_IDEMPOTENCY_TTL_MS } from './items-idempotency.service';
+
+export const itemsIdempotencyTtlProvider: Provider = {
+  provide: ITEMS_IDEMPOTENCY_TTL_MS,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): number => config.items.idempotencyTtlSeconds * 1000,
+};
@@ -0,0 +1,103 @@
+import { BadRequestException, UnprocessableEntityException } from '@nestjs/common';
+import { ItemsIdempotencyService } from './items-idempotency.service';
+import { ItemsService } from './items.service';
+
+describe('ItemsIdempotencyService', () => {
+  const TTL_MS = 60 * 1000;
+  let service: ItemsIdempotencyService;
+  let itemsService: ItemsService;
+
+  const createOnce = (key: string, dto: { name: string; description: string; tags?: string[] }) =>
+    service.execute(key, dto, () => itemsService.create(dto));
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    service = new ItemsIdempotencyService(TTL_MS);
+    itemsService = new ItemsService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should create once and replay the stored response for retries', () => {
+    const first = createOnce('key-1', { name: 'Test', description: 'Test' });
+    itemsService.update(first.item.id, { name: 'Changed later' });
+    const retry = createOnce('key-1', { name: 'Test', description: 'Test' });
+
+    expect(first.replayed).toBe(false);
+    expect(retry).toEqual({ item: first.item, replayed: true });
+    expect(retry.item.name).toBe('Test');
+    expect(itemsService.findAll()).toHaveLength(1);
+  });
+
+  it('should reject a reused key with a different body', () => {
+    createOnce('key-1', { name: 'Test', description: 'Test', tags: ['a'] });
+    expect(() => createOnce('key-1', { name: 'Test', description: 'Test', tags: ['b'] })).toThrow(
+      UnprocessableEntityException,
+    );
+    expect(itemsService.findAll()).toHaveLength(1);
+  });
+
+  it('should treat different keys independently', () => {
+    createOnce('key-1', { name: 'Test', description: 'Test' });
+    expect(createOnce('key-2', { name: 'Other', description: 'Test' }).replayed).toBe(false);
+    expect(itemsService.findAll()).toHaveLength(2);
+  });
+
+  it('should scope keys to the workspace', () => {
+    const dto = { name: 'Test', description: 'Test' };
+    const other = new ItemsService();
+    createOnce('key-1', dto);
+    const result = service.execute('key-1', dto, () => other.create(dto), {
+      workspaceId: 'team-a',
+    });
+    expect(result.replayed).toBe(false);
+    expect(other.findAll()).toEqual([result.item]);
+  });
+
+  it('should scope keys to the actor', () => {
+    const dto = { name: 'Test', description: 'Test' };
+    const asAlice = service.execute('key-1', dto, () => itemsService.create(dto), {
+      actor: 'alice',
+    });
+    const retry = service.execute('key-1', dto, () => itemsService.create(dto), {
+      actor: 'alice',
+    });
+    expect(retry).toEqual({ item: asAlice.item, replayed: true });
+
+    const other = { name: 'Other', description: 'Test' };
+    const asBob = service.execute('key-1', other, () => itemsService.create(other), {
+      actor: 'bob',
+    });
+    expect(asBob.replayed).toBe(false);
+    expect(itemsService.findAll()).toHaveLength(2);
+  });
+
+  it('should forget keys once the TTL has passed', () => {
+    createOnce('key-1', { name: 'Test', description: 'Test' });
+    jest.advanceTimersByTime(TTL_MS - 1);
+    expect(createOnce('key-1', { name: 'Test', description: 'Test' }).replayed).toBe(true);
+    jest.advanceTimersByTime(1);
+    expect(createOnce('key-1', { name: 'Other', description: 'Test' }).replayed).toBe(false);
+    expect(itemsService.findAll()).toHaveLength(2);
+  });
+
+  it('should not store failed attempts', () => {
+    expect(() =>
+      service.execute('key-1', {}, () => {
+        throw new BadRequestException('boom');
+      }),
+    ).toThrow(BadRequestException);
+    expect(createOnce('key-1', { name: 'Test', description: 'Test' }).replayed).toBe(false);
+  });
+
+  it('should reject malformed keys', () => {
+    expect(() => createOnce('', { name: 'Test', description: 'Test' })).toThrow(
+      BadRequestException,
+    );
+    expect(() => createOnce('has space', { name: 'Test', description: 'Test' })).toThrow(
+      BadRequestException,
+    );
+  });
+});
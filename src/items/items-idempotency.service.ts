@@ -0,0 +1,105 @@
+import {
+  BadRequestException,
+  Inject,
+  Injectable,
+  Logger,
+  Optional,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { isDeepStrictEqual } from 'util';
+import { ANONYMOUS_ACTOR } from '../common/decorators/actor.decorator';
+import { defaultAppConfig } from '../config/app-config';
+import { Item } from './interfaces/item.interface';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces/workspace.interface';
+
+export const ITEMS_IDEMPOTENCY_TTL_MS = 'ITEMS_IDEMPOTENCY_TTL_MS';
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+export interface IdempotentResult {
+  item: Item;
+  replayed: boolean;
+}
+
+/** Who sent a request and where; keys are only ever matched within one scope. */
+export interface IdempotencyScope {
+  workspaceId?: string;
+  actor?: string;
+}
+
+interface IdempotencyRecord {
+  request: unknown;
+  item: Item;
+  expiresAt: number;
+}
+
+/**
+ * Remembers the response to each `Idempotency-Key` so that retried creates
+ * replay the original item instead of inserting a duplicate.
+ */
+@Injectable()
+export class ItemsIdempotencyService {
+  private readonly logger = new Logger(ItemsIdempotencyService.name);
+  /** Keyed by the JSON array `[workspace id, actor, key]`, as actors may contain any character. */
+  private readonly records = new Map<string, IdempotencyRecord>();
+  private readonly ttlMs: number;
+
+  constructor(@Optional() @Inject(ITEMS_IDEMPOTENCY_TTL_MS) ttlMs?: number) {
+    this.ttlMs = ttlMs ?? defaultAppConfig().items.idempotencyTtlSeconds * 1000;
+  }
+
+  /**
+   * Runs `create` once per key. A retry with an equal request body gets the
+   * stored item back; reusing the key for a different body is a 422. Failed
+   * attempts are not stored, so a client may retry them under the same key.
+   * Keys are scoped to the workspace and the actor, so neither tenants nor
+   * callers sharing one can collide on them or replay each other's items.
+   */
+  execute(
+    key: string,
+    request: object,
+    create: () => Item,
+    scope: IdempotencyScope = {},
+  ): IdempotentResult {
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      throw new BadRequestException(
+        'Idempotency-Key must be 1-255 printable ASCII characters without spaces',
+      );
+    }
+    this.evictExpired();
+
+    const normalized = structuredClone({ ...request });
+    const recordKey = JSON.stringify([
+      scope.workspaceId ?? DEFAULT_WORKSPACE_ID,
+      scope.actor ?? ANONYMOUS_ACTOR,
+      key,
+    ]);
+    const existing = this.records.get(recordKey);
+    if (existing) {
+      if (!isDeepStrictEqual(existing.request, normalized)) {
+        throw new UnprocessableEntityException(
+          `Idempotency-Key "${key}" was already used with a different request body`,
+        );
+      }
+      this.logger.log(`Replaying response for idempotency key: ${key}`);
+      return { item: structuredClone(existing.item), replayed: true };
+    }
+
+    const item = create();
+    this.records.set(recordKey, {
+      request: normalized,
+      item: structuredClone(item),
+      expiresAt: Date.now() + this.ttlMs,
+    });
+    return { item, replayed: false };
+  }
+
+  private evictExpired(): void {
+    const now = Date.now();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,186 @@
+import { Logger } from '@nestjs/common';
+import { Test, TestingModule } from '@nestjs/testing';
+import { Readable } from 'stream';
+import {
+  importFormatFromContentType,
+  ItemsImportExportService,
+} from './items-import-export.service';
+import { ItemsService } from './items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+
+async function* linesOf(text: string) {
+  yield* text.split('\n');
+}
+
+async function readAll(stream: Readable): Promise<string> {
+  let output = '';
+  for await (const chunk of stream) {
+    output += chunk;
+  }
+  return output;
+}
+
+describe('ItemsImportExportService', () => {
+  let service: ItemsImportExportService;
+  let itemsService: ItemsService;
+  let workspacesService: WorkspacesService;
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [ItemsService, WorkspacesService, ItemsImportExportService],
+    }).compile();
+
+    service = module.get<ItemsImportExportService>(ItemsImportExportService);
+    itemsService = module.get<ItemsService>(ItemsService);
+    workspacesService = module.get<WorkspacesService>(WorkspacesService);
+  });
+
+  describe('exportItems', () => {
+    beforeEach(() => {
+      itemsService.create({
+        name: 'First, item',
+        description: 'Line one\nLine two',
+        tags: ['fruit', 'red'],
+      });
+      itemsService.create({ name: 'Second', description: 'Plain' });
+      const removed = itemsService.create({ name: 'Removed', description: 'Hidden' });
+      itemsService.remove(removed.id);
+    });
+
+    it('should export active items as CSV', async () => {
+      const csv = await readAll(service.exportItems('csv'));
+      const lines = csv.split('\n');
+      expect(lines[0]).toBe('id,name,description,tags,version,createdAt,updatedAt');
+      expect(lines[1]).toMatch(/^1,"First, item","Line one$/);
+      expect(csv).not.toContain('Removed');
+    });
+
+    it('should export NDJSON with one item per line', async () => {
+      const lines = (await readAll(service.exportItems('ndjson'))).trim().split('\n');
+      expect(lines.map((line) => JSON.parse(line).name)).toEqual(['First, item', 'Second']);
+    });
+
+    it('should export a JSON array', async () => {
+      const items = JSON.parse(await readAll(service.exportItems('json')));
+      expect(items).toHaveLength(2);
+    });
+
+    it('should round-trip a CSV export through import', async () => {
+      const csv = await readAll(service.exportItems('csv'));
+      itemsService.findAll().forEach((item) => itemsService.remove(item.id));
+      const result = await service.importItems(linesOf(csv), 'csv');
+      expect(result.errors).toEqual([]);
+      expect(result.imported).toBe(2);
+      expect(itemsService.findOne(result.ids[0]).description).toBe('Line one\nLine two');
+      expect(itemsService.findOne(result.ids[0]).tags).toEqual(['fruit', 'red']);
+    });
+  });
+
+  describe('importItems', () => {
+    it('should import valid CSV rows and report invalid ones with line numbers', async () => {
+      const csv = [
+        'name,description',
+        'Valid,"Quoted, description"',
+        ',Missing name',
+        'Too,many,columns',
+        '',
+        'Also valid,Fine',
+      ].join('\n');
+
+      const result = await service.importItems(linesOf(csv), 'csv', { actor: 'importer' });
+
+      expect(result).toMatchObject({ total: 4, imported: 2, failed: 2, dryRun: false });
+      expect(result.errors.map((error) => error.line)).toEqual([3, 4]);
+      expect(result.errors[0].errors).toContain('name should not be empty');
+      expect(result.errors[1].errors).toEqual(['expected 2 columns but found 3']);
+      expect(itemsService.findAll().map((item) => item.name)).toEqual(['Valid', 'Also valid']);
+      expect(itemsService.findHistory(result.ids[0])[0].actor).toBe('importer');
+    });
+
+    it('should reject unknown CSV columns per row', async () => {
+      const result = await service.importItems(linesOf('name,description,colour\nA,B,red'), 'csv');
+      expect(result.errors).toEqual([{ line: 2, errors: ['property colour should not exist'] }]);
+    });
+
+    it('should import NDJSON rows and skip blank lines', async () => {
+      const ndjson = [
+        '{"name":"One","description":"First"}',
+        '',
+        'not json',
+        '[1,2]',
+        '{"id":"42","name":"Two","description":"Second","version":9}',
+      ].join('\n');
+
+      const result = await service.importItems(linesOf(ndjson), 'ndjson');
+
+      expect(result).toMatchObject({ total: 4, imported: 2, failed: 2 });
+      expect(result.errors).toEqual([
+        { line: 3, errors: ['invalid JSON'] },
+        { line: 4, errors: ['payload must be an object'] },
+      ]);
+      expect(itemsService.findOne(result.ids[1]).version).toBe(1);
+    });
+
+    it('should reject names already taken by an item or an earlier row', async () => {
+      const existing = itemsService.create({ name: 'Taken', description: 'Existing' });
+      const csv = ['name,description', ' TAKEN,Clash', 'Fresh,New', 'fresh,Repeat'].join('\n');
+
+      for (const dryRun of [true, false]) {
+        const result = await service.importItems(linesOf(csv), 'csv', { dryRun });
+        expect(result).toMatchObject({ total: 3, imported: 1, failed: 2 });
+        expect(result.errors).toEqual([
+          { line: 2, errors: [`name " TAKEN" is already used by item ${existing.id}`] },
+          { line: 4, errors: ['name "fresh" repeats the name on line 3'] },
+        ]);
+      }
+    });
+
+    it('should check names without logging every free one as a missing item', async () => {
+      const warn = jest.spyOn(Logger.prototype, 'warn').mockImplementation();
+      const csv = ['name,description', 'One,First', 'Two,Second'].join('\n');
+
+      await expect(service.importItems(linesOf(csv), 'csv')).resolves.toMatchObject({
+        imported: 2,
+      });
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should only validate in dry-run mode', async () => {
+      const result = await service.importItems(
+        linesOf('{"name":"One","description":"First"}'),
+        'ndjson',
+        { dryRun: true },
+      );
+      expect(result).toMatchObject({ dryRun: true, imported: 1, ids: [] });
+      expect(itemsService.findAll()).toHaveLength(0);
+    });
+
+    it('should report rows beyond the item limit in dry runs as in real imports', async () => {
+      workspacesService.create({ id: 'team-a', name: 'Team A', itemLimit: 2 });
+      workspacesService.itemsIn('team-a').create({ name: 'Existing', description: 'Test' });
+      const csv = ['name,description', 'One,First', 'Two,Second', 'Three,Third'].join('\n');
+
+      for (const dryRun of [true, false]) {
+        const result = await service.importItems(linesOf(csv), 'csv', {
+          dryRun,
+          workspaceId: 'team-a',
+        });
+        expect(result).toMatchObject({ total: 3, imported: 1, failed: 2 });
+        expect(result.errors.map((error) => error.line)).toEqual([3, 4]);
+        expect(result.errors[0].errors).toEqual([
+          'Workspace "team-a" already holds its limit of 2 items',
+        ]);
+      }
+    });
+  });
+
+  describe('importFormatFromContentType', () => {
+    it('should map media types to import formats', () => {
+      expect(importFormatFromContentType('text/csv; charset=utf-8')).toBe('csv');
+      expect(importFormatFromContentType('application/x-ndjson')).toBe('ndjson');
+      expect(importFormatFromContentType('application/json')).toBeUndefined();
+      expect(importFormatFromContentType()).toBeUndefined();
+    });
+  });
+});
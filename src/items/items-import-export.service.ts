@@ -0,0 +1,316 @@
+import { HttpException, Injectable, Logger } from '@nestjs/common';
+import { Readable } from 'stream';
+import { validateDto } from '../common/validation/validate-dto';
+import { CreateItemDto } from './dto/create-item.dto';
+import { ExportFormat, ImportFormat } from './dto/transfer-items-query.dto';
+import { Item } from './interfaces/item.interface';
+import { normalizeItemName } from './item-name';
+import { ItemsService } from './items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { fromCsvValue, parseCsvRecords, toCsvRow } from './transfer/csv';
+
+export const MAX_IMPORT_ROWS = 10000;
+/** Valid rows are created in batches of this many, each written to the store at once. */
+const IMPORT_WRITE_BATCH = 500;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'description',
+  'tags',
+  'version',
+  'createdAt',
+  'updatedAt',
+] as const;
+const CSV_TAG_SEPARATOR = ';';
+
+/** Columns produced by an export that are assigned by the server on import. */
+const SERVER_MANAGED_FIELDS = new Set([
+  'id',
+  'ownerId',
+  'version',
+  'createdAt',
+  'updatedAt',
+  'deletedAt',
+]);
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+export function importFormatFromContentType(contentType?: string): ImportFormat | undefined {
+  const mediaType = contentType?.split(';')[0].trim().toLowerCase();
+  switch (mediaType) {
+    case 'text/csv':
+      return 'csv';
+    case 'application/x-ndjson':
+    case 'application/ndjson':
+      return 'ndjson';
+    default:
+      return undefined;
+  }
+}
+
+export interface ImportRowError {
+  line: number;
+  errors: string[];
+}
+
+export interface ImportResult {
+  format: ImportFormat;
+  dryRun: boolean;
+  total: number;
+  imported: number;
+  failed: number;
+  ids: string[];
+  errors: ImportRowError[];
+}
+
+export interface ImportOptions {
+  dryRun?: boolean;
+  actor?: string;
+  /** The workspace to import into; the default workspace when unset. */
+  workspaceId?: string;
+}
+
+interface ImportRow {
+  line: number;
+  data?: Record<string, unknown>;
+  errors?: string[];
+}
+
+interface ValidImportRow {
+  line: number;
+  value: CreateItemDto;
+}
+
+@Injectable()
+export class ItemsImportExportService {
+  private readonly logger = new Logger(ItemsImportExportService.name);
+
+  constructor(private readonly workspacesService: WorkspacesService) {}
+
+  exportItems(format: ExportFormat, workspaceId?: string): Readable {
+    const items = this.workspacesService.itemsIn(workspaceId).findAll();
+    this.logger.log(`Exporting ${items.length} items as ${format}`);
+    return Readable.from(this.serialize(items, format));
+  }
+
+  /**
+   * Imports items row by row. Invalid rows, and rows whose name is taken by
+   * an existing item or an earlier row, are reported with their line number
+   * and skipped; the remaining rows are still imported unless this is a dry
+   * run.
+   */
+  async importItems(
+    lines: AsyncIterable<string>,
+    format: ImportFormat,
+    options: ImportOptions = {},
+  ): Promise<ImportResult> {
+    const dryRun = options.dryRun ?? false;
+    const items = this.workspacesService.itemsIn(options.workspaceId);
+    const activeCount = items.countItems().active;
+    this.logger.log(`Importing items from ${format}${dryRun ? ' (dry run)' : ''}`);
+    const result: ImportResult = {
+      format,
+      dryRun,
+      total: 0,
+      imported: 0,
+      failed: 0,
+      ids: [],
+      errors: [],
+    };
+
+    const linesByName = new Map<string, number>();
+    const pending: ValidImportRow[] = [];
+    const rows = format === 'csv' ? this.csvRows(lines) : this.ndjsonRows(lines);
+    for await (const row of rows) {
+      if (result.total >= MAX_IMPORT_ROWS) {
+        result.errors.push({
+          line: row.line,
+          errors: [`import is limited to ${MAX_IMPORT_ROWS} rows, remaining rows were skipped`],
+        });
+        break;
+      }
+      result.total += 1;
+
+      const { value, errors } = row.errors
+        ? { value: undefined, errors: row.errors }
+        : validateDto(CreateItemDto, row.data);
+      if (errors.length > 0 || !value) {
+        result.failed += 1;
+        result.errors.push({ line: row.line, errors });
+        continue;
+      }
+      const nameError = this.nameConflict(items, value.name, linesByName);
+      if (nameError) {
+        result.failed += 1;
+        result.errors.push({ line: row.line, errors: [nameError] });
+        continue;
+      }
+      linesByName.set(normalizeItemName(value.name), row.line);
+      if (dryRun) {
+        // Nothing is created, so rows are checked against the item limit as planned creates.
+        if (activeCount + result.imported >= items.itemLimit) {
+          result.failed += 1;
+          result.errors.push({
+            line: row.line,
+            errors: [
+              `Workspace "${items.workspaceId}" already holds its limit of ${items.itemLimit} items`,
+            ],
+          });
+          continue;
+        }
+        result.imported += 1;
+      } else {
+        pending.push({ line: row.line, value });
+        if (pending.length >= IMPORT_WRITE_BATCH) {
+          this.createRows(items, pending.splice(0), result, options.actor);
+        }
+      }
+    }
+    this.createRows(items, pending, result, options.actor);
+    result.errors.sort((a, b) => a.line - b.line);
+
+    this.logger.log(
+      `Import finished: ${result.imported} ${dryRun ? 'valid' : 'imported'}, ${result.failed} failed`,
+    );
+    return result;
+  }
+
+  /** Creates validated rows as one write to the store; rows the store rejects are reported. */
+  private createRows(
+    items: ItemsService,
+    rows: ValidImportRow[],
+    result: ImportResult,
+    actor?: string,
+  ): void {
+    items.transaction(() => {
+      for (const { line, value } of rows) {
+        try {
+          result.ids.push(items.create(value, { actor }).id);
+          result.imported += 1;
+        } catch (error: unknown) {
+          if (!(error instanceof HttpException)) {
+            throw error;
+          }
+          result.failed += 1;
+          result.errors.push({ line, errors: [error.message] });
+        }
+      }
+    });
+  }
+
+  private nameConflict(
+    items: ItemsService,
+    name: string,
+    linesByName: Map<string, number>,
+  ): string | undefined {
+    const earlierLine = linesByName.get(normalizeItemName(name));
+    if (earlierLine !== undefined) {
+      return `name "${name}" repeats the name on line ${earlierLine}`;
+    }
+    const existing = items.findByNameOrUndefined(name);
+    return existing && `name "${name}" is already used by item ${existing.id}`;
+  }
+
+  private *serialize(items: Item[], format: ExportFormat): Generator<string> {
+    switch (format) {
+      case 'csv':
+        yield `${EXPORT_COLUMNS.join(',')}\n`;
+        for (const item of items) {
+          yield `${toCsvRow(EXPORT_COLUMNS.map((column) => this.formatValue(item[column])))}\n`;
+        }
+        return;
+      case 'ndjson':
+        for (const item of items) {
+          yield `${JSON.stringify(item)}\n`;
+        }
+        return;
+      case 'json':
+        yield '[';
+        for (const [index, item] of items.entries()) {
+          yield `${index > 0 ? ',' : ''}${JSON.stringify(item)}`;
+        }
+        yield ']\n';
+        return;
+    }
+  }
+
+  private formatValue(value: string | string[] | number | Date): string {
+    if (Array.isArray(value)) {
+      return value.join(CSV_TAG_SEPARATOR);
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+
+  private parseCsvValue(column: string, value: string): string | string[] {
+    const parsed = fromCsvValue(value);
+    if (column !== 'tags') {
+      return parsed;
+    }
+    return parsed
+      .split(CSV_TAG_SEPARATOR)
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0);
+  }
+
+  private async *csvRows(lines: AsyncIterable<string>): AsyncGenerator<ImportRow> {
+    let header: string[] | undefined;
+    for await (const record of parseCsvRecords(lines)) {
+      if (record.error) {
+        yield { line: record.line, errors: [record.error] };
+      } else if (!header) {
+        header = record.fields.map((column) => column.trim());
+      } else if (record.fields.length !== header.length) {
+        yield {
+          line: record.line,
+          errors: [`expected ${header.length} columns but found ${record.fields.length}`],
+        };
+      } else {
+        const columns = header;
+        yield {
+          line: record.line,
+          data: this.withoutServerFields(
+            Object.fromEntries(
+              record.fields.map((value, index) => [
+                columns[index],
+                this.parseCsvValue(columns[index], value),
+              ]),
+            ),
+          ),
+        };
+      }
+    }
+  }
+
+  private async *ndjsonRows(lines: AsyncIterable<string>): AsyncGenerator<ImportRow> {
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (line.trim() === '') {
+        continue;
+      }
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        yield { line: lineNumber, errors: ['invalid JSON'] };
+        continue;
+      }
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        yield { line: lineNumber, errors: ['payload must be an object'] };
+        continue;
+      }
+      yield { line: lineNumber, data: this.withoutServerFields(parsed as Record<string, unknown>) };
+    }
+  }
+
+  private withoutServerFields(data: Record<string, unknown>): Record<string, unknown> {
+    return Object.fromEntries(
+      Object.entries(data).filter(([field]) => !SERVER_MANAGED_FIELDS.has(field)),
+    );
+  }
+}
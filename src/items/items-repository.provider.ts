@@ -0,0 +1,26 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { FileItemsRepository } from './repositories/file-items.repository';
+import { InMemoryItemsRepository } from './repositories/in-memory-items.repository';
+import { ITEMS_REPOSITORY, ItemsRepository, ItemsStoreType } from './repositories/items.repository';
+
+export function createItemsRepository(
+  store = 'memory',
+  filePath = defaultAppConfig().items.storePath,
+): ItemsRepository {
+  switch (store as ItemsStoreType) {
+    case 'memory':
+      return new InMemoryItemsRepository();
+    case 'file':
+      return new FileItemsRepository(filePath);
+    default:
+      throw new Error(`Unknown ITEMS_STORE "${store}", expected "memory" or "file"`);
+  }
+}
+
+export const itemsRepositoryProvider: Provider = {
+  provide: ITEMS_REPOSITORY,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): ItemsRepository =>
+    createItemsRepository(config.items.store, config.items.storePath),
+};
@@ -0,0 +1,98 @@
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadAppConfig } from '../config/app-config.provider';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { ItemsService } from './items.service';
+import { ItemsSnapshotService } from './items-snapshot.service';
+
+describe('ItemsSnapshotService', () => {
+  let tempDir: string;
+  let snapshotPath: string;
+
+  const start = (env: NodeJS.ProcessEnv = {}) => {
+    const config = loadAppConfig(
+      { ITEMS_SNAPSHOT_ENABLED: 'true', ITEMS_SNAPSHOT_PATH: snapshotPath, ...env },
+      tempDir,
+    );
+    const itemsService = new ItemsService(undefined, undefined, undefined, config);
+    const workspacesService = new WorkspacesService(itemsService, undefined, config);
+    return {
+      itemsService,
+      workspacesService,
+      snapshots: new ItemsSnapshotService(workspacesService, config),
+    };
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'items-snapshot-'));
+    snapshotPath = join(tempDir, 'state', 'items.snapshot.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should restore the store saved by a previous run', async () => {
+    const previous = start();
+    const item = previous.itemsService.create({ name: 'Widget', description: 'Test' });
+    previous.workspacesService.create({ id: 'team-a', name: 'Team A', itemLimit: 5 });
+    const teamItem = previous.workspacesService
+      .itemsIn('team-a')
+      .create({ name: 'Widget', description: 'Team' });
+    await previous.snapshots.save();
+    expect(readdirSync(join(tempDir, 'state'))).toEqual(['items.snapshot.json']);
+
+    const next = start();
+    await expect(next.snapshots.load()).resolves.toBe(2);
+    expect(next.itemsService.findOne(item.id)).toEqual(item);
+    expect(next.workspacesService.findOne('team-a')).toMatchObject({ itemLimit: 5, itemCount: 1 });
+    expect(next.workspacesService.itemsIn('team-a').findOne(teamItem.id)).toEqual(teamItem);
+  });
+
+  it('should start empty without a snapshot', async () => {
+    const { itemsService, snapshots } = start();
+    await expect(snapshots.load()).resolves.toBe(0);
+    expect(itemsService.findAll()).toEqual([]);
+  });
+
+  it('should move a corrupt snapshot aside and start empty', async () => {
+    const previous = start();
+    previous.itemsService.create({ name: 'Widget', description: 'Test' });
+    await previous.snapshots.save();
+    writeFileSync(snapshotPath, readFileSync(snapshotPath, 'utf-8').replace('Widget', 'Gadget'));
+
+    const { itemsService, snapshots } = start();
+    await expect(snapshots.load()).resolves.toBe(0);
+    expect(itemsService.findAll()).toEqual([]);
+    expect(existsSync(snapshotPath)).toBe(false);
+    expect(readdirSync(join(tempDir, 'state'))).toEqual([
+      expect.stringMatching(/^items\.snapshot\.json\.corrupt-\d+$/),
+    ]);
+  });
+
+  it('should leave a store that already has items untouched', async () => {
+    const previous = start();
+    previous.itemsService.create({ name: 'Widget', description: 'Test' });
+    await previous.snapshots.save();
+
+    const { itemsService, snapshots } = start();
+    itemsService.create({ name: 'Gadget', description: 'Test' });
+    await expect(snapshots.load()).resolves.toBe(0);
+    expect(itemsService.findAll().map((item) => item.name)).toEqual(['Gadget']);
+
+    const other = start();
+    other.workspacesService.create({ id: 'team-a', name: 'Team A' });
+    await expect(other.snapshots.load()).resolves.toBe(0);
+    expect(other.itemsService.findAll()).toEqual([]);
+  });
+
+  it('should do nothing unless enabled or when items are stored in a file', async () => {
+    for (const env of [{ ITEMS_SNAPSHOT_ENABLED: undefined }, { ITEMS_STORE: 'file' }]) {
+      const { itemsService, snapshots } = start(env);
+      itemsService.create({ name: 'Widget', description: 'Test' });
+      await snapshots.save();
+      expect(existsSync(snapshotPath)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { Inject, Injectable, Logger, OnModuleInit, Optional } from '@nestjs/common';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { WorkspacesState } from '../workspaces/workspace.interface';
+import {
+  parseSnapshot,
+  serializeSnapshot,
+  SnapshotIntegrityError,
+} from './snapshot/items-snapshot';
+
+/**
+ * Carries the `memory` item store across restarts: every workspace and its
+ * items are written to a snapshot file at shutdown and read back before the server starts listening.
+ * The `file` store persists every change itself and is left alone.
+ */
+@Injectable()
+export class ItemsSnapshotService implements OnModuleInit {
+  private readonly logger = new Logger(ItemsSnapshotService.name);
+  private readonly enabled: boolean;
+  private readonly snapshotPath: string;
+
+  constructor(
+    private readonly workspacesService: WorkspacesService,
+    @Optional() @Inject(APP_CONFIG) config?: AppConfig,
+  ) {
+    const { store, snapshotEnabled, snapshotPath } = (config ?? defaultAppConfig()).items;
+    this.enabled = snapshotEnabled && store === 'memory';
+    this.snapshotPath = snapshotPath;
+  }
+
+  async onModuleInit(): Promise<void> {
+    await this.load();
+  }
+
+  /**
+   * Restores the store from the snapshot file, if there is one. A snapshot
+   * failing its integrity checks is moved aside rather than deleted, and the
+   * store starts empty. Returns the number of items loaded across workspaces.
+   */
+  async load(): Promise<number> {
+    if (!this.enabled) {
+      return 0;
+    }
+    let contents: string;
+    try {
+      contents = await fs.readFile(this.snapshotPath, 'utf-8');
+    } catch (error: unknown) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        this.logger.log(`No item snapshot found, starting empty: ${this.snapshotPath}`);
+        return 0;
+      }
+      throw error;
+    }
+
+    let state: WorkspacesState;
+    try {
+      state = parseSnapshot(contents);
+    } catch (error: unknown) {
+      if (!(error instanceof SnapshotIntegrityError)) {
+        throw error;
+      }
+      const quarantinePath = `${this.snapshotPath}.corrupt-${Date.now()}`;
+      await fs.rename(this.snapshotPath, quarantinePath);
+      this.logger.error(
+        `Item snapshot failed its integrity check (${error.message}); ` +
+          `moved it to ${quarantinePath} and starting empty`,
+      );
+      return 0;
+    }
+    const counts = Array.from(this.workspacesService.countItems().values());
+    if (counts.length > 1 || counts.some(({ active, deleted }) => active + deleted > 0)) {
+      this.logger.warn(`Item store is not empty; ignoring snapshot ${this.snapshotPath}`);
+      return 0;
+    }
+    this.workspacesService.importState(state);
+    const loaded = itemCount(state);
+    this.logger.log(
+      `Loaded ${loaded} items in ${state.workspaces.length + 1} workspaces from snapshot ${this.snapshotPath}`,
+    );
+    return loaded;
+  }
+
+  /**
+   * Writes the whole store to the snapshot file. The file is written beside
+   * its final path and then renamed over it, so a crash mid-write leaves the
+   * previous snapshot intact.
+   */
+  async save(): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+    const state = this.workspacesService.exportState();
+    const tempPath = `${this.snapshotPath}.tmp`;
+    try {
+      await fs.mkdir(dirname(this.snapshotPath), { recursive: true });
+      await fs.writeFile(tempPath, serializeSnapshot(state), 'utf-8');
+      await fs.rename(tempPath, this.snapshotPath);
+    } catch (error: unknown) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+    this.logger.log(
+      `Wrote ${itemCount(state)} items in ${state.workspaces.length + 1} workspaces to snapshot ${this.snapshotPath}`,
+    );
+  }
+}
+
+function itemCount(state: WorkspacesState): number {
+  return state.workspaces.reduce((count, { items }) => count + items.length, state.items.length);
+}
@@ -1,17 +1,50 @@
+import {
+  BadRequestException,
+  NotFoundException,
+  PreconditionFailedException,
+  UnsupportedMediaTypeException,
+} from '@nestjs/common';
 import { Test, TestingModule } from '@nestjs/testing';
+import { Request, Response } from 'express';
+import { randomUUID } from 'crypto';
+import { firstValueFrom, take, toArray } from 'rxjs';
+import { Readable } from 'stream';
+import { ITEM_ID_STRATEGY, UuidV4IdStrategy } from './ids/item-id.strategy';
 import { ItemsController } from './items.controller';
+import { ItemsBulkService } from './items-bulk.service';
+import { ItemsEventsService } from './items-events.service';
+import { ItemsIdempotencyService } from './items-idempotency.service';
+import { ItemsImportExportService } from './items-import-export.service';
 import { ItemsService } from './items.service';
+import { ListItemsQueryDto } from './dto/list-items-query.dto';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+
+const mockResponse = () => {
+  const res = { setHeader: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res as typeof res & Response;
+};
 
 describe('ItemsController', () => {
   let controller: ItemsController;
+  let workspacesService: WorkspacesService;
 
   beforeEach(async () => {
     const module: TestingModule = await Test.createTestingModule({
       controllers: [ItemsController],
-      providers: [ItemsService],
+      providers: [
+        { provide: ITEM_ID_STRATEGY, useValue: new UuidV4IdStrategy() },
+        ItemsService,
+        WorkspacesService,
+        ItemsBulkService,
+        ItemsImportExportService,
+        ItemsIdempotencyService,
+        ItemsEventsService,
+      ],
     }).compile();
 
     controller = module.get<ItemsController>(ItemsController);
+    workspacesService = module.get<WorkspacesService>(WorkspacesService);
   });
 
   it('should be defined', () => {
@@ -21,41 +54,348 @@ describe('ItemsController', () => {
   describe('create', () => {
     it('should create an item', () => {
       const createItemDto = { name: 'Test', description: 'Test' };
-      const result = controller.create(createItemDto);
-      expect(result).toHaveProperty('id');
+      const result = controller.create(createItemDto, mockResponse());
+      expect(new UuidV4IdStrategy().isValid(result.id)).toBe(true);
       expect(result.name).toBe(createItemDto.name);
     });
+
+    it('should replay retries that carry the same Idempotency-Key', () => {
+      const createItemDto = { name: 'Test', description: 'Test' };
+      const first = controller.create(createItemDto, mockResponse(), 'retry-1');
+      const res = mockResponse();
+      const retry = controller.create({ ...createItemDto }, res, 'retry-1');
+      expect(retry).toEqual(first);
+      expect(res.setHeader).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      expect(controller.findAll(new ListItemsQueryDto()).total).toBe(1);
+    });
+  });
+
+  describe('bulk', () => {
+    it('should execute a batch of operations', () => {
+      const result = controller.bulk({
+        operations: [{ op: 'create', data: { name: 'Bulk', description: 'Test' } }],
+      });
+      expect(result.succeeded).toBe(1);
+      expect(result.results[0].item?.name).toBe('Bulk');
+    });
+  });
+
+  describe('import and export', () => {
+    it('should import an uploaded CSV stream', async () => {
+      const req = Readable.from(['name,description\n', 'Imported,From CSV\n']) as Request &
+        Readable;
+      const result = await controller.importItems(req, {}, 'text/csv');
+      expect(result.imported).toBe(1);
+      expect(controller.findAll(new ListItemsQueryDto()).items[0].name).toBe('Imported');
+    });
+
+    it('should reject uploads without a supported format', () => {
+      const req = Readable.from([]) as Request & Readable;
+      expect(() => controller.importItems(req, {}, 'application/json')).toThrow(
+        UnsupportedMediaTypeException,
+      );
+    });
+
+    it('should reject bodies the body parsers have already read', async () => {
+      const req = Readable.from(['{"name":"Parsed","description":"Test"}']) as Request & Readable;
+      req.resume();
+      await new Promise((resolve) => req.once('end', resolve));
+      expect(() => controller.importItems(req, { format: 'ndjson' }, 'application/json')).toThrow(
+        'Bodies sent as application/json cannot be imported; upload items as text/csv or application/x-ndjson',
+      );
+    });
+
+    it('should stream exports with content headers', () => {
+      const file = controller.exportItems({ format: 'csv' });
+      expect(file.getHeaders()).toMatchObject({
+        type: 'text/csv; charset=utf-8',
+        disposition: 'attachment; filename="items.csv"',
+      });
+    });
   });
 
   describe('findAll', () => {
-    it('should return an array', () => {
-      const result = controller.findAll();
-      expect(Array.isArray(result)).toBe(true);
+    it('should return a page of items', () => {
+      const result = controller.findAll(new ListItemsQueryDto());
+      expect(Array.isArray(result.items)).toBe(true);
+      expect(result.total).toBe(0);
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('should pass query parameters to the service', () => {
+      controller.create({ name: 'Alpha', description: 'Test' }, mockResponse());
+      controller.create({ name: 'Beta', description: 'Test' }, mockResponse());
+      const query = new ListItemsQueryDto();
+      query.sort = 'name';
+      query.order = 'desc';
+      query.limit = 1;
+      const result = controller.findAll(query);
+      expect(result.items.map((item) => item.name)).toEqual(['Beta']);
+      expect(result.total).toBe(2);
+    });
+  });
+
+  describe('search', () => {
+    it('should return ranked hits with highlights', () => {
+      controller.create({ name: 'Blue widget', description: 'Test' }, mockResponse());
+      const result = controller.search({ q: 'widg', limit: 5 });
+      expect(result.total).toBe(1);
+      expect(result.results[0].highlights.name).toBe('Blue <mark>widget</mark>');
+    });
+  });
+
+  describe('events', () => {
+    it('should replay changes after Last-Event-ID as named SSE messages', async () => {
+      const first = controller.create({ name: 'First', description: 'Test' }, mockResponse());
+      const second = controller.create({ name: 'Second', description: 'Test' }, mockResponse());
+      controller.remove(first.id);
+
+      const messages = await firstValueFrom(
+        controller.events({ id: [first.id] }, '1').pipe(take(1), toArray()),
+      );
+      expect(messages).toEqual([
+        expect.objectContaining({
+          id: '3',
+          type: 'deleted',
+          data: expect.objectContaining({ itemId: first.id }),
+        }),
+      ]);
+      expect(second.id).not.toBe(first.id);
+    });
+
+    it('should send a reset event when Last-Event-ID cannot be replayed', async () => {
+      const [message] = await firstValueFrom(controller.events({}, '99').pipe(take(1), toArray()));
+      expect(message).toEqual({
+        type: 'reset',
+        data: { type: 'reset', lastEventId: 99, oldestEventId: null },
+      });
     });
   });
 
   describe('findOne', () => {
     it('should return an item by id', () => {
-      const created = controller.create({ name: 'Test', description: 'Test' });
-      const result = controller.findOne(created.id);
-      expect(result.id).toBe(created.id);
-      expect(result.name).toBe('Test');
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const result = controller.findOne(created.id, mockResponse());
+      expect(result?.id).toBe(created.id);
+      expect(result?.name).toBe('Test');
+    });
+
+    it('should set the ETag header', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const res = mockResponse();
+      controller.findOne(created.id, res);
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', '"1"');
+    });
+
+    it('should respond 304 when If-None-Match matches', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const res = mockResponse();
+      expect(controller.findOne(created.id, res, 'W/"1"')).toBeUndefined();
+      expect(res.status).toHaveBeenCalledWith(304);
+    });
+
+    it('should return the item when If-None-Match is stale', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const res = mockResponse();
+      expect(controller.findOne(created.id, res, '"0"')?.id).toBe(created.id);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findByName', () => {
+    it('should find an item by its normalized name and set the ETag header', () => {
+      const created = controller.create(
+        { name: 'Garden  Hose', description: 'Test' },
+        mockResponse(),
+      );
+      const res = mockResponse();
+      expect(controller.findByName(' garden hose', res).id).toBe(created.id);
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', '"1"');
+    });
+
+    it('should throw NotFoundException for an unknown name', () => {
+      expect(() => controller.findByName('Missing', mockResponse())).toThrow(NotFoundException);
     });
   });
 
   describe('update', () => {
     it('should update an item', () => {
-      const created = controller.create({ name: 'Test', description: 'Test' });
-      const result = controller.update(created.id, { name: 'Updated' });
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const result = controller.update(created.id, { name: 'Updated' }, mockResponse());
       expect(result.name).toBe('Updated');
     });
+
+    it('should honor If-Match and return the new ETag', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const res = mockResponse();
+      const result = controller.update(created.id, { name: 'Updated' }, res, '"1"');
+      expect(result.version).toBe(2);
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', '"2"');
+      expect(() => controller.update(created.id, { name: 'Stale' }, res, '"1"')).toThrow(
+        PreconditionFailedException,
+      );
+    });
+  });
+
+  describe('tags', () => {
+    it('should add, remove and list tags', () => {
+      const created = controller.create(
+        { name: 'Test', description: 'Test', tags: ['a'] },
+        mockResponse(),
+      );
+      expect(controller.addTags(created.id, { tags: ['b'] }).tags).toEqual(['a', 'b']);
+      expect(controller.removeTag(created.id, 'a').tags).toEqual(['b']);
+      expect(controller.findTags()).toEqual([{ tag: 'b', count: 1 }]);
+    });
+  });
+
+  describe('history', () => {
+    it('should list, fetch and revert revisions', () => {
+      const created = controller.create(
+        { name: 'Test', description: 'Test' },
+        mockResponse(),
+        undefined,
+        'alice',
+      );
+      controller.update(created.id, { name: 'Updated' }, mockResponse(), undefined, 'bob');
+
+      expect(controller.findHistory(created.id).map((revision) => revision.actor)).toEqual([
+        'alice',
+        'bob',
+      ]);
+      expect(controller.findRevision(created.id, 2).changes).toEqual([
+        { field: 'name', from: 'Test', to: 'Updated' },
+      ]);
+
+      const res = mockResponse();
+      const reverted = controller.revert(created.id, 1, res, '"2"');
+      expect(reverted.name).toBe('Test');
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', '"3"');
+    });
+  });
+
+  describe('replace', () => {
+    it('should replace an existing item', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const res = mockResponse();
+      const result = controller.replace(created.id, { name: 'Put', description: 'Full' }, {}, res);
+      expect(result.name).toBe('Put');
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', '"2"');
+    });
+
+    it('should respond 201 when upserting a new item', () => {
+      const res = mockResponse();
+      controller.replace(randomUUID(), { name: 'Put', description: 'Full' }, { upsert: true }, res);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('patch formats', () => {
+    it('should validate plain JSON bodies as partial updates', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      expect(() =>
+        controller.update(created.id, { name: '' }, mockResponse(), undefined, undefined),
+      ).toThrow(BadRequestException);
+    });
+
+    it('should dispatch merge and JSON patches by content type', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      const merged = controller.update(
+        created.id,
+        { name: 'Merged' },
+        mockResponse(),
+        undefined,
+        undefined,
+        'application/merge-patch+json',
+      );
+      expect(merged.name).toBe('Merged');
+      const patched = controller.update(
+        created.id,
+        [{ op: 'replace', path: '/description', value: 'Patched' }],
+        mockResponse(),
+        undefined,
+        undefined,
+        'application/json-patch+json',
+      );
+      expect(patched.description).toBe('Patched');
+    });
+
+    it('should reject unsupported content types', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      expect(() =>
+        controller.update(created.id, {}, mockResponse(), undefined, undefined, 'text/plain'),
+      ).toThrow(UnsupportedMediaTypeException);
+    });
   });
 
   describe('remove', () => {
     it('should remove an item', () => {
-      const created = controller.create({ name: 'Test', description: 'Test' });
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
       controller.remove(created.id);
-      expect(() => controller.findOne(created.id)).toThrow();
+      expect(() => controller.findOne(created.id, mockResponse())).toThrow();
+    });
+
+    it('should move the item to the trash and restore it', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      controller.remove(created.id);
+      expect(controller.findTrash().map((item) => item.id)).toEqual([created.id]);
+      expect(controller.restore(created.id).deletedAt).toBeNull();
+      expect(controller.findTrash()).toHaveLength(0);
+    });
+
+    it('should purge trash', () => {
+      const first = controller.create({ name: 'First', description: 'Test' }, mockResponse());
+      const second = controller.create({ name: 'Second', description: 'Test' }, mockResponse());
+      controller.remove(first.id);
+      controller.remove(second.id);
+      controller.purge(first.id);
+      expect(controller.purgeTrash({})).toEqual({ purged: 1 });
+      expect(controller.findTrash()).toHaveLength(0);
+    });
+
+    it('should reject a stale If-Match', () => {
+      const created = controller.create({ name: 'Test', description: 'Test' }, mockResponse());
+      controller.update(created.id, { name: 'Updated' }, mockResponse());
+      expect(() => controller.remove(created.id, '"1"')).toThrow(PreconditionFailedException);
+      expect(() => controller.remove(created.id, '"2"')).not.toThrow();
+    });
+  });
+
+  describe('workspaces', () => {
+    const dto = { name: 'Test', description: 'Test' };
+
+    beforeEach(() => {
+      workspacesService.create({ id: 'team-a', name: 'Team A' });
+    });
+
+    it('should serve each workspace its own items', () => {
+      const shared = controller.create(dto, mockResponse());
+      const own = controller.create(dto, mockResponse(), undefined, undefined, 'team-a');
+
+      expect(controller.findAll(new ListItemsQueryDto()).items).toEqual([shared]);
+      expect(controller.findAll(new ListItemsQueryDto(), 'team-a').items).toEqual([own]);
+      expect(() => controller.findOne(shared.id, mockResponse(), undefined, 'team-a')).toThrow(
+        NotFoundException,
+      );
+      expect(() => controller.remove(shared.id, undefined, undefined, undefined, 'team-a')).toThrow(
+        NotFoundException,
+      );
+    });
+
+    it('should scope idempotency keys to the workspace', () => {
+      const first = controller.create(dto, mockResponse(), 'key-1');
+      const res = mockResponse();
+      const other = controller.create(dto, res, 'key-1', undefined, 'team-a');
+      expect(other.id).not.toBe(first.id);
+      expect(res.setHeader).not.toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    });
+
+    it('should reject unknown workspaces', () => {
+      expect(() => controller.findAll(new ListItemsQueryDto(), 'team-b')).toThrow(
+        NotFoundException,
+      );
+      expect(() => controller.events({}, undefined, 'team-b')).toThrow(NotFoundException);
     });
   });
 });
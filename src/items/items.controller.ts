@@ -4,43 +4,537 @@ import {
   Post,
   Body,
   Patch,
+  Put,
   Param,
   Delete,
   HttpCode,
   HttpStatus,
+  Query,
+  Headers,
+  MessageEvent,
+  Res,
+  Sse,
+  ParseIntPipe,
+  Req,
+  StreamableFile,
+  UnsupportedMediaTypeException,
+  BadRequestException,
+  UseGuards,
 } from '@nestjs/common';
-import { ItemsService } from './items.service';
+import { Request, Response } from 'express';
+import { map, Observable } from 'rxjs';
+import { createInterface } from 'readline';
+import { AuthPrincipal, ownerScope } from '../auth/auth.types';
+import { CurrentPrincipal } from '../auth/decorators/principal.decorator';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { Actor } from '../common/decorators/actor.decorator';
+import { RateLimit } from '../rate-limit/decorators/rate-limit.decorator';
+import { API_V1, servedVersions } from '../versioning/api-version';
+import { JsonPatchOperation } from '../common/patch/json-patch';
+import { validateDto } from '../common/validation/validate-dto';
+import { validationFailure } from '../common/validation/validation-errors';
+import { ApiOperation } from '../openapi/decorators/api-operation.decorator';
+import { arrayOf, schemaRef } from '../openapi/openapi.schemas';
+import { ItemsBulkService } from './items-bulk.service';
+import { ItemsEventsService } from './items-events.service';
+import { ItemsIdempotencyService } from './items-idempotency.service';
+import {
+  EXPORT_CONTENT_TYPES,
+  ImportResult,
+  importFormatFromContentType,
+  ItemsImportExportService,
+} from './items-import-export.service';
+import { patchFormatFromContentType } from './items.service';
+import { BulkItemsDto } from './dto/bulk-items.dto';
+import { ItemTagsDto } from './dto/item-tags.dto';
 import { CreateItemDto } from './dto/create-item.dto';
+import { ItemEventsQueryDto } from './dto/item-events-query.dto';
+import { ListItemsQueryDto } from './dto/list-items-query.dto';
+import { PurgeTrashQueryDto } from './dto/purge-trash-query.dto';
+import { ReplaceItemQueryDto } from './dto/replace-item-query.dto';
+import { SearchItemsQueryDto } from './dto/search-items-query.dto';
+import { ExportItemsQueryDto, ImportItemsQueryDto } from './dto/transfer-items-query.dto';
 import { UpdateItemDto } from './dto/update-item.dto';
+import { Item } from './interfaces/item.interface';
+import { itemETag, satisfiesIfNoneMatch } from './item-etag';
+import { ItemIdPipe } from './pipes/item-id.pipe';
+import { WorkspaceAccessGuard } from '../workspaces/workspace-access.guard';
+import { WorkspacesService } from '../workspaces/workspaces.service';
 
-@Controller('items')
+@Controller({ path: 'items', version: servedVersions(API_V1) })
+@Roles('reader')
+@UseGuards(WorkspaceAccessGuard)
 export class ItemsController {
-  constructor(private readonly itemsService: ItemsService) {}
+  constructor(
+    private readonly workspacesService: WorkspacesService,
+    private readonly itemsBulkService: ItemsBulkService,
+    private readonly itemsImportExportService: ItemsImportExportService,
+    private readonly itemsIdempotencyService: ItemsIdempotencyService,
+    private readonly itemsEventsService: ItemsEventsService,
+  ) {}
 
+  /** Retries carrying the same `Idempotency-Key` replay the first response. */
+  @ApiOperation({
+    summary: 'Create an item',
+    response: schemaRef('Item'),
+    headers: { 'Idempotent-Replayed': '`true` when the response replays an earlier request' },
+    responses: {
+      409: 'Another item already has this name',
+      422: 'The Idempotency-Key was used before with a different body',
+    },
+  })
   @Post()
+  @Roles('editor')
   @HttpCode(HttpStatus.CREATED)
-  create(@Body() createItemDto: CreateItemDto) {
-    return this.itemsService.create(createItemDto);
+  create(
+    @Body() createItemDto: CreateItemDto,
+    @Res({ passthrough: true }) res: Response,
+    @Headers('idempotency-key') idempotencyKey?: string,
+    @Actor() actor?: string,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item {
+    const items = this.workspacesService.itemsIn(workspaceId);
+    if (idempotencyKey === undefined) {
+      return items.create(createItemDto, { actor });
+    }
+    const { item, replayed } = this.itemsIdempotencyService.execute(
+      idempotencyKey,
+      createItemDto,
+      () => items.create(createItemDto, { actor }),
+      { workspaceId: items.workspaceId, actor },
+    );
+    if (replayed) {
+      res.setHeader('Idempotent-Replayed', 'true');
+    }
+    return item;
+  }
+
+  @ApiOperation({
+    summary: 'Apply a batch of create, update and delete operations',
+    response: schemaRef('BulkResult'),
+    responses: { 422: 'An atomic batch had failing operations and nothing was applied' },
+  })
+  @Post('bulk')
+  @Roles('editor')
+  @RateLimit('bulk')
+  @HttpCode(HttpStatus.OK)
+  bulk(
+    @Body() bulkItemsDto: BulkItemsDto,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.itemsBulkService.execute(bulkItemsDto, {
+      actor,
+      ownerScope: ownerScope(principal),
+      workspaceId,
+    });
+  }
+
+  @ApiOperation({
+    summary: 'Import items from a CSV or NDJSON upload',
+    response: schemaRef('ImportResult'),
+    requestBody: {
+      'text/csv': { type: 'string', description: 'Header row `name,description,tags`' },
+      'application/x-ndjson': { type: 'string', description: 'One item object per line' },
+    },
+    responses: { 415: 'The upload is neither CSV nor NDJSON' },
+  })
+  @Post('import')
+  @Roles('editor')
+  @RateLimit('bulk')
+  @HttpCode(HttpStatus.OK)
+  importItems(
+    @Req() req: Request,
+    @Query() query: ImportItemsQueryDto,
+    @Headers('content-type') contentType?: string,
+    @Actor() actor?: string,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Promise<ImportResult> {
+    const format = query.format ?? importFormatFromContentType(contentType);
+    if (!format) {
+      throw new UnsupportedMediaTypeException(
+        'Upload items as text/csv or application/x-ndjson, or pass a format query parameter',
+      );
+    }
+    // JSON and form bodies are consumed by the body parsers before the handler
+    // runs, which would leave nothing to stream and the import waiting forever.
+    if (req.readableEnded) {
+      throw new UnsupportedMediaTypeException(
+        `Bodies sent as ${contentType} cannot be imported; upload items as text/csv or application/x-ndjson`,
+      );
+    }
+    const lines = createInterface({ input: req, crlfDelay: Infinity });
+    return this.itemsImportExportService.importItems(lines, format, {
+      dryRun: query.dryRun,
+      actor,
+      workspaceId,
+    });
   }
 
+  @ApiOperation({
+    summary: 'Download every item',
+    content: {
+      'application/json': arrayOf(schemaRef('Item')),
+      'application/x-ndjson': { type: 'string' },
+      'text/csv': { type: 'string' },
+    },
+  })
+  @Get('export')
+  @RateLimit('bulk')
+  exportItems(
+    @Query() query: ExportItemsQueryDto,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): StreamableFile {
+    const format = query.format ?? 'json';
+    return new StreamableFile(this.itemsImportExportService.exportItems(format, workspaceId), {
+      type: EXPORT_CONTENT_TYPES[format],
+      disposition: `attachment; filename="items.${format}"`,
+    });
+  }
+
+  @ApiOperation({ summary: 'List a page of items', response: schemaRef('ItemsPage') })
   @Get()
-  findAll() {
-    return this.itemsService.findAll();
+  findAll(@Query() query: ListItemsQueryDto, @Headers('x-workspace-id') workspaceId?: string) {
+    return this.workspacesService.itemsIn(workspaceId).findPage(query);
   }
 
+  @ApiOperation({ summary: 'Search items', response: schemaRef('ItemSearchResults') })
+  @Get('search')
+  search(@Query() query: SearchItemsQueryDto, @Headers('x-workspace-id') workspaceId?: string) {
+    return this.workspacesService.itemsIn(workspaceId).search(query.q, query.limit);
+  }
+
+  @ApiOperation({
+    summary: 'List tags with usage counts',
+    response: arrayOf(schemaRef('TagUsage')),
+  })
+  @Get('tags')
+  findTags(@Headers('x-workspace-id') workspaceId?: string) {
+    return this.workspacesService.itemsIn(workspaceId).findTags();
+  }
+
+  @ApiOperation({ summary: 'List deleted items', response: arrayOf(schemaRef('Item')) })
+  @Get('trash')
+  findTrash(@Headers('x-workspace-id') workspaceId?: string) {
+    return this.workspacesService.itemsIn(workspaceId).findTrash();
+  }
+
+  /**
+   * Server-Sent Events stream of item changes. Each event is named after its
+   * type (`created`, `updated`, `deleted`) and carries its sequence number as
+   * the SSE id; a `reset` event means `Last-Event-ID` was too old to replay.
+   */
+  @ApiOperation({
+    summary: 'Stream item changes',
+    description: 'Server-Sent Events named after the change type; a `reset` event marks a gap.',
+    response: schemaRef('ItemEvent'),
+  })
+  @Sse('events')
+  events(
+    @Query() query: ItemEventsQueryDto,
+    @Headers('last-event-id') lastEventId?: string,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Observable<MessageEvent> {
+    const parsed = lastEventId === undefined ? NaN : Number(lastEventId);
+    return this.itemsEventsService
+      .stream({
+        lastEventId: Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined,
+        itemIds: query.id,
+        workspaceId: this.workspacesService.itemsIn(workspaceId).workspaceId,
+      })
+      .pipe(
+        map((entry): MessageEvent => {
+          if (entry.type === 'reset') {
+            return { type: entry.type, data: entry };
+          }
+          const { id, ...data } = entry;
+          return { id: String(id), type: entry.type, data };
+        }),
+      );
+  }
+
+  @ApiOperation({
+    summary: 'Purge the trash',
+    response: { type: 'object', properties: { purged: { type: 'integer' } } },
+  })
+  @Delete('trash')
+  @Roles('admin')
+  @HttpCode(HttpStatus.OK)
+  purgeTrash(@Query() query: PurgeTrashQueryDto, @Headers('x-workspace-id') workspaceId?: string) {
+    return {
+      purged: this.workspacesService.itemsIn(workspaceId).purgeTrash(query.olderThanDays),
+    };
+  }
+
+  @ApiOperation({ summary: 'Permanently delete a trashed item' })
+  @Delete('trash/:id')
+  @Roles('admin')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  purge(@Param('id', ItemIdPipe) id: string, @Headers('x-workspace-id') workspaceId?: string) {
+    this.workspacesService.itemsIn(workspaceId).purge(id);
+  }
+
+  /** Names are unique ignoring case and whitespace, so `widget` finds `Widget`. */
+  @ApiOperation({
+    summary: 'Find an item by name',
+    response: schemaRef('Item'),
+    headers: { ETag: 'Current version of the item' },
+    responses: { 404: 'No active item has this name' },
+  })
+  @Get('by-name/:name')
+  findByName(
+    @Param('name') name: string,
+    @Res({ passthrough: true }) res: Response,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item {
+    const item = this.workspacesService.itemsIn(workspaceId).findByName(name);
+    res.setHeader('ETag', itemETag(item));
+    return item;
+  }
+
+  @ApiOperation({
+    summary: 'Get an item',
+    response: schemaRef('Item'),
+    headers: { ETag: 'Current version of the item' },
+    responses: { 304: 'The If-None-Match ETag is current' },
+  })
   @Get(':id')
-  findOne(@Param('id') id: string) {
-    return this.itemsService.findOne(id);
+  findOne(
+    @Param('id', ItemIdPipe) id: string,
+    @Res({ passthrough: true }) res: Response,
+    @Headers('if-none-match') ifNoneMatch?: string,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item | undefined {
+    const item = this.workspacesService.itemsIn(workspaceId).findOne(id);
+    res.setHeader('ETag', itemETag(item));
+    if (ifNoneMatch !== undefined && !satisfiesIfNoneMatch(ifNoneMatch, item)) {
+      res.status(HttpStatus.NOT_MODIFIED);
+      return undefined;
+    }
+    return item;
+  }
+
+  @ApiOperation({
+    summary: 'Replace an item',
+    response: schemaRef('Item'),
+    headers: { ETag: 'Version after the change' },
+    responses: {
+      201: 'Created under the supplied id by `upsert=true`',
+      409: 'Another item already has this name',
+      412: 'Stale If-Match',
+    },
+  })
+  @Put(':id')
+  @Roles('editor')
+  replace(
+    @Param('id', ItemIdPipe) id: string,
+    @Body() createItemDto: CreateItemDto,
+    @Query() query: ReplaceItemQueryDto,
+    @Res({ passthrough: true }) res: Response,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item {
+    const { item, created } = this.workspacesService
+      .itemsIn(workspaceId)
+      .replace(id, createItemDto, {
+        upsert: query.upsert,
+        ifMatch,
+        actor,
+        ownerScope: ownerScope(principal),
+      });
+    if (created) {
+      res.status(HttpStatus.CREATED);
+    }
+    res.setHeader('ETag', itemETag(item));
+    return item;
   }
 
+  /**
+   * The body is validated here rather than by the global ValidationPipe
+   * because its shape depends on the Content-Type: a partial UpdateItemDto, a
+   * JSON Merge Patch document or a JSON Patch operation list.
+   */
+  @ApiOperation({
+    summary: 'Update an item',
+    response: schemaRef('Item'),
+    headers: { ETag: 'Version after the change' },
+    requestBody: {
+      'application/json': UpdateItemDto,
+      'application/merge-patch+json': { type: 'object', description: 'RFC 7396 merge patch' },
+      'application/json-patch+json': arrayOf(schemaRef('JsonPatchOperation')),
+    },
+    responses: {
+      409: 'Another item already has this name, or a JSON Patch `test` operation failed',
+      412: 'Stale If-Match',
+      415: 'Unsupported patch media type',
+      422: 'The patched item fails validation',
+    },
+  })
   @Patch(':id')
-  update(@Param('id') id: string, @Body() updateItemDto: UpdateItemDto) {
-    return this.itemsService.update(id, updateItemDto);
+  @Roles('editor')
+  update(
+    @Param('id', ItemIdPipe) id: string,
+    @Body() body: UpdateItemDto | JsonPatchOperation[],
+    @Res({ passthrough: true }) res: Response,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @Headers('content-type') contentType?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item {
+    const format = patchFormatFromContentType(contentType);
+    if (!format) {
+      throw new UnsupportedMediaTypeException(
+        'PATCH accepts application/json, application/merge-patch+json or application/json-patch+json',
+      );
+    }
+
+    const items = this.workspacesService.itemsIn(workspaceId);
+    const options = { ifMatch, actor, ownerScope: ownerScope(principal) };
+    let item: Item;
+    if (format === 'partial') {
+      const { value, fieldErrors } = validateDto(UpdateItemDto, body);
+      if (fieldErrors.length > 0) {
+        throw new BadRequestException(validationFailure(fieldErrors));
+      }
+      item = items.update(id, value, options);
+    } else {
+      item = items.patch(id, body, format, options);
+    }
+    res.setHeader('ETag', itemETag(item));
+    return item;
   }
 
+  @ApiOperation({ summary: 'Move an item to the trash', responses: { 412: 'Stale If-Match' } })
   @Delete(':id')
+  @Roles('editor')
   @HttpCode(HttpStatus.NO_CONTENT)
-  remove(@Param('id') id: string) {
-    this.itemsService.remove(id);
+  remove(
+    @Param('id', ItemIdPipe) id: string,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    this.workspacesService
+      .itemsIn(workspaceId)
+      .remove(id, { ifMatch, actor, ownerScope: ownerScope(principal) });
+  }
+
+  @ApiOperation({
+    summary: 'Restore a deleted item',
+    response: schemaRef('Item'),
+    responses: { 409: 'Another item already has this name', 412: 'Stale If-Match' },
+  })
+  @Post(':id/restore')
+  @Roles('editor')
+  @HttpCode(HttpStatus.OK)
+  restore(
+    @Param('id', ItemIdPipe) id: string,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.workspacesService
+      .itemsIn(workspaceId)
+      .restore(id, { ifMatch, actor, ownerScope: ownerScope(principal) });
+  }
+
+  @ApiOperation({
+    summary: 'Add tags to an item',
+    response: schemaRef('Item'),
+    responses: { 412: 'Stale If-Match' },
+  })
+  @Post(':id/tags')
+  @Roles('editor')
+  @HttpCode(HttpStatus.OK)
+  addTags(
+    @Param('id', ItemIdPipe) id: string,
+    @Body() itemTagsDto: ItemTagsDto,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.workspacesService.itemsIn(workspaceId).addTags(id, itemTagsDto.tags, {
+      ifMatch,
+      actor,
+      ownerScope: ownerScope(principal),
+    });
+  }
+
+  @ApiOperation({
+    summary: 'Remove a tag from an item',
+    response: schemaRef('Item'),
+    responses: { 412: 'Stale If-Match' },
+  })
+  @Delete(':id/tags/:tag')
+  @Roles('editor')
+  removeTag(
+    @Param('id', ItemIdPipe) id: string,
+    @Param('tag') tag: string,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.workspacesService.itemsIn(workspaceId).removeTag(id, tag, {
+      ifMatch,
+      actor,
+      ownerScope: ownerScope(principal),
+    });
+  }
+
+  @ApiOperation({
+    summary: "List an item's revisions",
+    response: arrayOf(schemaRef('ItemRevision')),
+  })
+  @Get(':id/history')
+  findHistory(
+    @Param('id', ItemIdPipe) id: string,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.workspacesService.itemsIn(workspaceId).findHistory(id);
+  }
+
+  @ApiOperation({ summary: 'Get a single revision', response: schemaRef('ItemRevision') })
+  @Get(':id/history/:rev')
+  findRevision(
+    @Param('id', ItemIdPipe) id: string,
+    @Param('rev', ParseIntPipe) rev: number,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ) {
+    return this.workspacesService.itemsIn(workspaceId).findRevision(id, rev);
+  }
+
+  @ApiOperation({
+    summary: 'Revert an item to an earlier revision',
+    response: schemaRef('Item'),
+    headers: { ETag: 'Version after the change' },
+    responses: { 409: 'Another item already has this name', 412: 'Stale If-Match' },
+  })
+  @Post(':id/revert/:rev')
+  @Roles('editor')
+  @HttpCode(HttpStatus.OK)
+  revert(
+    @Param('id', ItemIdPipe) id: string,
+    @Param('rev', ParseIntPipe) rev: number,
+    @Res({ passthrough: true }) res: Response,
+    @Headers('if-match') ifMatch?: string,
+    @Actor() actor?: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+    @Headers('x-workspace-id') workspaceId?: string,
+  ): Item {
+    const item = this.workspacesService.itemsIn(workspaceId).revert(id, rev, {
+      ifMatch,
+      actor,
+      ownerScope: ownerScope(principal),
+    });
+    res.setHeader('ETag', itemETag(item));
+    return item;
   }
 }
@@ -1,74 +1,825 @@
 import { Test, TestingModule } from '@nestjs/testing';
-import { ItemsService } from './items.service';
-import { NotFoundException } from '@nestjs/common';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ItemsService, patchFormatFromContentType } from './items.service';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  NotFoundException,
+  PreconditionFailedException,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { loadAppConfig } from '../config/app-config.provider';
+import { ListItemsQueryDto } from './dto/list-items-query.dto';
+import { UlidIdStrategy } from './ids/item-id.strategy';
+import { ItemEvent } from './interfaces/item-event.interface';
+import { ItemsEventsService } from './items-events.service';
+import { FileItemsRepository } from './repositories/file-items.repository';
+import { InMemoryItemsRepository } from './repositories/in-memory-items.repository';
+import { ITEMS_REPOSITORY, ItemsRepository } from './repositories/items.repository';
 
 describe('ItemsService', () => {
-  let service: ItemsService;
+  let tempDir: string;
+  let storeCount = 0;
 
-  beforeEach(async () => {
-    const module: TestingModule = await Test.createTestingModule({
-      providers: [ItemsService],
-    }).compile();
-
-    service = module.get<ItemsService>(ItemsService);
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'items-service-'));
   });
 
-  it('should be defined', () => {
-    expect(service).toBeDefined();
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
   });
 
-  describe('create', () => {
-    it('should create an item', () => {
-      const createItemDto = { name: 'Test Item', description: 'Test Description' };
-      const item = service.create(createItemDto);
-      expect(item).toHaveProperty('id');
-      expect(item.name).toBe(createItemDto.name);
-      expect(item.description).toBe(createItemDto.description);
+  const backends: Array<[string, () => ItemsRepository]> = [
+    ['memory', () => new InMemoryItemsRepository()],
+    ['file', () => new FileItemsRepository(join(tempDir, `items-${(storeCount += 1)}.json`))],
+  ];
+
+  describe.each(backends)('with the %s store', (_name, createRepository) => {
+    let service: ItemsService;
+
+    beforeEach(async () => {
+      const module: TestingModule = await Test.createTestingModule({
+        providers: [ItemsService, { provide: ITEMS_REPOSITORY, useFactory: createRepository }],
+      }).compile();
+
+      service = module.get<ItemsService>(ItemsService);
     });
-  });
 
-  describe('findAll', () => {
-    it('should return an array of items', () => {
-      service.create({ name: 'Item 1', description: 'Desc 1' });
-      service.create({ name: 'Item 2', description: 'Desc 2' });
-      const items = service.findAll();
-      expect(items.length).toBeGreaterThanOrEqual(2);
+    it('should be defined', () => {
+      expect(service).toBeDefined();
     });
-  });
 
-  describe('findOne', () => {
-    it('should return an item by id', () => {
-      const created = service.create({ name: 'Test', description: 'Test' });
-      const found = service.findOne(created.id);
-      expect(found.id).toBe(created.id);
+    describe('create', () => {
+      it('should create an item', () => {
+        const createItemDto = { name: 'Test Item', description: 'Test Description' };
+        const item = service.create(createItemDto);
+        expect(item).toHaveProperty('id');
+        expect(item.name).toBe(createItemDto.name);
+        expect(item.description).toBe(createItemDto.description);
+      });
     });
 
-    it('should throw NotFoundException if item not found', () => {
-      expect(() => service.findOne('999')).toThrow(NotFoundException);
+    describe('findAll', () => {
+      it('should return an array of items', () => {
+        service.create({ name: 'Item 1', description: 'Desc 1' });
+        service.create({ name: 'Item 2', description: 'Desc 2' });
+        const items = service.findAll();
+        expect(items.length).toBeGreaterThanOrEqual(2);
+      });
     });
-  });
 
-  describe('update', () => {
-    it('should update an item', () => {
-      const created = service.create({ name: 'Test', description: 'Test' });
-      const updated = service.update(created.id, { name: 'Updated' });
-      expect(updated.name).toBe('Updated');
+    describe('findPage', () => {
+      const query = (values: Partial<ListItemsQueryDto>): ListItemsQueryDto =>
+        Object.assign(new ListItemsQueryDto(), values);
+
+      beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+        for (const name of ['Charlie', 'alpha', 'Bravo', 'Delta', 'Echo']) {
+          service.create({ name, description: `${name} description` });
+          jest.advanceTimersByTime(1000);
+        }
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should default to the configured page limit', () => {
+        const config = loadAppConfig({ ITEMS_PAGE_LIMIT: '2' });
+        const configured = new ItemsService(createRepository(), undefined, undefined, config);
+        for (const name of ['One', 'Two', 'Three']) {
+          configured.create({ name, description: 'Test' });
+        }
+        expect(configured.findPage(query({}))).toMatchObject({ limit: 2, total: 3 });
+        expect(configured.findPage(query({})).items).toHaveLength(2);
+      });
+
+      it('should default to createdAt ascending with total count', () => {
+        const page = service.findPage(query({}));
+        expect(page.items.map((item) => item.name)).toEqual([
+          'Charlie',
+          'alpha',
+          'Bravo',
+          'Delta',
+          'Echo',
+        ]);
+        expect(page.total).toBe(5);
+        expect(page.nextCursor).toBeNull();
+      });
+
+      it('should apply limit and offset', () => {
+        const page = service.findPage(query({ limit: 2, offset: 1 }));
+        expect(page.items.map((item) => item.name)).toEqual(['alpha', 'Bravo']);
+        expect(page.offset).toBe(1);
+        expect(page.nextCursor).not.toBeNull();
+      });
+
+      it('should sort by name case-insensitively in either direction', () => {
+        expect(service.findPage(query({ sort: 'name' })).items[0].name).toBe('alpha');
+        expect(service.findPage(query({ sort: 'name', order: 'desc' })).items[0].name).toBe('Echo');
+      });
+
+      it('should walk every item using the next cursor', () => {
+        const names: string[] = [];
+        let cursor: string | undefined;
+        do {
+          const page = service.findPage(query({ sort: 'name', order: 'desc', limit: 2, cursor }));
+          names.push(...page.items.map((item) => item.name));
+          cursor = page.nextCursor ?? undefined;
+        } while (cursor);
+        expect(names).toEqual(['Echo', 'Delta', 'Charlie', 'Bravo', 'alpha']);
+      });
+
+      it('should filter by name prefix and timestamps', () => {
+        expect(service.findPage(query({ namePrefix: 'AL' })).items).toHaveLength(1);
+        const page = service.findPage(
+          query({
+            createdAfter: '2025-01-01T00:00:00.500Z',
+            updatedBefore: '2025-01-01T00:00:03.000Z',
+          }),
+        );
+        expect(page.items.map((item) => item.name)).toEqual(['alpha', 'Bravo']);
+        expect(page.total).toBe(2);
+      });
+
+      it('should reject combining offset and cursor', () => {
+        const { nextCursor } = service.findPage(query({ limit: 1 }));
+        expect(() =>
+          service.findPage(query({ offset: 1, cursor: nextCursor ?? undefined })),
+        ).toThrow(BadRequestException);
+      });
+
+      it('should reject malformed or mismatched cursors', () => {
+        expect(() => service.findPage(query({ cursor: 'not-a-cursor' }))).toThrow(
+          BadRequestException,
+        );
+        const { nextCursor } = service.findPage(query({ limit: 1 }));
+        expect(() =>
+          service.findPage(query({ sort: 'name', cursor: nextCursor ?? undefined })),
+        ).toThrow(BadRequestException);
+      });
     });
 
-    it('should throw NotFoundException if item not found', () => {
-      expect(() => service.update('999', { name: 'Updated' })).toThrow(NotFoundException);
+    describe('findOne', () => {
+      it('should return an item by id', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        const found = service.findOne(created.id);
+        expect(found.id).toBe(created.id);
+      });
+
+      it('should throw NotFoundException if item not found', () => {
+        expect(() => service.findOne('999')).toThrow(NotFoundException);
+      });
     });
-  });
 
-  describe('remove', () => {
-    it('should remove an item', () => {
-      const created = service.create({ name: 'Test', description: 'Test' });
-      service.remove(created.id);
-      expect(() => service.findOne(created.id)).toThrow(NotFoundException);
+    describe('update', () => {
+      it('should update an item', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        const updated = service.update(created.id, { name: 'Updated' });
+        expect(updated.name).toBe('Updated');
+      });
+
+      it('should throw NotFoundException if item not found', () => {
+        expect(() => service.update('999', { name: 'Updated' })).toThrow(NotFoundException);
+      });
     });
 
-    it('should throw NotFoundException if item not found', () => {
-      expect(() => service.remove('999')).toThrow(NotFoundException);
+    describe('name uniqueness', () => {
+      const conflictOf = (action: () => unknown): ConflictException => {
+        try {
+          action();
+        } catch (error: unknown) {
+          if (error instanceof ConflictException) {
+            return error;
+          }
+          throw error;
+        }
+        throw new Error('Expected a ConflictException');
+      };
+
+      it('should reject names that differ only in case and whitespace', () => {
+        const existing = service.create({ name: 'Garden Hose', description: 'Test' });
+        const conflict = conflictOf(() =>
+          service.create({ name: '  garden   HOSE ', description: 'Test' }),
+        );
+        expect(conflict.getResponse()).toEqual({
+          message: 'An item named "  garden   HOSE " already exists',
+          existingId: existing.id,
+        });
+        expect(service.findAll()).toHaveLength(1);
+      });
+
+      it("should reject renaming an item to another item's name", () => {
+        const first = service.create({ name: 'First', description: 'Test' });
+        const second = service.create({ name: 'Second', description: 'Test' });
+        expect(
+          conflictOf(() => service.update(second.id, { name: 'FIRST' })).getResponse(),
+        ).toEqual(expect.objectContaining({ existingId: first.id }));
+        expect(() => service.replace(second.id, { name: 'first', description: 'Test' })).toThrow(
+          ConflictException,
+        );
+        expect(service.findOne(second.id).name).toBe('Second');
+      });
+
+      it('should let an item keep its own name and free names it gives up', () => {
+        const item = service.create({ name: 'Original', description: 'Test' });
+        expect(service.update(item.id, { name: 'ORIGINAL' }).name).toBe('ORIGINAL');
+        service.update(item.id, { name: 'Renamed' });
+        expect(service.create({ name: 'Original', description: 'Test' }).name).toBe('Original');
+      });
+
+      it('should free the name of deleted items and check it again on restore', () => {
+        const deleted = service.create({ name: 'Reused', description: 'Test' });
+        service.remove(deleted.id);
+        const replacement = service.create({ name: 'reused', description: 'Test' });
+        expect(conflictOf(() => service.restore(deleted.id)).getResponse()).toEqual(
+          expect.objectContaining({ existingId: replacement.id }),
+        );
+      });
+
+      it('should check the restored name when reverting', () => {
+        const item = service.create({ name: 'Before', description: 'Test' });
+        service.update(item.id, { name: 'After' });
+        service.create({ name: 'Before', description: 'Test' });
+        expect(() => service.revert(item.id, 1)).toThrow(ConflictException);
+      });
+
+      it('should find active items by normalized name', () => {
+        const item = service.create({ name: 'Garden Hose', description: 'Test' });
+        expect(service.findByName('garden  hose').id).toBe(item.id);
+        expect(service.findByNameOrUndefined('GARDEN HOSE')).toBe(item);
+        service.remove(item.id);
+        expect(() => service.findByName('Garden Hose')).toThrow(NotFoundException);
+        expect(service.findByNameOrUndefined('Garden Hose')).toBeUndefined();
+      });
+    });
+
+    describe('versioning', () => {
+      it('should start at version 1 and bump on every update', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        expect(created.version).toBe(1);
+        expect(service.update(created.id, { name: 'A' }).version).toBe(2);
+        expect(service.update(created.id, { name: 'B' }).version).toBe(3);
+      });
+
+      it('should reject updates and removals with a stale If-Match', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        service.update(created.id, { name: 'Updated' }, { ifMatch: '"1"' });
+        expect(() => service.update(created.id, { name: 'Stale' }, { ifMatch: '"1"' })).toThrow(
+          PreconditionFailedException,
+        );
+        expect(() => service.remove(created.id, { ifMatch: 'W/"2"' })).toThrow(
+          PreconditionFailedException,
+        );
+        expect(service.findOne(created.id).name).toBe('Updated');
+      });
+
+      it('should accept wildcard and lists of entity tags', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        expect(service.update(created.id, { name: 'A' }, { ifMatch: '*' }).version).toBe(2);
+        expect(service.update(created.id, { name: 'B' }, { ifMatch: '"1", "2"' }).version).toBe(3);
+        service.remove(created.id, { ifMatch: '"3"' });
+        expect(() => service.findOne(created.id)).toThrow(NotFoundException);
+      });
+    });
+
+    describe('soft delete', () => {
+      it('should hide deleted items but keep them in the trash', () => {
+        const kept = service.create({ name: 'Kept', description: 'Test' });
+        const deleted = service.create({ name: 'Deleted', description: 'Test' });
+        service.remove(deleted.id);
+
+        expect(service.findAll().map((item) => item.id)).toEqual([kept.id]);
+        expect(service.findPage(new ListItemsQueryDto()).total).toBe(1);
+        expect(() => service.update(deleted.id, { name: 'Nope' })).toThrow(NotFoundException);
+        expect(service.search('deleted').total).toBe(0);
+
+        const [trashed] = service.findTrash();
+        expect(trashed.id).toBe(deleted.id);
+        expect(trashed.deletedAt).toBeInstanceOf(Date);
+      });
+
+      it('should restore deleted items', () => {
+        const created = service.create({ name: 'Restorable', description: 'Test' });
+        service.remove(created.id);
+        const restored = service.restore(created.id);
+        expect(restored.deletedAt).toBeNull();
+        expect(service.findOne(created.id).name).toBe('Restorable');
+        expect(service.search('restorable').total).toBe(1);
+        expect(service.findTrash()).toHaveLength(0);
+      });
+
+      it('should only restore or purge items that are in the trash', () => {
+        const created = service.create({ name: 'Active', description: 'Test' });
+        expect(() => service.restore(created.id)).toThrow(NotFoundException);
+        expect(() => service.purge(created.id)).toThrow(NotFoundException);
+        expect(() => service.purge('999')).toThrow(NotFoundException);
+      });
+
+      it('should purge a single deleted item permanently', () => {
+        const created = service.create({ name: 'Purged', description: 'Test' });
+        service.remove(created.id);
+        service.purge(created.id);
+        expect(service.findTrash()).toHaveLength(0);
+        expect(() => service.restore(created.id)).toThrow(NotFoundException);
+      });
+
+      it('should purge trash by age', () => {
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00.000Z') });
+        try {
+          const old = service.create({ name: 'Old', description: 'Test' });
+          service.remove(old.id);
+          jest.setSystemTime(new Date('2025-01-20T00:00:00.000Z'));
+          const recent = service.create({ name: 'Recent', description: 'Test' });
+          service.remove(recent.id);
+          jest.setSystemTime(new Date('2025-02-01T00:00:00.000Z'));
+
+          expect(service.purgeTrash(30)).toBe(1);
+          expect(service.findTrash().map((item) => item.id)).toEqual([recent.id]);
+          expect(service.purgeTrash()).toBe(1);
+          expect(service.findTrash()).toHaveLength(0);
+        } finally {
+          jest.useRealTimers();
+        }
+      });
+    });
+
+    describe('tags', () => {
+      it('should normalize and deduplicate tags on create and update', () => {
+        const created = service.create({
+          name: 'Tagged',
+          description: 'Test',
+          tags: ['Fruit', ' red ', 'fruit'],
+        });
+        expect(created.tags).toEqual(['fruit', 'red']);
+        expect(service.update(created.id, { tags: ['Green'] }).tags).toEqual(['green']);
+        expect(service.update(created.id, { name: 'Renamed' }).tags).toEqual(['green']);
+        expect(service.create({ name: 'Untagged', description: 'Test' }).tags).toEqual([]);
+      });
+
+      it('should add and remove individual tags', () => {
+        const created = service.create({ name: 'Tagged', description: 'Test', tags: ['a'] });
+        expect(service.addTags(created.id, ['B', 'c']).tags).toEqual(['a', 'b', 'c']);
+        expect(service.removeTag(created.id, 'B').tags).toEqual(['a', 'c']);
+        expect(() => service.removeTag(created.id, 'missing')).toThrow(NotFoundException);
+        expect(service.findHistory(created.id)[1].changes).toEqual([
+          { field: 'tags', from: ['a'], to: ['a', 'b', 'c'] },
+        ]);
+      });
+
+      it('should not create a revision when adding tags that already exist', () => {
+        const created = service.create({ name: 'Tagged', description: 'Test', tags: ['a'] });
+        expect(service.addTags(created.id, ['A']).version).toBe(1);
+        expect(service.findHistory(created.id)).toHaveLength(1);
+      });
+
+      it('should cap the number of tags per item', () => {
+        const tags = Array.from({ length: 20 }, (_, index) => `tag-${index}`);
+        const created = service.create({ name: 'Tagged', description: 'Test', tags });
+        expect(() => service.addTags(created.id, ['one-more'])).toThrow(BadRequestException);
+      });
+
+      it('should filter pages by tags with any or all semantics', () => {
+        service.create({ name: 'Apple', description: 'Test', tags: ['fruit', 'red'] });
+        service.create({ name: 'Cherry', description: 'Test', tags: ['fruit', 'red', 'small'] });
+        service.create({ name: 'Banana', description: 'Test', tags: ['fruit', 'yellow'] });
+        service.create({ name: 'Brick', description: 'Test', tags: ['red'] });
+
+        const names = (values: Partial<ListItemsQueryDto>) =>
+          service
+            .findPage(Object.assign(new ListItemsQueryDto(), { sort: 'name', ...values }))
+            .items.map((item) => item.name);
+
+        expect(names({ tag: ['yellow', 'SMALL'] })).toEqual(['Banana', 'Cherry']);
+        expect(names({ tag: ['fruit', 'red'], tagMatch: 'all' })).toEqual(['Apple', 'Cherry']);
+      });
+
+      it('should count tag usage across active items', () => {
+        service.create({ name: 'Apple', description: 'Test', tags: ['fruit', 'red'] });
+        service.create({ name: 'Banana', description: 'Test', tags: ['fruit'] });
+        const removed = service.create({ name: 'Brick', description: 'Test', tags: ['brick'] });
+        service.remove(removed.id);
+
+        expect(service.findTags()).toEqual([
+          { tag: 'fruit', count: 2 },
+          { tag: 'red', count: 1 },
+        ]);
+      });
+    });
+
+    describe('history', () => {
+      it('should record a revision for every change with field-level diffs', () => {
+        const created = service.create({ name: 'First', description: 'Desc' }, { actor: 'alice' });
+        service.update(created.id, { name: 'Second' }, { actor: 'bob' });
+        service.remove(created.id);
+        service.restore(created.id, { actor: 'alice' });
+
+        const history = service.findHistory(created.id);
+        expect(history.map((revision) => [revision.rev, revision.action, revision.actor])).toEqual([
+          [1, 'create', 'alice'],
+          [2, 'update', 'bob'],
+          [3, 'delete', 'anonymous'],
+          [4, 'restore', 'alice'],
+        ]);
+        expect(history[0].changes).toEqual([
+          { field: 'name', from: null, to: 'First' },
+          { field: 'description', from: null, to: 'Desc' },
+          { field: 'tags', from: null, to: [] },
+        ]);
+        expect(history[1].changes).toEqual([{ field: 'name', from: 'First', to: 'Second' }]);
+        expect(history[1].version).toBe(2);
+        expect(history[2].changes).toEqual([]);
+      });
+
+      it('should return a single revision', () => {
+        const created = service.create({ name: 'First', description: 'Desc' });
+        service.update(created.id, { description: 'Changed' });
+        expect(service.findRevision(created.id, 2).snapshot).toEqual({
+          name: 'First',
+          description: 'Changed',
+          tags: [],
+        });
+        expect(() => service.findRevision(created.id, 3)).toThrow(NotFoundException);
+        expect(() => service.findHistory('999')).toThrow(NotFoundException);
+      });
+
+      it('should revert to an earlier revision as a new revision', () => {
+        const created = service.create({ name: 'First', description: 'Desc' });
+        service.update(created.id, { name: 'Second', description: 'Other' });
+        const reverted = service.revert(created.id, 1, { actor: 'carol' });
+
+        expect(reverted.name).toBe('First');
+        expect(reverted.description).toBe('Desc');
+        expect(reverted.version).toBe(3);
+        const latest = service.findRevision(created.id, 3);
+        expect(latest.action).toBe('revert');
+        expect(latest.revertedFrom).toBe(1);
+        expect(latest.actor).toBe('carol');
+        expect(latest.changes).toEqual([
+          { field: 'name', from: 'Second', to: 'First' },
+          { field: 'description', from: 'Other', to: 'Desc' },
+        ]);
+        expect(service.search('first').total).toBe(1);
+      });
+
+      it('should not revert deleted items or with a stale If-Match', () => {
+        const created = service.create({ name: 'First', description: 'Desc' });
+        service.update(created.id, { name: 'Second' });
+        expect(() => service.revert(created.id, 1, { ifMatch: '"1"' })).toThrow(
+          PreconditionFailedException,
+        );
+        service.remove(created.id);
+        expect(() => service.revert(created.id, 1)).toThrow(NotFoundException);
+        expect(service.findHistory(created.id)).toHaveLength(3);
+      });
+
+      it('should drop history when an item is purged', () => {
+        const created = service.create({ name: 'First', description: 'Desc' });
+        service.remove(created.id);
+        service.purge(created.id);
+        expect(() => service.findHistory(created.id)).toThrow(NotFoundException);
+      });
+    });
+
+    describe('search', () => {
+      it('should keep the index in sync with create, update and remove', () => {
+        const created = service.create({ name: 'Garden hose', description: 'Green and long' });
+        expect(service.search('hose').results[0].item.id).toBe(created.id);
+
+        service.update(created.id, { name: 'Garden rake' });
+        expect(service.search('hose').total).toBe(0);
+        expect(service.search('rake').results[0].item.name).toBe('Garden rake');
+
+        service.remove(created.id);
+        expect(service.search('rake').total).toBe(0);
+      });
+    });
+
+    describe('replace', () => {
+      it('should replace every editable field', () => {
+        const created = service.create({ name: 'Test', description: 'Test', tags: ['a'] });
+        const { item, created: wasCreated } = service.replace(created.id, {
+          name: 'Replaced',
+          description: 'New',
+        });
+        expect(wasCreated).toBe(false);
+        expect(item).toMatchObject({ name: 'Replaced', description: 'New', tags: [], version: 2 });
+      });
+
+      it('should require the item to exist unless upserting', () => {
+        expect(() => service.replace('missing', { name: 'A', description: 'B' })).toThrow(
+          NotFoundException,
+        );
+        const { item, created } = service.replace(
+          '42',
+          { name: 'A', description: 'B' },
+          { upsert: true },
+        );
+        expect(created).toBe(true);
+        expect(service.findOne('42')).toEqual(item);
+      });
+
+      it('should validate upserted ids and refuse to shadow trashed items', () => {
+        expect(() =>
+          service.replace('bad id!', { name: 'A', description: 'B' }, { upsert: true }),
+        ).toThrow(BadRequestException);
+        const trashed = service.create({ name: 'Test', description: 'Test' });
+        service.remove(trashed.id);
+        expect(() =>
+          service.replace(trashed.id, { name: 'A', description: 'B' }, { upsert: true }),
+        ).toThrow(ConflictException);
+        expect(() =>
+          service.replace('77', { name: 'A', description: 'B' }, { upsert: true, ifMatch: '*' }),
+        ).toThrow(PreconditionFailedException);
+      });
+
+      it('should generate and validate ids with the injected strategy', () => {
+        const strategy = new UlidIdStrategy();
+        const ulidService = new ItemsService(createRepository(), strategy);
+        expect(strategy.isValid(ulidService.create({ name: 'A', description: 'B' }).id)).toBe(true);
+        expect(() =>
+          ulidService.replace('42', { name: 'A', description: 'B' }, { upsert: true }),
+        ).toThrow('Item ID must be a 26-character uppercase ULID');
+      });
+
+      it('should address but never mint ids of legacy strategies', () => {
+        const repository = createRepository();
+        const legacy = new ItemsService(repository).create({ name: 'Legacy', description: 'B' });
+        const config = loadAppConfig({ ITEMS_LEGACY_ID_STRATEGIES: 'sequential' });
+        const ulidService = new ItemsService(repository, new UlidIdStrategy(), undefined, config);
+
+        expect(ulidService.idFormat.accepts(legacy.id)).toBe(true);
+        expect(ulidService.update(legacy.id, { description: 'Updated' }).version).toBe(2);
+        expect(() =>
+          ulidService.replace('43', { name: 'A', description: 'B' }, { upsert: true }),
+        ).toThrow('Item ID must be a 26-character uppercase ULID');
+      });
+
+      it('should not hand out ids already claimed by an upsert', () => {
+        service.replace('1', { name: 'Claimed', description: 'B' }, { upsert: true });
+        const created = service.create({ name: 'Generated', description: 'B' });
+        expect(created.id).not.toBe('1');
+        expect(service.findOne('1').name).toBe('Claimed');
+      });
+    });
+
+    describe('ownership', () => {
+      it('should stamp the creating actor as owner', () => {
+        expect(service.create({ name: 'A', description: 'B' }, { actor: 'alice' }).ownerId).toBe(
+          'alice',
+        );
+        expect(service.create({ name: 'C', description: 'D' }).ownerId).toBe('anonymous');
+      });
+
+      it('should only let scoped callers modify their own items', () => {
+        const item = service.create({ name: 'A', description: 'B' }, { actor: 'alice' });
+        const asBob = { actor: 'bob', ownerScope: 'bob' };
+        expect(() => service.update(item.id, { name: 'Hijacked' }, asBob)).toThrow(
+          ForbiddenException,
+        );
+        expect(() => service.replace(item.id, { name: 'X', description: 'Y' }, asBob)).toThrow(
+          ForbiddenException,
+        );
+        expect(() => service.addTags(item.id, ['x'], asBob)).toThrow(ForbiddenException);
+        expect(() => service.remove(item.id, { ...asBob, ifMatch: '"9"' })).toThrow(
+          ForbiddenException,
+        );
+
+        const asAlice = { actor: 'alice', ownerScope: 'alice' };
+        expect(service.update(item.id, { name: 'Renamed' }, asAlice).ownerId).toBe('alice');
+        service.remove(item.id, asAlice);
+        expect(() => service.restore(item.id, asBob)).toThrow(ForbiddenException);
+        expect(service.restore(item.id, { actor: 'admin' }).deletedAt).toBeNull();
+      });
+    });
+
+    describe('events', () => {
+      it('should publish created, updated and deleted events with the acting user', () => {
+        const events = new ItemsEventsService();
+        const received: ItemEvent[] = [];
+        events.changes.subscribe((event) => received.push(event));
+        const publishing = new ItemsService(createRepository(), undefined, events);
+
+        const item = publishing.create({ name: 'Test', description: 'Test' }, { actor: 'alice' });
+        publishing.update(item.id, { name: 'Updated' });
+        publishing.remove(item.id);
+        publishing.restore(item.id);
+
+        expect(received.map((event) => [event.type, event.item.version])).toEqual([
+          ['created', 1],
+          ['updated', 2],
+          ['deleted', 3],
+          ['updated', 4],
+        ]);
+        expect(received[0]).toMatchObject({
+          id: 1,
+          workspaceId: 'default',
+          itemId: item.id,
+          actor: 'alice',
+        });
+      });
+
+      it('should tag events with the workspace of the service', () => {
+        const events = new ItemsEventsService();
+        const received: ItemEvent[] = [];
+        events.changes.subscribe((event) => received.push(event));
+        const workspace = { id: 'team-a', itemLimit: 10 };
+        new ItemsService(createRepository(), undefined, events, undefined, workspace).create({
+          name: 'Test',
+          description: 'Test',
+        });
+        expect(received[0].workspaceId).toBe('team-a');
+      });
+    });
+
+    describe('item limit', () => {
+      let limited: ItemsService;
+
+      beforeEach(() => {
+        limited = new ItemsService(createRepository(), undefined, undefined, undefined, {
+          id: 'team-a',
+          itemLimit: 2,
+        });
+      });
+
+      it('should refuse items beyond the workspace limit', () => {
+        limited.create({ name: 'One', description: 'Test' });
+        const second = limited.create({ name: 'Two', description: 'Test' });
+        expect(() => limited.create({ name: 'Three', description: 'Test' })).toThrow(
+          'Workspace "team-a" already holds its limit of 2 items',
+        );
+        expect(() =>
+          limited.replace('9', { name: 'Three', description: 'Test' }, { upsert: true }),
+        ).toThrow(ConflictException);
+
+        limited.remove(second.id);
+        limited.create({ name: 'Three', description: 'Test' });
+        expect(() => limited.restore(second.id)).toThrow(ConflictException);
+        expect(limited.countItems()).toEqual({ active: 2, deleted: 1 });
+      });
+
+      it('should default to the configured limit', () => {
+        const config = loadAppConfig({ WORKSPACE_ITEM_LIMIT: '1' });
+        const configured = new ItemsService(createRepository(), undefined, undefined, config);
+        configured.create({ name: 'One', description: 'Test' });
+        expect(configured.itemLimit).toBe(1);
+        expect(() => configured.create({ name: 'Two', description: 'Test' })).toThrow(
+          ConflictException,
+        );
+      });
+    });
+
+    describe('patch', () => {
+      it('should apply a merge patch and remove fields set to null', () => {
+        const created = service.create({ name: 'Test', description: 'Test', tags: ['a'] });
+        const patched = service.patch(created.id, { name: 'Merged', tags: null }, 'merge-patch');
+        expect(patched).toMatchObject({ name: 'Merged', description: 'Test', tags: [] });
+      });
+
+      it('should apply a JSON patch', () => {
+        const created = service.create({ name: 'Test', description: 'Test', tags: ['a'] });
+        const patched = service.patch(
+          created.id,
+          [
+            { op: 'test', path: '/name', value: 'Test' },
+            { op: 'add', path: '/tags/-', value: 'B' },
+            { op: 'replace', path: '/description', value: 'Patched' },
+          ],
+          'json-patch',
+        );
+        expect(patched).toMatchObject({ description: 'Patched', tags: ['a', 'b'], version: 2 });
+      });
+
+      it('should map patch failures to HTTP errors', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        expect(() => service.patch(created.id, { op: 'add' }, 'json-patch')).toThrow(
+          BadRequestException,
+        );
+        expect(() =>
+          service.patch(created.id, [{ op: 'test', path: '/name', value: 'x' }], 'json-patch'),
+        ).toThrow(ConflictException);
+        expect(() => service.patch(created.id, { name: null }, 'merge-patch')).toThrow(
+          UnprocessableEntityException,
+        );
+        expect(() => service.patch(created.id, { id: 'other' }, 'merge-patch')).toThrow(
+          UnprocessableEntityException,
+        );
+        expect(() => service.patch('999', {}, 'merge-patch')).toThrow(NotFoundException);
+        expect(service.findOne(created.id).version).toBe(1);
+      });
+
+      it('should honor If-Match', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        expect(() =>
+          service.patch(created.id, { name: 'X' }, 'merge-patch', { ifMatch: '"2"' }),
+        ).toThrow(PreconditionFailedException);
+      });
+
+      it('should map content types to patch formats', () => {
+        expect(patchFormatFromContentType()).toBe('partial');
+        expect(patchFormatFromContentType('application/json; charset=utf-8')).toBe('partial');
+        expect(patchFormatFromContentType('application/merge-patch+json')).toBe('merge-patch');
+        expect(patchFormatFromContentType('application/json-patch+json')).toBe('json-patch');
+        expect(patchFormatFromContentType('text/plain')).toBeUndefined();
+      });
+    });
+
+    describe('remove', () => {
+      it('should remove an item', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        service.remove(created.id);
+        expect(() => service.findOne(created.id)).toThrow(NotFoundException);
+      });
+
+      it('should throw NotFoundException if item not found', () => {
+        expect(() => service.remove('999')).toThrow(NotFoundException);
+      });
+    });
+
+    describe('exportState and importState', () => {
+      it('should carry items, trashed ones and revisions over to another store', () => {
+        const kept = service.create({ name: 'Kept', description: 'Test', tags: ['a'] });
+        service.update(kept.id, { description: 'Edited' });
+        const trashed = service.create({ name: 'Trashed', description: 'Test' });
+        service.remove(trashed.id);
+
+        const events = new ItemsEventsService();
+        const received: ItemEvent[] = [];
+        events.changes.subscribe((event) => received.push(event));
+        const restored = new ItemsService(createRepository(), undefined, events);
+        restored.importState(service.exportState());
+
+        expect(restored.findOne(kept.id)).toEqual(service.findOne(kept.id));
+        expect(restored.findHistory(kept.id)).toEqual(service.findHistory(kept.id));
+        expect(restored.findTrash().map((item) => item.id)).toEqual([trashed.id]);
+        expect(restored.findByName('kept').id).toBe(kept.id);
+        expect(restored.search('edited').total).toBe(1);
+        expect(() => restored.create({ name: 'Kept', description: 'Test' })).toThrow(
+          ConflictException,
+        );
+        expect(received).toEqual([]);
+      });
+
+      it('should export copies that later changes do not affect', () => {
+        const created = service.create({ name: 'Test', description: 'Test' });
+        const state = service.exportState();
+        service.update(created.id, { name: 'Changed' });
+        expect(state.items[0].name).toBe('Test');
+      });
+
+      it('should refuse to import into a store that has items', () => {
+        service.create({ name: 'Test', description: 'Test' });
+        expect(() => service.importState({ items: [], revisions: [] })).toThrow(ConflictException);
+      });
+    });
+
+    describe('transaction', () => {
+      let events: ItemsEventsService;
+      let received: ItemEvent[];
+      let transactional: ItemsService;
+
+      beforeEach(() => {
+        events = new ItemsEventsService();
+        received = [];
+        events.changes.subscribe((event) => received.push(event));
+        transactional = new ItemsService(createRepository(), undefined, events);
+      });
+
+      it('should publish the events of its changes once they are stored', () => {
+        const created = transactional.transaction(() => {
+          const item = transactional.create({ name: 'Kept', description: 'Test' });
+          transactional.update(item.id, { description: 'Edited' });
+          expect(received).toEqual([]);
+          return item;
+        });
+        expect(received.map((event) => [event.type, event.itemId])).toEqual([
+          ['created', created.id],
+          ['updated', created.id],
+        ]);
+      });
+
+      it('should leave the store, indexes and events as they were when it throws', () => {
+        const kept = transactional.create({ name: 'Kept', description: 'Test' });
+        const state = transactional.exportState();
+        received.length = 0;
+
+        expect(() =>
+          transactional.transaction(() => {
+            transactional.update(kept.id, { name: 'Renamed' });
+            transactional.create({ name: 'Added', description: 'Test' });
+            throw new Error('Failed');
+          }),
+        ).toThrow('Failed');
+        expect(transactional.exportState()).toEqual(state);
+        expect(transactional.findByName('kept').id).toBe(kept.id);
+        expect(() => transactional.findByName('added')).toThrow(NotFoundException);
+        expect(transactional.search('renamed').total).toBe(0);
+        expect(received).toEqual([]);
+        expect(transactional.create({ name: 'Renamed', description: 'Test' }).name).toBe('Renamed');
+      });
     });
   });
 });
@@ -1,41 +1,316 @@
-import { Injectable, NotFoundException, Logger } from '@nestjs/common';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  NotFoundException,
+  Logger,
+  Inject,
+  Optional,
+  PreconditionFailedException,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { isDeepStrictEqual } from 'util';
+import { ANONYMOUS_ACTOR } from '../common/decorators/actor.decorator';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { applyJsonPatch, JsonPatchError } from '../common/patch/json-patch';
+import { applyMergePatch } from '../common/patch/merge-patch';
+import { validateDto } from '../common/validation/validate-dto';
+import { validationFailure } from '../common/validation/validation-errors';
 import { CreateItemDto } from './dto/create-item.dto';
+import { ItemSortField, ListItemsQueryDto, SortOrder } from './dto/list-items-query.dto';
 import { UpdateItemDto } from './dto/update-item.dto';
+import {
+  ItemRevision,
+  ItemRevisionAction,
+  ItemSnapshot,
+  REVISION_TRACKED_FIELDS,
+} from './interfaces/item-revision.interface';
+import { Item, ItemsPage, ItemsState, TagUsage } from './interfaces/item.interface';
+import { ItemEventType } from './interfaces/item-event.interface';
+import { MAX_TAGS_PER_ITEM } from './dto/item-tags.dto';
+import { satisfiesIfMatch } from './item-etag';
+import { normalizeItemName } from './item-name';
+import {
+  ITEM_ID_STRATEGY,
+  ItemIdFormat,
+  ItemIdStrategy,
+  SequentialIdStrategy,
+} from './ids/item-id.strategy';
+import { ItemsEventsService } from './items-events.service';
+import { InMemoryItemsRepository } from './repositories/in-memory-items.repository';
+import { ITEMS_REPOSITORY, ItemsRepository } from './repositories/items.repository';
+import { ItemSearchIndex, ItemSearchResults } from './search/item-search-index';
+import {
+  DEFAULT_WORKSPACE_ID,
+  ITEMS_WORKSPACE,
+  ItemsWorkspace,
+} from '../workspaces/workspace.interface';
 
-export interface Item {
+export type { Item, ItemsPage, ItemsState, TagUsage } from './interfaces/item.interface';
+export type { ItemRevision } from './interfaces/item-revision.interface';
+export type { ItemSearchHit, ItemSearchResults } from './search/item-search-index';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_TYPE_BY_ACTION: Record<ItemRevisionAction, ItemEventType> = {
+  create: 'created',
+  update: 'updated',
+  revert: 'updated',
+  restore: 'updated',
+  delete: 'deleted',
+};
+
+export interface ItemMutationOptions {
+  ifMatch?: string;
+  actor?: string;
+  /** Only items owned by this principal may be modified; unset means any item. */
+  ownerScope?: string;
+}
+
+export interface ItemReplaceOptions extends ItemMutationOptions {
+  upsert?: boolean;
+}
+
+export type ItemPatchFormat = 'merge-patch' | 'json-patch';
+
+/**
+ * Maps a PATCH Content-Type to a patch format. Plain JSON (or no Content-Type)
+ * keeps the partial-update semantics of UpdateItemDto; anything else is
+ * unsupported.
+ */
+export function patchFormatFromContentType(
+  contentType?: string,
+): ItemPatchFormat | 'partial' | undefined {
+  const mediaType = contentType?.split(';')[0].trim().toLowerCase();
+  switch (mediaType) {
+    case undefined:
+    case '':
+    case 'application/json':
+      return 'partial';
+    case 'application/merge-patch+json':
+      return 'merge-patch';
+    case 'application/json-patch+json':
+      return 'json-patch';
+    default:
+      return undefined;
+  }
+}
+
+interface PageCursor {
+  sort: ItemSortField;
+  order: SortOrder;
+  key: string | number;
   id: string;
-  name: string;
-  description: string;
-  createdAt: Date;
-  updatedAt: Date;
 }
 
+/**
+ * The items of one workspace. The instance Nest injects holds the default
+ * workspace; WorkspacesService creates one per additional workspace, each
+ * with its own repository and indexes so no method can reach another
+ * workspace's items.
+ */
 @Injectable()
 export class ItemsService {
   private readonly logger = new Logger(ItemsService.name);
-  private items: Item[] = [];
-  private idCounter = 1;
+  readonly workspaceId: string;
+  /** Most active items this workspace may hold. */
+  readonly itemLimit: number;
+  /** The ids items may be addressed by; new ids only ever come from the active strategy. */
+  readonly idFormat: ItemIdFormat;
+  private readonly repository: ItemsRepository;
+  private readonly idStrategy: ItemIdStrategy;
+  private readonly events: ItemsEventsService;
+  private readonly pageLimit: number;
+  private readonly searchIndex = new ItemSearchIndex();
+  /** Normalized name of every active item, mapped to the id of the item holding it. */
+  private readonly nameIndex = new Map<string, string>();
+  /** Events of the open transaction, published once it has been written. */
+  private pendingEvents?: (() => void)[];
+
+  constructor(
+    @Optional() @Inject(ITEMS_REPOSITORY) repository?: ItemsRepository,
+    @Optional() @Inject(ITEM_ID_STRATEGY) idStrategy?: ItemIdStrategy,
+    @Optional() events?: ItemsEventsService,
+    @Optional() @Inject(APP_CONFIG) config?: AppConfig,
+    @Optional() @Inject(ITEMS_WORKSPACE) workspace?: ItemsWorkspace,
+  ) {
+    const { items, workspaces } = config ?? defaultAppConfig();
+    this.pageLimit = items.pageLimit;
+    this.workspaceId = workspace?.id ?? DEFAULT_WORKSPACE_ID;
+    this.itemLimit = workspace?.itemLimit ?? workspaces.itemLimit;
+    this.repository = repository ?? new InMemoryItemsRepository();
+    this.idStrategy = idStrategy ?? new SequentialIdStrategy(this.repository);
+    this.idFormat = new ItemIdFormat(this.idStrategy, items.legacyIdStrategies);
+    this.events = events ?? new ItemsEventsService();
+    this.indexStoredItems();
+  }
 
-  create(createItemDto: CreateItemDto): Item {
+  create(createItemDto: CreateItemDto, options: ItemMutationOptions = {}): Item {
     this.logger.log(`Creating item: ${createItemDto.name}`);
-    const item: Item = {
-      id: String(this.idCounter++),
-      ...createItemDto,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
-    this.items.push(item);
-    return item;
+    this.assertNameAvailable(createItemDto.name);
+    this.assertBelowItemLimit();
+    return this.insert(this.generateId(), createItemDto, options);
+  }
+
+  /**
+   * Replaces every editable field of an item. With `upsert`, a missing item is
+   * created under the client-supplied id instead of failing with 404.
+   */
+  replace(
+    id: string,
+    createItemDto: CreateItemDto,
+    options: ItemReplaceOptions = {},
+  ): { item: Item; created: boolean } {
+    this.logger.log(`Replacing item with id: ${id}`);
+    const existing = this.findActive(id);
+    if (!existing) {
+      if (!options.upsert) {
+        this.logger.warn(`Item not found for replace: ${id}`);
+        throw new NotFoundException(`Item with ID ${id} not found`);
+      }
+      if (!this.idStrategy.isValid(id)) {
+        throw new BadRequestException(`Item ID must be ${this.idStrategy.description}`);
+      }
+      if (this.repository.findById(id)) {
+        throw new ConflictException(
+          `Item with ID ${id} is in the trash; restore or purge it first`,
+        );
+      }
+      if (options.ifMatch !== undefined) {
+        throw new PreconditionFailedException(`Item with ID ${id} does not exist`);
+      }
+      this.assertNameAvailable(createItemDto.name);
+      this.assertBelowItemLimit();
+      return { item: this.insert(id, createItemDto, options), created: true };
+    }
+
+    this.assertWritable(existing, options);
+    this.assertNameAvailable(createItemDto.name, id);
+    const replaced = this.saveChange(
+      {
+        ...existing,
+        name: createItemDto.name,
+        description: createItemDto.description,
+        tags: this.normalizeTags(createItemDto.tags ?? []),
+        version: existing.version + 1,
+        updatedAt: new Date(),
+      },
+      'update',
+      options.actor,
+      existing,
+    );
+    return { item: replaced, created: false };
+  }
+
+  /**
+   * Applies a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902) to the
+   * editable fields of an item and stores the result as a full replacement
+   * once it passes the same validation as a newly created item.
+   */
+  patch(
+    id: string,
+    document: unknown,
+    format: ItemPatchFormat,
+    options: ItemMutationOptions = {},
+  ): Item {
+    this.logger.log(`Applying ${format} to item with id: ${id}`);
+    const existing = this.findActive(id);
+    if (!existing) {
+      this.logger.warn(`Item not found for patch: ${id}`);
+      throw new NotFoundException(`Item with ID ${id} not found`);
+    }
+
+    let patched: unknown;
+    try {
+      patched =
+        format === 'merge-patch'
+          ? applyMergePatch(this.snapshot(existing), document)
+          : applyJsonPatch(this.snapshot(existing), document);
+    } catch (error: unknown) {
+      if (error instanceof JsonPatchError) {
+        throw error.reason === 'malformed'
+          ? new BadRequestException(error.message)
+          : new ConflictException(error.message);
+      }
+      throw error;
+    }
+
+    const { value, fieldErrors } = validateDto(CreateItemDto, patched);
+    if (fieldErrors.length > 0) {
+      this.logger.warn(`Patched item ${id} failed validation`);
+      throw new UnprocessableEntityException(
+        validationFailure(fieldErrors, 'The patched item is not valid'),
+      );
+    }
+    return this.replace(id, value, options).item;
   }
 
   findAll(): Item[] {
     this.logger.log('Finding all items');
-    return this.items;
+    return this.activeItems();
+  }
+
+  findPage(query: ListItemsQueryDto): ItemsPage {
+    this.logger.log('Finding items page');
+    if (query.cursor !== undefined && query.offset !== undefined) {
+      throw new BadRequestException('Use either offset or cursor pagination, not both');
+    }
+    const sort = query.sort ?? 'createdAt';
+    const order = query.order ?? 'asc';
+    const limit = query.limit ?? this.pageLimit;
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matching = this.activeItems()
+      .filter((item) => this.matchesFilters(item, query))
+      .sort(
+        (a, b) =>
+          direction * this.compareKeys(this.sortKey(a, sort), a.id, this.sortKey(b, sort), b.id),
+      );
+
+    let offset = query.offset ?? 0;
+    if (query.cursor !== undefined) {
+      const cursor = this.decodeCursor(query.cursor, sort, order);
+      const index = matching.findIndex(
+        (item) =>
+          direction * this.compareKeys(this.sortKey(item, sort), item.id, cursor.key, cursor.id) >
+          0,
+      );
+      offset = index === -1 ? matching.length : index;
+    }
+
+    const items = matching.slice(offset, offset + limit);
+    const last = items[items.length - 1];
+    const hasMore = offset + limit < matching.length;
+    return {
+      items,
+      total: matching.length,
+      limit,
+      offset,
+      nextCursor: hasMore && last ? this.encodeCursor(last, sort, order) : null,
+    };
+  }
+
+  /** Looks an active item up by its name, ignoring case and whitespace differences. */
+  findByName(name: string): Item {
+    this.logger.log('Finding item by name');
+    const item = this.findByNameOrUndefined(name);
+    if (!item) {
+      this.logger.warn('Item not found by name');
+      throw new NotFoundException(`Item named "${name}" not found`);
+    }
+    return item;
+  }
+
+  /** Like findByName, for callers that only check whether a name is taken. */
+  findByNameOrUndefined(name: string): Item | undefined {
+    const id = this.nameIndex.get(normalizeItemName(name));
+    return id === undefined ? undefined : this.findActive(id);
   }
 
   findOne(id: string): Item {
     this.logger.log(`Finding item with id: ${id}`);
-    const item = this.items.find((item) => item.id === id);
+    const item = this.findActive(id);
     if (!item) {
       this.logger.warn(`Item not found: ${id}`);
       throw new NotFoundException(`Item with ID ${id} not found`);
@@ -43,28 +318,519 @@ export class ItemsService {
     return item;
   }
 
-  update(id: string, updateItemDto: UpdateItemDto): Item {
+  update(id: string, updateItemDto: UpdateItemDto, options: ItemMutationOptions = {}): Item {
     this.logger.log(`Updating item with id: ${id}`);
-    const itemIndex = this.items.findIndex((item) => item.id === id);
-    if (itemIndex === -1) {
+    const existing = this.findActive(id);
+    if (!existing) {
       this.logger.warn(`Item not found for update: ${id}`);
       throw new NotFoundException(`Item with ID ${id} not found`);
     }
-    this.items[itemIndex] = {
-      ...this.items[itemIndex],
-      ...updateItemDto,
-      updatedAt: new Date(),
-    };
-    return this.items[itemIndex];
+    this.assertWritable(existing, options);
+    if (updateItemDto.name !== undefined) {
+      this.assertNameAvailable(updateItemDto.name, id);
+    }
+    const updated = this.saveChange(
+      {
+        ...existing,
+        ...updateItemDto,
+        tags: this.normalizeTags(updateItemDto.tags ?? existing.tags),
+        version: existing.version + 1,
+        updatedAt: new Date(),
+      },
+      'update',
+      options.actor,
+      existing,
+    );
+    return updated;
   }
 
-  remove(id: string): void {
+  addTags(id: string, tags: string[], options: ItemMutationOptions = {}): Item {
+    this.logger.log(`Adding ${tags.length} tags to item with id: ${id}`);
+    const existing = this.findOne(id);
+    const merged = this.normalizeTags([...existing.tags, ...tags]);
+    if (merged.length === existing.tags.length) {
+      this.assertWritable(existing, options);
+      return existing;
+    }
+    return this.update(id, { tags: merged }, options);
+  }
+
+  removeTag(id: string, tag: string, options: ItemMutationOptions = {}): Item {
+    this.logger.log(`Removing tag from item with id: ${id}`);
+    const existing = this.findOne(id);
+    const [normalized] = this.normalizeTags([tag]);
+    if (!existing.tags.includes(normalized)) {
+      this.logger.warn(`Tag not found on item ${id}`);
+      throw new NotFoundException(`Tag ${normalized} not found on item with ID ${id}`);
+    }
+    return this.update(
+      id,
+      { tags: existing.tags.filter((existingTag) => existingTag !== normalized) },
+      options,
+    );
+  }
+
+  findTags(): TagUsage[] {
+    this.logger.log('Finding tag usage');
+    const counts = new Map<string, number>();
+    for (const item of this.activeItems()) {
+      for (const tag of item.tags) {
+        counts.set(tag, (counts.get(tag) ?? 0) + 1);
+      }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+    );
+  }
+
+  remove(id: string, options: ItemMutationOptions = {}): void {
     this.logger.log(`Removing item with id: ${id}`);
-    const itemIndex = this.items.findIndex((item) => item.id === id);
-    if (itemIndex === -1) {
+    const existing = this.findActive(id);
+    if (!existing) {
       this.logger.warn(`Item not found for deletion: ${id}`);
       throw new NotFoundException(`Item with ID ${id} not found`);
     }
-    this.items.splice(itemIndex, 1);
+    this.assertWritable(existing, options);
+    this.saveChange(
+      {
+        ...existing,
+        version: existing.version + 1,
+        deletedAt: new Date(),
+      },
+      'delete',
+      options.actor,
+      existing,
+    );
+  }
+
+  findTrash(): Item[] {
+    this.logger.log('Finding deleted items');
+    return this.trashedItems().sort(
+      (a, b) => (b.deletedAt?.getTime() ?? 0) - (a.deletedAt?.getTime() ?? 0),
+    );
+  }
+
+  restore(id: string, options: ItemMutationOptions = {}): Item {
+    this.logger.log(`Restoring item with id: ${id}`);
+    const trashed = this.findTrashed(id);
+    this.assertWritable(trashed, options);
+    this.assertNameAvailable(trashed.name, id);
+    this.assertBelowItemLimit();
+    const restored = this.saveChange(
+      {
+        ...trashed,
+        version: trashed.version + 1,
+        updatedAt: new Date(),
+        deletedAt: null,
+      },
+      'restore',
+      options.actor,
+      trashed,
+    );
+    return restored;
+  }
+
+  purge(id: string): void {
+    this.logger.log(`Purging item with id: ${id}`);
+    this.findTrashed(id);
+    this.repository.delete(id);
+  }
+
+  purgeTrash(olderThanDays?: number): number {
+    this.logger.log(
+      olderThanDays === undefined
+        ? 'Purging all deleted items'
+        : `Purging items deleted more than ${olderThanDays} days ago`,
+    );
+    const cutoff = Date.now() - (olderThanDays ?? 0) * DAY_MS;
+    const expired = this.trashedItems().filter(
+      (item) => (item.deletedAt as Date).getTime() <= cutoff,
+    );
+    this.repository.transaction(() => {
+      for (const item of expired) {
+        this.repository.delete(item.id);
+      }
+    });
+    this.logger.log(`Purged ${expired.length} deleted items`);
+    return expired.length;
+  }
+
+  findHistory(id: string): ItemRevision[] {
+    this.logger.log(`Finding history for item with id: ${id}`);
+    if (!this.repository.findById(id)) {
+      this.logger.warn(`Item not found for history: ${id}`);
+      throw new NotFoundException(`Item with ID ${id} not found`);
+    }
+    return this.repository.findRevisions(id);
+  }
+
+  findRevision(id: string, rev: number): ItemRevision {
+    this.logger.log(`Finding revision ${rev} for item with id: ${id}`);
+    const revision = this.findHistory(id).find((candidate) => candidate.rev === rev);
+    if (!revision) {
+      this.logger.warn(`Revision not found: ${id}@${rev}`);
+      throw new NotFoundException(`Revision ${rev} of item with ID ${id} not found`);
+    }
+    return revision;
+  }
+
+  revert(id: string, rev: number, options: ItemMutationOptions = {}): Item {
+    this.logger.log(`Reverting item with id: ${id} to revision ${rev}`);
+    const existing = this.findActive(id);
+    if (!existing) {
+      this.logger.warn(`Item not found for revert: ${id}`);
+      throw new NotFoundException(`Item with ID ${id} not found`);
+    }
+    const revision = this.findRevision(id, rev);
+    this.assertWritable(existing, options);
+    this.assertNameAvailable(revision.snapshot.name, id);
+    const reverted = this.saveChange(
+      {
+        ...existing,
+        ...revision.snapshot,
+        version: existing.version + 1,
+        updatedAt: new Date(),
+      },
+      'revert',
+      options.actor,
+      existing,
+      rev,
+    );
+    return reverted;
+  }
+
+  search(query: string, limit = this.pageLimit): ItemSearchResults {
+    this.logger.log(`Searching items across ${this.searchIndex.size} indexed items`);
+    return this.searchIndex.search(query, limit);
+  }
+
+  /** Stored items by state; called on every metrics scrape, so it only logs at debug level. */
+  countItems(): { active: number; deleted: number } {
+    this.logger.debug('Counting items');
+    const active = this.searchIndex.size;
+    return { active, deleted: this.repository.findAll().length - active };
+  }
+
+  /** Throws when the item store cannot currently serve reads or persist changes. */
+  checkStore(): void {
+    this.logger.debug('Checking the item store');
+    this.repository.findAll();
+    this.repository.checkHealth();
+  }
+
+  /** Copies of every stored item and revision, e.g. for a snapshot of the store. */
+  exportState(): ItemsState {
+    this.logger.log('Exporting the item store');
+    const items = this.repository.findAll();
+    return structuredClone({
+      items,
+      revisions: items.flatMap((item) => this.repository.findRevisions(item.id)),
+    });
+  }
+
+  /**
+   * Fills an empty store with a state taken by `exportState`. Items and
+   * revisions are stored as they are, so no revisions are recorded and no
+   * events are published.
+   */
+  importState(state: ItemsState): void {
+    if (this.repository.findAll().length > 0) {
+      this.logger.warn('Refusing to import into a non-empty item store');
+      throw new ConflictException('The item store already contains items');
+    }
+    this.logger.log(`Importing ${state.items.length} items`);
+    this.repository.transaction(() => {
+      for (const item of structuredClone(state.items)) {
+        this.repository.save(item);
+      }
+      for (const revision of structuredClone(state.revisions)) {
+        this.repository.appendRevision(revision);
+      }
+    });
+    this.indexStoredItems();
+  }
+
+  /**
+   * Runs `work` as one unit of the store: its changes are written together
+   * once it returns, and their events are published only after that write.
+   * When `work` or the write throws, the store, the indexes and the event
+   * stream are left as they were before.
+   */
+  transaction<T>(work: () => T): T {
+    const outermost = !this.pendingEvents;
+    const pendingEvents = this.pendingEvents ?? [];
+    const mark = pendingEvents.length;
+    this.pendingEvents = pendingEvents;
+    let result: T;
+    try {
+      result = this.repository.transaction(work);
+    } catch (error: unknown) {
+      pendingEvents.length = mark;
+      this.nameIndex.clear();
+      this.searchIndex.clear();
+      this.indexStoredItems();
+      throw error;
+    } finally {
+      if (outermost) {
+        this.pendingEvents = undefined;
+      }
+    }
+    if (outermost) {
+      for (const publish of pendingEvents) {
+        publish();
+      }
+    }
+    return result;
+  }
+
+  private insert(id: string, createItemDto: CreateItemDto, options: ItemMutationOptions): Item {
+    const item: Item = {
+      id,
+      ...createItemDto,
+      tags: this.normalizeTags(createItemDto.tags ?? []),
+      ownerId: options.actor ?? ANONYMOUS_ACTOR,
+      version: 1,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      deletedAt: null,
+    };
+    return this.saveChange(item, 'create', options.actor);
+  }
+
+  /**
+   * Stores a new state of an item with its revision as one write, and keeps the
+   * indexes in step. Returns the stored item.
+   */
+  private saveChange(
+    item: Item,
+    action: ItemRevisionAction,
+    actor?: string,
+    previous?: Item,
+    revertedFrom?: number,
+  ): Item {
+    return this.transaction(() => {
+      this.repository.save(item);
+      this.reindex(item, previous);
+      this.recordRevision(item, action, actor, previous, revertedFrom);
+      return item;
+    });
+  }
+
+  /** Skips ids that a client has already claimed through an upsert. */
+  private generateId(): string {
+    let id = this.idStrategy.generate();
+    while (this.repository.findById(id)) {
+      id = this.idStrategy.generate();
+    }
+    return id;
+  }
+
+  /**
+   * Every mutation lands here, so it also publishes the matching item event,
+   * once the transaction it belongs to has been written.
+   */
+  private recordRevision(
+    item: Item,
+    action: ItemRevisionAction,
+    actor = ANONYMOUS_ACTOR,
+    previous?: Item,
+    revertedFrom?: number,
+  ): ItemRevision {
+    const snapshot = this.snapshot(item);
+    const before = previous ? this.snapshot(previous) : undefined;
+    const changes = REVISION_TRACKED_FIELDS.filter(
+      (field) => !isDeepStrictEqual(before?.[field], snapshot[field]),
+    ).map((field) => ({ field, from: before?.[field] ?? null, to: snapshot[field] }));
+
+    const revision = this.repository.appendRevision({
+      rev: this.repository.findRevisions(item.id).length + 1,
+      itemId: item.id,
+      action,
+      actor,
+      timestamp: new Date(),
+      version: item.version,
+      changes,
+      snapshot,
+      ...(revertedFrom !== undefined && { revertedFrom }),
+    });
+    const publish = () =>
+      this.events.publish(EVENT_TYPE_BY_ACTION[action], item, actor, this.workspaceId);
+    if (this.pendingEvents) {
+      this.pendingEvents.push(publish);
+    } else {
+      publish();
+    }
+    return revision;
+  }
+
+  private snapshot(item: Item): ItemSnapshot {
+    return Object.fromEntries(
+      REVISION_TRACKED_FIELDS.map((field) => [field, item[field]]),
+    ) as ItemSnapshot;
+  }
+
+  private activeItems(): Item[] {
+    return this.repository.findAll().filter((item) => item.deletedAt === null);
+  }
+
+  private trashedItems(): Item[] {
+    return this.repository.findAll().filter((item) => item.deletedAt !== null);
+  }
+
+  private findActive(id: string): Item | undefined {
+    const item = this.repository.findById(id);
+    return item && item.deletedAt === null ? item : undefined;
+  }
+
+  private findTrashed(id: string): Item {
+    const item = this.repository.findById(id);
+    if (!item || item.deletedAt === null) {
+      this.logger.warn(`Deleted item not found: ${id}`);
+      throw new NotFoundException(`Deleted item with ID ${id} not found`);
+    }
+    return item;
+  }
+
+  private indexStoredItems(): void {
+    for (const item of this.activeItems()) {
+      const holder = this.nameIndex.get(normalizeItemName(item.name));
+      if (holder !== undefined) {
+        this.logger.warn(
+          `Items ${holder} and ${item.id} share a name stored before names were unique`,
+        );
+      }
+      this.reindex(item);
+    }
+  }
+
+  /** Keeps the search and name indexes in step with the stored state of an item. */
+  private reindex(item: Item, previous?: Item): void {
+    if (previous) {
+      const previousName = normalizeItemName(previous.name);
+      if (this.nameIndex.get(previousName) === item.id) {
+        this.nameIndex.delete(previousName);
+      }
+    }
+    if (item.deletedAt === null) {
+      this.searchIndex.add(item);
+      this.nameIndex.set(normalizeItemName(item.name), item.id);
+    } else {
+      this.searchIndex.remove(item.id);
+    }
+  }
+
+  /** Names are unique among active items; `id` is the item that may keep its own name. */
+  private assertNameAvailable(name: string, id?: string): void {
+    const holder = this.nameIndex.get(normalizeItemName(name));
+    if (holder !== undefined && holder !== id) {
+      this.logger.warn(`Item name is already used by item ${holder}`);
+      throw new ConflictException({
+        message: `An item named "${name}" already exists`,
+        existingId: holder,
+      });
+    }
+  }
+
+  /** Trashed items do not count, so deleting items frees room for new ones. */
+  private assertBelowItemLimit(): void {
+    if (this.searchIndex.size >= this.itemLimit) {
+      this.logger.warn(`Workspace ${this.workspaceId} is at its limit of ${this.itemLimit} items`);
+      throw new ConflictException({
+        message: `Workspace "${this.workspaceId}" already holds its limit of ${this.itemLimit} items`,
+        limit: this.itemLimit,
+      });
+    }
+  }
+
+  /** Ownership is checked before the precondition so a foreign item never leaks its version. */
+  private assertWritable(item: Item, { ifMatch, ownerScope }: ItemMutationOptions): void {
+    if (ownerScope !== undefined && item.ownerId !== ownerScope) {
+      this.logger.warn(`Item ${item.id} is not owned by ${ownerScope}`);
+      throw new ForbiddenException(`Item with ID ${item.id} belongs to another owner`);
+    }
+    if (ifMatch !== undefined && !satisfiesIfMatch(ifMatch, item)) {
+      this.logger.warn(`Precondition failed for item ${item.id} at version ${item.version}`);
+      throw new PreconditionFailedException(
+        `Item with ID ${item.id} has been modified (current version ${item.version})`,
+      );
+    }
+  }
+
+  private normalizeTags(tags: string[]): string[] {
+    const normalized = Array.from(new Set(tags.map((tag) => tag.trim().toLowerCase())));
+    if (normalized.length > MAX_TAGS_PER_ITEM) {
+      throw new BadRequestException(`Items can have at most ${MAX_TAGS_PER_ITEM} tags`);
+    }
+    return normalized;
+  }
+
+  private matchesFilters(item: Item, query: ListItemsQueryDto): boolean {
+    if (query.tag !== undefined && query.tag.length > 0) {
+      const wanted = query.tag.map((tag) => tag.toLowerCase());
+      const matches =
+        query.tagMatch === 'all'
+          ? wanted.every((tag) => item.tags.includes(tag))
+          : wanted.some((tag) => item.tags.includes(tag));
+      if (!matches) {
+        return false;
+      }
+    }
+    if (
+      query.namePrefix !== undefined &&
+      !item.name.toLowerCase().startsWith(query.namePrefix.toLowerCase())
+    ) {
+      return false;
+    }
+    const created = item.createdAt.getTime();
+    const updated = item.updatedAt.getTime();
+    return (
+      (query.createdAfter === undefined || created > Date.parse(query.createdAfter)) &&
+      (query.createdBefore === undefined || created < Date.parse(query.createdBefore)) &&
+      (query.updatedAfter === undefined || updated > Date.parse(query.updatedAfter)) &&
+      (query.updatedBefore === undefined || updated < Date.parse(query.updatedBefore))
+    );
+  }
+
+  private sortKey(item: Item, sort: ItemSortField): string | number {
+    return sort === 'name' ? item.name.toLowerCase() : item[sort].getTime();
+  }
+
+  private compareKeys(
+    aKey: string | number,
+    aId: string,
+    bKey: string | number,
+    bId: string,
+  ): number {
+    if (aKey !== bKey) {
+      if (typeof aKey === 'number' && typeof bKey === 'number') {
+        return aKey - bKey;
+      }
+      return String(aKey).localeCompare(String(bKey));
+    }
+    return aId.localeCompare(bId, undefined, { numeric: true });
+  }
+
+  private encodeCursor(item: Item, sort: ItemSortField, order: SortOrder): string {
+    const cursor: PageCursor = { sort, order, key: this.sortKey(item, sort), id: item.id };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  private decodeCursor(value: string, sort: ItemSortField, order: SortOrder): PageCursor {
+    let cursor: Partial<PageCursor>;
+    try {
+      cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf-8')) as PageCursor;
+    } catch {
+      throw new BadRequestException('Invalid pagination cursor');
+    }
+    if (
+      typeof cursor?.id !== 'string' ||
+      (typeof cursor.key !== 'string' && typeof cursor.key !== 'number')
+    ) {
+      throw new BadRequestException('Invalid pagination cursor');
+    }
+    if (cursor.sort !== sort || cursor.order !== order) {
+      throw new BadRequestException('Pagination cursor does not match the requested sort order');
+    }
+    return cursor as PageCursor;
   }
 }
@@ -0,0 +1,52 @@
+import { BadRequestException } from '@nestjs/common';
+import { loadAppConfig } from '../../config/app-config.provider';
+import {
+  SequentialIdStrategy,
+  UlidIdStrategy,
+  UuidV4IdStrategy,
+  UuidV7IdStrategy,
+} from '../ids/item-id.strategy';
+import { ItemsService } from '../items.service';
+import { InMemoryItemsRepository } from '../repositories/in-memory-items.repository';
+import { ItemIdPipe } from './item-id.pipe';
+
+describe('ItemIdPipe', () => {
+  const pipeFor = (env: Record<string, string> = {}) =>
+    new ItemIdPipe(
+      new ItemsService(undefined, new UuidV7IdStrategy(), undefined, loadAppConfig(env)),
+    );
+
+  it('should pass through ids of the active strategy', () => {
+    const id = new UuidV7IdStrategy().generate();
+    expect(pipeFor().transform(id)).toBe(id);
+  });
+
+  it('should reject ids of other strategies and malformed ids with 400', () => {
+    const pipe = pipeFor();
+    for (const id of [
+      new UuidV4IdStrategy().generate(),
+      new UlidIdStrategy().generate(),
+      '42',
+      'not-an-id',
+      'A1B2C3D4-0000-7000-8000-000000000000',
+    ]) {
+      expect(() => pipe.transform(id)).toThrow(BadRequestException);
+    }
+    expect(() => pipe.transform('42')).toThrow('Item ID must be a lowercase UUIDv7');
+  });
+
+  it('should also accept ids of the configured legacy strategies', () => {
+    const pipe = pipeFor({ ITEMS_LEGACY_ID_STRATEGIES: 'sequential,ulid' });
+    const ids = [
+      new UuidV7IdStrategy().generate(),
+      new SequentialIdStrategy(new InMemoryItemsRepository()).generate(),
+      new UlidIdStrategy().generate(),
+    ];
+    for (const id of ids) {
+      expect(pipe.transform(id)).toBe(id);
+    }
+    expect(() => pipe.transform(new UuidV4IdStrategy().generate())).toThrow(
+      'Item ID must be a lowercase UUIDv7, a positive integer or a 26-character uppercase ULID',
+    );
+  });
+});
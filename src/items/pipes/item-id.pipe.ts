@@ -0,0 +1,20 @@
+import { BadRequestException, Injectable, PipeTransform } from '@nestjs/common';
+import { ItemsService } from '../items.service';
+
+/**
+ * Rejects `:id` route parameters in neither the active id format nor that of
+ * a configured legacy strategy. Every workspace shares the format, so the
+ * default workspace's is checked.
+ */
+@Injectable()
+export class ItemIdPipe implements PipeTransform<string, string> {
+  constructor(private readonly itemsService: ItemsService) {}
+
+  transform(value: string): string {
+    const { idFormat } = this.itemsService;
+    if (!idFormat.accepts(value)) {
+      throw new BadRequestException(`Item ID must be ${idFormat.description}`);
+    }
+    return value;
+  }
+}
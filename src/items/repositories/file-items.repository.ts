@@ -0,0 +1,113 @@
+import { Logger } from '@nestjs/common';
+import {
+  accessSync,
+  constants,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'fs';
+import { dirname } from 'path';
+import { ItemRevision } from '../interfaces/item-revision.interface';
+import { Item } from '../interfaces/item.interface';
+import { InMemoryItemsRepository } from './in-memory-items.repository';
+
+interface StoredItem
+  extends Omit<Item, 'tags' | 'ownerId' | 'version' | 'createdAt' | 'updatedAt' | 'deletedAt'> {
+  tags?: string[];
+  ownerId?: string | null;
+  version?: number;
+  createdAt: string;
+  updatedAt: string;
+  deletedAt?: string | null;
+}
+
+interface StoredRevision extends Omit<ItemRevision, 'timestamp'> {
+  timestamp: string;
+}
+
+interface StoreFile {
+  idCounter: number;
+  items: StoredItem[];
+  revisions?: Record<string, StoredRevision[]>;
+}
+
+/**
+ * Durable repository that keeps the full item set in memory and rewrites a
+ * JSON file once per transaction. Writes go to a temporary file first and are
+ * then renamed over the store so a crash never leaves a half-written file
+ * behind; a failed write rolls memory back to what the file still holds.
+ */
+export class FileItemsRepository extends InMemoryItemsRepository {
+  private readonly logger = new Logger(FileItemsRepository.name);
+
+  constructor(private readonly filePath: string) {
+    super();
+    this.load();
+  }
+
+  /** Changes are written to a temporary file beside the store, so its directory must be writable. */
+  checkHealth(): void {
+    let directory = dirname(this.filePath);
+    while (!existsSync(directory) && dirname(directory) !== directory) {
+      directory = dirname(directory);
+    }
+    accessSync(directory, constants.W_OK);
+    if (existsSync(this.filePath)) {
+      accessSync(this.filePath, constants.R_OK | constants.W_OK);
+    }
+  }
+
+  private load(): void {
+    if (!existsSync(this.filePath)) {
+      this.logger.log(`Item store not found, starting empty: ${this.filePath}`);
+      return;
+    }
+    const parsed = JSON.parse(readFileSync(this.filePath, 'utf-8')) as Partial<StoreFile>;
+    for (const stored of Array.isArray(parsed.items) ? parsed.items : []) {
+      this.items.set(stored.id, {
+        ...stored,
+        tags: stored.tags ?? [],
+        ownerId: stored.ownerId ?? null,
+        version: stored.version ?? 1,
+        createdAt: new Date(stored.createdAt),
+        updatedAt: new Date(stored.updatedAt),
+        deletedAt: stored.deletedAt ? new Date(stored.deletedAt) : null,
+      });
+    }
+    for (const [itemId, stored] of Object.entries(parsed.revisions ?? {})) {
+      this.revisions.set(
+        itemId,
+        stored.map((revision) => ({ ...revision, timestamp: new Date(revision.timestamp) })),
+      );
+    }
+    this.idCounter = typeof parsed.idCounter === 'number' ? parsed.idCounter : this.items.size + 1;
+    this.logger.log(`Loaded ${this.items.size} items from ${this.filePath}`);
+  }
+
+  protected flush(): void {
+    const data: StoreFile = {
+      idCounter: this.idCounter,
+      items: this.findAll().map((item) => ({
+        ...item,
+        createdAt: item.createdAt.toISOString(),
+        updatedAt: item.updatedAt.toISOString(),
+        deletedAt: item.deletedAt?.toISOString() ?? null,
+      })),
+      revisions: Object.fromEntries(
+        Array.from(this.revisions, ([itemId, revisions]) => [
+          itemId,
+          revisions.map((revision) => ({
+            ...revision,
+            timestamp: revision.timestamp.toISOString(),
+          })),
+        ]),
+      ),
+    };
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    renameSync(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,109 @@
+import { ItemRevision } from '../interfaces/item-revision.interface';
+import { Item } from '../interfaces/item.interface';
+import { ItemsRepository } from './items.repository';
+
+/**
+ * Keeps every item and revision in memory. Each change logs how to undo it
+ * until the outermost transaction ends, so a failed unit of work is rolled
+ * back without copying the store.
+ */
+export class InMemoryItemsRepository implements ItemsRepository {
+  protected readonly items = new Map<string, Item>();
+  protected readonly revisions = new Map<string, ItemRevision[]>();
+  protected idCounter = 1;
+  private readonly undoLog: (() => void)[] = [];
+  private depth = 0;
+
+  /** Ids are never handed out twice, so a rolled-back unit does not return its id. */
+  nextId(): string {
+    return String(this.idCounter++);
+  }
+
+  findAll(): Item[] {
+    return Array.from(this.items.values());
+  }
+
+  findById(id: string): Item | undefined {
+    return this.items.get(id);
+  }
+
+  save(item: Item): Item {
+    return this.transaction(() => {
+      const previous = this.items.get(item.id);
+      this.undoLog.push(() =>
+        previous ? this.items.set(item.id, previous) : this.items.delete(item.id),
+      );
+      this.items.set(item.id, item);
+      return item;
+    });
+  }
+
+  delete(id: string): boolean {
+    const item = this.items.get(id);
+    if (!item) {
+      return false;
+    }
+    return this.transaction(() => {
+      const revisions = this.revisions.get(id);
+      this.undoLog.push(() => {
+        this.items.set(id, item);
+        if (revisions) {
+          this.revisions.set(id, revisions);
+        }
+      });
+      this.items.delete(id);
+      this.revisions.delete(id);
+      return true;
+    });
+  }
+
+  appendRevision(revision: ItemRevision): ItemRevision {
+    return this.transaction(() => {
+      const revisions = this.revisions.get(revision.itemId) ?? [];
+      this.undoLog.push(() => {
+        revisions.pop();
+        if (revisions.length === 0) {
+          this.revisions.delete(revision.itemId);
+        }
+      });
+      revisions.push(revision);
+      this.revisions.set(revision.itemId, revisions);
+      return revision;
+    });
+  }
+
+  findRevisions(itemId: string): ItemRevision[] {
+    return [...(this.revisions.get(itemId) ?? [])];
+  }
+
+  transaction<T>(work: () => T): T {
+    const mark = this.undoLog.length;
+    this.depth++;
+    try {
+      const result = work();
+      if (this.depth === 1) {
+        this.flush();
+      }
+      return result;
+    } catch (error: unknown) {
+      for (const undo of this.undoLog.splice(mark).reverse()) {
+        undo();
+      }
+      throw error;
+    } finally {
+      this.depth--;
+      if (this.depth === 0) {
+        this.undoLog.length = 0;
+      }
+    }
+  }
+
+  checkHealth(): void {
+    // Memory is always available.
+  }
+
+  /** Makes the changes of the outermost transaction durable; throwing rolls them back. */
+  protected flush(): void {
+    // Nothing outlives the process.
+  }
+}
@@ -0,0 +1,143 @@
+import { mkdirSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createItemsRepository } from '../items-repository.provider';
+import { ItemsService } from '../items.service';
+import { FileItemsRepository } from './file-items.repository';
+import { InMemoryItemsRepository } from './in-memory-items.repository';
+
+class CountingFileItemsRepository extends FileItemsRepository {
+  writes = 0;
+
+  protected flush(): void {
+    this.writes += 1;
+    super.flush();
+  }
+}
+
+describe('ItemsRepository backends', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'items-repo-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('FileItemsRepository', () => {
+    it('persists items and the id counter across instances', () => {
+      const filePath = join(tempDir, 'nested', 'items.json');
+      const first = new ItemsService(new FileItemsRepository(filePath));
+      const created = first.create({ name: 'Durable', description: 'Survives restart' });
+      first.create({ name: 'Removed', description: 'Gone' });
+      first.remove('2');
+      first.create({ name: 'Purged', description: 'Gone' });
+      first.remove('3');
+      first.purge('3');
+
+      const second = new ItemsService(new FileItemsRepository(filePath));
+      const reloaded = second.findOne(created.id);
+      expect(reloaded.name).toBe('Durable');
+      expect(reloaded.createdAt).toBeInstanceOf(Date);
+      expect(reloaded.createdAt.getTime()).toBe(created.createdAt.getTime());
+      expect(second.findAll()).toHaveLength(1);
+      expect(second.findTrash()[0].deletedAt).toBeInstanceOf(Date);
+      expect(second.findHistory(created.id)[0].timestamp).toBeInstanceOf(Date);
+      expect(second.findHistory('2').map((revision) => revision.action)).toEqual([
+        'create',
+        'delete',
+      ]);
+      expect(second.create({ name: 'Next', description: 'Next' }).id).toBe('4');
+    });
+
+    it('writes the store as JSON', () => {
+      const filePath = join(tempDir, 'items.json');
+      const service = new ItemsService(new FileItemsRepository(filePath));
+      service.create({ name: 'Test', description: 'Test' });
+      const contents = JSON.parse(readFileSync(filePath, 'utf-8'));
+      expect(contents.items[0].name).toBe('Test');
+    });
+
+    it('writes each change once and a transaction once', () => {
+      const repository = new CountingFileItemsRepository(join(tempDir, 'items.json'));
+      const service = new ItemsService(repository);
+      service.create({ name: 'First', description: 'Test' });
+      expect(repository.writes).toBe(1);
+
+      service.transaction(() => {
+        for (let index = 0; index < 10; index++) {
+          service.create({ name: `Item ${index}`, description: 'Test' });
+        }
+      });
+      expect(repository.writes).toBe(2);
+      expect(
+        new ItemsService(new FileItemsRepository(join(tempDir, 'items.json'))).findAll(),
+      ).toHaveLength(11);
+    });
+
+    it('keeps memory in step with the file when a write fails', () => {
+      const filePath = join(tempDir, 'items.json');
+      const service = new ItemsService(new FileItemsRepository(filePath));
+      const item = service.create({ name: 'Widget', description: 'Before' });
+
+      // A directory in the way of the temporary file makes every write fail.
+      mkdirSync(`${filePath}.tmp`);
+      expect(() => service.update(item.id, { description: 'After' })).toThrow(/EISDIR/);
+      expect(() => service.create({ name: 'Gadget', description: 'New' })).toThrow(/EISDIR/);
+      expect(service.findAll()).toEqual([item]);
+      expect(service.findHistory(item.id)).toHaveLength(1);
+      expect(service.search('after').total).toBe(0);
+      expect(() => service.findByName('gadget')).toThrow('not found');
+
+      rmSync(`${filePath}.tmp`, { recursive: true });
+      expect(service.update(item.id, { description: 'After' }).version).toBe(2);
+      expect(new ItemsService(new FileItemsRepository(filePath)).findAll()).toEqual(
+        service.findAll(),
+      );
+    });
+
+    it('passes its health check before the store or its directory exists', () => {
+      const repository = new FileItemsRepository(join(tempDir, 'nested', 'items.json'));
+      expect(() => repository.checkHealth()).not.toThrow();
+      new ItemsService(repository).create({ name: 'Test', description: 'Test' });
+      expect(() => repository.checkHealth()).not.toThrow();
+    });
+  });
+
+  describe('InMemoryItemsRepository', () => {
+    it('rolls back every change of a failed transaction', () => {
+      const repository = new InMemoryItemsRepository();
+      const service = new ItemsService(repository);
+      const kept = service.create({ name: 'Kept', description: 'Test' });
+
+      expect(() =>
+        service.transaction(() => {
+          service.update(kept.id, { description: 'Changed' });
+          service.create({ name: 'Added', description: 'Test' });
+          throw new Error('Failed');
+        }),
+      ).toThrow('Failed');
+      expect(service.findAll()).toEqual([kept]);
+      expect(repository.findRevisions(kept.id)).toHaveLength(1);
+      expect(service.search('changed').total).toBe(0);
+    });
+  });
+
+  describe('createItemsRepository', () => {
+    it('defaults to the in-memory backend', () => {
+      expect(createItemsRepository()).toBeInstanceOf(InMemoryItemsRepository);
+    });
+
+    it('creates a file backend', () => {
+      expect(createItemsRepository('file', join(tempDir, 'items.json'))).toBeInstanceOf(
+        FileItemsRepository,
+      );
+    });
+
+    it('rejects unknown backends', () => {
+      expect(() => createItemsRepository('redis')).toThrow('Unknown ITEMS_STORE');
+    });
+  });
+});
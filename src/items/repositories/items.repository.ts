@@ -0,0 +1,29 @@
+import { ItemRevision } from '../interfaces/item-revision.interface';
+import { Item } from '../interfaces/item.interface';
+
+export const ITEMS_REPOSITORY = 'ITEMS_REPOSITORY';
+
+export type ItemsStoreType = 'memory' | 'file';
+
+/**
+ * Storage backend used by ItemsService. Implementations are synchronous so the
+ * service keeps its existing call semantics regardless of the backend chosen.
+ */
+export interface ItemsRepository {
+  nextId(): string;
+  findAll(): Item[];
+  findById(id: string): Item | undefined;
+  save(item: Item): Item;
+  delete(id: string): boolean;
+  appendRevision(revision: ItemRevision): ItemRevision;
+  findRevisions(itemId: string): ItemRevision[];
+  /**
+   * Runs `work` as one unit: a durable backend writes its changes once, when
+   * the outermost transaction returns, and when `work` or that write throws
+   * none of its changes remain. Single changes outside a transaction are a
+   * unit of their own.
+   */
+  transaction<T>(work: () => T): T;
+  /** Throws when the backend could not currently persist a change. */
+  checkHealth(): void;
+}
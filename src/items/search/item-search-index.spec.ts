@@ -0,0 +1,95 @@
+import { Item } from '../interfaces/item.interface';
+import { ItemSearchIndex, tokenize } from './item-search-index';
+
+const makeItem = (id: string, name: string, description: string): Item => ({
+  id,
+  name,
+  description,
+  tags: [],
+  ownerId: null,
+  version: 1,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  deletedAt: null,
+});
+
+describe('ItemSearchIndex', () => {
+  let index: ItemSearchIndex;
+
+  beforeEach(() => {
+    index = new ItemSearchIndex();
+    index.add(makeItem('1', 'Red apple', 'A crunchy fruit from the orchard'));
+    index.add(makeItem('2', 'Green pear', 'Soft fruit, pairs well with apple pie'));
+    index.add(makeItem('3', 'Blue car', 'Fast vehicle'));
+  });
+
+  it('tokenizes on word boundaries and lowercases', () => {
+    expect(tokenize('Hello, World! Café-42')).toEqual(['hello', 'world', 'café', '42']);
+  });
+
+  it('ranks name matches above description matches', () => {
+    const { results, total } = index.search('apple', 10);
+    expect(total).toBe(2);
+    expect(results.map((hit) => hit.item.id)).toEqual(['1', '2']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('matches prefixes', () => {
+    expect(index.search('veh', 10).results.map((hit) => hit.item.id)).toEqual(['3']);
+  });
+
+  it('requires every query term to match', () => {
+    expect(index.search('fruit pie', 10).results.map((hit) => hit.item.id)).toEqual(['2']);
+    expect(index.search('fruit car', 10).total).toBe(0);
+  });
+
+  it('highlights matches and escapes markup', () => {
+    index.add(makeItem('4', '<b>Apple</b> box', 'Holds apples'));
+    const hit = index.search('appl', 10).results.find((result) => result.item.id === '4');
+    expect(hit?.highlights.name).toBe('&lt;b&gt;<mark>Apple</mark>&lt;/b&gt; box');
+    expect(hit?.highlights.description).toBe('Holds <mark>apples</mark>');
+  });
+
+  it('trims long descriptions to a snippet around the first match', () => {
+    const filler = 'lorem '.repeat(30);
+    index.add(makeItem('5', 'Long', `${filler}needle ${filler}`));
+    const [hit] = index.search('needle', 10).results;
+    expect(hit.highlights.description.startsWith('…')).toBe(true);
+    expect(hit.highlights.description.endsWith('…')).toBe(true);
+    expect(hit.highlights.description).toContain('<mark>needle</mark>');
+  });
+
+  it('reindexes on add and forgets removed items', () => {
+    index.add(makeItem('3', 'Blue bicycle', 'Slow vehicle'));
+    expect(index.search('car', 10).total).toBe(0);
+    expect(index.search('bicycle', 10).total).toBe(1);
+    index.remove('3');
+    expect(index.search('vehicle', 10).total).toBe(0);
+    expect(index.size).toBe(2);
+  });
+
+  it('matches prefixes only against tokens that start with them', () => {
+    index.add(makeItem('4', 'Carpet', 'Scar-free rug for the car port'));
+    expect(
+      index
+        .search('car', 10)
+        .results.map((hit) => hit.item.id)
+        .sort(),
+    ).toEqual(['3', '4']);
+    expect(index.search('carp', 10).results.map((hit) => hit.item.id)).toEqual(['4']);
+    expect(index.search('carpets', 10).total).toBe(0);
+    index.remove('4');
+    expect(index.search('carp', 10).total).toBe(0);
+    expect(index.search('port', 10).total).toBe(0);
+  });
+
+  it('returns nothing for queries without tokens', () => {
+    expect(index.search('!!!', 10)).toEqual({ query: '!!!', total: 0, results: [] });
+  });
+
+  it('applies the limit after ranking', () => {
+    const { results, total } = index.search('fruit', 1);
+    expect(total).toBe(2);
+    expect(results).toHaveLength(1);
+  });
+});
@@ -0,0 +1,200 @@
+import { Item } from '../interfaces/item.interface';
+
+type SearchField = 'name' | 'description';
+
+export interface ItemSearchHit {
+  item: Item;
+  score: number;
+  highlights: Record<SearchField, string>;
+}
+
+export interface ItemSearchResults {
+  query: string;
+  total: number;
+  results: ItemSearchHit[];
+}
+
+interface Posting {
+  name: number;
+  description: number;
+}
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const FIELD_WEIGHTS: Record<SearchField, number> = { name: 3, description: 1 };
+const PREFIX_MATCH_WEIGHT = 0.5;
+const SNIPPET_CONTEXT = 40;
+
+export function tokenize(text: string): string[] {
+  return Array.from(text.toLowerCase().matchAll(TOKEN_PATTERN), (match) => match[0]);
+}
+
+/**
+ * Inverted index over item names and descriptions. Postings keep per-field
+ * term frequencies so hits can be ranked with a field-weighted TF-IDF score;
+ * every query term must match a token exactly or as a prefix. Indexed tokens
+ * are also kept sorted, so the tokens starting with a query term are found by
+ * binary search instead of a scan of the whole vocabulary.
+ */
+export class ItemSearchIndex {
+  private readonly postings = new Map<string, Map<string, Posting>>();
+  private readonly documents = new Map<string, { item: Item; tokens: Set<string> }>();
+  private readonly terms: string[] = [];
+
+  get size(): number {
+    return this.documents.size;
+  }
+
+  add(item: Item): void {
+    this.remove(item.id);
+    const tokens = new Set<string>();
+    for (const field of ['name', 'description'] as const) {
+      for (const token of tokenize(item[field])) {
+        tokens.add(token);
+        let postings = this.postings.get(token);
+        if (!postings) {
+          postings = new Map();
+          this.postings.set(token, postings);
+          this.terms.splice(this.firstTermFrom(token), 0, token);
+        }
+        const posting = postings.get(item.id) ?? { name: 0, description: 0 };
+        posting[field] += 1;
+        postings.set(item.id, posting);
+      }
+    }
+    this.documents.set(item.id, { item, tokens });
+  }
+
+  remove(id: string): void {
+    const document = this.documents.get(id);
+    if (!document) {
+      return;
+    }
+    for (const token of document.tokens) {
+      const postings = this.postings.get(token);
+      postings?.delete(id);
+      if (postings?.size === 0) {
+        this.postings.delete(token);
+        this.terms.splice(this.firstTermFrom(token), 1);
+      }
+    }
+    this.documents.delete(id);
+  }
+
+  clear(): void {
+    this.postings.clear();
+    this.documents.clear();
+    this.terms.length = 0;
+  }
+
+  search(query: string, limit: number): ItemSearchResults {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0) {
+      return { query, total: 0, results: [] };
+    }
+
+    let scores: Map<string, number> | undefined;
+    for (const term of terms) {
+      const termScores = this.scoreTerm(term);
+      if (scores) {
+        for (const id of scores.keys()) {
+          const termScore = termScores.get(id);
+          if (termScore === undefined) {
+            scores.delete(id);
+          } else {
+            scores.set(id, (scores.get(id) ?? 0) + termScore);
+          }
+        }
+      } else {
+        scores = termScores;
+      }
+    }
+
+    const ranked = Array.from(scores ?? new Map<string, number>())
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+    return {
+      query,
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(({ id, score }) => {
+        const { item } = this.documents.get(id) as { item: Item };
+        return {
+          item,
+          score: Math.round(score * 1000) / 1000,
+          highlights: {
+            name: this.highlight(item.name, terms, false),
+            description: this.highlight(item.description, terms, true),
+          },
+        };
+      }),
+    };
+  }
+
+  private scoreTerm(term: string): Map<string, number> {
+    const scores = new Map<string, number>();
+    for (let i = this.firstTermFrom(term); this.terms[i]?.startsWith(term); i++) {
+      const token = this.terms[i];
+      const postings = this.postings.get(token) as Map<string, Posting>;
+      const matchWeight = token === term ? 1 : PREFIX_MATCH_WEIGHT;
+      const idf = Math.log(1 + this.documents.size / postings.size);
+      for (const [id, posting] of postings) {
+        const weighted =
+          posting.name * FIELD_WEIGHTS.name + posting.description * FIELD_WEIGHTS.description;
+        scores.set(id, (scores.get(id) ?? 0) + matchWeight * weighted * idf);
+      }
+    }
+    return scores;
+  }
+
+  /** Index of the first indexed term not sorting before `value`. */
+  private firstTermFrom(value: string): number {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.terms[middle] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  private highlight(text: string, terms: string[], snippet: boolean): string {
+    const matches = Array.from(text.matchAll(TOKEN_PATTERN)).filter((match) =>
+      terms.some((term) => match[0].toLowerCase().startsWith(term)),
+    );
+
+    let start = 0;
+    let end = text.length;
+    if (snippet) {
+      const anchor = matches[0]?.index ?? 0;
+      const anchorLength = matches[0]?.[0].length ?? SNIPPET_CONTEXT;
+      start = Math.max(0, anchor - SNIPPET_CONTEXT);
+      end = Math.min(text.length, anchor + anchorLength + SNIPPET_CONTEXT);
+    }
+
+    let result = start > 0 ? '…' : '';
+    let position = start;
+    for (const match of matches) {
+      const index = match.index ?? 0;
+      if (index < start || index + match[0].length > end) {
+        continue;
+      }
+      result += escapeHtml(text.slice(position, index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      position = index + match[0].length;
+    }
+    result += escapeHtml(text.slice(position, end));
+    return end < text.length ? `${result}…` : result;
+  }
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,100 @@
+import { createHash } from 'crypto';
+import { WorkspacesState } from '../../workspaces/workspace.interface';
+import { WorkspacesService } from '../../workspaces/workspaces.service';
+import { ItemsService } from '../items.service';
+import { parseSnapshot, serializeSnapshot, SnapshotIntegrityError } from './items-snapshot';
+
+describe('items snapshot', () => {
+  let state: WorkspacesState;
+
+  /** Changes a snapshot file without updating its checksum. */
+  const edit = (contents: string, change: (file: Record<string, unknown>) => void) => {
+    const file = JSON.parse(contents) as Record<string, unknown>;
+    change(file);
+    return JSON.stringify(file);
+  };
+
+  beforeEach(() => {
+    const service = new ItemsService();
+    const item = service.create({ name: 'Widget', description: 'Blue', tags: ['a'] });
+    service.update(item.id, { description: 'Green' });
+    service.remove(service.create({ name: 'Gadget', description: 'Red' }).id);
+    const workspaces = new WorkspacesService(service);
+    workspaces.create({ id: 'team-a', name: 'Team A', members: ['alice'] });
+    workspaces.itemsIn('team-a').create({ name: 'Widget', description: 'Team' });
+    state = workspaces.exportState();
+  });
+
+  it('should read back what it wrote, dates included', () => {
+    const parsed = parseSnapshot(serializeSnapshot(state));
+    expect(parsed).toEqual(state);
+    expect(parsed.items[1].deletedAt).toBeInstanceOf(Date);
+    expect(parsed.revisions[0].timestamp).toBeInstanceOf(Date);
+    expect(parsed.workspaces[0].createdAt).toBeInstanceOf(Date);
+  });
+
+  it('should read workspaces written before they had members as having none', () => {
+    const [{ members, ...workspace }] = state.workspaces;
+    expect(members).toEqual(['alice']);
+    const older = { ...state, workspaces: [workspace] } as unknown as WorkspacesState;
+    expect(parseSnapshot(serializeSnapshot(older)).workspaces[0].members).toEqual([]);
+  });
+
+  it('should read version 1 files, which hold only the default workspace', () => {
+    const data = JSON.parse(JSON.stringify({ items: state.items, revisions: state.revisions }));
+    const checksum = `sha256:${createHash('sha256').update(JSON.stringify(data)).digest('hex')}`;
+    const contents = JSON.stringify({ format: 'items-snapshot', version: 1, checksum, data });
+    expect(parseSnapshot(contents)).toEqual({ ...state, workspaces: [] });
+  });
+
+  it('should record its format, version, creation time and checksum', () => {
+    const file = JSON.parse(serializeSnapshot(state, new Date('2026-01-02T03:04:05Z')));
+    expect(file).toMatchObject({
+      format: 'items-snapshot',
+      version: 2,
+      createdAt: '2026-01-02T03:04:05.000Z',
+      checksum: expect.stringMatching(/^sha256:[0-9a-f]{64}$/),
+    });
+  });
+
+  it('should reject files that are not intact snapshots', () => {
+    const contents = serializeSnapshot(state);
+    const cases: [string, RegExp][] = [
+      [contents.slice(0, -20), /not valid JSON/],
+      ['{"items": []}', /not an item snapshot/],
+      [edit(contents, (file) => (file.version = 3)), /Unsupported snapshot version 3/],
+      [contents.replace('"Green"', '"Purple"'), /checksum does not match/],
+    ];
+    for (const [corrupted, message] of cases) {
+      expect(() => parseSnapshot(corrupted)).toThrow(SnapshotIntegrityError);
+      expect(() => parseSnapshot(corrupted)).toThrow(message);
+    }
+  });
+
+  it('should reject consistent checksums over inconsistent data', () => {
+    const [item] = state.items;
+    const [workspace] = state.workspaces;
+    const cases: [WorkspacesState, RegExp][] = [
+      [{ ...state, items: [{ ...item, version: 0 }] }, /item 0 is malformed/],
+      [{ ...state, items: [item, item] }, /contains item .* more than once/],
+      [{ ...state, items: [state.items[1]] }, /revision 0 belongs to unknown item/],
+      [
+        { ...state, revisions: state.revisions.filter(({ rev }) => rev !== 1) },
+        /not numbered in sequence/,
+      ],
+      [
+        { ...state, workspaces: [{ ...workspace, items: [] }] },
+        /workspace team-a revision 0 belongs to unknown item/,
+      ],
+      [{ ...state, workspaces: [workspace, workspace] }, /workspace team-a more than once/],
+      [{ ...state, workspaces: [{ ...workspace, id: 'Team A' }] }, /workspace 0 is malformed/],
+      [
+        { ...state, workspaces: [{ ...workspace, members: [1] as unknown as string[] }] },
+        /workspace 0 is malformed/,
+      ],
+    ];
+    for (const [inconsistent, message] of cases) {
+      expect(() => parseSnapshot(serializeSnapshot(inconsistent))).toThrow(message);
+    }
+  });
+});
@@ -0,0 +1,242 @@
+import { createHash } from 'crypto';
+import {
+  ItemRevision,
+  ItemRevisionAction,
+  REVISION_TRACKED_FIELDS,
+} from '../interfaces/item-revision.interface';
+import { Item, ItemsState } from '../interfaces/item.interface';
+import { WORKSPACE_ID_PATTERN } from '../../workspaces/dto/create-workspace.dto';
+import {
+  DEFAULT_WORKSPACE_ID,
+  WorkspaceState,
+  WorkspacesState,
+} from '../../workspaces/workspace.interface';
+
+export const ITEMS_SNAPSHOT_FORMAT = 'items-snapshot';
+/** Version 2 added `workspaces`; version 1 files still load into the default workspace. */
+export const ITEMS_SNAPSHOT_VERSION = 2;
+const READABLE_SNAPSHOT_VERSIONS = new Set<unknown>([1, ITEMS_SNAPSHOT_VERSION]);
+
+const REVISION_ACTIONS = new Set<string>([
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'revert',
+] satisfies ItemRevisionAction[]);
+
+/** Raised when a snapshot file is unreadable, truncated, tampered with or inconsistent. */
+export class SnapshotIntegrityError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = SnapshotIntegrityError.name;
+  }
+}
+
+/**
+ * Renders the store as a snapshot file. The checksum covers the compact JSON
+ * of `data`, which parsing and re-serializing reproduces exactly, so the file
+ * itself can stay indented for people inspecting it.
+ */
+export function serializeSnapshot(state: WorkspacesState, createdAt = new Date()): string {
+  const data: unknown = JSON.parse(JSON.stringify(state));
+  return JSON.stringify(
+    {
+      format: ITEMS_SNAPSHOT_FORMAT,
+      version: ITEMS_SNAPSHOT_VERSION,
+      createdAt: createdAt.toISOString(),
+      checksum: checksumOf(data),
+      data,
+    },
+    null,
+    2,
+  );
+}
+
+/** Parses and verifies a snapshot file, throwing SnapshotIntegrityError on the first problem. */
+export function parseSnapshot(contents: string): WorkspacesState {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error: unknown) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new SnapshotIntegrityError(`Snapshot is not valid JSON: ${reason}`);
+  }
+  if (!isRecord(parsed) || parsed.format !== ITEMS_SNAPSHOT_FORMAT) {
+    throw new SnapshotIntegrityError('File is not an item snapshot');
+  }
+  if (!READABLE_SNAPSHOT_VERSIONS.has(parsed.version)) {
+    throw new SnapshotIntegrityError(`Unsupported snapshot version ${String(parsed.version)}`);
+  }
+  if (parsed.checksum !== checksumOf(parsed.data)) {
+    throw new SnapshotIntegrityError('Snapshot checksum does not match its data');
+  }
+  const { data } = parsed;
+  const state = toItemsState(data, 'Snapshot');
+  if (parsed.version === 1) {
+    return { ...state, workspaces: [] };
+  }
+  if (!isRecord(data) || !Array.isArray(data.workspaces)) {
+    throw new SnapshotIntegrityError('Snapshot data must list workspaces');
+  }
+  const ids = new Set([DEFAULT_WORKSPACE_ID]);
+  const workspaces = data.workspaces.map((value: unknown, index: number) => {
+    const workspace = toWorkspaceState(value);
+    if (!workspace) {
+      throw new SnapshotIntegrityError(`Snapshot workspace ${index} is malformed`);
+    }
+    if (ids.has(workspace.id)) {
+      throw new SnapshotIntegrityError(
+        `Snapshot contains workspace ${workspace.id} more than once`,
+      );
+    }
+    ids.add(workspace.id);
+    return workspace;
+  });
+  return { ...state, workspaces };
+}
+
+/** Checks the items and revisions of one workspace; `label` starts every error message. */
+function toItemsState(data: unknown, label: string): ItemsState {
+  if (!isRecord(data) || !Array.isArray(data.items) || !Array.isArray(data.revisions)) {
+    throw new SnapshotIntegrityError(`${label} data must list items and revisions`);
+  }
+
+  const items = data.items.map((value: unknown, index: number) => {
+    const item = toItem(value);
+    if (!item) {
+      throw new SnapshotIntegrityError(`${label} item ${index} is malformed`);
+    }
+    return item;
+  });
+  const lastRevs = new Map<string, number>();
+  for (const { id } of items) {
+    if (lastRevs.has(id)) {
+      throw new SnapshotIntegrityError(`${label} contains item ${id} more than once`);
+    }
+    lastRevs.set(id, 0);
+  }
+  const revisions = data.revisions.map((value: unknown, index: number) => {
+    const revision = toRevision(value);
+    if (!revision) {
+      throw new SnapshotIntegrityError(`${label} revision ${index} is malformed`);
+    }
+    const lastRev = lastRevs.get(revision.itemId);
+    if (lastRev === undefined) {
+      throw new SnapshotIntegrityError(
+        `${label} revision ${index} belongs to unknown item ${revision.itemId}`,
+      );
+    }
+    if (revision.rev !== lastRev + 1) {
+      throw new SnapshotIntegrityError(
+        `${label} revisions of item ${revision.itemId} are not numbered in sequence`,
+      );
+    }
+    lastRevs.set(revision.itemId, revision.rev);
+    return revision;
+  });
+  return { items, revisions };
+}
+
+function checksumOf(data: unknown): string {
+  return `sha256:${createHash('sha256')
+    .update(JSON.stringify(data) ?? '')
+    .digest('hex')}`;
+}
+
+function toWorkspaceState(value: unknown): WorkspaceState | undefined {
+  if (!isRecord(value)) {
+    return undefined;
+  }
+  // Snapshots taken before workspaces had members carry none.
+  const { id, name, itemLimit, members = [] } = value;
+  const createdAt = toDate(value.createdAt);
+  if (
+    typeof id !== 'string' ||
+    !WORKSPACE_ID_PATTERN.test(id) ||
+    typeof name !== 'string' ||
+    !isPositiveInteger(itemLimit) ||
+    !isStringArray(members) ||
+    !createdAt
+  ) {
+    return undefined;
+  }
+  return {
+    id,
+    name,
+    itemLimit,
+    members,
+    createdAt,
+    ...toItemsState(value, `Snapshot workspace ${id}`),
+  };
+}
+
+function toItem(value: unknown): Item | undefined {
+  if (!isRecord(value)) {
+    return undefined;
+  }
+  const { id, name, description, tags, ownerId, version } = value;
+  const createdAt = toDate(value.createdAt);
+  const updatedAt = toDate(value.updatedAt);
+  const deletedAt = value.deletedAt === null ? null : toDate(value.deletedAt);
+  if (
+    typeof id !== 'string' ||
+    id === '' ||
+    typeof name !== 'string' ||
+    typeof description !== 'string' ||
+    !isStringArray(tags) ||
+    (ownerId !== null && typeof ownerId !== 'string') ||
+    !isPositiveInteger(version) ||
+    !createdAt ||
+    !updatedAt ||
+    deletedAt === undefined
+  ) {
+    return undefined;
+  }
+  return { id, name, description, tags, ownerId, version, createdAt, updatedAt, deletedAt };
+}
+
+/** Field changes are kept as stored; the checksum already vouches for their content. */
+function toRevision(value: unknown): ItemRevision | undefined {
+  if (!isRecord(value)) {
+    return undefined;
+  }
+  const { rev, itemId, action, actor, version, changes, snapshot, revertedFrom } = value;
+  const timestamp = toDate(value.timestamp);
+  if (
+    !isPositiveInteger(rev) ||
+    typeof itemId !== 'string' ||
+    typeof action !== 'string' ||
+    !REVISION_ACTIONS.has(action) ||
+    typeof actor !== 'string' ||
+    !isPositiveInteger(version) ||
+    !Array.isArray(changes) ||
+    !isRecord(snapshot) ||
+    !REVISION_TRACKED_FIELDS.every((field) => field in snapshot) ||
+    (revertedFrom !== undefined && !isPositiveInteger(revertedFrom)) ||
+    !timestamp
+  ) {
+    return undefined;
+  }
+  return { ...value, timestamp } as unknown as ItemRevision;
+}
+
+function toDate(value: unknown): Date | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function isPositiveInteger(value: unknown): value is number {
+  return typeof value === 'number' && Number.isInteger(value) && value > 0;
+}
+
+function isStringArray(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
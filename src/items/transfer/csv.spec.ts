@@ -0,0 +1,52 @@
+import { fromCsvValue, parseCsvRecords, toCsvRow } from './csv';
+
+async function collect(lines: string[]) {
+  async function* source() {
+    yield* lines;
+  }
+  const records = [];
+  for await (const record of parseCsvRecords(source())) {
+    records.push(record);
+  }
+  return records;
+}
+
+describe('csv', () => {
+  describe('parseCsvRecords', () => {
+    it('splits plain fields and skips blank lines', async () => {
+      expect(await collect(['a,b', '', 'c,'])).toEqual([
+        { line: 1, fields: ['a', 'b'] },
+        { line: 3, fields: ['c', ''] },
+      ]);
+    });
+
+    it('handles quoted commas, escaped quotes and embedded line breaks', async () => {
+      expect(await collect(['"a, b","say ""hi""","multi', 'line"', 'next,row'])).toEqual([
+        { line: 1, fields: ['a, b', 'say "hi"', 'multi\nline'] },
+        { line: 3, fields: ['next', 'row'] },
+      ]);
+    });
+
+    it('reports an unterminated quoted field', async () => {
+      expect(await collect(['ok,row', '"open,field'])).toEqual([
+        { line: 1, fields: ['ok', 'row'] },
+        { line: 2, fields: [], error: 'unterminated quoted field' },
+      ]);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('quotes only when needed', () => {
+      expect(toCsvRow(['plain', 'a,b', 'say "hi"', ' padded', 'two\nlines'])).toBe(
+        'plain,"a,b","say ""hi"""," padded","two\nlines"',
+      );
+    });
+
+    it('neutralizes spreadsheet formulas and round-trips them', () => {
+      const row = toCsvRow(['=SUM(A1)', '+1', '@cmd']);
+      expect(row).toBe("'=SUM(A1),'+1,'@cmd");
+      expect(row.split(',').map(fromCsvValue)).toEqual(['=SUM(A1)', '+1', '@cmd']);
+      expect(fromCsvValue("'plain")).toBe("'plain");
+    });
+  });
+});
@@ -0,0 +1,82 @@
+export interface CsvRecord {
+  /** 1-based line on which the record starts. */
+  line: number;
+  fields: string[];
+  error?: string;
+}
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parses RFC 4180 records from a stream of lines. Quoted fields may contain
+ * commas, doubled quotes and line breaks; blank lines between records are
+ * skipped.
+ */
+export async function* parseCsvRecords(lines: AsyncIterable<string>): AsyncGenerator<CsvRecord> {
+  let fields: string[] = [];
+  let field = '';
+  let inQuotes = false;
+  let startLine = 0;
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (inQuotes) {
+      field += '\n';
+    } else {
+      if (line.trim() === '') {
+        continue;
+      }
+      startLine = lineNumber;
+      fields = [];
+      field = '';
+    }
+
+    for (let index = 0; index < line.length; index += 1) {
+      const char = line[index];
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+        } else if (line[index + 1] === '"') {
+          field += '"';
+          index += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (!inQuotes) {
+      fields.push(field);
+      yield { line: startLine, fields };
+    }
+  }
+
+  if (inQuotes) {
+    yield { line: startLine, fields: [], error: 'unterminated quoted field' };
+  }
+}
+
+/**
+ * Formats one CSV row. Values that a spreadsheet would evaluate as a formula
+ * are prefixed with a single quote, which `fromCsvValue` strips again.
+ */
+export function toCsvRow(values: string[]): string {
+  return values
+    .map((value) => {
+      const safe = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+      return /[",\r\n]/.test(safe) || safe.trim() !== safe ? `"${safe.replace(/"/g, '""')}"` : safe;
+    })
+    .join(',');
+}
+
+export function fromCsvValue(value: string): string {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
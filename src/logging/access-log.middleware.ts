@@ -0,0 +1,31 @@
+import { Injectable, Logger, NestMiddleware } from '@nestjs/common';
+import { NextFunction, Request, Response } from 'express';
+import { routePattern } from '../common/http/route-pattern';
+import { currentRequestId } from './request-context';
+
+/** Writes one log entry per request once its response has been sent. */
+@Injectable()
+export class AccessLogMiddleware implements NestMiddleware {
+  private readonly logger = new Logger('HTTP');
+
+  use(request: Request, response: Response, next: NextFunction): void {
+    const startedAt = process.hrtime.bigint();
+    // Captured now: 'finish' listeners are not guaranteed to run in the request's context.
+    const requestId = currentRequestId();
+    response.once('finish', () => {
+      const route = routePattern(request);
+      const status = response.statusCode;
+      const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+      this.logger.log({
+        message: `${request.method} ${route} ${status} ${durationMs}ms`,
+        requestId,
+        method: request.method,
+        route,
+        path: (request.originalUrl ?? request.url).split('?')[0],
+        status,
+        durationMs,
+      });
+    });
+    next();
+  }
+}
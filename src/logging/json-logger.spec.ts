@@ -0,0 +1,83 @@
+import { Logger } from '@nestjs/common';
+import { loadAppConfig } from '../config/app-config.provider';
+import { JsonLogger } from './json-logger';
+import { runInRequestContext } from './request-context';
+
+describe('JsonLogger', () => {
+  let lines: string[];
+  const entries = () => lines.map((line) => JSON.parse(line));
+  const loggerAt = (level: string) =>
+    new JsonLogger(loadAppConfig({ LOG_LEVEL: level }), (line) => lines.push(line));
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  afterEach(() => {
+    Logger.overrideLogger(true);
+  });
+
+  it('should write one JSON object per entry with level and context', () => {
+    loggerAt('info').log('Creating item: Widget', 'ItemsService');
+    expect(lines).toHaveLength(1);
+    expect(entries()[0]).toEqual({
+      timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'info',
+      context: 'ItemsService',
+      message: 'Creating item: Widget',
+    });
+  });
+
+  it('should add the id of the request being handled', () => {
+    const logger = loggerAt('info');
+    runInRequestContext({ requestId: 'req-7' }, () =>
+      logger.warn('Item not found', 'ItemsService'),
+    );
+    logger.log('Outside any request');
+    expect(entries().map((entry) => entry.requestId)).toEqual(['req-7', undefined]);
+  });
+
+  it('should skip entries below the configured level', () => {
+    const logger = loggerAt('warn');
+    logger.log('ignored');
+    logger.debug('ignored');
+    logger.warn('kept');
+    logger.error('kept');
+    logger.fatal('kept');
+    expect(entries().map((entry) => entry.level)).toEqual(['warn', 'error', 'fatal']);
+  });
+
+  it('should merge object messages and serialize errors and stacks', () => {
+    const logger = loggerAt('info');
+    logger.log({ message: 'GET /items 200', status: 200 }, 'HTTP');
+    logger.error('Unable to load audit data', new Error('EACCES'), 'AuditService');
+    logger.error('GET /items failed', 'Error: boom\n    at handler', 'ProblemDetailsFilter');
+
+    const [access, audit, failure] = entries();
+    expect(access).toMatchObject({ context: 'HTTP', message: 'GET /items 200', status: 200 });
+    expect(audit.error).toMatchObject({ name: 'Error', message: 'EACCES' });
+    expect(audit.error.stack).toContain('EACCES');
+    expect(failure.stack).toBe('Error: boom\n    at handler');
+  });
+
+  it('should receive the entries of Logger instances once installed', () => {
+    Logger.overrideLogger(loggerAt('info'));
+    runInRequestContext({ requestId: 'req-8' }, () => new Logger('AuditService').log('Loaded'));
+    expect(entries()[0]).toMatchObject({
+      context: 'AuditService',
+      requestId: 'req-8',
+      message: 'Loaded',
+    });
+  });
+
+  it('should not report the missing stack of an error logged by a Logger instance', () => {
+    Logger.overrideLogger(loggerAt('info'));
+    new Logger('ItemsSnapshotService').error('Snapshot is corrupt');
+    expect(entries()[0]).toEqual({
+      timestamp: expect.any(String),
+      level: 'error',
+      context: 'ItemsSnapshotService',
+      message: 'Snapshot is corrupt',
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { Inject, Injectable, LoggerService, LogLevel, Optional } from '@nestjs/common';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { LEVEL_NAMES, SEVERITY } from './log-level';
+import { currentRequestId } from './request-context';
+
+export const LOG_WRITER = 'LOG_WRITER';
+export type LogWriter = (line: string) => void;
+
+type LogFields = Record<string, unknown>;
+
+/**
+ * Nest logger writing one JSON object per line: `timestamp`, `level`,
+ * `context` (the class that logged), `message` and the id of the request
+ * being handled. Messages may be objects whose members become fields of the
+ * entry; errors passed along are serialized with their stack.
+ *
+ * Installed with `app.useLogger`, it also receives everything logged through
+ * `new Logger(...)` instances, so services need no changes to emit JSON.
+ */
+@Injectable()
+export class JsonLogger implements LoggerService {
+  private readonly maxSeverity: number;
+  private readonly write: LogWriter;
+
+  constructor(
+    @Optional() @Inject(APP_CONFIG) config?: AppConfig,
+    @Optional() @Inject(LOG_WRITER) write?: LogWriter,
+  ) {
+    this.maxSeverity = SEVERITY[(config ?? defaultAppConfig()).logging.level];
+    this.write = write ?? ((line) => process.stdout.write(`${line}\n`));
+  }
+
+  log(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('log', message, optionalParams);
+  }
+
+  error(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('error', message, optionalParams);
+  }
+
+  warn(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('warn', message, optionalParams);
+  }
+
+  debug(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('debug', message, optionalParams);
+  }
+
+  verbose(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('verbose', message, optionalParams);
+  }
+
+  fatal(message: unknown, ...optionalParams: unknown[]): void {
+    this.emit('fatal', message, optionalParams);
+  }
+
+  private emit(level: LogLevel, message: unknown, optionalParams: unknown[]): void {
+    const name = LEVEL_NAMES[level];
+    if (SEVERITY[name] > this.maxSeverity) {
+      return;
+    }
+    // Logger instances append their context as the last parameter.
+    const params = [...optionalParams];
+    const context = typeof params[params.length - 1] === 'string' ? params.pop() : undefined;
+
+    const entry: LogFields = {
+      timestamp: new Date().toISOString(),
+      level: name,
+      ...(context !== undefined && { context }),
+      requestId: currentRequestId(),
+      ...messageFields(message),
+    };
+    for (const param of params) {
+      if (param === undefined) {
+        // `Logger#error` without a stack still passes one, as undefined.
+        continue;
+      }
+      if (param instanceof Error) {
+        entry.error = errorFields(param);
+      } else if (typeof param === 'string' && SEVERITY[name] <= SEVERITY.error) {
+        entry.stack = param;
+      } else {
+        entry.params = [...(Array.isArray(entry.params) ? entry.params : []), param];
+      }
+    }
+    this.write(serialize(entry));
+  }
+}
+
+function messageFields(message: unknown): LogFields {
+  if (message instanceof Error) {
+    return { message: message.message, error: errorFields(message) };
+  }
+  if (typeof message === 'object' && message !== null && !Array.isArray(message)) {
+    return { ...message };
+  }
+  return { message: typeof message === 'string' ? message : String(message) };
+}
+
+function errorFields(error: Error): LogFields {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+/** Entries that cannot be serialized (circular fields, BigInts) keep their envelope and message. */
+function serialize(entry: LogFields): string {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    const { timestamp, level, context, requestId, message } = entry;
+    return JSON.stringify({ timestamp, level, context, requestId, message: String(message) });
+  }
+}
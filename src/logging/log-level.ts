@@ -0,0 +1,24 @@
+import { LogLevel } from '@nestjs/common';
+
+/** Configurable thresholds, most to least severe; `fatal` entries are always written. */
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'verbose'] as const;
+export type LogLevelName = (typeof LOG_LEVELS)[number];
+
+/** Level names as they appear in log entries; Nest's `log` is the conventional `info`. */
+export const LEVEL_NAMES: Record<LogLevel, LogLevelName | 'fatal'> = {
+  fatal: 'fatal',
+  error: 'error',
+  warn: 'warn',
+  log: 'info',
+  debug: 'debug',
+  verbose: 'verbose',
+};
+
+export const SEVERITY: Record<LogLevelName | 'fatal', number> = {
+  fatal: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+  verbose: 5,
+};
@@ -0,0 +1,17 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+export interface RequestContext {
+  requestId: string;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+/** Runs `callback`, and everything it schedules, as part of the given request. */
+export function runInRequestContext<T>(context: RequestContext, callback: () => T): T {
+  return storage.run(context, callback);
+}
+
+/** Id of the request being handled, or undefined outside of one (startup, timers). */
+export function currentRequestId(): string | undefined {
+  return storage.getStore()?.requestId;
+}
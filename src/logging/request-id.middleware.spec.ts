@@ -0,0 +1,75 @@
+import { Logger } from '@nestjs/common';
+import { EventEmitter } from 'events';
+import { Request, Response } from 'express';
+import { AccessLogMiddleware } from './access-log.middleware';
+import { currentRequestId } from './request-context';
+import { RequestIdMiddleware } from './request-id.middleware';
+
+const requestFor = (headers: Record<string, string> = {}) =>
+  ({
+    method: 'GET',
+    originalUrl: '/items/42?x=1',
+    baseUrl: '',
+    headers,
+  }) as unknown as Request;
+
+const responseFor = () =>
+  Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    setHeader: jest.fn(),
+  }) as unknown as Response & EventEmitter & { setHeader: jest.Mock };
+
+describe('RequestIdMiddleware', () => {
+  const middleware = new RequestIdMiddleware();
+
+  it('should accept a usable X-Request-Id and run the request in its context', () => {
+    const response = responseFor();
+    let seen: string | undefined;
+    middleware.use(requestFor({ 'x-request-id': 'abc-123' }), response, () => {
+      seen = currentRequestId();
+    });
+    expect(seen).toBe('abc-123');
+    expect(response.setHeader).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+  });
+
+  it('should generate an id when none or an unusable one is supplied', () => {
+    const cases: Record<string, string>[] = [{}, { 'x-request-id': 'no spaces allowed' }];
+    for (const headers of cases) {
+      const response = responseFor();
+      middleware.use(requestFor(headers), response, () => undefined);
+      expect(response.setHeader).toHaveBeenCalledWith(
+        'X-Request-Id',
+        expect.stringMatching(/^[0-9a-f-]{36}$/),
+      );
+    }
+  });
+});
+
+describe('AccessLogMiddleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should log the method, route, status and duration once the response finishes', () => {
+    const log = jest.spyOn(Logger.prototype, 'log').mockImplementation();
+    const request = requestFor();
+    const response = responseFor();
+    new RequestIdMiddleware().use(request, response, () =>
+      new AccessLogMiddleware().use(request, response, () => undefined),
+    );
+    Object.assign(request, { route: { path: '/items/:id' } });
+    response.statusCode = 404;
+    response.emit('finish');
+
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toEqual({
+      message: expect.stringMatching(/^GET \/items\/:id 404 [\d.]+ms$/),
+      requestId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      method: 'GET',
+      route: '/items/:id',
+      path: '/items/42',
+      status: 404,
+      durationMs: expect.any(Number),
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { Injectable, NestMiddleware } from '@nestjs/common';
+import { randomUUID } from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import { runInRequestContext } from './request-context';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/** The caller's `X-Request-Id` when it is a sane token, otherwise a new id. */
+export function requestIdOf(request: Request): string {
+  const header = request.headers[REQUEST_ID_HEADER.toLowerCase()];
+  const supplied = Array.isArray(header) ? header[0] : header;
+  return supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : randomUUID();
+}
+
+/**
+ * Assigns every request an id, echoes it in the response and handles the rest
+ * of the request inside a context carrying it, so every log line written on
+ * the request's behalf can be joined to it.
+ */
+@Injectable()
+export class RequestIdMiddleware implements NestMiddleware {
+  use(request: Request, response: Response, next: NextFunction): void {
+    const requestId = requestIdOf(request);
+    response.setHeader(REQUEST_ID_HEADER, requestId);
+    runInRequestContext({ requestId }, next);
+  }
+}
@@ -1,16 +1,27 @@
 import { NestFactory } from '@nestjs/core';
-import { ValidationPipe } from '@nestjs/common';
+import { ValidationPipe, VersioningType } from '@nestjs/common';
 import { AppModule } from './app.module';
+import { validationExceptionFactory } from './common/validation/validation-errors';
+import { APP_CONFIG, AppConfig } from './config/app-config';
+import { JsonLogger } from './logging/json-logger';
 
 async function bootstrap() {
-  const app = await NestFactory.create(AppModule);
+  const app = await NestFactory.create(AppModule, { bufferLogs: true });
+  app.useLogger(app.get(JsonLogger));
+  const config = app.get<AppConfig>(APP_CONFIG);
+  // Controllers choose their versions; see `servedVersions` for the unprefixed fallback.
+  app.enableVersioning({ type: VersioningType.URI });
   app.useGlobalPipes(
     new ValidationPipe({
       whitelist: true,
       forbidNonWhitelisted: true,
       transform: true,
+      exceptionFactory: validationExceptionFactory,
     }),
   );
-  await app.listen(3000);
+  // SIGTERM and SIGINT close the app, which drains requests and snapshots the item store.
+  app.enableShutdownHooks();
+  const { port, host } = config.server;
+  await (host ? app.listen(port, host) : app.listen(port));
 }
 bootstrap();
@@ -0,0 +1,26 @@
+import { Injectable, NestMiddleware } from '@nestjs/common';
+import { NextFunction, Request, Response } from 'express';
+import { routePattern } from '../common/http/route-pattern';
+import { MetricsService } from './metrics.service';
+
+/**
+ * Times every request until its response is finished, so requests rejected by
+ * guards, pipes or exception filters are counted with their final status.
+ */
+@Injectable()
+export class HttpMetricsMiddleware implements NestMiddleware {
+  constructor(private readonly metricsService: MetricsService) {}
+
+  use(request: Request, response: Response, next: NextFunction): void {
+    const startedAt = process.hrtime.bigint();
+    response.once('finish', () => {
+      this.metricsService.observeRequest({
+        method: request.method,
+        route: routePattern(request),
+        status: response.statusCode,
+        durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+      });
+    });
+    next();
+  }
+}
@@ -0,0 +1,19 @@
+import { Controller, Get, Header } from '@nestjs/common';
+import { Public } from '../auth/decorators/roles.decorator';
+import { SkipRateLimit } from '../rate-limit/decorators/rate-limit.decorator';
+import { MetricsService } from './metrics.service';
+import { PROMETHEUS_CONTENT_TYPE } from './prometheus';
+
+/** Scrape target for Prometheus; left out of rate limiting so scrapes never leave gaps. */
+@Controller('metrics')
+@Public()
+@SkipRateLimit()
+export class MetricsController {
+  constructor(private readonly metricsService: MetricsService) {}
+
+  @Get()
+  @Header('Content-Type', PROMETHEUS_CONTENT_TYPE)
+  getMetrics(): string {
+    return this.metricsService.render();
+  }
+}
@@ -0,0 +1,93 @@
+import { AuditService } from '../audit/audit.service';
+import { ItemsService } from '../items/items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { MetricsService } from './metrics.service';
+import { Histogram, metricFamily } from './prometheus';
+
+describe('MetricsService', () => {
+  let itemsService: ItemsService;
+  let workspacesService: WorkspacesService;
+  let auditService: AuditService;
+  let service: MetricsService;
+
+  beforeEach(() => {
+    itemsService = new ItemsService();
+    workspacesService = new WorkspacesService(itemsService);
+    auditService = new AuditService();
+    service = new MetricsService(workspacesService, auditService);
+  });
+
+  it('should count and time requests per method, route and status', () => {
+    service.observeRequest({
+      method: 'GET',
+      route: '/items/:id',
+      status: 200,
+      durationSeconds: 0.02,
+    });
+    service.observeRequest({
+      method: 'GET',
+      route: '/items/:id',
+      status: 200,
+      durationSeconds: 0.3,
+    });
+    service.observeRequest({
+      method: 'GET',
+      route: '/items/:id',
+      status: 404,
+      durationSeconds: 0.001,
+    });
+
+    const lines = service.render().split('\n');
+    const ok = 'method="GET",route="/items/:id",status="200"';
+    expect(lines).toContain('# TYPE http_requests_total counter');
+    expect(lines).toContain(`http_requests_total{${ok}} 2`);
+    expect(lines).toContain('http_requests_total{method="GET",route="/items/:id",status="404"} 1');
+    expect(lines).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(lines).toContain(`http_request_duration_seconds_bucket{${ok},le="0.01"} 0`);
+    expect(lines).toContain(`http_request_duration_seconds_bucket{${ok},le="0.025"} 1`);
+    expect(lines).toContain(`http_request_duration_seconds_bucket{${ok},le="0.5"} 2`);
+    expect(lines).toContain(`http_request_duration_seconds_bucket{${ok},le="+Inf"} 2`);
+    expect(lines).toContain(`http_request_duration_seconds_sum{${ok}} 0.32`);
+    expect(lines).toContain(`http_request_duration_seconds_count{${ok}} 2`);
+  });
+
+  it('should report item counts by workspace and state', () => {
+    itemsService.create({ name: 'Kept', description: 'Test' });
+    itemsService.remove(itemsService.create({ name: 'Gone', description: 'Test' }).id);
+    workspacesService.create({ id: 'team-a', name: 'Team A' });
+
+    const lines = service.render().split('\n');
+    expect(lines).toContain('# TYPE items gauge');
+    expect(lines).toContain('items{workspace="default",state="active"} 1');
+    expect(lines).toContain('items{workspace="default",state="deleted"} 1');
+    expect(lines).toContain('items{workspace="team-a",state="active"} 0');
+  });
+
+  it('should report audit load errors', () => {
+    jest.spyOn(auditService, 'loadErrorCount').mockReturnValue(3);
+    expect(service.render().split('\n')).toContain('audit_load_errors_total 3');
+  });
+});
+
+describe('Prometheus formatting', () => {
+  it('should escape label values', () => {
+    const histogram = new Histogram([1]);
+    histogram.observe({ route: 'a"b\\c\nd' }, 2);
+    expect(metricFamily('demo_total', 'counter', 'Demo.', histogram.counts('demo_total'))).toBe(
+      '# HELP demo_total Demo.\n# TYPE demo_total counter\ndemo_total{route="a\\"b\\\\c\\nd"} 1\n',
+    );
+  });
+
+  it('should place observations above every bound only in +Inf', () => {
+    const histogram = new Histogram([1]);
+    histogram.observe({}, 2);
+    expect(
+      histogram.samples('demo').map(({ name, labels, value }) => [name, labels, value]),
+    ).toEqual([
+      ['demo_bucket', { le: '1' }, 0],
+      ['demo_bucket', { le: '+Inf' }, 1],
+      ['demo_sum', {}, 2],
+      ['demo_count', {}, 1],
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { AuditService } from '../audit/audit.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { Histogram, metricFamily } from './prometheus';
+
+export interface RequestObservation {
+  method: string;
+  /** Route pattern such as `/items/:id`, never the raw path, to bound the number of series. */
+  route: string;
+  status: number;
+  durationSeconds: number;
+}
+
+/**
+ * Collects request metrics as they happen and reads item and audit figures
+ * when scraped, rendering everything in the Prometheus text format.
+ */
+@Injectable()
+export class MetricsService {
+  private readonly logger = new Logger(MetricsService.name);
+  private readonly requestDurations = new Histogram();
+
+  constructor(
+    private readonly workspacesService: WorkspacesService,
+    private readonly auditService: AuditService,
+  ) {}
+
+  observeRequest({ method, route, status, durationSeconds }: RequestObservation): void {
+    this.requestDurations.observe({ method, route, status: String(status) }, durationSeconds);
+  }
+
+  render(): string {
+    this.logger.debug('Rendering metrics');
+    const counts = Array.from(this.workspacesService.countItems());
+    return [
+      metricFamily(
+        'http_requests_total',
+        'counter',
+        'HTTP requests answered, by method, route and status.',
+        this.requestDurations.counts('http_requests_total'),
+      ),
+      metricFamily(
+        'http_request_duration_seconds',
+        'histogram',
+        'Time to answer HTTP requests, by method, route and status.',
+        this.requestDurations.samples('http_request_duration_seconds'),
+      ),
+      metricFamily(
+        'items',
+        'gauge',
+        'Stored items by workspace and state.',
+        counts.flatMap(([workspace, { active, deleted }]) => [
+          { name: 'items', labels: { workspace, state: 'active' }, value: active },
+          { name: 'items', labels: { workspace, state: 'deleted' }, value: deleted },
+        ]),
+      ),
+      metricFamily(
+        'audit_load_errors_total',
+        'counter',
+        'Failed attempts to load the AI usage audit file.',
+        [{ name: 'audit_load_errors_total', value: this.auditService.loadErrorCount() }],
+      ),
+    ].join('');
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Helpers for the Prometheus text exposition format (version 0.0.4).
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Upper bounds in seconds; the defaults of the official Prometheus client libraries. */
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export type MetricType = 'counter' | 'gauge' | 'histogram';
+export type Labels = Record<string, string>;
+
+export interface Sample {
+  name: string;
+  labels?: Labels;
+  value: number;
+}
+
+interface HistogramSeries {
+  labels: Labels;
+  /** Observations per bucket, not yet cumulative; the last entry is `+Inf`. */
+  buckets: number[];
+  sum: number;
+  count: number;
+}
+
+/** Cumulative histogram keeping one series per distinct label set. */
+export class Histogram {
+  private readonly series = new Map<string, HistogramSeries>();
+
+  constructor(private readonly bounds: readonly number[] = DEFAULT_LATENCY_BUCKETS) {}
+
+  observe(labels: Labels, value: number): void {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, buckets: new Array(this.bounds.length + 1).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    const bucket = this.bounds.findIndex((bound) => value <= bound);
+    series.buckets[bucket === -1 ? this.bounds.length : bucket] += 1;
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /** Observation count of every series, for a companion `_total` counter. */
+  counts(name: string): Sample[] {
+    return Array.from(this.series.values(), ({ labels, count }) => ({
+      name,
+      labels,
+      value: count,
+    }));
+  }
+
+  samples(name: string): Sample[] {
+    return Array.from(this.series.values()).flatMap(({ labels, buckets, sum, count }) => {
+      let cumulative = 0;
+      const bucketSamples = buckets.map((observations, index) => {
+        cumulative += observations;
+        const le = index < this.bounds.length ? String(this.bounds[index]) : '+Inf';
+        return { name: `${name}_bucket`, labels: { ...labels, le }, value: cumulative };
+      });
+      return [
+        ...bucketSamples,
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ];
+    });
+  }
+}
+
+/** Renders one metric family: its HELP and TYPE lines followed by its samples. */
+export function metricFamily(
+  name: string,
+  type: MetricType,
+  help: string,
+  samples: Sample[],
+): string {
+  const lines = [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`];
+  lines.push(`# TYPE ${name} ${type}`);
+  for (const sample of samples) {
+    lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function formatLabels(labels: Labels = {}): string {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
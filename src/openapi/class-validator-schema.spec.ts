@@ -0,0 +1,84 @@
+import { Type } from 'class-transformer';
+import {
+  ArrayNotEmpty,
+  IsIn,
+  IsInt,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Matches,
+  Max,
+  MaxLength,
+  Min,
+  ValidateIf,
+  ValidateNested,
+} from 'class-validator';
+import { DtoClass, dtoObjectSchema, dtoProperties } from './class-validator-schema';
+import { schemaRef } from './openapi.schemas';
+
+class ChildDto {
+  @IsString()
+  @IsNotEmpty()
+  label: string;
+}
+
+class ParentDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(10)
+  code: string;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  rank?: number;
+
+  @IsOptional()
+  @IsIn([1, 'two'])
+  mixed?: number | string;
+
+  @ValidateIf((dto: ParentDto) => dto.code !== 'none')
+  @IsString({ each: true })
+  @Matches(/^[a-z]+$/i, { each: true })
+  @ArrayNotEmpty()
+  words?: string[];
+
+  @ValidateNested({ each: true })
+  @Type(() => ChildDto)
+  children: ChildDto[];
+}
+
+describe('dtoObjectSchema', () => {
+  const refFor = jest.fn((dto: DtoClass) => schemaRef(dto.name));
+
+  it('translates validation rules into JSON Schema keywords', () => {
+    expect(dtoObjectSchema(ParentDto, refFor)).toEqual({
+      type: 'object',
+      properties: {
+        code: { type: 'string', maxLength: 10, minLength: 1 },
+        rank: { type: 'integer', minimum: 1, maximum: 5 },
+        mixed: { enum: [1, 'two'] },
+        words: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', pattern: '^[a-zA-Z]+$' },
+        },
+        children: { type: 'array', items: { $ref: '#/components/schemas/ChildDto' } },
+      },
+      required: ['code', 'children'],
+      additionalProperties: false,
+    });
+    expect(refFor).toHaveBeenCalledWith(ChildDto);
+  });
+
+  it('treats IsOptional and ValidateIf properties as optional', () => {
+    expect(dtoProperties(ParentDto, refFor).map(({ name, required }) => [name, required])).toEqual([
+      ['code', true],
+      ['rank', false],
+      ['mixed', false],
+      ['words', false],
+      ['children', true],
+    ]);
+  });
+});
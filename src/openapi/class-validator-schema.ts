@@ -0,0 +1,216 @@
+import 'reflect-metadata';
+import { plainToInstance } from 'class-transformer';
+import {
+  ARRAY_MAX_SIZE,
+  ARRAY_MIN_SIZE,
+  ARRAY_NOT_EMPTY,
+  IS_ARRAY,
+  IS_BOOLEAN,
+  IS_DATE_STRING,
+  IS_IN,
+  IS_INT,
+  IS_ISO8601,
+  IS_NOT_EMPTY,
+  IS_NUMBER,
+  IS_OBJECT,
+  IS_STRING,
+  IS_URL,
+  IS_UUID,
+  MATCHES,
+  MAX,
+  MAX_LENGTH,
+  MIN,
+  MIN_LENGTH,
+  getMetadataStorage,
+  ValidationTypes,
+} from 'class-validator';
+import { SchemaObject } from './openapi.types';
+
+export type DtoClass = abstract new (...args: never[]) => object;
+
+type ValidationMetadata = ReturnType<
+  ReturnType<typeof getMetadataStorage>['getTargetValidationMetadatas']
+>[number];
+
+export interface DtoProperty {
+  name: string;
+  required: boolean;
+  schema: SchemaObject;
+}
+
+const DESIGN_TYPES = new Map<unknown, SchemaObject['type']>([
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Object, 'object'],
+]);
+
+/**
+ * Translates the class-validator decorators of a DTO into JSON Schema, one
+ * entry per validated property in declaration order. `IsOptional` and
+ * `ValidateIf` make a property optional; rules declared with `{ each: true }`
+ * describe the array items. Nested DTOs are handed to `refFor` so the caller
+ * can register them as named components.
+ */
+export function dtoProperties(
+  target: DtoClass,
+  refFor: (nested: DtoClass) => SchemaObject,
+): DtoProperty[] {
+  const byProperty = new Map<string, ValidationMetadata[]>();
+  for (const metadata of getMetadataStorage().getTargetValidationMetadatas(
+    target,
+    '',
+    true,
+    false,
+  )) {
+    byProperty.set(metadata.propertyName, [
+      ...(byProperty.get(metadata.propertyName) ?? []),
+      metadata,
+    ]);
+  }
+
+  return [...byProperty].map(([name, rules]) => ({
+    name,
+    required: !rules.some((rule) => rule.type === ValidationTypes.CONDITIONAL_VALIDATION),
+    schema: propertySchema(target, name, rules, refFor),
+  }));
+}
+
+/** Request-body schema of a DTO; unknown properties are rejected by the ValidationPipe. */
+export function dtoObjectSchema(
+  target: DtoClass,
+  refFor: (nested: DtoClass) => SchemaObject,
+): SchemaObject {
+  const properties = dtoProperties(target, refFor);
+  const required = properties.filter((property) => property.required).map(({ name }) => name);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(properties.map(({ name, schema }) => [name, schema])),
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+}
+
+function propertySchema(
+  target: DtoClass,
+  name: string,
+  rules: ValidationMetadata[],
+  refFor: (nested: DtoClass) => SchemaObject,
+): SchemaObject {
+  const designType: unknown = Reflect.getMetadata('design:type', target.prototype, name);
+  const isArray = designType === Array || rules.some((rule) => rule.each || rule.name === IS_ARRAY);
+  const schema: SchemaObject = isArray ? { type: 'array', items: {} } : {};
+  const items = schema.items ?? schema;
+  if (!isArray && DESIGN_TYPES.has(designType)) {
+    schema.type = DESIGN_TYPES.get(designType);
+  }
+
+  const notEmpty: SchemaObject[] = [];
+  for (const rule of rules) {
+    const subject = rule.each ? items : schema;
+    if (rule.name === IS_NOT_EMPTY) {
+      notEmpty.push(subject);
+    } else if (rule.type === ValidationTypes.NESTED_VALIDATION) {
+      const nested = nestedType(target, name, rule.each === true);
+      if (nested) {
+        Object.assign(subject, refFor(nested));
+        delete subject.type;
+      }
+    } else if (rule.type === ValidationTypes.CUSTOM_VALIDATION && rule.name) {
+      applyRule(subject, rule.name, rule.constraints ?? []);
+    }
+  }
+  // Decorators are recorded bottom-up, so whether `IsNotEmpty` constrains a
+  // string is only known once the `IsString` above it has been applied.
+  for (const subject of notEmpty.filter(({ type }) => type === 'string')) {
+    subject.minLength = Math.max(subject.minLength ?? 0, 1);
+  }
+  return schema;
+}
+
+function applyRule(schema: SchemaObject, rule: string, constraints: unknown[]): void {
+  const [first] = constraints;
+  switch (rule) {
+    case IS_STRING:
+      schema.type = 'string';
+      break;
+    case IS_INT:
+      schema.type = 'integer';
+      break;
+    case IS_NUMBER:
+      schema.type = 'number';
+      break;
+    case IS_BOOLEAN:
+      schema.type = 'boolean';
+      break;
+    case IS_ARRAY:
+      schema.type = 'array';
+      break;
+    case IS_OBJECT:
+      schema.type = 'object';
+      break;
+    case IS_IN:
+      schema.enum = first as (string | number)[];
+      if (schema.enum.every((value) => typeof value === 'string')) {
+        schema.type = 'string';
+      } else {
+        delete schema.type;
+      }
+      break;
+    case IS_ISO8601:
+    case IS_DATE_STRING:
+      Object.assign(schema, { type: 'string', format: 'date-time' });
+      break;
+    case IS_UUID:
+      Object.assign(schema, { type: 'string', format: 'uuid' });
+      break;
+    case IS_URL:
+      Object.assign(schema, { type: 'string', format: 'uri' });
+      break;
+    case MIN_LENGTH:
+      schema.minLength = Math.max(schema.minLength ?? 0, first as number);
+      break;
+    case MAX_LENGTH:
+      schema.maxLength = first as number;
+      break;
+    case MIN:
+      schema.minimum = first as number;
+      break;
+    case MAX:
+      schema.maximum = first as number;
+      break;
+    case ARRAY_NOT_EMPTY:
+      schema.minItems = Math.max(schema.minItems ?? 0, 1);
+      break;
+    case ARRAY_MIN_SIZE:
+      schema.minItems = Math.max(schema.minItems ?? 0, first as number);
+      break;
+    case ARRAY_MAX_SIZE:
+      schema.maxItems = first as number;
+      break;
+    case MATCHES:
+      schema.pattern = jsonSchemaPattern(first as RegExp | string, constraints[1]);
+      break;
+  }
+}
+
+/**
+ * JSON Schema patterns have no flags, so a case-insensitive expression has
+ * its lowercase ASCII ranges widened to cover both cases.
+ */
+function jsonSchemaPattern(pattern: RegExp | string, modifiers: unknown): string {
+  const source = typeof pattern === 'string' ? pattern : pattern.source;
+  const flags = typeof pattern === 'string' ? String(modifiers ?? '') : pattern.flags;
+  return flags.includes('i') && !source.includes('A-Z') ? source.replace(/a-z/g, 'a-zA-Z') : source;
+}
+
+/** Resolves the class that `@Type()` converts a nested property into. */
+function nestedType(target: DtoClass, name: string, each: boolean): DtoClass | undefined {
+  const probe = plainToInstance(target as new () => object, { [name]: each ? [{}] : {} });
+  const value: unknown = Reflect.get(probe, name);
+  const nested: unknown = each && Array.isArray(value) ? value[0] : value;
+  if (typeof nested !== 'object' || nested === null || nested.constructor === Object) {
+    return undefined;
+  }
+  return nested.constructor as DtoClass;
+}
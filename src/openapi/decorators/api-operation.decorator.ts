@@ -0,0 +1,31 @@
+import { SetMetadata } from '@nestjs/common';
+import { DtoClass } from '../class-validator-schema';
+import { SchemaObject } from '../openapi.types';
+
+export const API_OPERATION_KEY = 'openapi:operation';
+
+export interface ApiOperationOptions {
+  summary: string;
+  description?: string;
+  /** JSON body of the success response, or the data of each SSE event. */
+  response?: SchemaObject;
+  /** Success body per media type, for responses that are not JSON. */
+  content?: Record<string, SchemaObject>;
+  /** Response headers set on success, with their descriptions. */
+  headers?: Record<string, string>;
+  /** Additional outcomes worth documenting, keyed by status code. */
+  responses?: Record<number, string>;
+  /**
+   * Request body per media type, replacing the one derived from the `@Body()`
+   * parameter type; DTO classes are converted from their validation rules.
+   */
+  requestBody?: Record<string, SchemaObject | DtoClass>;
+}
+
+/**
+ * Documents what the route metadata cannot express: a summary, the response
+ * shape and route-specific outcomes. Parameters, the request body, status
+ * codes and security are derived from the handler itself.
+ */
+export const ApiOperation = (options: ApiOperationOptions) =>
+  SetMetadata(API_OPERATION_KEY, options);
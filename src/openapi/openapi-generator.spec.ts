@@ -0,0 +1,174 @@
+import {
+  Body,
+  Controller,
+  Get,
+  Headers,
+  HttpCode,
+  HttpStatus,
+  MessageEvent,
+  Param,
+  ParseIntPipe,
+  Post,
+  Query,
+  Sse,
+  Version,
+} from '@nestjs/common';
+import { IsOptional, IsString } from 'class-validator';
+import { Observable } from 'rxjs';
+import { Public, Roles } from '../auth/decorators/roles.decorator';
+import { API_V1, API_V2, servedVersions } from '../versioning/api-version';
+import { ApiOperation } from './decorators/api-operation.decorator';
+import { buildOpenApiDocument } from './openapi-generator';
+import { schemaRef } from './openapi.schemas';
+
+class WidgetDto {
+  @IsString()
+  name: string;
+}
+
+class WidgetQueryDto {
+  @IsOptional()
+  @IsString()
+  filter?: string;
+}
+
+@Controller('widgets')
+@Roles('reader')
+class WidgetsController {
+  @Get(':id/parts/:part')
+  @ApiOperation({ summary: 'Get a part', response: schemaRef('Item') })
+  findPart(
+    @Param('id') _id: string,
+    @Param('part', ParseIntPipe) _part: number,
+    @Query() _query: WidgetQueryDto,
+    @Headers('if-none-match') _ifNoneMatch?: string,
+    @Headers('content-type') _contentType?: string,
+  ) {
+    return undefined;
+  }
+
+  @Post()
+  @Roles('editor')
+  @ApiOperation({ summary: 'Create a widget', responses: { 409: 'Duplicate name' } })
+  create(@Body() _dto: WidgetDto) {
+    return undefined;
+  }
+
+  @Post('reset')
+  @Public()
+  @HttpCode(HttpStatus.NO_CONTENT)
+  reset() {
+    return undefined;
+  }
+
+  @Sse('events')
+  events(): Observable<MessageEvent> {
+    return new Observable();
+  }
+}
+
+@Controller({ path: 'gadgets', version: servedVersions(API_V1) })
+class GadgetsController {
+  @Get()
+  findAll() {
+    return undefined;
+  }
+
+  @Get()
+  @Version(API_V2)
+  findAllV2() {
+    return undefined;
+  }
+}
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument({
+    title: 'Widgets',
+    version: '2.0.0',
+    controllers: [WidgetsController],
+  });
+
+  it('lists every route under its OpenAPI path', () => {
+    expect(document.info).toEqual({ title: 'Widgets', version: '2.0.0' });
+    expect(document.servers).toEqual([{ url: '/' }]);
+    expect(document.tags).toEqual([{ name: 'widgets' }]);
+    expect(Object.keys(document.paths)).toEqual([
+      '/widgets',
+      '/widgets/{id}/parts/{part}',
+      '/widgets/events',
+      '/widgets/reset',
+    ]);
+  });
+
+  it('derives parameters from route arguments and query DTOs', () => {
+    const operation = document.paths['/widgets/{id}/parts/{part}']?.get;
+    expect(operation?.operationId).toBe('Widgets_findPart');
+    expect(operation?.summary).toBe('Get a part');
+    expect(operation?.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'part', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'filter', in: 'query', required: false, schema: { type: 'string' } },
+      { name: 'If-None-Match', in: 'header', schema: { type: 'string' } },
+    ]);
+    expect(operation?.responses['200'].content).toEqual({
+      'application/json': { schema: schemaRef('Item') },
+    });
+    expect(Object.keys(operation?.responses ?? {})).toEqual([
+      '200',
+      '400',
+      '401',
+      '403',
+      '404',
+      '429',
+    ]);
+  });
+
+  it('registers body DTOs as components and documents the required role', () => {
+    const operation = document.paths['/widgets']?.post;
+    expect(operation?.requestBody?.content['application/json'].schema).toEqual(
+      schemaRef('WidgetDto'),
+    );
+    expect(document.components.schemas.WidgetDto).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name'],
+      additionalProperties: false,
+    });
+    expect(operation?.description).toBe('Requires the `editor` role.');
+    expect(operation?.security).toEqual([{ apiKey: [] }, { bearerAuth: [] }]);
+    expect(Object.keys(operation?.responses ?? {})).toEqual([
+      '201',
+      '400',
+      '401',
+      '403',
+      '409',
+      '429',
+    ]);
+  });
+
+  it('honours HttpCode, Public and Sse', () => {
+    const reset = document.paths['/widgets/reset']?.post;
+    expect(Object.keys(reset?.responses ?? {})).toEqual(['204', '429']);
+    expect(reset?.security).toBeUndefined();
+
+    const events = document.paths['/widgets/events']?.get;
+    expect(events?.responses['200'].content).toEqual({
+      'text/event-stream': { schema: { type: 'string' } },
+    });
+  });
+
+  it('prefixes versioned routes and leaves out their unprefixed fallback', () => {
+    const versioned = buildOpenApiDocument({
+      title: 'Gadgets',
+      version: '1.0.0',
+      controllers: [GadgetsController],
+    });
+    expect(versioned.tags).toEqual([{ name: 'gadgets' }]);
+    expect(Object.keys(versioned.paths)).toEqual(['/v1/gadgets', '/v2/gadgets']);
+    expect(versioned.paths['/v1/gadgets']?.get?.operationId).toBe('Gadgets_findAll');
+    expect(versioned.paths['/v2/gadgets']?.get).toMatchObject({
+      operationId: 'Gadgets_findAllV2_v2',
+      tags: ['gadgets'],
+    });
+  });
+});
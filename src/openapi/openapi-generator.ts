@@ -0,0 +1,343 @@
+import { HttpStatus, ParseIntPipe, RequestMethod, Type, VERSION_NEUTRAL } from '@nestjs/common';
+import {
+  HTTP_CODE_METADATA,
+  METHOD_METADATA,
+  PARAMTYPES_METADATA,
+  PATH_METADATA,
+  ROUTE_ARGS_METADATA,
+  SSE_METADATA,
+  VERSION_METADATA,
+} from '@nestjs/common/constants';
+import { RouteParamtypes } from '@nestjs/common/enums/route-paramtypes.enum';
+import { Role } from '../auth/auth.types';
+import { PROBLEM_CONTENT_TYPE } from '../common/problem/problem-details';
+import { PUBLIC_KEY, ROLES_KEY } from '../auth/decorators/roles.decorator';
+import { DEFAULT_API_VERSION } from '../versioning/api-version';
+import { DtoClass, dtoObjectSchema, dtoProperties } from './class-validator-schema';
+import { API_OPERATION_KEY, ApiOperationOptions } from './decorators/api-operation.decorator';
+import { COMPONENT_SCHEMAS, schemaRef } from './openapi.schemas';
+import {
+  HttpMethod,
+  OpenApiDocument,
+  OperationObject,
+  ParameterObject,
+  RequestBodyObject,
+  ResponseObject,
+  SchemaObject,
+} from './openapi.types';
+
+export interface OpenApiGeneratorOptions {
+  title: string;
+  version: string;
+  description?: string;
+  controllers: Type<unknown>[];
+}
+
+interface OperationRoute {
+  path: string;
+  tag: string;
+  requestMethod: RequestMethod;
+  refFor: (dto: DtoClass) => SchemaObject;
+}
+
+interface RouteArgument {
+  paramtype: number;
+  index: number;
+  data?: unknown;
+  pipes: unknown[];
+}
+
+const STATUS_DESCRIPTIONS: Partial<Record<number, string>> = {
+  [HttpStatus.OK]: 'OK',
+  [HttpStatus.CREATED]: 'Created',
+  [HttpStatus.NO_CONTENT]: 'No Content',
+  [HttpStatus.NOT_MODIFIED]: 'Not Modified',
+  [HttpStatus.BAD_REQUEST]: 'The request failed validation',
+  [HttpStatus.UNAUTHORIZED]: 'Missing or invalid credentials',
+  [HttpStatus.FORBIDDEN]: 'The caller lacks the required role or ownership',
+  [HttpStatus.NOT_FOUND]: 'Not Found',
+  [HttpStatus.TOO_MANY_REQUESTS]: 'The client exhausted its rate limit budget',
+};
+
+/** Parameter types Nest can carry through `design:paramtypes` that are not DTOs. */
+const PRIMITIVE_TYPES = new Set<unknown>([String, Number, Boolean, Object, Array]);
+
+/** Headers OpenAPI describes through the request body or security schemes instead. */
+const IMPLICIT_HEADERS = new Set(['content-type', 'accept', 'authorization']);
+
+const DEFAULT_ROLE: Role = 'reader';
+
+/**
+ * Builds an OpenAPI 3 document from Nest route metadata: paths, parameters
+ * and request bodies come from the handlers' decorators and DTO parameter
+ * types, validation rules from class-validator, and required roles from
+ * `@Roles`/`@Public`. `@ApiOperation` adds what only the author knows.
+ */
+export function buildOpenApiDocument(options: OpenApiGeneratorOptions): OpenApiDocument {
+  const dtoSchemas: Record<string, SchemaObject> = {};
+  const refFor = (dto: DtoClass): SchemaObject => {
+    if (!(dto.name in dtoSchemas)) {
+      dtoSchemas[dto.name] = {};
+      dtoSchemas[dto.name] = dtoObjectSchema(dto, refFor);
+    }
+    return schemaRef(dto.name);
+  };
+
+  const paths: OpenApiDocument['paths'] = {};
+  const tags = new Set<string>();
+  for (const controller of options.controllers) {
+    const controllerPath = firstPath(Reflect.getMetadata(PATH_METADATA, controller));
+    tags.add(controllerPath);
+    for (const name of Object.getOwnPropertyNames(controller.prototype)) {
+      const handler: unknown = Reflect.get(controller.prototype, name);
+      const requestMethod: RequestMethod | undefined =
+        typeof handler === 'function' ? Reflect.getMetadata(METHOD_METADATA, handler) : undefined;
+      if (typeof handler !== 'function' || requestMethod === undefined) {
+        continue;
+      }
+      const method = RequestMethod[requestMethod].toLowerCase() as HttpMethod;
+      for (const version of documentedVersions(controller, handler)) {
+        const path = openApiPath(
+          version === undefined ? '' : `v${version}`,
+          controllerPath,
+          firstPath(Reflect.getMetadata(PATH_METADATA, handler)),
+        );
+        const operation = buildOperation(controller, name, handler, {
+          path,
+          tag: controllerPath,
+          requestMethod,
+          refFor,
+        });
+        // Keeps the ids of default-version operations stable when a handler gains a version.
+        if (version !== undefined && version !== DEFAULT_API_VERSION) {
+          operation.operationId = `${operation.operationId}_v${version}`;
+        }
+        paths[path] = { ...paths[path], [method]: operation };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: options.title,
+      version: options.version,
+      ...(options.description && { description: options.description }),
+    },
+    servers: [{ url: '/' }],
+    tags: [...tags].map((name) => ({ name })),
+    paths: sortedByKey(paths),
+    components: {
+      schemas: sortedByKey({ ...COMPONENT_SCHEMAS, ...dtoSchemas }),
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+}
+
+function buildOperation(
+  controller: Type<unknown>,
+  name: string,
+  handler: object,
+  { path, tag, requestMethod, refFor }: OperationRoute,
+): OperationObject {
+  const documented: ApiOperationOptions | undefined = Reflect.getMetadata(
+    API_OPERATION_KEY,
+    handler,
+  );
+  const paramTypes: unknown[] =
+    Reflect.getMetadata(PARAMTYPES_METADATA, controller.prototype, name) ?? [];
+
+  const parameters: ParameterObject[] = [];
+  let requestBody: RequestBodyObject | undefined;
+  for (const argument of routeArguments(controller, name)) {
+    const type = paramTypes[argument.index];
+    const data = typeof argument.data === 'string' ? argument.data : undefined;
+    if (argument.paramtype === RouteParamtypes.PARAM && data) {
+      const numeric = argument.pipes.some(
+        (pipe) => pipe === ParseIntPipe || pipe instanceof ParseIntPipe,
+      );
+      parameters.push({
+        name: data,
+        in: 'path',
+        required: true,
+        schema: { type: numeric ? 'integer' : 'string' },
+      });
+    } else if (argument.paramtype === RouteParamtypes.QUERY && isDto(type)) {
+      for (const property of dtoProperties(type, refFor)) {
+        parameters.push({
+          name: property.name,
+          in: 'query',
+          required: property.required,
+          schema: property.schema,
+        });
+      }
+    } else if (argument.paramtype === RouteParamtypes.QUERY && data) {
+      parameters.push({ name: data, in: 'query', schema: { type: 'string' } });
+    } else if (
+      argument.paramtype === RouteParamtypes.HEADERS &&
+      data &&
+      !IMPLICIT_HEADERS.has(data.toLowerCase())
+    ) {
+      parameters.push({ name: headerName(data), in: 'header', schema: { type: 'string' } });
+    } else if (argument.paramtype === RouteParamtypes.BODY && isDto(type)) {
+      requestBody = { required: true, content: { 'application/json': { schema: refFor(type) } } };
+    }
+  }
+  if (documented?.requestBody) {
+    requestBody = {
+      required: true,
+      content: Object.fromEntries(
+        Object.entries(documented.requestBody).map(([type, schema]) => [
+          type,
+          { schema: typeof schema === 'function' ? refFor(schema) : schema },
+        ]),
+      ),
+    };
+  }
+
+  const isPublic = metadataFor<boolean>(PUBLIC_KEY, controller, handler) === true;
+  const role = metadataFor<Role>(ROLES_KEY, controller, handler) ?? DEFAULT_ROLE;
+  const description = [documented?.description, isPublic ? '' : `Requires the \`${role}\` role.`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const status: number =
+    Reflect.getMetadata(HTTP_CODE_METADATA, handler) ??
+    (requestMethod === RequestMethod.POST ? HttpStatus.CREATED : HttpStatus.OK);
+  const responses: Record<string, ResponseObject> = {
+    [status]: successResponse(status, handler, documented),
+  };
+  if (parameters.length > 0 || requestBody) {
+    responses[HttpStatus.BAD_REQUEST] = errorResponse(HttpStatus.BAD_REQUEST);
+  }
+  if (!isPublic) {
+    responses[HttpStatus.UNAUTHORIZED] = errorResponse(HttpStatus.UNAUTHORIZED);
+    responses[HttpStatus.FORBIDDEN] = errorResponse(HttpStatus.FORBIDDEN);
+  }
+  if (path.includes('{id}')) {
+    responses[HttpStatus.NOT_FOUND] = errorResponse(HttpStatus.NOT_FOUND);
+  }
+  for (const [code, text] of Object.entries(documented?.responses ?? {})) {
+    responses[code] =
+      Number(code) < HttpStatus.BAD_REQUEST
+        ? { description: text }
+        : errorResponse(Number(code), text);
+  }
+  responses[HttpStatus.TOO_MANY_REQUESTS] = {
+    ...errorResponse(HttpStatus.TOO_MANY_REQUESTS),
+    headers: {
+      'Retry-After': {
+        description: 'Seconds until the request would be admitted',
+        schema: { type: 'integer' },
+      },
+    },
+  };
+
+  return {
+    operationId: `${controller.name.replace(/Controller$/, '')}_${name}`,
+    ...(documented?.summary && { summary: documented.summary }),
+    ...(description && { description }),
+    tags: [tag],
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: sortedByKey(responses),
+    ...(!isPublic && { security: [{ apiKey: [] }, { bearerAuth: [] }] }),
+  };
+}
+
+function successResponse(
+  status: number,
+  handler: object,
+  documented?: ApiOperationOptions,
+): ResponseObject {
+  const response: ResponseObject = { description: STATUS_DESCRIPTIONS[status] ?? 'Success' };
+  if (documented?.headers) {
+    response.headers = Object.fromEntries(
+      Object.entries(documented.headers).map(([name, description]) => [
+        name,
+        { description, schema: { type: 'string' } },
+      ]),
+    );
+  }
+  if (Reflect.getMetadata(SSE_METADATA, handler) === true) {
+    response.content = {
+      'text/event-stream': { schema: documented?.response ?? { type: 'string' } },
+    };
+  } else if (documented?.content) {
+    response.content = Object.fromEntries(
+      Object.entries(documented.content).map(([type, schema]) => [type, { schema }]),
+    );
+  } else if (documented?.response) {
+    response.content = { 'application/json': { schema: documented.response } };
+  }
+  return response;
+}
+
+function errorResponse(status: number, description?: string): ResponseObject {
+  return {
+    description: description ?? STATUS_DESCRIPTIONS[status] ?? 'Error',
+    content: { [PROBLEM_CONTENT_TYPE]: { schema: schemaRef('ProblemDetails') } },
+  };
+}
+
+/** Route arguments of a handler in parameter order, without custom decorators. */
+function routeArguments(controller: Type<unknown>, name: string): RouteArgument[] {
+  const metadata: Record<string, Omit<RouteArgument, 'paramtype'>> = Reflect.getMetadata(
+    ROUTE_ARGS_METADATA,
+    controller,
+    name,
+  ) ?? {};
+  return Object.entries(metadata)
+    .map(([key, argument]) => ({ ...argument, paramtype: Number(key.split(':')[0]) }))
+    .filter((argument) => !Number.isNaN(argument.paramtype))
+    .sort((a, b) => a.index - b.index);
+}
+
+function metadataFor<T>(key: string, controller: Type<unknown>, handler: object): T | undefined {
+  return Reflect.getMetadata(key, handler) ?? Reflect.getMetadata(key, controller);
+}
+
+function isDto(type: unknown): type is DtoClass {
+  return typeof type === 'function' && !PRIMITIVE_TYPES.has(type);
+}
+
+/**
+ * The URI versions a handler is served under; its own `@Version` overrides
+ * the controller's. Unprefixed paths of versioned routes are a migration
+ * fallback and are left out. `undefined` stands for an unversioned route.
+ */
+function documentedVersions(controller: Type<unknown>, handler: object): (string | undefined)[] {
+  const value: unknown = metadataFor(VERSION_METADATA, controller, handler);
+  if (value === undefined || value === VERSION_NEUTRAL) {
+    return [undefined];
+  }
+  return (Array.isArray(value) ? value : [value]).filter(
+    (version): version is string => typeof version === 'string',
+  );
+}
+
+function firstPath(path: unknown): string {
+  const value = Array.isArray(path) ? path[0] : path;
+  return typeof value === 'string' ? value.replace(/^\/+|\/+$/g, '') : '';
+}
+
+/** Joins Nest path segments and rewrites `:param` placeholders as `{param}`. */
+function openApiPath(...segments: string[]): string {
+  const path = segments.filter((segment) => segment.length > 0).join('/');
+  return `/${path.replace(/:(\w+)/g, '{$1}')}`;
+}
+
+/** Header names as conventionally capitalized, e.g. `if-match` as `If-Match`. */
+function headerName(name: string): string {
+  return name.replace(
+    /(^|-)([a-z])/g,
+    (_match, dash: string, letter: string) => `${dash}${letter.toUpperCase()}`,
+  );
+}
+
+function sortedByKey<T>(record: Record<string, T>): Record<string, T> {
+  return Object.fromEntries(Object.entries(record).sort(([a], [b]) => a.localeCompare(b)));
+}
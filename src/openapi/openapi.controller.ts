@@ -0,0 +1,57 @@
+import { Controller, Get, Header } from '@nestjs/common';
+import { Public } from '../auth/decorators/roles.decorator';
+import { OpenApiService } from './openapi.service';
+import { OpenApiDocument } from './openapi.types';
+
+const SWAGGER_UI_VERSION = '5.17.14';
+const SWAGGER_UI_URL = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+
+/** Subresource Integrity hashes of the pinned assets; update them with the version. */
+const SWAGGER_UI_INTEGRITY = {
+  css: 'sha384-wxLW6kwyHktdDGr6Pv1zgm/VGJh99lfUbzSn6HNHBENZlCN7W602k9VkGdxuFvPn',
+  js: 'sha384-wmyclcVGX/WhUkdkATwhaK1X1JtiNrr2EoYJ+diV3vj4v6OC5yCeSu+yW13SYJep',
+};
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Items API</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI_URL}/swagger-ui.css"
+      integrity="${SWAGGER_UI_INTEGRITY.css}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script
+      src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"
+      integrity="${SWAGGER_UI_INTEGRITY.js}"
+      crossorigin="anonymous"
+    ></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+  </body>
+</html>
+`;
+
+/** Publishes the generated API description and an interactive viewer for it. */
+@Controller()
+@Public()
+export class OpenApiController {
+  constructor(private readonly openApiService: OpenApiService) {}
+
+  @Get('openapi.json')
+  getDocument(): OpenApiDocument {
+    return this.openApiService.getDocument();
+  }
+
+  @Get('docs')
+  @Header('Content-Type', 'text/html; charset=utf-8')
+  getDocs(): string {
+    return DOCS_PAGE;
+  }
+}
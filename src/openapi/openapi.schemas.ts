@@ -0,0 +1,296 @@
+import {
+  AuditFileInfo,
+  AuditReport,
+  AuditSession,
+  AuditSummary,
+  AuditTokenCounts,
+} from '../audit/audit.service';
+import { FieldError } from '../common/validation/validation-errors';
+import { JSON_PATCH_OPERATIONS, JsonPatchOperation } from '../common/patch/json-patch';
+import { BULK_OPERATION_TYPES } from '../items/dto/bulk-items.dto';
+import { IMPORT_FORMATS } from '../items/dto/transfer-items-query.dto';
+import { ITEM_EVENT_TYPES, ItemEvent } from '../items/interfaces/item-event.interface';
+import {
+  ItemFieldChange,
+  ItemRevision,
+  ItemRevisionAction,
+  REVISION_TRACKED_FIELDS,
+} from '../items/interfaces/item-revision.interface';
+import { Item, ItemsPage, TagUsage } from '../items/interfaces/item.interface';
+import { BulkOperationResult, BulkResult } from '../items/items-bulk.service';
+import { ImportResult, ImportRowError } from '../items/items-import-export.service';
+import { ItemSearchHit, ItemSearchResults } from '../items/search/item-search-index';
+import {
+  WEBHOOK_EVENT_TYPES,
+  WebhookDeadLetter,
+  WebhookDeliveryAttempt,
+  WebhookPayload,
+  WebhookSubscription,
+  WebhookSubscriptionWithSecret,
+} from '../webhooks/interfaces/webhook.interface';
+import { Workspace } from '../workspaces/workspace.interface';
+import { SchemaObject } from './openapi.types';
+
+type OptionalKeys<T> = { [K in keyof T]-?: object extends Pick<T, K> ? K : never }[keyof T];
+
+/**
+ * Builds an object schema whose property list is checked against the
+ * TypeScript interface it documents, so adding or renaming a response field
+ * fails the type-check until the schema follows.
+ */
+function objectSchema<T>(
+  properties: { [K in keyof T]-?: SchemaObject },
+  optional: OptionalKeys<T>[] = [],
+): SchemaObject {
+  const names = Object.keys(properties);
+  return {
+    type: 'object',
+    properties,
+    required: names.filter((name) => !(optional as string[]).includes(name)),
+  };
+}
+
+/** Reference to one of the named schemas under `components.schemas`. */
+export function schemaRef(name: string): SchemaObject {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+export function arrayOf(items: SchemaObject): SchemaObject {
+  return { type: 'array', items };
+}
+
+const string: SchemaObject = { type: 'string' };
+const integer: SchemaObject = { type: 'integer' };
+const dateTime: SchemaObject = { type: 'string', format: 'date-time' };
+const nullable = (schema: SchemaObject): SchemaObject => ({ ...schema, nullable: true });
+const record = (values: SchemaObject): SchemaObject => ({
+  type: 'object',
+  additionalProperties: values,
+});
+
+const REVISION_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'revert',
+] as const satisfies readonly ItemRevisionAction[];
+
+const webhookEventType: SchemaObject = { type: 'string', enum: WEBHOOK_EVENT_TYPES };
+
+const WEBHOOK_SUBSCRIPTION_PROPERTIES: { [K in keyof WebhookSubscription]-?: SchemaObject } = {
+  id: string,
+  url: { ...string, format: 'uri' },
+  workspaceId: string,
+  events: arrayOf(webhookEventType),
+  createdAt: dateTime,
+};
+
+/**
+ * Shapes declared as plain interfaces, which carry no runtime metadata:
+ * response bodies and the JSON Patch operation list.
+ */
+export const COMPONENT_SCHEMAS: Record<string, SchemaObject> = {
+  Item: objectSchema<Item>({
+    id: string,
+    name: string,
+    description: string,
+    tags: arrayOf(string),
+    ownerId: nullable(string),
+    version: integer,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+    deletedAt: nullable(dateTime),
+  }),
+  ItemsPage: objectSchema<ItemsPage>({
+    items: arrayOf(schemaRef('Item')),
+    total: integer,
+    limit: integer,
+    offset: integer,
+    nextCursor: nullable(string),
+  }),
+  TagUsage: objectSchema<TagUsage>({ tag: string, count: integer }),
+  ItemSearchResults: objectSchema<ItemSearchResults>({
+    query: string,
+    total: integer,
+    results: arrayOf(schemaRef('ItemSearchHit')),
+  }),
+  ItemSearchHit: objectSchema<ItemSearchHit>({
+    item: schemaRef('Item'),
+    score: { type: 'number' },
+    highlights: objectSchema<ItemSearchHit['highlights']>({
+      name: { ...string, description: 'Name with matches wrapped in `<mark>`' },
+      description: { ...string, description: 'Snippet with matches wrapped in `<mark>`' },
+    }),
+  }),
+  ItemRevision: objectSchema<ItemRevision>(
+    {
+      rev: integer,
+      itemId: string,
+      action: { type: 'string', enum: REVISION_ACTIONS },
+      actor: string,
+      timestamp: dateTime,
+      version: integer,
+      changes: arrayOf(schemaRef('ItemFieldChange')),
+      snapshot: objectSchema<ItemRevision['snapshot']>({
+        name: string,
+        description: string,
+        tags: arrayOf(string),
+      }),
+      revertedFrom: integer,
+    },
+    ['revertedFrom'],
+  ),
+  ItemFieldChange: objectSchema<ItemFieldChange>({
+    field: { type: 'string', enum: REVISION_TRACKED_FIELDS },
+    from: { oneOf: [nullable(string), arrayOf(string)] },
+    to: { oneOf: [nullable(string), arrayOf(string)] },
+  }),
+  ItemEvent: objectSchema<Omit<ItemEvent, 'id'>>({
+    type: { type: 'string', enum: ITEM_EVENT_TYPES },
+    workspaceId: string,
+    itemId: string,
+    item: schemaRef('Item'),
+    actor: string,
+    timestamp: dateTime,
+  }),
+  Workspace: objectSchema<Workspace>({
+    id: string,
+    name: string,
+    itemLimit: integer,
+    members: arrayOf(string),
+    itemCount: integer,
+    createdAt: nullable(dateTime),
+  }),
+  BulkResult: objectSchema<BulkResult>({
+    atomic: { type: 'boolean' },
+    committed: { type: 'boolean' },
+    succeeded: integer,
+    failed: integer,
+    results: arrayOf(schemaRef('BulkOperationResult')),
+  }),
+  BulkOperationResult: objectSchema<BulkOperationResult>(
+    {
+      index: integer,
+      op: { type: 'string', enum: BULK_OPERATION_TYPES },
+      status: { type: 'string', enum: ['ok', 'error', 'skipped'] },
+      statusCode: integer,
+      id: string,
+      item: schemaRef('Item'),
+      errors: arrayOf(string),
+    },
+    ['id', 'item', 'errors'],
+  ),
+  ImportResult: objectSchema<ImportResult>({
+    format: { type: 'string', enum: IMPORT_FORMATS },
+    dryRun: { type: 'boolean' },
+    total: integer,
+    imported: integer,
+    failed: integer,
+    ids: arrayOf(string),
+    errors: arrayOf(schemaRef('ImportRowError')),
+  }),
+  ImportRowError: objectSchema<ImportRowError>({ line: integer, errors: arrayOf(string) }),
+  WebhookSubscription: objectSchema<WebhookSubscription>(WEBHOOK_SUBSCRIPTION_PROPERTIES),
+  WebhookSubscriptionWithSecret: objectSchema<WebhookSubscriptionWithSecret>({
+    ...WEBHOOK_SUBSCRIPTION_PROPERTIES,
+    secret: { ...string, description: 'Signs every delivery; never returned again' },
+  }),
+  WebhookDeliveryAttempt: objectSchema<WebhookDeliveryAttempt>({
+    deliveryId: string,
+    type: webhookEventType,
+    attempt: integer,
+    status: { type: 'string', enum: ['succeeded', 'failed'] },
+    statusCode: nullable(integer),
+    error: nullable(string),
+    durationMs: integer,
+    timestamp: dateTime,
+    nextRetryAt: nullable(dateTime),
+  }),
+  WebhookDeadLetter: objectSchema<WebhookDeadLetter>({
+    deliveryId: string,
+    subscriptionId: string,
+    url: string,
+    payload: schemaRef('WebhookPayload'),
+    attempts: integer,
+    lastError: string,
+    deadAt: dateTime,
+  }),
+  WebhookPayload: objectSchema<WebhookPayload>({
+    id: string,
+    type: webhookEventType,
+    occurredAt: dateTime,
+    workspaceId: string,
+    data: objectSchema<WebhookPayload['data']>({ item: schemaRef('Item'), actor: string }),
+  }),
+  AuditReport: objectSchema<AuditReport>({
+    sessions: arrayOf(schemaRef('AuditSession')),
+    summary: schemaRef('AuditSummary'),
+  }),
+  AuditSession: objectSchema<AuditSession>({
+    id: string,
+    timestamp: string,
+    tool: string,
+    model: string,
+    tokens: schemaRef('AuditTokenCounts'),
+    files: arrayOf(schemaRef('AuditFileInfo')),
+    commit: nullable(string),
+    branch: nullable(string),
+    userId: string,
+    prompt: nullable(string),
+  }),
+  AuditTokenCounts: objectSchema<AuditTokenCounts>({
+    input: integer,
+    output: integer,
+    total: integer,
+  }),
+  AuditFileInfo: objectSchema<AuditFileInfo>({
+    path: string,
+    lines: integer,
+    size: integer,
+    modified: nullable(string),
+  }),
+  AuditSummary: objectSchema<AuditSummary>({
+    totalSessions: integer,
+    totalTokens: integer,
+    totalInputTokens: integer,
+    totalOutputTokens: integer,
+    totalFiles: integer,
+    byTool: record(
+      objectSchema<AuditSummary['byTool'][string]>({
+        sessions: integer,
+        tokens: integer,
+        files: integer,
+      }),
+    ),
+    byModel: record(
+      objectSchema<AuditSummary['byModel'][string]>({ sessions: integer, tokens: integer }),
+    ),
+    byUser: record(
+      objectSchema<AuditSummary['byUser'][string]>({ sessions: integer, tokens: integer }),
+    ),
+  }),
+  JsonPatchOperation: objectSchema<JsonPatchOperation>(
+    {
+      op: { type: 'string', enum: JSON_PATCH_OPERATIONS },
+      path: { ...string, description: 'JSON Pointer (RFC 6901)' },
+      from: { ...string, description: 'JSON Pointer; required by `move` and `copy`' },
+      value: { description: 'Required by `add`, `replace` and `test`' },
+    },
+    ['from', 'value'],
+  ),
+  ProblemDetails: {
+    type: 'object',
+    description: 'RFC 7807 problem details; other members carry error-specific data',
+    properties: {
+      type: { ...string, format: 'uri-reference', example: '/problems/not-found' },
+      title: string,
+      status: integer,
+      detail: string,
+      instance: string,
+      requestId: string,
+      errors: arrayOf(objectSchema<FieldError>({ field: string, message: string })),
+    },
+    required: ['type', 'title', 'status', 'requestId'],
+  },
+};
@@ -0,0 +1,56 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { OpenApiService } from './openapi.service';
+
+/** The published API description, kept at the repository root. */
+const COMMITTED_SPEC = join(__dirname, '..', '..', 'openapi.json');
+
+describe('OpenApiService', () => {
+  const document = new OpenApiService().getDocument();
+
+  it('matches the committed openapi.json (run `npm run openapi:update` after API changes)', () => {
+    const generated = `${JSON.stringify(document, null, 2)}\n`;
+    if (process.env.UPDATE_OPENAPI === 'true') {
+      writeFileSync(COMMITTED_SPEC, generated);
+    }
+    expect(JSON.parse(generated)).toEqual(JSON.parse(readFileSync(COMMITTED_SPEC, 'utf8')));
+  });
+
+  it('documents the item DTO validation rules', () => {
+    expect(document.components.schemas.CreateItemDto).toMatchObject({
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } },
+      },
+      required: ['name', 'description'],
+    });
+    expect(document.components.schemas.UpdateItemDto.required).toBeUndefined();
+  });
+
+  it('documents the audit report', () => {
+    const audit = document.paths['/v1/audit']?.get;
+    expect(audit?.parameters).toEqual([
+      {
+        name: 'limit',
+        in: 'query',
+        required: false,
+        schema: { type: 'integer', minimum: 1, maximum: 100 },
+      },
+    ]);
+    expect(audit?.responses['200'].content?.['application/json'].schema).toEqual({
+      $ref: '#/components/schemas/AuditReport',
+    });
+    expect(document.components.schemas.AuditSummary.required).toContain('byTool');
+  });
+
+  it('only references schemas that exist', () => {
+    const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g) ?? [];
+    const names = new Set(refs.map((ref) => ref.split('/').pop() ?? ''));
+    expect([...names].filter((name) => !(name in document.components.schemas))).toEqual([]);
+  });
+
+  it('is cached between calls', () => {
+    const service = new OpenApiService();
+    expect(service.getDocument()).toBe(service.getDocument());
+  });
+});
@@ -0,0 +1,38 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { AuditController } from '../audit/audit.controller';
+import { ItemsController } from '../items/items.controller';
+import { WebhooksController } from '../webhooks/webhooks.controller';
+import { WorkspacesController } from '../workspaces/workspaces.controller';
+import { buildOpenApiDocument } from './openapi-generator';
+import { OpenApiDocument } from './openapi.types';
+
+/** Controllers whose routes make up the published API description. */
+export const DOCUMENTED_CONTROLLERS = [
+  ItemsController,
+  WorkspacesController,
+  WebhooksController,
+  AuditController,
+];
+
+@Injectable()
+export class OpenApiService {
+  private readonly logger = new Logger(OpenApiService.name);
+  private document?: OpenApiDocument;
+
+  /** Generated on first use; route metadata does not change while running. */
+  getDocument(): OpenApiDocument {
+    if (!this.document) {
+      this.document = buildOpenApiDocument({
+        title: 'Items API',
+        version: '1.0.0',
+        description:
+          'CRUD API for items in isolated workspaces, their revision history, webhooks for their events and the AI usage audit.',
+        controllers: DOCUMENTED_CONTROLLERS,
+      });
+      this.logger.log(
+        `Generated OpenAPI document with ${Object.keys(this.document.paths).length} paths`,
+      );
+    }
+    return this.document;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * The subset of the OpenAPI 3.0 document model that the generator emits.
+ * Schemas follow the OpenAPI flavour of JSON Schema (`nullable` rather than
+ * `type: [..., 'null']`).
+ */
+export interface SchemaObject {
+  $ref?: string;
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object';
+  format?: string;
+  description?: string;
+  example?: unknown;
+  nullable?: boolean;
+  enum?: readonly (string | number)[];
+  pattern?: string;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  minItems?: number;
+  maxItems?: number;
+  items?: SchemaObject;
+  properties?: Record<string, SchemaObject>;
+  required?: string[];
+  additionalProperties?: boolean | SchemaObject;
+  oneOf?: SchemaObject[];
+}
+
+export interface MediaTypeObject {
+  schema?: SchemaObject;
+}
+
+export interface HeaderObject {
+  description?: string;
+  schema: SchemaObject;
+}
+
+export interface ResponseObject {
+  description: string;
+  headers?: Record<string, HeaderObject>;
+  content?: Record<string, MediaTypeObject>;
+}
+
+export interface RequestBodyObject {
+  description?: string;
+  required?: boolean;
+  content: Record<string, MediaTypeObject>;
+}
+
+export interface ParameterObject {
+  name: string;
+  in: 'path' | 'query' | 'header';
+  required?: boolean;
+  description?: string;
+  schema: SchemaObject;
+}
+
+export interface OperationObject {
+  operationId: string;
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  parameters?: ParameterObject[];
+  requestBody?: RequestBodyObject;
+  responses: Record<string, ResponseObject>;
+  security?: Record<string, string[]>[];
+}
+
+export type HttpMethod = 'get' | 'put' | 'post' | 'delete' | 'options' | 'head' | 'patch';
+
+export type PathItemObject = Partial<Record<HttpMethod, OperationObject>>;
+
+export interface SecuritySchemeObject {
+  type: 'apiKey' | 'http';
+  description?: string;
+  name?: string;
+  in?: 'header';
+  scheme?: string;
+  bearerFormat?: string;
+}
+
+export interface OpenApiDocument {
+  openapi: '3.0.3';
+  info: { title: string; version: string; description?: string };
+  servers?: { url: string }[];
+  tags?: { name: string; description?: string }[];
+  paths: Record<string, PathItemObject>;
+  components: {
+    schemas: Record<string, SchemaObject>;
+    securitySchemes?: Record<string, SecuritySchemeObject>;
+  };
+}
@@ -0,0 +1,15 @@
+import { SetMetadata } from '@nestjs/common';
+import { RateLimitGroup } from '../rate-limit.types';
+
+export const RATE_LIMIT_GROUP_KEY = 'rateLimitGroup';
+
+/**
+ * Charges a route against a named budget instead of the default `read`
+ * (GET/HEAD) or `write` (everything else) group.
+ */
+export const RateLimit = (group: RateLimitGroup) => SetMetadata(RATE_LIMIT_GROUP_KEY, group);
+
+export const SKIP_RATE_LIMIT_KEY = 'skipRateLimit';
+
+/** Exempts a route from rate limiting, for probes and scrapes issued by infrastructure. */
+export const SkipRateLimit = () => SetMetadata(SKIP_RATE_LIMIT_KEY, true);
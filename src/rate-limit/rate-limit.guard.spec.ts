@@ -0,0 +1,142 @@
+import { ExecutionContext, HttpException, HttpStatus } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { AuthService } from '../auth/auth.service';
+import { RateLimit, SkipRateLimit } from './decorators/rate-limit.decorator';
+import { RateLimitGuard } from './rate-limit.guard';
+import { loadAppConfig } from '../config/app-config.provider';
+import { parseRateLimitPolicy, rateLimitOptionsFromConfig } from './rate-limit.options';
+import { InMemoryRateLimitStore } from './stores/in-memory-rate-limit.store';
+
+class TestController {
+  list() {
+    return [];
+  }
+
+  create() {
+    return {};
+  }
+
+  @RateLimit('audit')
+  audit() {
+    return {};
+  }
+
+  @SkipRateLimit()
+  probe() {
+    return {};
+  }
+}
+
+const contextFor = (
+  handler: keyof TestController,
+  method: string,
+  headers: Record<string, string> = {},
+  ip = '10.0.0.1',
+) => {
+  const response = { setHeader: jest.fn() };
+  const context = {
+    getType: () => 'http',
+    getHandler: () => TestController.prototype[handler],
+    getClass: () => TestController,
+    switchToHttp: () => ({
+      getRequest: () => ({ method, headers, ip, socket: {} }),
+      getResponse: () => response,
+    }),
+  } as unknown as ExecutionContext;
+  return { context, response };
+};
+
+describe('RateLimitGuard', () => {
+  let guard: RateLimitGuard;
+
+  beforeEach(() => {
+    const options = rateLimitOptionsFromConfig(
+      loadAppConfig({
+        RATE_LIMIT_READ: '2/60',
+        RATE_LIMIT_WRITE: '1/60',
+        RATE_LIMIT_AUDIT: '1/30',
+      }).rateLimit,
+    );
+    const authService = new AuthService({
+      enabled: true,
+      apiKeys: [{ principalId: 'ci', role: 'editor', key: 'some-api-key' }],
+      jwt: { rolesClaim: 'roles' },
+    });
+    guard = new RateLimitGuard(new Reflector(), options, new InMemoryRateLimitStore(), authService);
+  });
+
+  it('should set RateLimit headers on allowed requests', async () => {
+    const { context, response } = contextFor('list', 'GET');
+    await expect(guard.canActivate(context)).resolves.toBe(true);
+    expect(response.setHeader).toHaveBeenCalledWith('RateLimit-Policy', '2;w=60');
+    expect(response.setHeader).toHaveBeenCalledWith('RateLimit-Limit', 2);
+    expect(response.setHeader).toHaveBeenCalledWith('RateLimit-Remaining', 1);
+    expect(response.setHeader).toHaveBeenCalledWith('RateLimit-Reset', 30);
+  });
+
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    await guard.canActivate(contextFor('create', 'POST').context);
+    const { context, response } = contextFor('create', 'POST');
+    const error = await guard.canActivate(context).catch((caught: unknown) => caught);
+    expect(error).toBeInstanceOf(HttpException);
+    expect((error as HttpException).getStatus()).toBe(HttpStatus.TOO_MANY_REQUESTS);
+    expect(response.setHeader).toHaveBeenCalledWith('Retry-After', 60);
+  });
+
+  it('should budget route groups and clients separately', async () => {
+    await guard.canActivate(contextFor('create', 'POST').context);
+    await expect(guard.canActivate(contextFor('list', 'GET').context)).resolves.toBe(true);
+    await guard.canActivate(contextFor('audit', 'GET').context);
+    await expect(guard.canActivate(contextFor('audit', 'GET').context)).rejects.toThrow(
+      HttpException,
+    );
+    await expect(
+      guard.canActivate(contextFor('audit', 'GET', {}, '10.0.0.2').context),
+    ).resolves.toBe(true);
+    await expect(
+      guard.canActivate(contextFor('audit', 'GET', { 'x-api-key': 'some-api-key' }).context),
+    ).resolves.toBe(true);
+  });
+
+  it('should charge unknown API keys to the IP', async () => {
+    await guard.canActivate(contextFor('create', 'POST').context);
+    for (const apiKey of ['guess-1', 'guess-2']) {
+      await expect(
+        guard.canActivate(contextFor('create', 'POST', { 'x-api-key': apiKey }).context),
+      ).rejects.toThrow(HttpException);
+    }
+    await expect(
+      guard.canActivate(contextFor('create', 'POST', { 'x-api-key': 'some-api-key' }).context),
+    ).resolves.toBe(true);
+  });
+
+  it('should not charge or annotate exempt routes', async () => {
+    for (let index = 0; index < 3; index += 1) {
+      const { context, response } = contextFor('probe', 'GET');
+      await expect(guard.canActivate(context)).resolves.toBe(true);
+      expect(response.setHeader).not.toHaveBeenCalled();
+    }
+  });
+
+  it('should do nothing when disabled', async () => {
+    const disabled = new RateLimitGuard(
+      new Reflector(),
+      rateLimitOptionsFromConfig(
+        loadAppConfig({ RATE_LIMIT_ENABLED: 'false', RATE_LIMIT_WRITE: '1/60' }).rateLimit,
+      ),
+      new InMemoryRateLimitStore(),
+    );
+    for (let index = 0; index < 3; index += 1) {
+      await expect(disabled.canActivate(contextFor('create', 'POST').context)).resolves.toBe(true);
+    }
+  });
+
+  it('should validate configured budgets', () => {
+    expect(parseRateLimitPolicy('RATE_LIMIT_READ', ' 100/10 ')).toEqual({
+      limit: 100,
+      windowSeconds: 10,
+    });
+    expect(() => parseRateLimitPolicy('RATE_LIMIT_READ', '0/10')).toThrow(/RATE_LIMIT_READ/);
+    expect(() => parseRateLimitPolicy('RATE_LIMIT_READ', 'lots')).toThrow(/RATE_LIMIT_READ/);
+  });
+});
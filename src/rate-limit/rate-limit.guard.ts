@@ -0,0 +1,89 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Injectable,
+  Logger,
+  Optional,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { createHash } from 'crypto';
+import { Request, Response } from 'express';
+import { AuthService } from '../auth/auth.service';
+import { RATE_LIMIT_GROUP_KEY, SKIP_RATE_LIMIT_KEY } from './decorators/rate-limit.decorator';
+import { RATE_LIMIT_OPTIONS, RateLimitOptions } from './rate-limit.options';
+import { RATE_LIMIT_STORE, RateLimitGroup, RateLimitStore } from './rate-limit.types';
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Global guard that charges every request to a token bucket per client and
+ * route group. It runs before authentication so that failed logins count too,
+ * which is why clients are identified by their API key (hashed) or IP rather
+ * than by the resolved principal. Only configured keys get a bucket of their
+ * own; unknown ones are charged to the IP, so guessing keys neither escapes
+ * the limit nor grows the store.
+ */
+@Injectable()
+export class RateLimitGuard implements CanActivate {
+  private readonly logger = new Logger(RateLimitGuard.name);
+
+  constructor(
+    private readonly reflector: Reflector,
+    @Inject(RATE_LIMIT_OPTIONS) private readonly options: RateLimitOptions,
+    @Inject(RATE_LIMIT_STORE) private readonly store: RateLimitStore,
+    @Optional() private readonly authService?: AuthService,
+  ) {}
+
+  async canActivate(context: ExecutionContext): Promise<boolean> {
+    if (!this.options.enabled || context.getType() !== 'http') {
+      return true;
+    }
+    const skipped = this.reflector.getAllAndOverride<boolean>(SKIP_RATE_LIMIT_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]);
+    if (skipped) {
+      return true;
+    }
+    const http = context.switchToHttp();
+    const request = http.getRequest<Request>();
+    const response = http.getResponse<Response>();
+
+    const group =
+      this.reflector.getAllAndOverride<RateLimitGroup>(RATE_LIMIT_GROUP_KEY, [
+        context.getHandler(),
+        context.getClass(),
+      ]) ?? (READ_METHODS.has(request.method) ? 'read' : 'write');
+    const policy = this.options.policies[group];
+    const decision = await this.store.consume(
+      `${group}:${this.clientKey(request)}`,
+      policy,
+      Date.now(),
+    );
+
+    response.setHeader('RateLimit-Policy', `${policy.limit};w=${policy.windowSeconds}`);
+    response.setHeader('RateLimit-Limit', decision.limit);
+    response.setHeader('RateLimit-Remaining', decision.remaining);
+    response.setHeader('RateLimit-Reset', decision.resetSeconds);
+    if (!decision.allowed) {
+      this.logger.warn(`Rate limit exceeded for ${group} requests from ${request.ip}`);
+      response.setHeader('Retry-After', decision.retryAfterSeconds);
+      throw new HttpException(
+        `Rate limit of ${policy.limit} ${group} requests per ${policy.windowSeconds}s exceeded; retry in ${decision.retryAfterSeconds}s`,
+        HttpStatus.TOO_MANY_REQUESTS,
+      );
+    }
+    return true;
+  }
+
+  private clientKey(request: Request): string {
+    const apiKey = request.headers['x-api-key'];
+    if (typeof apiKey === 'string' && this.authService?.isKnownApiKey(apiKey)) {
+      return `key:${createHash('sha256').update(apiKey).digest('hex')}`;
+    }
+    return `ip:${request.ip ?? request.socket.remoteAddress ?? 'unknown'}`;
+  }
+}
@@ -0,0 +1,51 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig, RateLimitConfig } from '../config/app-config';
+import { InMemoryRateLimitStore } from './stores/in-memory-rate-limit.store';
+import {
+  RATE_LIMIT_STORE,
+  RateLimitGroup,
+  RateLimitPolicy,
+  RateLimitStore,
+} from './rate-limit.types';
+
+export const RATE_LIMIT_OPTIONS = 'RATE_LIMIT_OPTIONS';
+
+export interface RateLimitOptions {
+  enabled: boolean;
+  policies: Record<RateLimitGroup, RateLimitPolicy>;
+}
+
+/** Parses a `<limit>/<windowSeconds>` budget such as `60/60`. */
+export function parseRateLimitPolicy(name: string, value: string): RateLimitPolicy {
+  const match = value.trim().match(/^(\d+)\/(\d+)$/);
+  const limit = Number(match?.[1]);
+  const windowSeconds = Number(match?.[2]);
+  if (!match || limit < 1 || windowSeconds < 1) {
+    throw new Error(`${name} must look like "<limit>/<windowSeconds>", got "${value}"`);
+  }
+  return { limit, windowSeconds };
+}
+
+export function rateLimitOptionsFromConfig(config: RateLimitConfig): RateLimitOptions {
+  return {
+    enabled: config.enabled,
+    policies: {
+      read: parseRateLimitPolicy('rateLimit.read', config.read),
+      write: parseRateLimitPolicy('rateLimit.write', config.write),
+      bulk: parseRateLimitPolicy('rateLimit.bulk', config.bulk),
+      audit: parseRateLimitPolicy('rateLimit.audit', config.audit),
+    },
+  };
+}
+
+export const rateLimitOptionsProvider: Provider = {
+  provide: RATE_LIMIT_OPTIONS,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): RateLimitOptions => rateLimitOptionsFromConfig(config.rateLimit),
+};
+
+/** Swap this provider's factory to share buckets between instances. */
+export const rateLimitStoreProvider: Provider = {
+  provide: RATE_LIMIT_STORE,
+  useFactory: (): RateLimitStore => new InMemoryRateLimitStore(),
+};
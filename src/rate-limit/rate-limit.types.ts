@@ -0,0 +1,28 @@
+export const RATE_LIMIT_GROUPS = ['read', 'write', 'bulk', 'audit'] as const;
+export type RateLimitGroup = (typeof RATE_LIMIT_GROUPS)[number];
+
+/** A token bucket holding `limit` requests that refills completely every `windowSeconds`. */
+export interface RateLimitPolicy {
+  limit: number;
+  windowSeconds: number;
+}
+
+export interface RateLimitDecision {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  /** Seconds until the bucket is full again. */
+  resetSeconds: number;
+  /** Seconds until the next request would be allowed; 0 when allowed now. */
+  retryAfterSeconds: number;
+}
+
+export const RATE_LIMIT_STORE = 'RATE_LIMIT_STORE';
+
+/**
+ * Persistence for bucket state. The in-memory store serves a single process;
+ * a shared backend only has to implement `consume` atomically per key.
+ */
+export interface RateLimitStore {
+  consume(key: string, policy: RateLimitPolicy, now: number): Promise<RateLimitDecision>;
+}
@@ -0,0 +1,50 @@
+import { InMemoryRateLimitStore } from './in-memory-rate-limit.store';
+
+describe('InMemoryRateLimitStore', () => {
+  const policy = { limit: 3, windowSeconds: 60 };
+  const start = 1_700_000_000_000;
+  let store: InMemoryRateLimitStore;
+
+  beforeEach(() => {
+    store = new InMemoryRateLimitStore();
+  });
+
+  it('should allow a burst up to the limit and then reject', async () => {
+    const decisions = [];
+    for (let index = 0; index < 4; index += 1) {
+      decisions.push(await store.consume('client', policy, start));
+    }
+    expect(decisions.map((decision) => [decision.allowed, decision.remaining])).toEqual([
+      [true, 2],
+      [true, 1],
+      [true, 0],
+      [false, 0],
+    ]);
+    expect(decisions[3]).toMatchObject({ limit: 3, retryAfterSeconds: 20, resetSeconds: 60 });
+  });
+
+  it('should refill tokens continuously over the window', async () => {
+    for (let index = 0; index < 3; index += 1) {
+      await store.consume('client', policy, start);
+    }
+    expect((await store.consume('client', policy, start + 19_999)).allowed).toBe(false);
+    const refilled = await store.consume('client', policy, start + 20_000);
+    expect(refilled).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('should keep separate buckets per key', async () => {
+    for (let index = 0; index < 3; index += 1) {
+      await store.consume('a', policy, start);
+    }
+    expect((await store.consume('a', policy, start)).allowed).toBe(false);
+    expect((await store.consume('b', policy, start)).allowed).toBe(true);
+  });
+
+  it('should drop buckets once they have refilled', async () => {
+    await store.consume('a', policy, start);
+    await store.consume('b', policy, start + 59_000);
+    expect(store.size).toBe(2);
+    await store.consume('c', policy, start + 120_000);
+    expect(store.size).toBe(1);
+  });
+});
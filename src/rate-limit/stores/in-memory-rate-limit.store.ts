@@ -0,0 +1,65 @@
+import { Logger } from '@nestjs/common';
+import { RateLimitDecision, RateLimitPolicy, RateLimitStore } from '../rate-limit.types';
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+  policy: RateLimitPolicy;
+}
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export class InMemoryRateLimitStore implements RateLimitStore {
+  private readonly logger = new Logger(InMemoryRateLimitStore.name);
+  private readonly buckets = new Map<string, Bucket>();
+  private lastSweepAt = 0;
+
+  get size(): number {
+    return this.buckets.size;
+  }
+
+  async consume(key: string, policy: RateLimitPolicy, now: number): Promise<RateLimitDecision> {
+    this.sweep(now);
+    const refillPerMs = policy.limit / (policy.windowSeconds * 1000);
+    const bucket = this.buckets.get(key) ?? { tokens: policy.limit, updatedAt: now, policy };
+    bucket.tokens = Math.min(
+      policy.limit,
+      bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs,
+    );
+    bucket.updatedAt = now;
+    bucket.policy = policy;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      limit: policy.limit,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((policy.limit - bucket.tokens) / refillPerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+    };
+  }
+
+  /** Drops buckets that have refilled completely; they are indistinguishable from new ones. */
+  private sweep(now: number): void {
+    if (now - this.lastSweepAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweepAt = now;
+    let dropped = 0;
+    for (const [key, bucket] of this.buckets) {
+      const refillPerMs = bucket.policy.limit / (bucket.policy.windowSeconds * 1000);
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= bucket.policy.limit) {
+        this.buckets.delete(key);
+        dropped += 1;
+      }
+    }
+    if (dropped > 0) {
+      this.logger.debug(`Dropped ${dropped} idle rate limit buckets`);
+    }
+  }
+}
@@ -0,0 +1,92 @@
+import { Logger } from '@nestjs/common';
+import { HttpAdapterHost } from '@nestjs/core';
+import { AddressInfo } from 'net';
+import { createServer, get, IncomingMessage, Server, ServerResponse } from 'http';
+import { loadAppConfig } from '../config/app-config.provider';
+import { ItemsService } from '../items/items.service';
+import { ItemsSnapshotService } from '../items/items-snapshot.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { ShutdownService } from './shutdown.service';
+
+describe('ShutdownService', () => {
+  let server: Server;
+  let pending: ServerResponse[];
+  let snapshots: ItemsSnapshotService;
+  let save: jest.SpyInstance;
+
+  const start = async (drainTimeoutMs: number) => {
+    const config = loadAppConfig({ SHUTDOWN_DRAIN_TIMEOUT_MS: String(drainTimeoutMs) });
+    const adapterHost = { httpAdapter: { getHttpServer: () => server } } as HttpAdapterHost;
+    const service = new ShutdownService(adapterHost, snapshots, config);
+    service.onApplicationBootstrap();
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return service;
+  };
+
+  /** Sends a request the server holds until the test answers it from `pending`. */
+  const send = () => {
+    const { port } = server.address() as AddressInfo;
+    return new Promise<IncomingMessage>((resolve, reject) =>
+      get(`http://127.0.0.1:${port}/`, resolve).on('error', reject),
+    );
+  };
+
+  const until = async (condition: () => boolean) => {
+    while (!condition()) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  beforeEach(() => {
+    pending = [];
+    server = createServer((_request, response) => pending.push(response));
+    snapshots = new ItemsSnapshotService(new WorkspacesService(new ItemsService()));
+    save = jest.spyOn(snapshots, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    server.closeAllConnections();
+    server.close();
+    jest.restoreAllMocks();
+  });
+
+  it('should let in-flight requests finish before writing the snapshot', async () => {
+    const service = await start(10_000);
+    const response = send();
+    await until(() => pending.length === 1);
+    expect(service.inFlightCount).toBe(1);
+
+    const shutdown = service.beforeApplicationShutdown('SIGTERM');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(server.listening).toBe(false);
+    expect(save).not.toHaveBeenCalled();
+
+    pending[0].end('done');
+    await shutdown;
+    expect((await response).statusCode).toBe(200);
+    expect(service.inFlightCount).toBe(0);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close connections still busy after the drain timeout', async () => {
+    const service = await start(50);
+    const response = send();
+    await until(() => pending.length === 1);
+
+    await service.beforeApplicationShutdown('SIGTERM');
+    await expect(response).rejects.toThrow(/socket hang up/);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log rather than throw when the snapshot cannot be written', async () => {
+    const error = jest.spyOn(Logger.prototype, 'error').mockImplementation();
+    save.mockRejectedValue(new Error('EACCES: permission denied'));
+    const service = await start(50);
+
+    await expect(service.beforeApplicationShutdown()).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith(
+      'Failed to write the item snapshot',
+      expect.stringContaining('EACCES'),
+    );
+  });
+});
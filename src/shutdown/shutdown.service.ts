@@ -0,0 +1,109 @@
+import {
+  BeforeApplicationShutdown,
+  Inject,
+  Injectable,
+  Logger,
+  OnApplicationBootstrap,
+  Optional,
+} from '@nestjs/common';
+import { HttpAdapterHost } from '@nestjs/core';
+import { IncomingMessage, Server, ServerResponse } from 'http';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { ItemsSnapshotService } from '../items/items-snapshot.service';
+
+/**
+ * Shuts the server down without cutting off requests: once Nest receives a
+ * shutdown signal the listener stops accepting connections, requests already
+ * running get `shutdown.drainTimeoutMs` to finish, and the item store is
+ * snapshotted after the last one is done.
+ */
+@Injectable()
+export class ShutdownService implements OnApplicationBootstrap, BeforeApplicationShutdown {
+  private readonly logger = new Logger(ShutdownService.name);
+  private readonly drainTimeoutMs: number;
+  private readonly inFlight = new Set<ServerResponse>();
+  private draining = false;
+  private onDrained?: () => void;
+
+  constructor(
+    private readonly adapterHost: HttpAdapterHost,
+    private readonly itemsSnapshotService: ItemsSnapshotService,
+    @Optional() @Inject(APP_CONFIG) config?: AppConfig,
+  ) {
+    this.drainTimeoutMs = (config ?? defaultAppConfig()).shutdown.drainTimeoutMs;
+  }
+
+  onApplicationBootstrap(): void {
+    this.server()?.on('request', (_request: IncomingMessage, response: ServerResponse) =>
+      this.track(response),
+    );
+  }
+
+  /** Runs after module destroy hooks, which have already ended the item event streams. */
+  async beforeApplicationShutdown(signal?: string): Promise<void> {
+    this.draining = true;
+    this.logger.log(
+      `Shutting down${signal ? ` on ${signal}` : ''}; ` +
+        `waiting for ${this.inFlight.size} in-flight requests`,
+    );
+    const server = this.server();
+    // Stops accepting connections and closes the idle keep-alive ones.
+    server?.close();
+    if (!(await this.drain())) {
+      this.logger.warn(
+        `${this.inFlight.size} requests still running after ${this.drainTimeoutMs}ms; ` +
+          'closing their connections',
+      );
+      server?.closeAllConnections();
+    }
+    try {
+      await this.itemsSnapshotService.save();
+    } catch (error: unknown) {
+      this.logger.error(
+        'Failed to write the item snapshot',
+        error instanceof Error ? error.stack : String(error),
+      );
+    }
+  }
+
+  /** Number of requests that have arrived but not yet been answered. */
+  get inFlightCount(): number {
+    return this.inFlight.size;
+  }
+
+  private track(response: ServerResponse): void {
+    this.inFlight.add(response);
+    if (this.draining) {
+      // Arrived on a kept-alive connection after the listener closed; do not keep it alive again.
+      response.setHeader('Connection', 'close');
+    }
+    response.once('close', () => {
+      this.inFlight.delete(response);
+      if (this.inFlight.size === 0) {
+        this.onDrained?.();
+      }
+    });
+  }
+
+  /** Resolves true once every in-flight request is done, or false when the timeout runs out first. */
+  private drain(): Promise<boolean> {
+    if (this.inFlight.size === 0) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.onDrained = undefined;
+        resolve(false);
+      }, this.drainTimeoutMs);
+      this.onDrained = () => {
+        clearTimeout(timer);
+        this.onDrained = undefined;
+        resolve(true);
+      };
+    });
+  }
+
+  private server(): Server | undefined {
+    return this.adapterHost.httpAdapter?.getHttpServer();
+  }
+}
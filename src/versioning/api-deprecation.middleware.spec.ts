@@ -0,0 +1,126 @@
+import {
+  CanActivate,
+  Controller,
+  Get,
+  INestApplication,
+  MiddlewareConsumer,
+  Module,
+  NestModule,
+  UnauthorizedException,
+  UseGuards,
+  VersioningType,
+} from '@nestjs/common';
+import { Test } from '@nestjs/testing';
+import { get, IncomingMessage } from 'http';
+import { AddressInfo } from 'net';
+import { ApiDeprecationConfig, APP_CONFIG, defaultAppConfig } from '../config/app-config';
+import { ApiDeprecationMiddleware } from './api-deprecation.middleware';
+import { API_V1, servedVersions } from './api-version';
+
+class RejectingGuard implements CanActivate {
+  canActivate(): boolean {
+    throw new UnauthorizedException();
+  }
+}
+
+@Controller({ path: 'widgets', version: servedVersions(API_V1) })
+class WidgetsController {
+  @Get()
+  findAll() {
+    return [];
+  }
+
+  @Get('locked')
+  @UseGuards(RejectingGuard)
+  locked() {
+    return {};
+  }
+
+  @Get(':id')
+  findOne() {
+    return {};
+  }
+}
+
+@Controller('health')
+class HealthController {
+  @Get()
+  check() {
+    return {};
+  }
+}
+
+describe('ApiDeprecationMiddleware', () => {
+  let app: INestApplication;
+
+  const start = async (deprecations?: ApiDeprecationConfig[]) => {
+    const config = defaultAppConfig();
+    @Module({
+      controllers: [WidgetsController, HealthController],
+      providers: [
+        {
+          provide: APP_CONFIG,
+          useValue: deprecations ? { ...config, api: { deprecations } } : config,
+        },
+      ],
+    })
+    class WidgetsModule implements NestModule {
+      configure(consumer: MiddlewareConsumer) {
+        consumer.apply(ApiDeprecationMiddleware).forRoutes(WidgetsController);
+      }
+    }
+    const moduleRef = await Test.createTestingModule({ imports: [WidgetsModule] }).compile();
+    app = moduleRef.createNestApplication({ logger: false });
+    app.enableVersioning({ type: VersioningType.URI });
+    await app.listen(0, '127.0.0.1');
+  };
+
+  const send = (path: string) => {
+    const { port } = app.getHttpServer().address() as AddressInfo;
+    return new Promise<IncomingMessage>((resolve, reject) =>
+      get(`http://127.0.0.1:${port}${path}`, (response) => resolve(response.resume())).on(
+        'error',
+        reject,
+      ),
+    );
+  };
+
+  afterEach(() => app.close());
+
+  it('should mark unprefixed paths deprecated and link to the default version', async () => {
+    await start();
+    const response = await send('/widgets/42');
+    expect(response.statusCode).toBe(200);
+    expect(response.headers.deprecation).toBe(`@${Date.parse('2026-10-19T00:00:00Z') / 1000}`);
+    expect(response.headers.link).toBe('</v1/widgets/42>; rel="successor-version"');
+  });
+
+  it('should announce the deprecation and sunset of configured versions', async () => {
+    await start([
+      { version: '1', deprecatedAt: '2027-01-01T00:00:00Z', sunsetAt: '2027-07-01T00:00:00Z' },
+    ]);
+    const response = await send('/v1/widgets');
+    expect(response.statusCode).toBe(200);
+    expect(response.headers.deprecation).toBe('@1798761600');
+    expect(response.headers.sunset).toBe('Thu, 01 Jul 2027 00:00:00 GMT');
+    expect(response.headers.link).toBeUndefined();
+  });
+
+  it('should also mark responses rejected by a guard', async () => {
+    await start();
+    const response = await send('/widgets/locked');
+    expect(response.statusCode).toBe(401);
+    expect(response.headers.deprecation).toBeDefined();
+    expect(response.headers.link).toBe('</v1/widgets/locked>; rel="successor-version"');
+  });
+
+  it('should leave current versions and unversioned routes alone', async () => {
+    await start();
+    for (const path of ['/v1/widgets', '/health']) {
+      const response = await send(path);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.deprecation).toBeUndefined();
+      expect(response.headers.link).toBeUndefined();
+    }
+  });
+});
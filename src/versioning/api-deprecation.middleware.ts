@@ -0,0 +1,49 @@
+import { Inject, Injectable, NestMiddleware, Optional } from '@nestjs/common';
+import { NextFunction, Request, Response } from 'express';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import {
+  DEFAULT_API_VERSION,
+  requestedApiVersion,
+  RequestedApiVersion,
+  UNVERSIONED,
+} from './api-version';
+
+/**
+ * Announces the deprecation of API versions configured in `api.deprecations`
+ * on every response of a versioned route: `Deprecation` (RFC 9745) with the
+ * deprecation date, `Sunset` (RFC 8594) once a sunset date is set, and for
+ * unprefixed paths a `Link` to the same path under the default version.
+ * Bound to the versioned controllers only; as middleware it runs before the
+ * guards, so their `401`, `403` and `429` responses carry the headers too.
+ */
+@Injectable()
+export class ApiDeprecationMiddleware implements NestMiddleware {
+  private readonly headers = new Map<RequestedApiVersion, Record<string, string>>();
+
+  constructor(@Optional() @Inject(APP_CONFIG) config?: AppConfig) {
+    for (const { version, deprecatedAt, sunsetAt } of (config ?? defaultAppConfig()).api
+      .deprecations) {
+      this.headers.set(version, {
+        Deprecation: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`,
+        ...(sunsetAt && { Sunset: new Date(sunsetAt).toUTCString() }),
+      });
+    }
+  }
+
+  use(request: Request, response: Response, next: NextFunction): void {
+    const version = requestedApiVersion(request.path);
+    const headers = this.headers.get(version);
+    if (headers) {
+      for (const [name, value] of Object.entries(headers)) {
+        response.setHeader(name, value);
+      }
+      if (version === UNVERSIONED) {
+        response.setHeader(
+          'Link',
+          `</v${DEFAULT_API_VERSION}${request.path}>; rel="successor-version"`,
+        );
+      }
+    }
+    next();
+  }
+}
@@ -0,0 +1,17 @@
+import { VERSION_NEUTRAL } from '@nestjs/common';
+import { API_V1, API_V2, requestedApiVersion, servedVersions, UNVERSIONED } from './api-version';
+
+describe('api versions', () => {
+  it('should also serve the default version without a prefix', () => {
+    expect(servedVersions(API_V1)).toEqual([API_V1, VERSION_NEUTRAL]);
+    expect(servedVersions(API_V2)).toEqual([API_V2]);
+  });
+
+  it('should read the version prefix of a request path', () => {
+    expect(requestedApiVersion('/v1/items/42')).toBe('1');
+    expect(requestedApiVersion('/v2')).toBe('2');
+    expect(requestedApiVersion('/items/v1')).toBe(UNVERSIONED);
+    expect(requestedApiVersion('/v10/items')).toBe(UNVERSIONED);
+    expect(requestedApiVersion('/vintage')).toBe(UNVERSIONED);
+  });
+});
@@ -0,0 +1,30 @@
+import { VERSION_NEUTRAL } from '@nestjs/common';
+
+/** Versions a route may be served under, as `/v<version>/...`. */
+export const API_VERSIONS = ['1', '2'] as const;
+export type ApiVersion = (typeof API_VERSIONS)[number];
+
+export const API_V1: ApiVersion = '1';
+/** Reserved for breaking changes; no route is served under it yet. */
+export const API_V2: ApiVersion = '2';
+
+/** The version that answers paths without a version prefix while clients migrate. */
+export const DEFAULT_API_VERSION: ApiVersion = API_V1;
+
+/** Stands for requests made without a version prefix, e.g. in deprecation settings. */
+export const UNVERSIONED = 'unversioned';
+export type RequestedApiVersion = ApiVersion | typeof UNVERSIONED;
+
+/**
+ * The `version` of a versioned controller or handler. The default version is
+ * also served without a prefix, so `/items` keeps answering as `/v1/items`.
+ */
+export function servedVersions(...versions: ApiVersion[]): (string | typeof VERSION_NEUTRAL)[] {
+  return versions.includes(DEFAULT_API_VERSION) ? [...versions, VERSION_NEUTRAL] : versions;
+}
+
+/** The version prefix of a request path, or UNVERSIONED when it has none. */
+export function requestedApiVersion(path: string): RequestedApiVersion {
+  const prefix = path.match(/^\/v(\d+)(?:\/|$)/)?.[1];
+  return API_VERSIONS.find((version) => version === prefix) ?? UNVERSIONED;
+}
@@ -0,0 +1,36 @@
+import {
+  ArrayMinSize,
+  IsArray,
+  IsIn,
+  IsOptional,
+  IsString,
+  IsUrl,
+  Length,
+  Matches,
+} from 'class-validator';
+import { WORKSPACE_ID_PATTERN } from '../../workspaces/dto/create-workspace.dto';
+import { WEBHOOK_EVENT_TYPES, WebhookEventType } from '../interfaces/webhook.interface';
+
+export class CreateWebhookDto {
+  @IsUrl({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  url: string;
+
+  /** Defaults to every item event. */
+  @IsOptional()
+  @IsArray()
+  @ArrayMinSize(1)
+  @IsIn(WEBHOOK_EVENT_TYPES, { each: true })
+  events?: WebhookEventType[];
+
+  /** The workspace whose item events are delivered; defaults to `default`. */
+  @IsOptional()
+  @IsString()
+  @Matches(WORKSPACE_ID_PATTERN, { message: 'workspaceId must name a workspace' })
+  workspaceId?: string;
+
+  /** HMAC signing key; generated when omitted. */
+  @IsOptional()
+  @IsString()
+  @Length(16, 256)
+  secret?: string;
+}
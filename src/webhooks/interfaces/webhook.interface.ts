@@ -0,0 +1,53 @@
+import { ItemEventType } from '../../items/interfaces/item-event.interface';
+
+export type WebhookEventType = `item.${ItemEventType}`;
+
+export const WEBHOOK_EVENT_TYPES: readonly WebhookEventType[] = [
+  'item.created',
+  'item.updated',
+  'item.deleted',
+];
+
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  /** Only item events of this workspace are delivered. */
+  workspaceId: string;
+  events: WebhookEventType[];
+  createdAt: Date;
+}
+
+/** Only returned once, when the subscription is created. */
+export interface WebhookSubscriptionWithSecret extends WebhookSubscription {
+  secret: string;
+}
+
+export interface WebhookPayload {
+  id: string;
+  type: WebhookEventType;
+  occurredAt: Date;
+  workspaceId: string;
+  data: { item: unknown; actor: string };
+}
+
+export interface WebhookDeliveryAttempt {
+  deliveryId: string;
+  type: WebhookEventType;
+  attempt: number;
+  status: 'succeeded' | 'failed';
+  statusCode: number | null;
+  error: string | null;
+  durationMs: number;
+  timestamp: Date;
+  nextRetryAt: Date | null;
+}
+
+export interface WebhookDeadLetter {
+  deliveryId: string;
+  subscriptionId: string;
+  url: string;
+  payload: WebhookPayload;
+  attempts: number;
+  lastError: string;
+  deadAt: Date;
+}
@@ -0,0 +1,27 @@
+import { signWebhookPayload, verifyWebhookSignature } from './webhook-signature';
+
+describe('webhook signatures', () => {
+  const signingKey = 'whsec_test_signing_key';
+  const body = JSON.stringify({ type: 'item.created' });
+  const now = 1_700_000_000_000;
+  const timestamp = now / 1000;
+
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    expect(signWebhookPayload(signingKey, body, timestamp)).toMatch(
+      /^t=1700000000,v1=[0-9a-f]{64}$/,
+    );
+  });
+
+  it('should verify untampered payloads within the tolerance', () => {
+    const header = signWebhookPayload(signingKey, body, timestamp);
+    expect(verifyWebhookSignature(signingKey, body, header, 300, now)).toBe(true);
+    expect(verifyWebhookSignature(signingKey, `${body} `, header, 300, now)).toBe(false);
+    expect(verifyWebhookSignature('other-key', body, header, 300, now)).toBe(false);
+  });
+
+  it('should reject stale or malformed headers', () => {
+    const header = signWebhookPayload(signingKey, body, timestamp);
+    expect(verifyWebhookSignature(signingKey, body, header, 300, now + 301_000)).toBe(false);
+    expect(verifyWebhookSignature(signingKey, body, 'garbage', 300, now)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'Webhook-Signature';
+
+/**
+ * Builds the `Webhook-Signature` header value: `t=<unix seconds>,v1=<hex>`,
+ * where v1 is HMAC-SHA256 over `<t>.<raw body>`. Binding the timestamp lets
+ * receivers reject replays of old deliveries.
+ */
+export function signWebhookPayload(signingKey: string, body: string, timestamp: number): string {
+  const digest = createHmac('sha256', signingKey).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/** Receiver-side check, exported for consumers and tests. */
+export function verifyWebhookSignature(
+  signingKey: string,
+  body: string,
+  header: string,
+  toleranceSeconds = 300,
+  now = Date.now(),
+): boolean {
+  const parts = new Map(
+    header.split(',').map((part) => {
+      const separator = part.indexOf('=');
+      return [part.slice(0, separator).trim(), part.slice(separator + 1).trim()] as const;
+    }),
+  );
+  const timestamp = Number(parts.get('t'));
+  const signature = parts.get('v1');
+  if (!Number.isInteger(timestamp) || !signature) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhookPayload(signingKey, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,39 @@
+import { NotFoundException } from '@nestjs/common';
+import { Test, TestingModule } from '@nestjs/testing';
+import { ItemsEventsService } from '../items/items-events.service';
+import { ItemsService } from '../items/items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { WebhooksController } from './webhooks.controller';
+import { WebhooksService } from './webhooks.service';
+
+describe('WebhooksController', () => {
+  let module: TestingModule;
+  let controller: WebhooksController;
+
+  beforeEach(async () => {
+    module = await Test.createTestingModule({
+      controllers: [WebhooksController],
+      providers: [ItemsEventsService, ItemsService, WorkspacesService, WebhooksService],
+    }).compile();
+
+    controller = module.get<WebhooksController>(WebhooksController);
+  });
+
+  afterEach(async () => {
+    await module.close();
+  });
+
+  it('should create, list and delete subscriptions', () => {
+    const created = controller.create({ url: 'http://localhost:4000/hook' });
+    expect(created.secret).toMatch(/^whsec_/);
+    expect(created.events).toEqual(['item.created', 'item.updated', 'item.deleted']);
+    expect(controller.findAll().map((webhook) => webhook.id)).toEqual([created.id]);
+    expect(controller.findDeliveries(created.id)).toEqual([]);
+    controller.remove(created.id);
+    expect(() => controller.findOne(created.id)).toThrow(NotFoundException);
+  });
+
+  it('should list dead letters', () => {
+    expect(controller.findDeadLetters()).toEqual([]);
+  });
+});
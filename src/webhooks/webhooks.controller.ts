@@ -0,0 +1,95 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+} from '@nestjs/common';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { ApiOperation } from '../openapi/decorators/api-operation.decorator';
+import { arrayOf, schemaRef } from '../openapi/openapi.schemas';
+import { API_V1, servedVersions } from '../versioning/api-version';
+import { CreateWebhookDto } from './dto/create-webhook.dto';
+import {
+  WebhookDeadLetter,
+  WebhookDeliveryAttempt,
+  WebhookSubscription,
+  WebhookSubscriptionWithSecret,
+} from './interfaces/webhook.interface';
+import { WebhooksService } from './webhooks.service';
+
+@Controller({ path: 'webhooks', version: servedVersions(API_V1) })
+@Roles('admin')
+export class WebhooksController {
+  constructor(private readonly webhooksService: WebhooksService) {}
+
+  @ApiOperation({
+    summary: 'Subscribe a URL to the item events of a workspace',
+    description: 'The response is the only place the signing secret is ever returned.',
+    response: schemaRef('WebhookSubscriptionWithSecret'),
+    responses: { 404: 'No workspace has this id' },
+  })
+  @Post()
+  @HttpCode(HttpStatus.CREATED)
+  create(@Body() createWebhookDto: CreateWebhookDto): WebhookSubscriptionWithSecret {
+    return this.webhooksService.create(createWebhookDto);
+  }
+
+  @ApiOperation({
+    summary: 'List webhook subscriptions',
+    response: arrayOf(schemaRef('WebhookSubscription')),
+  })
+  @Get()
+  findAll(): WebhookSubscription[] {
+    return this.webhooksService.findAll();
+  }
+
+  @ApiOperation({
+    summary: 'List deliveries that failed every attempt, most recent first',
+    response: arrayOf(schemaRef('WebhookDeadLetter')),
+  })
+  @Get('dead-letters')
+  findDeadLetters(): WebhookDeadLetter[] {
+    return this.webhooksService.findDeadLetters();
+  }
+
+  @ApiOperation({
+    summary: 'Retry a dead-lettered delivery',
+    response: schemaRef('WebhookDeadLetter'),
+    responses: { 404: 'No dead-lettered delivery has this id' },
+  })
+  @Post('dead-letters/:deliveryId/redeliver')
+  @HttpCode(HttpStatus.ACCEPTED)
+  redeliver(@Param('deliveryId', ParseUUIDPipe) deliveryId: string): WebhookDeadLetter {
+    return this.webhooksService.redeliver(deliveryId);
+  }
+
+  @ApiOperation({
+    summary: 'Get a webhook subscription',
+    response: schemaRef('WebhookSubscription'),
+  })
+  @Get(':id')
+  findOne(@Param('id', ParseUUIDPipe) id: string): WebhookSubscription {
+    return this.webhooksService.findOne(id);
+  }
+
+  @ApiOperation({
+    summary: 'Delivery log of a subscription, most recent attempt first',
+    response: arrayOf(schemaRef('WebhookDeliveryAttempt')),
+  })
+  @Get(':id/deliveries')
+  findDeliveries(@Param('id', ParseUUIDPipe) id: string): WebhookDeliveryAttempt[] {
+    return this.webhooksService.findDeliveries(id);
+  }
+
+  @ApiOperation({ summary: 'Delete a subscription and cancel its pending retries' })
+  @Delete(':id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  remove(@Param('id', ParseUUIDPipe) id: string) {
+    this.webhooksService.remove(id);
+  }
+}
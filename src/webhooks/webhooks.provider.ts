@@ -0,0 +1,9 @@
+import { Provider } from '@nestjs/common';
+import { APP_CONFIG, AppConfig } from '../config/app-config';
+import { WEBHOOK_DELIVERY_OPTIONS, WebhookDeliveryOptions } from './webhooks.service';
+
+export const webhookDeliveryOptionsProvider: Provider = {
+  provide: WEBHOOK_DELIVERY_OPTIONS,
+  inject: [APP_CONFIG],
+  useFactory: (config: AppConfig): WebhookDeliveryOptions => ({ ...config.webhooks }),
+};
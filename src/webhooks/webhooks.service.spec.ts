@@ -0,0 +1,227 @@
+import { NotFoundException } from '@nestjs/common';
+import { createServer, IncomingHttpHeaders, Server } from 'http';
+import { AddressInfo } from 'net';
+import { ItemsEventsService } from '../items/items-events.service';
+import { ItemsService } from '../items/items.service';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { verifyWebhookSignature } from './webhook-signature';
+import { WebhooksService } from './webhooks.service';
+
+interface ReceivedRequest {
+  headers: IncomingHttpHeaders;
+  body: string;
+}
+
+/** Local HTTP receiver that answers with queued status codes (200 once exhausted). */
+class Receiver {
+  readonly requests: ReceivedRequest[] = [];
+  readonly statuses: number[] = [];
+  private readonly server: Server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk: Buffer) => (body += chunk.toString()));
+    req.on('end', () => {
+      this.requests.push({ headers: req.headers, body });
+      res.statusCode = this.statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+
+  get url(): string {
+    return `http://127.0.0.1:${(this.server.address() as AddressInfo).port}/hook`;
+  }
+
+  listen(): Promise<void> {
+    return new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+  }
+
+  close(): Promise<void> {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+}
+
+const waitFor = async (condition: () => boolean, timeoutMs = 2000): Promise<void> => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for webhook deliveries');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('WebhooksService', () => {
+  let receiver: Receiver;
+  let service: WebhooksService;
+  let itemsService: ItemsService;
+  let workspacesService: WorkspacesService;
+
+  beforeEach(async () => {
+    receiver = new Receiver();
+    await receiver.listen();
+    const events = new ItemsEventsService();
+    itemsService = new ItemsService(undefined, undefined, events);
+    workspacesService = new WorkspacesService(itemsService, events);
+    service = new WebhooksService(events, workspacesService, {
+      maxAttempts: 3,
+      baseDelayMs: 10,
+      timeoutMs: 1000,
+    });
+  });
+
+  afterEach(async () => {
+    service.onModuleDestroy();
+    await service.drain();
+    await receiver.close();
+  });
+
+  it('should deliver signed item events to subscribers', async () => {
+    const webhook = service.create({ url: receiver.url });
+    const item = itemsService.create({ name: 'Hooked', description: 'Test' }, { actor: 'alice' });
+    await waitFor(() => receiver.requests.length === 1);
+
+    const [request] = receiver.requests;
+    expect(request.headers['webhook-event']).toBe('item.created');
+    expect(
+      verifyWebhookSignature(
+        webhook.secret,
+        request.body,
+        String(request.headers['webhook-signature']),
+      ),
+    ).toBe(true);
+    expect(
+      verifyWebhookSignature(
+        'wrong-secret-value',
+        request.body,
+        String(request.headers['webhook-signature']),
+      ),
+    ).toBe(false);
+    expect(JSON.parse(request.body)).toMatchObject({
+      type: 'item.created',
+      workspaceId: 'default',
+      data: { actor: 'alice', item: { id: item.id, name: 'Hooked' } },
+    });
+    await waitFor(() => service.findDeliveries(webhook.id).length === 1);
+    expect(service.findDeliveries(webhook.id)[0]).toMatchObject({
+      status: 'succeeded',
+      statusCode: 200,
+      attempt: 1,
+    });
+  });
+
+  it('should only deliver the subscribed event types', async () => {
+    service.create({ url: receiver.url, events: ['item.deleted'] });
+    const item = itemsService.create({ name: 'Hooked', description: 'Test' });
+    itemsService.update(item.id, { name: 'Changed' });
+    itemsService.remove(item.id);
+    await waitFor(() => receiver.requests.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(receiver.requests.map((request) => request.headers['webhook-event'])).toEqual([
+      'item.deleted',
+    ]);
+  });
+
+  it('should only deliver the events of the subscribed workspace', async () => {
+    workspacesService.create({ id: 'team-a', name: 'Team A' });
+    const teamHook = service.create({ url: receiver.url, workspaceId: 'team-a' });
+    expect(teamHook.workspaceId).toBe('team-a');
+    expect(() => service.create({ url: receiver.url, workspaceId: 'team-b' })).toThrow(
+      NotFoundException,
+    );
+
+    itemsService.create({ name: 'Default', description: 'Test' });
+    const item = workspacesService.itemsIn('team-a').create({ name: 'Team', description: 'Test' });
+    await waitFor(() => receiver.requests.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(receiver.requests.map((request) => JSON.parse(request.body))).toEqual([
+      expect.objectContaining({
+        workspaceId: 'team-a',
+        data: expect.objectContaining({ item: expect.objectContaining({ id: item.id }) }),
+      }),
+    ]);
+  });
+
+  it('should drop the subscriptions of a deleted workspace', () => {
+    workspacesService.create({ id: 'team-a', name: 'Team A' });
+    const teamHook = service.create({ url: receiver.url, workspaceId: 'team-a' });
+    const defaultHook = service.create({ url: receiver.url });
+
+    workspacesService.remove('team-a');
+    expect(() => service.findOne(teamHook.id)).toThrow(NotFoundException);
+    expect(service.findAll().map((webhook) => webhook.id)).toEqual([defaultHook.id]);
+  });
+
+  it('should retry failed deliveries with exponential backoff', async () => {
+    receiver.statuses.push(500, 503);
+    const webhook = service.create({ url: receiver.url });
+    itemsService.create({ name: 'Hooked', description: 'Test' });
+    await waitFor(() => service.findDeliveries(webhook.id).length === 3);
+
+    const attempts = service.findDeliveries(webhook.id).reverse();
+    expect(
+      attempts.map((attempt) => [attempt.attempt, attempt.status, attempt.statusCode]),
+    ).toEqual([
+      [1, 'failed', 500],
+      [2, 'failed', 503],
+      [3, 'succeeded', 200],
+    ]);
+    const delays = attempts
+      .slice(0, 2)
+      .map((attempt) => (attempt.nextRetryAt as Date).getTime() - attempt.timestamp.getTime());
+    expect(delays[0]).toBeGreaterThanOrEqual(10);
+    expect(delays[1]).toBeGreaterThanOrEqual(20);
+    expect(new Set(receiver.requests.map((request) => request.headers['webhook-id'])).size).toBe(1);
+    expect(service.findDeadLetters()).toHaveLength(0);
+  });
+
+  it('should dead-letter deliveries that keep failing and allow redelivery', async () => {
+    receiver.statuses.push(500, 500, 500);
+    const webhook = service.create({ url: receiver.url });
+    itemsService.create({ name: 'Hooked', description: 'Test' });
+    await waitFor(() => service.findDeadLetters().length === 1);
+
+    const [deadLetter] = service.findDeadLetters();
+    expect(deadLetter).toMatchObject({
+      subscriptionId: webhook.id,
+      attempts: 3,
+      lastError: 'Receiver responded with 500',
+    });
+
+    service.redeliver(deadLetter.deliveryId);
+    expect(service.findDeadLetters()).toHaveLength(0);
+    await waitFor(() => receiver.requests.length === 4);
+    await waitFor(() => service.findDeliveries(webhook.id)[0].status === 'succeeded');
+    expect(() => service.redeliver(deadLetter.deliveryId)).toThrow(NotFoundException);
+  });
+
+  it('should record network errors as failed attempts', async () => {
+    const closed = new Receiver();
+    await closed.listen();
+    const url = closed.url;
+    await closed.close();
+    const webhook = service.create({ url });
+    itemsService.create({ name: 'Hooked', description: 'Test' });
+    await waitFor(() => service.findDeliveries(webhook.id).length >= 1);
+    expect(service.findDeliveries(webhook.id)[0]).toMatchObject({
+      status: 'failed',
+      statusCode: null,
+      error: expect.any(String),
+    });
+  });
+
+  it('should hide secrets outside of creation and remove subscriptions', () => {
+    const webhook = service.create({ url: receiver.url, secret: 'a-very-long-signing-key' });
+    expect(webhook.secret).toBe('a-very-long-signing-key');
+    expect(service.findAll()).toEqual([
+      {
+        id: webhook.id,
+        url: receiver.url,
+        workspaceId: 'default',
+        events: webhook.events,
+        createdAt: webhook.createdAt,
+      },
+    ]);
+    expect(service.findOne(webhook.id)).not.toHaveProperty('secret');
+    service.remove(webhook.id);
+    expect(() => service.findOne(webhook.id)).toThrow(NotFoundException);
+  });
+});
@@ -0,0 +1,330 @@
+import {
+  Inject,
+  Injectable,
+  Logger,
+  NotFoundException,
+  OnModuleDestroy,
+  Optional,
+} from '@nestjs/common';
+import { randomBytes, randomUUID } from 'crypto';
+import { Subscription } from 'rxjs';
+import { defaultAppConfig } from '../config/app-config';
+import { ItemEvent } from '../items/interfaces/item-event.interface';
+import { ItemsEventsService } from '../items/items-events.service';
+import { DEFAULT_WORKSPACE_ID } from '../workspaces/workspace.interface';
+import { WorkspacesService } from '../workspaces/workspaces.service';
+import { CreateWebhookDto } from './dto/create-webhook.dto';
+import {
+  WEBHOOK_EVENT_TYPES,
+  WebhookDeadLetter,
+  WebhookDeliveryAttempt,
+  WebhookPayload,
+  WebhookSubscription,
+  WebhookSubscriptionWithSecret,
+} from './interfaces/webhook.interface';
+import { signWebhookPayload, WEBHOOK_SIGNATURE_HEADER } from './webhook-signature';
+
+export const WEBHOOK_DELIVERY_OPTIONS = 'WEBHOOK_DELIVERY_OPTIONS';
+
+export interface WebhookDeliveryOptions {
+  /** Total attempts, including the first, before a delivery is dead-lettered. */
+  maxAttempts: number;
+  /** Delay before the first retry; doubled for every further retry. */
+  baseDelayMs: number;
+  maxDelayMs: number;
+  timeoutMs: number;
+}
+
+const MAX_DELIVERY_LOG_ENTRIES = 100;
+const MAX_DEAD_LETTERS = 1000;
+
+interface StoredSubscription extends WebhookSubscriptionWithSecret {
+  deliveries: WebhookDeliveryAttempt[];
+}
+
+interface PendingDelivery {
+  id: string;
+  subscriptionId: string;
+  payload: WebhookPayload;
+  body: string;
+  attempts: number;
+}
+
+/**
+ * Delivers item lifecycle events to subscribed URLs; each subscription
+ * receives the events of a single workspace. Deliveries are signed
+ * with the subscription's secret, retried with exponential backoff and moved
+ * to the dead-letter list once every attempt has failed.
+ */
+@Injectable()
+export class WebhooksService implements OnModuleDestroy {
+  private readonly logger = new Logger(WebhooksService.name);
+  private readonly subscriptions = new Map<string, StoredSubscription>();
+  private readonly deadLetters: WebhookDeadLetter[] = [];
+  private readonly timers = new Map<string, { subscriptionId: string; timer: NodeJS.Timeout }>();
+  private readonly inFlight = new Set<Promise<void>>();
+  private readonly options: WebhookDeliveryOptions;
+  private readonly eventsSubscription: Subscription;
+  private readonly removalsSubscription: Subscription;
+
+  constructor(
+    itemsEventsService: ItemsEventsService,
+    private readonly workspacesService: WorkspacesService,
+    @Optional() @Inject(WEBHOOK_DELIVERY_OPTIONS) options?: Partial<WebhookDeliveryOptions>,
+  ) {
+    this.options = { ...defaultAppConfig().webhooks, ...options };
+    this.eventsSubscription = itemsEventsService.changes.subscribe((event) => this.dispatch(event));
+    this.removalsSubscription = workspacesService.removals.subscribe((workspaceId) =>
+      this.removeForWorkspace(workspaceId),
+    );
+  }
+
+  onModuleDestroy(): void {
+    this.eventsSubscription.unsubscribe();
+    this.removalsSubscription.unsubscribe();
+    for (const { timer } of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  create(createWebhookDto: CreateWebhookDto): WebhookSubscriptionWithSecret {
+    const workspaceId = createWebhookDto.workspaceId ?? DEFAULT_WORKSPACE_ID;
+    this.workspacesService.findOne(workspaceId);
+    const subscription: StoredSubscription = {
+      id: randomUUID(),
+      url: createWebhookDto.url,
+      workspaceId,
+      events: [...new Set(createWebhookDto.events ?? WEBHOOK_EVENT_TYPES)],
+      secret: createWebhookDto.secret ?? `whsec_${randomBytes(24).toString('base64url')}`,
+      createdAt: new Date(),
+      deliveries: [],
+    };
+    this.logger.log(`Creating webhook ${subscription.id} for ${subscription.url}`);
+    this.subscriptions.set(subscription.id, subscription);
+    return { ...this.toPublic(subscription), secret: subscription.secret };
+  }
+
+  findAll(): WebhookSubscription[] {
+    this.logger.log('Finding all webhooks');
+    return [...this.subscriptions.values()].map((subscription) => this.toPublic(subscription));
+  }
+
+  findOne(id: string): WebhookSubscription {
+    this.logger.log(`Finding webhook with id: ${id}`);
+    return this.toPublic(this.findStored(id));
+  }
+
+  /** Also cancels the subscription's pending retries. */
+  remove(id: string): void {
+    this.logger.log(`Removing webhook with id: ${id}`);
+    this.findStored(id);
+    this.subscriptions.delete(id);
+    for (const [deliveryId, pending] of this.timers) {
+      if (pending.subscriptionId === id) {
+        clearTimeout(pending.timer);
+        this.timers.delete(deliveryId);
+      }
+    }
+  }
+
+  /** Most recent attempts first. */
+  findDeliveries(id: string): WebhookDeliveryAttempt[] {
+    this.logger.log(`Finding deliveries for webhook with id: ${id}`);
+    return [...this.findStored(id).deliveries].reverse();
+  }
+
+  findDeadLetters(): WebhookDeadLetter[] {
+    this.logger.log('Finding dead-lettered webhook deliveries');
+    return [...this.deadLetters].reverse();
+  }
+
+  /** Takes a delivery off the dead-letter list and starts a fresh attempt cycle. */
+  redeliver(deliveryId: string): WebhookDeadLetter {
+    this.logger.log(`Redelivering dead-lettered delivery: ${deliveryId}`);
+    const index = this.deadLetters.findIndex((entry) => entry.deliveryId === deliveryId);
+    if (index === -1) {
+      throw new NotFoundException(`Dead-lettered delivery ${deliveryId} not found`);
+    }
+    const [deadLetter] = this.deadLetters.splice(index, 1);
+    this.findStored(deadLetter.subscriptionId);
+    this.schedule(
+      {
+        id: deadLetter.deliveryId,
+        subscriptionId: deadLetter.subscriptionId,
+        payload: deadLetter.payload,
+        body: JSON.stringify(deadLetter.payload),
+        attempts: 0,
+      },
+      0,
+    );
+    return deadLetter;
+  }
+
+  /** Resolves once no delivery attempt is running; used by tests and shutdown. */
+  async drain(): Promise<void> {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  private dispatch(event: ItemEvent): void {
+    const type = `item.${event.type}` as const;
+    const payload: WebhookPayload = {
+      id: String(event.id),
+      type,
+      occurredAt: event.timestamp,
+      workspaceId: event.workspaceId,
+      data: { item: event.item, actor: event.actor },
+    };
+    const body = JSON.stringify(payload);
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.workspaceId === event.workspaceId && subscription.events.includes(type)) {
+        this.schedule(
+          {
+            id: randomUUID(),
+            subscriptionId: subscription.id,
+            payload,
+            body,
+            attempts: 0,
+          },
+          0,
+        );
+      }
+    }
+  }
+
+  private schedule(delivery: PendingDelivery, delayMs: number): void {
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      const attempt = this.attempt(delivery).finally(() => this.inFlight.delete(attempt));
+      this.inFlight.add(attempt);
+    }, delayMs);
+    timer.unref();
+    this.timers.set(delivery.id, { subscriptionId: delivery.subscriptionId, timer });
+  }
+
+  private async attempt(delivery: PendingDelivery): Promise<void> {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      return;
+    }
+    delivery.attempts += 1;
+    const startedAt = Date.now();
+    let statusCode: number | null = null;
+    let error: string | null = null;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'items-webhooks/1',
+          'Webhook-Id': delivery.id,
+          'Webhook-Event': delivery.payload.type,
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(
+            subscription.secret,
+            delivery.body,
+            Math.floor(startedAt / 1000),
+          ),
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs),
+      });
+      statusCode = response.status;
+      await response.body?.cancel();
+      if (!response.ok) {
+        error = `Receiver responded with ${response.status}`;
+      }
+    } catch (caught: unknown) {
+      error = caught instanceof Error ? caught.message : String(caught);
+    }
+
+    const failed = error !== null;
+    const retryDelayMs =
+      failed && delivery.attempts < this.options.maxAttempts
+        ? this.retryDelay(delivery.attempts)
+        : null;
+    this.log(subscription, {
+      deliveryId: delivery.id,
+      type: delivery.payload.type,
+      attempt: delivery.attempts,
+      status: failed ? 'failed' : 'succeeded',
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt,
+      timestamp: new Date(startedAt),
+      nextRetryAt: retryDelayMs === null ? null : new Date(Date.now() + retryDelayMs),
+    });
+
+    if (!failed) {
+      return;
+    }
+    if (retryDelayMs !== null) {
+      this.logger.warn(
+        `Webhook delivery ${delivery.id} failed (attempt ${delivery.attempts}): ${error}; retrying in ${retryDelayMs}ms`,
+      );
+      this.schedule(delivery, retryDelayMs);
+      return;
+    }
+    this.logger.error(
+      `Webhook delivery ${delivery.id} failed ${delivery.attempts} times; moving to dead letters`,
+    );
+    this.deadLetters.push({
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      payload: delivery.payload,
+      attempts: delivery.attempts,
+      lastError: error ?? 'Unknown error',
+      deadAt: new Date(),
+    });
+    if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+      this.deadLetters.shift();
+    }
+  }
+
+  private retryDelay(attempts: number): number {
+    return Math.min(this.options.baseDelayMs * 2 ** (attempts - 1), this.options.maxDelayMs);
+  }
+
+  private log(subscription: StoredSubscription, entry: WebhookDeliveryAttempt): void {
+    subscription.deliveries.push(entry);
+    if (subscription.deliveries.length > MAX_DELIVERY_LOG_ENTRIES) {
+      subscription.deliveries.shift();
+    }
+  }
+
+  private findStored(id: string): StoredSubscription {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      this.logger.warn(`Webhook not found: ${id}`);
+      throw new NotFoundException(`Webhook with ID ${id} not found`);
+    }
+    return subscription;
+  }
+
+  /** Drops the subscriptions of a deleted workspace; it can never publish events again. */
+  private removeForWorkspace(workspaceId: string): void {
+    const subscriptions = [...this.subscriptions.values()].filter(
+      (subscription) => subscription.workspaceId === workspaceId,
+    );
+    this.logger.log(
+      `Removing ${subscriptions.length} webhooks of deleted workspace: ${workspaceId}`,
+    );
+    for (const { id } of subscriptions) {
+      this.remove(id);
+    }
+  }
+
+  private toPublic(subscription: StoredSubscription): WebhookSubscription {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      workspaceId: subscription.workspaceId,
+      events: subscription.events,
+      createdAt: subscription.createdAt,
+    };
+  }
+}
@@ -0,0 +1,53 @@
+import { applyDecorators } from '@nestjs/common';
+import {
+  ArrayMaxSize,
+  ArrayUnique,
+  IsArray,
+  IsInt,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Matches,
+  MaxLength,
+  Min,
+} from 'class-validator';
+
+/** Lowercase letters, digits and inner hyphens; safe in a header and as a file name. */
+export const WORKSPACE_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+export const MAX_WORKSPACE_MEMBERS = 100;
+
+/** Validation rules shared by every DTO that carries the members of a workspace. */
+export function IsWorkspaceMemberList() {
+  return applyDecorators(
+    IsArray(),
+    ArrayMaxSize(MAX_WORKSPACE_MEMBERS),
+    ArrayUnique(),
+    IsString({ each: true }),
+    IsNotEmpty({ each: true }),
+    MaxLength(200, { each: true }),
+  );
+}
+
+export class CreateWorkspaceDto {
+  @IsString()
+  @Matches(WORKSPACE_ID_PATTERN, {
+    message: 'id must be 1-63 lowercase letters, digits or inner hyphens',
+  })
+  id: string;
+
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(100)
+  name: string;
+
+  /** Defaults to `workspaces.itemLimit` from the configuration. */
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  itemLimit?: number;
+
+  /** Principal ids (API key ids or JWT subjects) that may use the workspace; admins always may. */
+  @IsOptional()
+  @IsWorkspaceMemberList()
+  members?: string[];
+}
@@ -0,0 +1,6 @@
+import { IsWorkspaceMemberList } from './create-workspace.dto';
+
+export class WorkspaceMembersDto {
+  @IsWorkspaceMemberList()
+  members: string[];
+}
@@ -0,0 +1,54 @@
+import { ExecutionContext, ForbiddenException, NotFoundException } from '@nestjs/common';
+import { AuthenticatedRequest, AuthPrincipal } from '../auth/auth.types';
+import { ItemsService } from '../items/items.service';
+import { WorkspaceAccessGuard } from './workspace-access.guard';
+import { WorkspacesService } from './workspaces.service';
+
+const contextFor = (headers: Record<string, string>, principal?: AuthPrincipal) => {
+  const request = { headers, principal } as AuthenticatedRequest;
+  return {
+    switchToHttp: () => ({ getRequest: () => request }),
+  } as unknown as ExecutionContext;
+};
+
+const principal = (id: string, role: AuthPrincipal['roles'][number]): AuthPrincipal => ({
+  id,
+  roles: [role],
+  method: 'api-key',
+});
+
+describe('WorkspaceAccessGuard', () => {
+  let guard: WorkspaceAccessGuard;
+
+  beforeEach(() => {
+    const workspacesService = new WorkspacesService(new ItemsService());
+    workspacesService.create({ id: 'team-a', name: 'Team A', members: ['alice'] });
+    guard = new WorkspaceAccessGuard(workspacesService);
+  });
+
+  it('should let every principal use the default workspace', () => {
+    expect(guard.canActivate(contextFor({}, principal('bob', 'reader')))).toBe(true);
+    expect(
+      guard.canActivate(contextFor({ 'x-workspace-id': 'default' }, principal('bob', 'reader'))),
+    ).toBe(true);
+  });
+
+  it('should only let members and admins use other workspaces', () => {
+    const headers = { 'x-workspace-id': 'team-a' };
+    expect(guard.canActivate(contextFor(headers, principal('alice', 'reader')))).toBe(true);
+    expect(guard.canActivate(contextFor(headers, principal('root', 'admin')))).toBe(true);
+    expect(() => guard.canActivate(contextFor(headers, principal('bob', 'editor')))).toThrow(
+      ForbiddenException,
+    );
+  });
+
+  it('should allow every workspace when authentication is disabled', () => {
+    expect(guard.canActivate(contextFor({ 'x-workspace-id': 'team-a' }))).toBe(true);
+  });
+
+  it('should reject unknown workspaces with 404', () => {
+    expect(() =>
+      guard.canActivate(contextFor({ 'x-workspace-id': 'team-b' }, principal('root', 'admin'))),
+    ).toThrow(NotFoundException);
+  });
+});
@@ -0,0 +1,21 @@
+import { CanActivate, ExecutionContext, Injectable } from '@nestjs/common';
+import { AuthenticatedRequest } from '../auth/auth.types';
+import { WorkspacesService } from './workspaces.service';
+
+/**
+ * Controller guard for routes that pick a workspace with the `X-Workspace-Id`
+ * header: the caller must be allowed to use it before any handler reaches its
+ * items. Runs after the global AuthGuard has set the principal.
+ */
+@Injectable()
+export class WorkspaceAccessGuard implements CanActivate {
+  constructor(private readonly workspacesService: WorkspacesService) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const request = context.switchToHttp().getRequest<AuthenticatedRequest>();
+    // Node joins repeated custom headers, so only `set-cookie` is ever an array.
+    const workspaceId = request.headers['x-workspace-id'] as string | undefined;
+    this.workspacesService.authorize(workspaceId, request.principal);
+    return true;
+  }
+}
@@ -0,0 +1,43 @@
+import { ItemsState } from '../items/interfaces/item.interface';
+
+/** Holds the items of requests that name no workspace; it always exists. */
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+export interface Workspace {
+  id: string;
+  name: string;
+  /** Most active items the workspace may hold; trashed items do not count. */
+  itemLimit: number;
+  /**
+   * Ids of the principals besides admins that may use the workspace. Always
+   * empty for the default workspace, which every principal may use.
+   */
+  members: string[];
+  /** Active items currently held. */
+  itemCount: number;
+  /** Null for the default workspace, which exists from the start. */
+  createdAt: Date | null;
+}
+
+/** What is stored about a workspace besides its items. */
+export type WorkspaceSettings = Omit<Workspace, 'itemCount'>;
+
+export const ITEMS_WORKSPACE = 'ITEMS_WORKSPACE';
+
+/** The workspace an ItemsService instance holds the items of. */
+export interface ItemsWorkspace {
+  id: string;
+  itemLimit: number;
+}
+
+/** A workspace with everything it stores, e.g. for a snapshot. */
+export interface WorkspaceState extends WorkspaceSettings, ItemsState {}
+
+/**
+ * Every workspace with its items. The default workspace's items sit at the top
+ * level, where they were before there were workspaces; its settings come from
+ * the configuration.
+ */
+export interface WorkspacesState extends ItemsState {
+  workspaces: WorkspaceState[];
+}
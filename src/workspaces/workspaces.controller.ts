@@ -0,0 +1,101 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  Post,
+  Put,
+} from '@nestjs/common';
+import { AuthPrincipal } from '../auth/auth.types';
+import { CurrentPrincipal } from '../auth/decorators/principal.decorator';
+import { Roles } from '../auth/decorators/roles.decorator';
+import { ApiOperation } from '../openapi/decorators/api-operation.decorator';
+import { arrayOf, schemaRef } from '../openapi/openapi.schemas';
+import { API_V1, servedVersions } from '../versioning/api-version';
+import { CreateWorkspaceDto } from './dto/create-workspace.dto';
+import { WorkspaceMembersDto } from './dto/workspace-members.dto';
+import { Workspace } from './workspace.interface';
+import { WorkspacesService } from './workspaces.service';
+
+/**
+ * Item routes pick a workspace with the `X-Workspace-Id` header. Callers only
+ * see the workspaces they may use: the default one, those listing them as a
+ * member, or every workspace for admins.
+ */
+@Controller({ path: 'workspaces', version: servedVersions(API_V1) })
+@Roles('reader')
+export class WorkspacesController {
+  constructor(private readonly workspacesService: WorkspacesService) {}
+
+  @ApiOperation({
+    summary: 'Create a workspace',
+    response: schemaRef('Workspace'),
+    responses: { 409: 'A workspace with this id already exists' },
+  })
+  @Post()
+  @Roles('admin')
+  @HttpCode(HttpStatus.CREATED)
+  create(@Body() createWorkspaceDto: CreateWorkspaceDto): Workspace {
+    return this.workspacesService.create(createWorkspaceDto);
+  }
+
+  @ApiOperation({
+    summary: 'List the workspaces the caller may use',
+    response: arrayOf(schemaRef('Workspace')),
+  })
+  @Get()
+  findAll(@CurrentPrincipal() principal?: AuthPrincipal): Workspace[] {
+    return this.workspacesService.findAll(principal);
+  }
+
+  @ApiOperation({
+    summary: 'Get a workspace',
+    response: schemaRef('Workspace'),
+    responses: {
+      403: 'The caller is neither an admin nor a member of the workspace',
+      404: 'No workspace has this id',
+    },
+  })
+  @Get(':workspaceId')
+  findOne(
+    @Param('workspaceId') workspaceId: string,
+    @CurrentPrincipal() principal?: AuthPrincipal,
+  ): Workspace {
+    this.workspacesService.authorize(workspaceId, principal);
+    return this.workspacesService.findOne(workspaceId);
+  }
+
+  @ApiOperation({
+    summary: 'Replace the members of a workspace',
+    response: schemaRef('Workspace'),
+    responses: {
+      404: 'No workspace has this id',
+      409: 'The workspace is the default one, which every principal may use',
+    },
+  })
+  @Put(':workspaceId/members')
+  @Roles('admin')
+  updateMembers(
+    @Param('workspaceId') workspaceId: string,
+    @Body() workspaceMembersDto: WorkspaceMembersDto,
+  ): Workspace {
+    return this.workspacesService.updateMembers(workspaceId, workspaceMembersDto);
+  }
+
+  @ApiOperation({
+    summary: 'Delete an empty workspace',
+    responses: {
+      404: 'No workspace has this id',
+      409: 'The workspace is the default one or still holds items, trashed ones included',
+    },
+  })
+  @Delete(':workspaceId')
+  @Roles('admin')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  remove(@Param('workspaceId') workspaceId: string) {
+    this.workspacesService.remove(workspaceId);
+  }
+}
@@ -0,0 +1,181 @@
+import { ConflictException, NotFoundException } from '@nestjs/common';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadAppConfig } from '../config/app-config.provider';
+import { createItemsRepository } from '../items/items-repository.provider';
+import { ItemsService } from '../items/items.service';
+import { WorkspacesService } from './workspaces.service';
+
+describe('WorkspacesService', () => {
+  let defaultItems: ItemsService;
+  let service: WorkspacesService;
+
+  beforeEach(() => {
+    defaultItems = new ItemsService();
+    service = new WorkspacesService(defaultItems);
+  });
+
+  it('should start with only the default workspace', () => {
+    expect(service.findAll()).toEqual([
+      {
+        id: 'default',
+        name: 'Default',
+        itemLimit: 10_000,
+        members: [],
+        itemCount: 0,
+        createdAt: null,
+      },
+    ]);
+    expect(service.itemsIn()).toBe(defaultItems);
+    expect(service.itemsIn('default')).toBe(defaultItems);
+  });
+
+  it('should create workspaces with the configured or requested item limit', () => {
+    const configured = new WorkspacesService(
+      defaultItems,
+      undefined,
+      loadAppConfig({ WORKSPACE_ITEM_LIMIT: '50' }),
+    );
+    expect(configured.create({ id: 'team-a', name: 'Team A' })).toMatchObject({
+      id: 'team-a',
+      itemLimit: 50,
+      itemCount: 0,
+      createdAt: expect.any(Date),
+    });
+    expect(configured.create({ id: 'team-b', name: 'Team B', itemLimit: 5 }).itemLimit).toBe(5);
+    expect(configured.findAll().map((workspace) => workspace.id)).toEqual([
+      'default',
+      'team-a',
+      'team-b',
+    ]);
+  });
+
+  it('should reject duplicate ids and unknown workspaces', () => {
+    service.create({ id: 'team-a', name: 'Team A' });
+    expect(() => service.create({ id: 'team-a', name: 'Again' })).toThrow(ConflictException);
+    expect(() => service.create({ id: 'default', name: 'Again' })).toThrow(ConflictException);
+    expect(() => service.findOne('team-b')).toThrow(NotFoundException);
+    expect(() => service.itemsIn('team-b')).toThrow('Workspace "team-b" not found');
+  });
+
+  it('should only list and authorize the workspaces a principal may use', () => {
+    const reader = { id: 'alice', roles: ['reader' as const], method: 'api-key' as const };
+    const admin = { id: 'root', roles: ['admin' as const], method: 'jwt' as const };
+    service.create({ id: 'team-a', name: 'Team A', members: ['alice'] });
+    service.create({ id: 'team-b', name: 'Team B' });
+
+    const ids = (workspaces: { id: string }[]) => workspaces.map((workspace) => workspace.id);
+    expect(ids(service.findAll(reader))).toEqual(['default', 'team-a']);
+    expect(ids(service.findAll(admin))).toEqual(['default', 'team-a', 'team-b']);
+    expect(ids(service.findAll())).toEqual(['default', 'team-a', 'team-b']);
+    expect(() => service.authorize('team-a', reader)).not.toThrow();
+    expect(() => service.authorize('team-b', reader)).toThrow('Not a member of workspace "team-b"');
+    expect(() => service.authorize('team-b', admin)).not.toThrow();
+    expect(() => service.authorize('team-c', admin)).toThrow(NotFoundException);
+
+    expect(service.updateMembers('team-b', { members: ['alice'] }).members).toEqual(['alice']);
+    expect(() => service.authorize('team-b', reader)).not.toThrow();
+    expect(() => service.updateMembers('default', { members: ['alice'] })).toThrow(
+      ConflictException,
+    );
+  });
+
+  it('should keep the items of each workspace apart', () => {
+    service.create({ id: 'team-a', name: 'Team A' });
+    const teamItems = service.itemsIn('team-a');
+    const shared = defaultItems.create({ name: 'Widget', description: 'Default' });
+    const own = teamItems.create({ name: 'Widget', description: 'Team A' });
+
+    expect(teamItems.findAll()).toEqual([own]);
+    expect(teamItems.findByName('widget')).toEqual(own);
+    expect(teamItems.search('default').total).toBe(0);
+    expect(() => teamItems.findHistory(shared.id)).toThrow(NotFoundException);
+    expect(() => teamItems.remove(shared.id)).toThrow(NotFoundException);
+    expect(defaultItems.findAll()).toEqual([shared]);
+    expect(service.findOne('team-a').itemCount).toBe(1);
+  });
+
+  it('should only delete workspaces that hold no items', () => {
+    service.create({ id: 'team-a', name: 'Team A' });
+    const teamItems = service.itemsIn('team-a');
+    const item = teamItems.create({ name: 'Widget', description: 'Test' });
+
+    expect(() => service.remove('default')).toThrow('The default workspace cannot be deleted');
+    teamItems.remove(item.id);
+    expect(() => service.remove('team-a')).toThrow(
+      'Workspace "team-a" still holds 1 items; delete and purge them first',
+    );
+    teamItems.purge(item.id);
+    service.remove('team-a');
+    expect(() => service.findOne('team-a')).toThrow(NotFoundException);
+    expect(() => service.remove('team-a')).toThrow(NotFoundException);
+  });
+
+  it('should export and import every workspace', () => {
+    defaultItems.create({ name: 'Widget', description: 'Default' });
+    service.create({ id: 'team-a', name: 'Team A', itemLimit: 3 });
+    service.itemsIn('team-a').create({ name: 'Widget', description: 'Team A' });
+
+    const restored = new WorkspacesService(new ItemsService());
+    restored.importState(service.exportState());
+    expect(restored.findAll()).toEqual(service.findAll());
+    expect(restored.itemsIn('team-a').findAll()).toEqual(service.itemsIn('team-a').findAll());
+    expect(() => restored.importState(service.exportState())).toThrow(ConflictException);
+  });
+
+  describe('with the file store', () => {
+    let tempDir: string;
+
+    const start = () => {
+      const config = loadAppConfig({
+        ITEMS_STORE: 'file',
+        ITEMS_STORE_PATH: join(tempDir, 'items.json'),
+      });
+      const repository = createItemsRepository('file', config.items.storePath);
+      return new WorkspacesService(
+        new ItemsService(repository, undefined, undefined, config),
+        undefined,
+        config,
+      );
+    };
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'workspaces-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep workspaces and their items across restarts', () => {
+      const previous = start();
+      previous.create({ id: 'team-a', name: 'Team A', itemLimit: 3, members: ['alice'] });
+      const item = previous.itemsIn('team-a').create({ name: 'Widget', description: 'Test' });
+      expect(existsSync(join(tempDir, 'workspaces', 'team-a.json'))).toBe(true);
+
+      const next = start();
+      expect(next.findOne('team-a')).toEqual(previous.findOne('team-a'));
+      expect(next.findOne('team-a').members).toEqual(['alice']);
+      expect(next.itemsIn('team-a').findOne(item.id)).toEqual(item);
+      expect(next.itemsIn().findAll()).toEqual([]);
+    });
+
+    it('should delete the store file of a deleted workspace', () => {
+      const service = start();
+      service.create({ id: 'team-a', name: 'Team A' });
+      const items = service.itemsIn('team-a');
+      const item = items.create({ name: 'Widget', description: 'Test' });
+      items.remove(item.id);
+      items.purge(item.id);
+      service.remove('team-a');
+
+      expect(existsSync(join(tempDir, 'workspaces', 'team-a.json'))).toBe(false);
+      expect(
+        start()
+          .findAll()
+          .map((workspace) => workspace.id),
+      ).toEqual(['default']);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import {
+  ConflictException,
+  ForbiddenException,
+  Inject,
+  Injectable,
+  Logger,
+  NotFoundException,
+  Optional,
+} from '@nestjs/common';
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { Observable, Subject } from 'rxjs';
+import { AuthPrincipal, hasRole } from '../auth/auth.types';
+import { APP_CONFIG, AppConfig, defaultAppConfig } from '../config/app-config';
+import { createItemIdStrategy } from '../items/ids/item-id.strategy';
+import { ItemsEventsService } from '../items/items-events.service';
+import { createItemsRepository } from '../items/items-repository.provider';
+import { ItemsService } from '../items/items.service';
+import { CreateWorkspaceDto } from './dto/create-workspace.dto';
+import { WorkspaceMembersDto } from './dto/workspace-members.dto';
+import {
+  DEFAULT_WORKSPACE_ID,
+  Workspace,
+  WorkspaceSettings,
+  WorkspacesState,
+} from './workspace.interface';
+
+interface StoredWorkspace extends Omit<WorkspaceSettings, 'createdAt' | 'members'> {
+  createdAt: string;
+  members?: string[];
+}
+
+interface WorkspaceEntry {
+  settings: WorkspaceSettings;
+  items: ItemsService;
+}
+
+/**
+ * Registry of the workspaces items are partitioned into. Each workspace has
+ * its own ItemsService over its own repository, so isolation does not depend
+ * on every query remembering to filter. The default workspace is the
+ * ItemsService Nest injects and keeps the configured item store; with the
+ * `file` store, other workspaces get a store file each under `workspaces/`
+ * beside it and are listed in `workspaces.json`.
+ *
+ * Admins may use every workspace and every principal the default one; other
+ * workspaces are limited to the principals listed as their members.
+ */
+@Injectable()
+export class WorkspacesService {
+  private readonly logger = new Logger(WorkspacesService.name);
+  private readonly workspaces = new Map<string, WorkspaceEntry>();
+  private readonly removed$ = new Subject<string>();
+  private readonly config: AppConfig;
+  private readonly events: ItemsEventsService;
+  /** Where the registry is persisted; unset for the `memory` store. */
+  private readonly registryPath?: string;
+
+  constructor(
+    defaultItems: ItemsService,
+    @Optional() events?: ItemsEventsService,
+    @Optional() @Inject(APP_CONFIG) config?: AppConfig,
+  ) {
+    this.config = config ?? defaultAppConfig();
+    this.events = events ?? new ItemsEventsService();
+    this.workspaces.set(DEFAULT_WORKSPACE_ID, {
+      settings: {
+        id: DEFAULT_WORKSPACE_ID,
+        name: 'Default',
+        itemLimit: defaultItems.itemLimit,
+        members: [],
+        createdAt: null,
+      },
+      items: defaultItems,
+    });
+    const { store, storePath } = this.config.items;
+    if (store === 'file') {
+      this.registryPath = join(dirname(storePath), 'workspaces.json');
+      this.loadRegistry();
+    }
+  }
+
+  create(createWorkspaceDto: CreateWorkspaceDto): Workspace {
+    this.logger.log(`Creating workspace: ${createWorkspaceDto.id}`);
+    if (this.workspaces.has(createWorkspaceDto.id)) {
+      this.logger.warn(`Workspace already exists: ${createWorkspaceDto.id}`);
+      throw new ConflictException(`Workspace "${createWorkspaceDto.id}" already exists`);
+    }
+    const entry = this.register({
+      id: createWorkspaceDto.id,
+      name: createWorkspaceDto.name,
+      itemLimit: createWorkspaceDto.itemLimit ?? this.config.workspaces.itemLimit,
+      members: createWorkspaceDto.members ?? [],
+      createdAt: new Date(),
+    });
+    this.persistRegistry();
+    return this.describe(entry);
+  }
+
+  /** The workspaces the principal may use; all of them when no principal is given. */
+  /** Ids of deleted workspaces, so whatever refers to them can be dropped too. */
+  get removals(): Observable<string> {
+    return this.removed$.asObservable();
+  }
+
+  findAll(principal?: AuthPrincipal): Workspace[] {
+    this.logger.log('Finding all workspaces');
+    return Array.from(this.workspaces.values())
+      .filter(({ settings }) => this.mayUse(settings, principal))
+      .map((entry) => this.describe(entry));
+  }
+
+  findOne(id: string): Workspace {
+    this.logger.log(`Finding workspace: ${id}`);
+    return this.describe(this.entry(id));
+  }
+
+  /** Replaces the members of a workspace; the default workspace has none to replace. */
+  updateMembers(id: string, workspaceMembersDto: WorkspaceMembersDto): Workspace {
+    this.logger.log(`Updating the members of workspace: ${id}`);
+    const entry = this.entry(id);
+    if (id === DEFAULT_WORKSPACE_ID) {
+      throw new ConflictException('The default workspace is open to every principal');
+    }
+    entry.settings.members = workspaceMembersDto.members;
+    this.persistRegistry();
+    return this.describe(entry);
+  }
+
+  /**
+   * Throws unless the principal may use the workspace: 404 when it does not
+   * exist, 403 when the principal is neither an admin nor a member. Without a
+   * principal, i.e. with authentication disabled, every workspace may be used.
+   */
+  authorize(id = DEFAULT_WORKSPACE_ID, principal?: AuthPrincipal): void {
+    const { settings } = this.entry(id);
+    if (!this.mayUse(settings, principal)) {
+      this.logger.warn(`Principal ${principal?.id} is not a member of workspace ${id}`);
+      throw new ForbiddenException(`Not a member of workspace "${id}"`);
+    }
+  }
+
+  /**
+   * Deletes a workspace that holds no items, trashed ones included, so items
+   * are never dropped as a side effect. The default workspace always stays.
+   */
+  remove(id: string): void {
+    this.logger.log(`Removing workspace: ${id}`);
+    const entry = this.entry(id);
+    if (id === DEFAULT_WORKSPACE_ID) {
+      throw new ConflictException('The default workspace cannot be deleted');
+    }
+    const { active, deleted } = entry.items.countItems();
+    if (active + deleted > 0) {
+      this.logger.warn(`Workspace ${id} still holds ${active + deleted} items`);
+      throw new ConflictException(
+        `Workspace "${id}" still holds ${active + deleted} items; delete and purge them first`,
+      );
+    }
+    this.workspaces.delete(id);
+    this.persistRegistry();
+    if (this.registryPath) {
+      rmSync(this.storePathOf(id), { force: true });
+    }
+    this.removed$.next(id);
+  }
+
+  /** The items of a workspace; requests that name none use the default workspace. */
+  itemsIn(id = DEFAULT_WORKSPACE_ID): ItemsService {
+    return this.entry(id).items;
+  }
+
+  /** Item counts per workspace id, for the metrics endpoint. */
+  countItems(): Map<string, { active: number; deleted: number }> {
+    this.logger.debug('Counting items per workspace');
+    return new Map(Array.from(this.workspaces, ([id, { items }]) => [id, items.countItems()]));
+  }
+
+  /** Throws when the store of any workspace cannot currently serve reads or persist changes. */
+  checkStores(): void {
+    for (const { items } of this.workspaces.values()) {
+      items.checkStore();
+    }
+  }
+
+  /** Copies of every workspace and everything it stores, e.g. for a snapshot. */
+  exportState(): WorkspacesState {
+    this.logger.log('Exporting all workspaces');
+    return {
+      ...this.itemsIn().exportState(),
+      workspaces: this.additionalWorkspaces().map(({ settings, items }) => ({
+        ...settings,
+        ...items.exportState(),
+      })),
+    };
+  }
+
+  /**
+   * Recreates the workspaces of a state taken by `exportState`. Only the
+   * default workspace may exist beforehand, and it must be empty.
+   */
+  importState(state: WorkspacesState): void {
+    if (this.workspaces.size > 1) {
+      this.logger.warn('Refusing to import workspaces over existing ones');
+      throw new ConflictException('Workspaces other than the default already exist');
+    }
+    this.itemsIn().importState(state);
+    for (const { items, revisions, ...settings } of state.workspaces) {
+      this.register(settings).items.importState({ items, revisions });
+    }
+    this.persistRegistry();
+    this.logger.log(`Imported ${state.workspaces.length} workspaces besides the default`);
+  }
+
+  private entry(id: string): WorkspaceEntry {
+    const entry = this.workspaces.get(id);
+    if (!entry) {
+      this.logger.warn(`Workspace not found: ${id}`);
+      throw new NotFoundException(`Workspace "${id}" not found`);
+    }
+    return entry;
+  }
+
+  private mayUse(settings: WorkspaceSettings, principal?: AuthPrincipal): boolean {
+    return (
+      !principal ||
+      settings.id === DEFAULT_WORKSPACE_ID ||
+      hasRole(principal, 'admin') ||
+      settings.members.includes(principal.id)
+    );
+  }
+
+  private additionalWorkspaces(): WorkspaceEntry[] {
+    return Array.from(this.workspaces.values()).filter(
+      ({ settings }) => settings.id !== DEFAULT_WORKSPACE_ID,
+    );
+  }
+
+  private register(settings: WorkspaceSettings): WorkspaceEntry {
+    const { store, idStrategy } = this.config.items;
+    const repository = createItemsRepository(store, this.storePathOf(settings.id));
+    const entry: WorkspaceEntry = {
+      settings,
+      items: new ItemsService(
+        repository,
+        createItemIdStrategy(idStrategy, repository),
+        this.events,
+        this.config,
+        { id: settings.id, itemLimit: settings.itemLimit },
+      ),
+    };
+    this.workspaces.set(settings.id, entry);
+    return entry;
+  }
+
+  private describe({ settings, items }: WorkspaceEntry): Workspace {
+    return { ...settings, itemCount: items.countItems().active };
+  }
+
+  private storePathOf(id: string): string {
+    return join(dirname(this.config.items.storePath), 'workspaces', `${id}.json`);
+  }
+
+  private loadRegistry(): void {
+    if (!this.registryPath || !existsSync(this.registryPath)) {
+      return;
+    }
+    const stored = JSON.parse(readFileSync(this.registryPath, 'utf-8')) as StoredWorkspace[];
+    for (const workspace of stored) {
+      // Registries written before workspaces had members list none.
+      this.register({
+        ...workspace,
+        members: workspace.members ?? [],
+        createdAt: new Date(workspace.createdAt),
+      });
+    }
+    this.logger.log(`Loaded ${stored.length} workspaces from ${this.registryPath}`);
+  }
+
+  /** Written to a temporary file and renamed, like the item store itself. */
+  private persistRegistry(): void {
+    if (!this.registryPath) {
+      return;
+    }
+    const stored: StoredWorkspace[] = this.additionalWorkspaces().map(({ settings }) => ({
+      ...settings,
+      createdAt: (settings.createdAt as Date).toISOString(),
+    }));
+    mkdirSync(dirname(this.registryPath), { recursive: true });
+    const tempPath = `${this.registryPath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(stored, null, 2), 'utf-8');
+    renameSync(tempPath, this.registryPath);
+  }
+}